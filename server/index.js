@@ -0,0 +1,76 @@
+/**
+ * Production Server
+ *
+ * Serves the built app from dist/ and mounts the API proxy,
+ * so the browser only ever talks to this origin.
+ *
+ * Usage:
+ *   npm run build
+ *   npm run server
+ */
+
+import http from "node:http";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createProxyMiddleware, readLimits } from "./proxy.js";
+
+const rootDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "dist"
+);
+const port = Number(process.env.PORT) || 8787;
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".map": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+};
+
+const proxy = createProxyMiddleware(
+  {
+    openaiApiKey: process.env.OPENAI_API_KEY,
+    elevenlabsApiKey: process.env.ELEVENLABS_API_KEY,
+  },
+  readLimits(process.env)
+);
+
+/**
+ * Serve a file from dist/, falling back to index.html
+ */
+async function serveStatic(req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  const requested = path.normalize(path.join(rootDir, pathname));
+
+  // Never serve anything outside dist/
+  const filePath =
+    requested.startsWith(rootDir) && path.extname(requested)
+      ? requested
+      : path.join(rootDir, "index.html");
+
+  try {
+    const data = await readFile(filePath);
+    res.setHeader(
+      "Content-Type",
+      MIME_TYPES[path.extname(filePath)] || "application/octet-stream"
+    );
+    res.end(data);
+  } catch (error) {
+    res.statusCode = 404;
+    res.end("Not found");
+  }
+}
+
+const server = http.createServer((req, res) => {
+  proxy(req, res, () => serveStatic(req, res));
+});
+
+server.listen(port, () => {
+  console.log(`🎭 Mil4dy server listening on http://localhost:${port}`);
+});
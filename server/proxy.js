@@ -0,0 +1,418 @@
+/**
+ * API Proxy
+ *
+ * Holds the OpenAI and ElevenLabs keys on the server so they never
+ * reach the browser bundle. The browser posts to /api/* and we forward
+ * the request upstream with the key attached.
+ *
+ * Routes:
+ * - POST /api/vision       → OpenAI chat completions (scene analysis)
+ * - POST /api/poetry       → OpenAI chat completions (poetry)
+ * - POST /api/tts          → ElevenLabs text-to-speech (audio/mpeg, or JSON
+ *                            with character timings when `timestamps` is set)
+ * - POST /api/tts/stream   → ElevenLabs streaming text-to-speech (raw PCM)
+ * - GET  /api/tts/voices   → ElevenLabs voice list
+ * - GET  /api/health       → Which keys are set ({ openai, elevenlabs }),
+ *                            checked by the app at start-up
+ *
+ * When the browser gives up on a request (a cancelled clip, a stream
+ * torn down) the upstream call is aborted too, so it stops being billed.
+ *
+ * Requests are checked before they go out: only the models the server
+ * allows, with max_tokens and the text to speak capped, and only the
+ * fields the app sends, so the proxy can't be used to run anything else
+ * on our keys.
+ *
+ * Exported as connect-style middleware so it can be mounted both by
+ * the standalone server (server/index.js) and the Vite dev server.
+ */
+
+import { Readable } from "node:stream";
+
+const OPENAI_URL = "https://api.openai.com/v1/chat/completions";
+const ELEVENLABS_URL = "https://api.elevenlabs.io/v1";
+
+// Camera frames are small JPEGs; anything bigger is not ours
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// What the app asks for (config.providers and config.costs.economy)
+const DEFAULT_OPENAI_MODELS = ["gpt-4o", "gpt-4o-mini"];
+
+// The longest poem style asks for a bit over 1000
+const DEFAULT_MAX_TOKENS = 1500;
+
+// config.elevenlabs.modelId, multilingualModelId and the economy model
+const DEFAULT_ELEVENLABS_MODELS = [
+  "eleven_turbo_v2_5",
+  "eleven_multilingual_v2",
+  "eleven_flash_v2_5",
+];
+
+// A long stanza is under 1000 characters
+const DEFAULT_MAX_CHARACTERS = 2000;
+
+// What config.tts.streamSampleRate can ask for
+const STREAM_FORMATS = ["pcm_16000", "pcm_22050", "pcm_24000", "pcm_44100"];
+
+// Fields of voice_settings the app sets
+const VOICE_SETTINGS = [
+  "stability",
+  "similarity_boost",
+  "style",
+  "use_speaker_boost",
+];
+
+/**
+ * Create the proxy middleware
+ *
+ * @param {Object} keys
+ * @param {string} keys.openaiApiKey - OpenAI API key
+ * @param {string} keys.elevenlabsApiKey - ElevenLabs API key
+ * @param {Object} [limits]
+ * @param {string[]} [limits.openaiModels] - Models the client may ask for;
+ *   the first is used when it names none
+ * @param {number} [limits.maxTokens] - Cap on max_tokens per completion
+ * @param {string[]} [limits.elevenlabsModels] - Speech models, likewise
+ * @param {number} [limits.maxCharacters] - Longest text to speak
+ * @returns {Function} - (req, res, next) middleware
+ */
+export function createProxyMiddleware(
+  { openaiApiKey, elevenlabsApiKey },
+  {
+    openaiModels = DEFAULT_OPENAI_MODELS,
+    maxTokens = DEFAULT_MAX_TOKENS,
+    elevenlabsModels = DEFAULT_ELEVENLABS_MODELS,
+    maxCharacters = DEFAULT_MAX_CHARACTERS,
+  } = {}
+) {
+  const limits = { openaiModels, maxTokens, elevenlabsModels, maxCharacters };
+
+  return async function proxyMiddleware(req, res, next) {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (!pathname.startsWith("/api/")) {
+      next?.();
+      return;
+    }
+
+    // The response closes once it has been sent, or when the client
+    // goes away first; only the second leaves anything to abort. (The
+    // request's own "close" fires as soon as its body has been read.)
+    const controller = new AbortController();
+    const { signal } = controller;
+    res.on("close", () => controller.abort());
+
+    try {
+      if (req.method === "POST" && pathname === "/api/vision") {
+        await forwardChatCompletion(req, res, openaiApiKey, limits, signal);
+      } else if (req.method === "POST" && pathname === "/api/poetry") {
+        await forwardChatCompletion(req, res, openaiApiKey, limits, signal);
+      } else if (req.method === "POST" && pathname === "/api/tts") {
+        await forwardSpeech(req, res, elevenlabsApiKey, limits, signal);
+      } else if (req.method === "POST" && pathname === "/api/tts/stream") {
+        await forwardSpeechStream(req, res, elevenlabsApiKey, limits, signal);
+      } else if (req.method === "GET" && pathname === "/api/tts/voices") {
+        await forwardVoices(res, elevenlabsApiKey, signal);
+      } else if (req.method === "GET" && pathname === "/api/health") {
+        sendJson(res, 200, {
+          openai: Boolean(openaiApiKey),
+          elevenlabs: Boolean(elevenlabsApiKey),
+        });
+      } else {
+        sendJson(res, 404, { error: `No route for ${req.method} ${pathname}` });
+      }
+    } catch (error) {
+      // Nobody left to answer
+      if (signal.aborted) return;
+
+      console.error("Proxy error:", error);
+
+      // Don't wait for the rest of a body we refused
+      if (error.status === 413) res.setHeader("Connection", "close");
+      sendJson(res, error.status || 502, { error: error.message });
+    }
+  };
+}
+
+/**
+ * Read the limits from the environment
+ * OPENAI_MODELS and ELEVENLABS_MODELS are comma-separated lists,
+ * OPENAI_MAX_TOKENS and ELEVENLABS_MAX_CHARACTERS numbers; each falls
+ * back to its default when unset
+ *
+ * @param {Object} env - e.g. process.env
+ * @returns {{openaiModels: string[], maxTokens: number,
+ *   elevenlabsModels: string[], maxCharacters: number}}
+ */
+export function readLimits(env) {
+  const list = (value, fallback) => {
+    const items = (value ?? "")
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+    return items.length > 0 ? items : fallback;
+  };
+
+  return {
+    openaiModels: list(env.OPENAI_MODELS, DEFAULT_OPENAI_MODELS),
+    maxTokens: Number(env.OPENAI_MAX_TOKENS) || DEFAULT_MAX_TOKENS,
+    elevenlabsModels: list(env.ELEVENLABS_MODELS, DEFAULT_ELEVENLABS_MODELS),
+    maxCharacters:
+      Number(env.ELEVENLABS_MAX_CHARACTERS) || DEFAULT_MAX_CHARACTERS,
+  };
+}
+
+/**
+ * Forward a chat completion request to OpenAI
+ * Only the fields the app uses are passed on, with the model checked
+ * against the allowed ones and max_tokens capped
+ */
+async function forwardChatCompletion(req, res, apiKey, limits, signal) {
+  requireKey(apiKey, "OPENAI_API_KEY");
+
+  const body = checkCompletion(await readJsonBody(req), limits);
+
+  const upstream = await fetch(OPENAI_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${apiKey}`,
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  await pipeResponse(upstream, res);
+}
+
+/**
+ * Forward a text-to-speech request to ElevenLabs
+ * Expects { voiceId, timestamps, text, model_id, voice_settings }
+ */
+async function forwardSpeech(req, res, apiKey, limits, signal) {
+  requireKey(apiKey, "ELEVENLABS_API_KEY");
+
+  const { voiceId, timestamps, ...request } = await readJsonBody(req);
+  const body = checkSpeech(voiceId, request, limits);
+
+  const upstream = await fetch(
+    `${ELEVENLABS_URL}/text-to-speech/${encodeURIComponent(voiceId)}${
+      timestamps ? "/with-timestamps" : ""
+    }`,
+    {
+      method: "POST",
+      headers: {
+        Accept: timestamps ? "application/json" : "audio/mpeg",
+        "Content-Type": "application/json",
+        "xi-api-key": apiKey,
+      },
+      body: JSON.stringify(body),
+      signal,
+    }
+  );
+
+  await pipeResponse(upstream, res);
+}
+
+/**
+ * Forward a streaming text-to-speech request to ElevenLabs
+ * Expects { voiceId, outputFormat, text, model_id, voice_settings }
+ * and pipes the PCM back chunk by chunk as it is generated.
+ */
+async function forwardSpeechStream(req, res, apiKey, limits, signal) {
+  requireKey(apiKey, "ELEVENLABS_API_KEY");
+
+  const { voiceId, outputFormat, ...request } = await readJsonBody(req);
+  const body = checkSpeech(voiceId, request, limits);
+
+  if (outputFormat && !STREAM_FORMATS.includes(outputFormat)) {
+    throw httpError(400, `Output format ${outputFormat} is not allowed`);
+  }
+
+  const url = new URL(
+    `${ELEVENLABS_URL}/text-to-speech/${encodeURIComponent(voiceId)}/stream`
+  );
+  if (outputFormat) url.searchParams.set("output_format", outputFormat);
+
+  const upstream = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "xi-api-key": apiKey,
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  await pipeResponse(upstream, res);
+}
+
+async function forwardVoices(res, apiKey, signal) {
+  requireKey(apiKey, "ELEVENLABS_API_KEY");
+
+  const upstream = await fetch(`${ELEVENLABS_URL}/voices`, {
+    headers: { "xi-api-key": apiKey },
+    signal,
+  });
+
+  await pipeResponse(upstream, res);
+}
+
+/**
+ * Stream an upstream fetch Response back to the client,
+ * keeping its status code and content type. Settles when the client
+ * closes the connection, whether or not everything was sent.
+ */
+async function pipeResponse(upstream, res) {
+  res.statusCode = upstream.status;
+
+  const contentType = upstream.headers.get("content-type");
+  if (contentType) res.setHeader("Content-Type", contentType);
+
+  const retryAfter = upstream.headers.get("retry-after");
+  if (retryAfter) res.setHeader("Retry-After", retryAfter);
+
+  if (!upstream.body) {
+    res.end();
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    Readable.fromWeb(upstream.body)
+      .on("error", reject)
+      .pipe(res)
+      .on("finish", resolve)
+      .on("close", resolve)
+      .on("error", reject);
+  });
+}
+
+/**
+ * The completion request we are willing to pay for
+ *
+ * @param {Object} body - From the client
+ * @param {{openaiModels: string[], maxTokens: number}} limits
+ * @returns {Object} - model, messages, max_tokens, temperature, response_format
+ */
+export function checkCompletion(body, { openaiModels: models, maxTokens }) {
+  const model = body.model ?? models[0];
+  if (!models.includes(model)) {
+    throw httpError(400, `Model ${model} is not allowed`);
+  }
+
+  if (!Array.isArray(body.messages)) {
+    throw httpError(400, "Missing messages");
+  }
+
+  const requested = Number(body.max_tokens);
+  const completion = {
+    model,
+    messages: body.messages,
+    max_tokens: requested > 0 ? Math.min(requested, maxTokens) : maxTokens,
+  };
+  if (body.temperature !== undefined) {
+    completion.temperature = body.temperature;
+  }
+  if (body.response_format) completion.response_format = body.response_format;
+
+  return completion;
+}
+
+/**
+ * The speech request we are willing to pay for
+ *
+ * @param {string} voiceId - From the client
+ * @param {Object} body - From the client
+ * @param {{elevenlabsModels: string[], maxCharacters: number}} limits
+ * @returns {Object} - text, model_id, voice_settings
+ */
+export function checkSpeech(
+  voiceId,
+  body,
+  { elevenlabsModels: models, maxCharacters }
+) {
+  if (!voiceId) {
+    throw httpError(400, "Missing voiceId");
+  }
+
+  if (typeof body.text !== "string" || !body.text.trim()) {
+    throw httpError(400, "Missing text");
+  }
+  if (body.text.length > maxCharacters) {
+    throw httpError(400, `Text is longer than ${maxCharacters} characters`);
+  }
+
+  const model = body.model_id ?? models[0];
+  if (!models.includes(model)) {
+    throw httpError(400, `Model ${model} is not allowed`);
+  }
+
+  const speech = { text: body.text, model_id: model };
+  if (body.voice_settings) {
+    speech.voice_settings = {};
+    for (const key of VOICE_SETTINGS) {
+      if (body.voice_settings[key] !== undefined) {
+        speech.voice_settings[key] = body.voice_settings[key];
+      }
+    }
+  }
+
+  return speech;
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop keeping it but let the rest drain: destroying the request
+        // would close the connection before the 413 is sent
+        req.off("data", onData);
+        req.resume();
+        reject(httpError(413, "Request body too large"));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on("data", onData);
+
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch (error) {
+        reject(httpError(400, "Invalid JSON body"));
+      }
+    });
+
+    req.on("error", reject);
+
+    // Closed before the body was all there (after "end" this is a no-op)
+    req.on("close", () => reject(httpError(400, "Request closed early")));
+  });
+}
+
+function requireKey(apiKey, name) {
+  if (!apiKey) {
+    throw httpError(500, `${name} is not set on the server`);
+  }
+}
+
+function sendJson(res, status, data) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(data));
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
@@ -0,0 +1,1829 @@
+import { camera } from "./modules/camera.js";
+import { audience } from "./modules/audience.js";
+import { attention } from "./modules/attention.js";
+import { audioBuffer } from "./modules/audioBuffer.js";
+import { pipeline } from "./modules/pipeline.js";
+import { recorder } from "./modules/recorder.js";
+import { sessionHistory } from "./modules/history.js";
+import { styles } from "./modules/styles.js";
+import { poetry } from "./modules/poetry.js";
+import { tts } from "./modules/tts.js";
+import { languages } from "./modules/languages.js";
+import { costs } from "./modules/costs.js";
+import { metrics } from "./modules/metrics.js";
+import { config, validateConfig } from "./utils/config.js";
+import { resilience } from "./utils/resilience.js";
+import { checkProxy } from "./utils/proxy.js";
+import { getLocale, localizePage, t } from "./utils/i18n.js";
+import { clipWordTimings, splitWords } from "./utils/wordTiming.js";
+
+// Clips to have ready before playback starts
+const STARTING_BUFFER_CLIPS = 2;
+
+/**
+ * Mil4dy orchestrator
+ *
+ * Wires camera → vision → poetry → TTS → buffer and drives the UI.
+ * Bootstrapped by main.js.
+ */
+export class Mil4dy {
+  constructor() {
+    this.isRunning = false;
+    this.isFinishing = false;
+    this.generationLoop = null;
+
+    // Nobody has been in front of the camera for a while (config.audience)
+    this.isQuiet = false;
+
+    // Attract mode: past poems replayed instead of live generation
+    // (config.attention); history clip ids in play order
+    this.isAttracting = false;
+    this.attractClips = [];
+    this.attractIndex = 0;
+    this.attractTimer = null;
+
+    // The budget is spent and generation paused (config.costs.budget)
+    this.isOverBudget = false;
+
+    this.stats = {
+      clipsGenerated: 0,
+      totalLatency: 0,
+      errors: 0,
+    };
+
+    // Voice panel: the provider's voices, and the sample playing
+    this.voices = [];
+    this.voicePreview = null;
+
+    // The verse being followed word by word, and its animation frame
+    this.karaoke = null;
+    this.karaokeFrame = null;
+
+    this.elements = {};
+  }
+
+  async initialize() {
+    this.cacheElements();
+    localizePage();
+
+    if (!validateConfig()) {
+      this.showError(t("error.missingKeys"));
+      this.hideLoading();
+      return false;
+    }
+
+    if (config.proxy.enabled && !(await this.checkServer())) {
+      this.hideLoading();
+      return false;
+    }
+
+    try {
+      this.updateStatus(t("status.accessingCamera"));
+      await camera.initialize(this.elements.cameraFeed);
+
+      this.setupEventListeners();
+      this.setupAudioCallbacks();
+      this.setupPipelineCallbacks();
+      this.setupCameraCallbacks();
+      this.setupAudienceCallbacks();
+      this.setupAttentionCallbacks();
+      this.setupRecorderCallbacks();
+      this.setupHistoryCallbacks();
+      this.setupStyleCallbacks();
+      this.setupPoetryCallbacks();
+      this.setupLanguageCallbacks();
+      this.setupCostCallbacks();
+      this.setupMetricsCallbacks();
+      this.renderStylePicker();
+      this.renderLanguagePickers();
+      this.updateDialogueButton();
+      await this.updateSourcePicker();
+
+      // Ready!
+      this.hideLoading();
+      this.updateStatus(
+        t(config.mock.enabled ? "status.readyMock" : "status.ready")
+      );
+
+      if (config.mock.enabled) {
+        console.log("🧪 Mock mode: no API calls will be made");
+      }
+      console.log('🎭 Mil4dy ready. Click "Begin" to start.');
+
+      return true;
+    } catch (error) {
+      console.error("Initialization error:", error);
+      this.showError(error.message);
+      this.hideLoading();
+      return false;
+    }
+  }
+
+  /**
+   * In proxy mode the keys live on the server: check that it answers
+   * and holds the ones we need
+   *
+   * @returns {Promise<boolean>}
+   */
+  async checkServer() {
+    this.updateStatus(t("status.checkingServer"));
+
+    try {
+      const missing = await checkProxy();
+      if (missing.length === 0) return true;
+
+      this.showError(t("error.proxyKeys", { keys: missing.join(", ") }));
+    } catch (error) {
+      console.error("Proxy check error:", error);
+      this.showError(t("error.proxyUnreachable", { message: error.message }));
+    }
+
+    return false;
+  }
+
+  cacheElements() {
+    this.elements = {
+      cameraFeed: document.getElementById("camera-feed"),
+      poetryOverlay: document.getElementById("poetry-overlay"),
+      startBtn: document.getElementById("start-btn"),
+      finishBtn: document.getElementById("finish-btn"),
+      themeInput: document.getElementById("theme-input"),
+      languageSelect: document.getElementById("language-select"),
+      translationSelect: document.getElementById("translation-select"),
+      bufferFill: document.getElementById("buffer-fill"),
+      bufferText: document.getElementById("buffer-text"),
+      volumeSlider: document.getElementById("volume-slider"),
+      sourceSelect: document.getElementById("source-select"),
+      videoFileInput: document.getElementById("video-file-input"),
+      imageFileInput: document.getElementById("image-file-input"),
+      imageFolderInput: document.getElementById("image-folder-input"),
+      exportSelect: document.getElementById("export-select"),
+      styleSelect: document.getElementById("style-select"),
+      styleEditBtn: document.getElementById("style-edit-btn"),
+      stylePanel: document.getElementById("style-panel"),
+      stylePanelTitle: document.getElementById("style-panel-title"),
+      styleClose: document.getElementById("style-close"),
+      styleForm: document.getElementById("style-form"),
+      styleReset: document.getElementById("style-reset"),
+      historyBtn: document.getElementById("history-btn"),
+      historyPanel: document.getElementById("history-panel"),
+      historyClose: document.getElementById("history-close"),
+      historyList: document.getElementById("history-list"),
+      historyUsage: document.getElementById("history-usage"),
+      voiceBtn: document.getElementById("voice-btn"),
+      dialogueBtn: document.getElementById("dialogue-btn"),
+      voicePanel: document.getElementById("voice-panel"),
+      voiceClose: document.getElementById("voice-close"),
+      voiceNote: document.getElementById("voice-note"),
+      voiceList: document.getElementById("voice-list"),
+      voiceForm: document.getElementById("voice-form"),
+      voiceReset: document.getElementById("voice-reset"),
+      statsBtn: document.getElementById("stats-btn"),
+      statsPanel: document.getElementById("stats-panel"),
+      statsClose: document.getElementById("stats-close"),
+      statsBody: document.getElementById("stats-body"),
+      statsBudget: document.getElementById("stats-budget"),
+      hud: document.getElementById("hud"),
+      hudTable: document.getElementById("hud-table"),
+      hudSummary: document.getElementById("hud-summary"),
+      hudExportJson: document.getElementById("hud-export-json"),
+      hudExportCsv: document.getElementById("hud-export-csv"),
+      statusBar: document.getElementById("status-bar"),
+      statusText: document.getElementById("status-text"),
+      loadingOverlay: document.getElementById("loading-overlay"),
+      loadingText: document.getElementById("loading-text"),
+      errorToast: document.getElementById("error-toast"),
+      errorMessage: document.getElementById("error-message"),
+      errorDismiss: document.getElementById("error-dismiss"),
+    };
+  }
+
+  setupEventListeners() {
+    this.elements.startBtn.addEventListener("click", () => this.toggle());
+    this.elements.finishBtn.addEventListener("click", () => this.finish());
+
+    this.elements.themeInput.addEventListener("change", (e) =>
+      poetry.setTheme(e.target.value)
+    );
+
+    this.elements.dialogueBtn.addEventListener("click", () => {
+      poetry.setDialogue(!poetry.dialogue);
+      this.updateDialogueButton();
+    });
+
+    this.elements.languageSelect.addEventListener("change", (e) =>
+      languages.select(e.target.value)
+    );
+    this.elements.translationSelect.addEventListener("change", (e) =>
+      languages.setTranslation(e.target.value)
+    );
+
+    this.elements.volumeSlider.addEventListener("input", (e) => {
+      audioBuffer.setVolume(e.target.value / 100);
+    });
+
+    this.elements.sourceSelect.addEventListener("change", (e) =>
+      this.selectSource(e.target.value)
+    );
+
+    this.elements.videoFileInput.addEventListener("change", (e) => {
+      const [file] = e.target.files;
+      if (file) this.switchSource(() => camera.useSource("video", { file }));
+      e.target.value = "";
+    });
+
+    for (const input of [
+      this.elements.imageFileInput,
+      this.elements.imageFolderInput,
+    ]) {
+      input.addEventListener("change", (e) => {
+        const files = [...e.target.files];
+        if (files.length) {
+          this.switchSource(() => camera.useSource("images", { files }));
+        }
+        e.target.value = "";
+      });
+    }
+
+    this.elements.exportSelect.addEventListener("change", (e) => {
+      this.exportSession(e.target.value);
+      e.target.value = "";
+    });
+
+    this.elements.styleSelect.addEventListener("change", (e) =>
+      styles.select(e.target.value)
+    );
+
+    this.elements.styleForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.saveStyle();
+    });
+
+    this.elements.styleReset.addEventListener("click", () =>
+      styles.reset(styles.currentId)
+    );
+
+    this.elements.historyBtn.addEventListener("click", () =>
+      this.togglePanel("history")
+    );
+    this.elements.historyClose.addEventListener("click", () =>
+      this.togglePanel("history", false)
+    );
+    this.elements.styleEditBtn.addEventListener("click", () =>
+      this.togglePanel("style")
+    );
+    this.elements.styleClose.addEventListener("click", () =>
+      this.togglePanel("style", false)
+    );
+    this.elements.voiceBtn.addEventListener("click", () =>
+      this.togglePanel("voice")
+    );
+    this.elements.voiceClose.addEventListener("click", () =>
+      this.togglePanel("voice", false)
+    );
+    this.elements.statsBtn.addEventListener("click", () =>
+      this.togglePanel("stats")
+    );
+    this.elements.statsClose.addEventListener("click", () =>
+      this.togglePanel("stats", false)
+    );
+
+    // The performance HUD, from anywhere but a text field
+    document.addEventListener("keydown", (e) => {
+      if (e.key !== config.metrics.hudKey) return;
+      if (e.target.closest?.("input, textarea, select")) return;
+      this.toggleHud();
+    });
+    this.elements.hudExportJson.addEventListener("click", () =>
+      this.exportMetrics("json")
+    );
+    this.elements.hudExportCsv.addEventListener("click", () =>
+      this.exportMetrics("csv")
+    );
+
+    this.elements.voiceForm.addEventListener("input", (e) => {
+      tts.setVoiceSettings({ [e.target.name]: Number(e.target.value) });
+      this.fillVoiceForm();
+    });
+
+    this.elements.voiceReset.addEventListener("click", () => {
+      tts.resetVoiceSettings();
+      tts.setVoice(null);
+      this.renderVoicePanel();
+    });
+
+    this.elements.errorDismiss.addEventListener("click", () => {
+      this.elements.errorToast.classList.add("hidden");
+    });
+  }
+
+  setupAudioCallbacks() {
+    audioBuffer.onClipStart = (clip) => {
+      this.displayPoetry(clip.text, clip.translation, clip.segments);
+      this.startKaraoke(clip);
+      // Replays in attract mode aren't part of the performance
+      if (!clip.attract) recorder.record(clip);
+      metrics.recordFirstAudio();
+    };
+
+    audioBuffer.onSegmentStart = (clip, segment, index) =>
+      this.showSpeaker(index);
+
+    // The recorder keeps the decoded audio, so the blob URL can go
+    audioBuffer.onClipEnd = (clip) => {
+      if (this.karaoke?.clip === clip) this.endKaraoke();
+      this.releaseClip(clip);
+      if (clip.final) this.endSession();
+      if (this.isAttracting && audioBuffer.queue.length === 0) {
+        this.scheduleAttractClip();
+      }
+    };
+    audioBuffer.onClipDropped = (clip) => this.releaseClip(clip);
+
+    audioBuffer.onBufferLow = () => {
+      if (this.isRunning) {
+        this.fillBuffer();
+      }
+    };
+
+    audioBuffer.onUnderrun = (seconds) => metrics.recordUnderrun(seconds);
+
+    audioBuffer.onBufferUpdate = (status) => {
+      this.updateBufferUI(status);
+      if (this.isHudOpen()) this.renderHud();
+
+      // Pick the words up again after a pause
+      if (status.isPlaying && !status.isPaused) this.runKaraoke();
+    };
+
+    audioBuffer.onError = (error) => {
+      console.error("Playback error:", error);
+      this.stats.errors++;
+    };
+  }
+
+  releaseClip(clip) {
+    if (clip.url) tts.revokeUrl(clip.url);
+  }
+
+  setupRecorderCallbacks() {
+    recorder.onUpdate = (count) => {
+      this.elements.exportSelect.disabled = count === 0;
+    };
+  }
+
+  /**
+   * Download the recorded session in the chosen format
+   *
+   * @param {"wav"|"vtt"|"srt"|"json"} format
+   */
+  exportSession(format) {
+    const exporters = {
+      wav: () => recorder.exportWav(),
+      vtt: () => recorder.exportVtt(),
+      srt: () => recorder.exportSrt(),
+      json: () => recorder.exportManifest(),
+    };
+
+    if (!exporters[format]) return;
+
+    try {
+      this.download(exporters[format](), `mil4dy-${fileStamp()}.${format}`);
+    } catch (error) {
+      console.error("Export error:", error);
+      this.showError(t("error.export", { message: error.message }));
+    }
+  }
+
+  /**
+   * Download the measured timings (see modules/metrics.js)
+   *
+   * @param {"json"|"csv"} format
+   */
+  exportMetrics(format) {
+    const blob = format === "csv" ? metrics.exportCsv() : metrics.exportJson();
+    this.download(blob, `mil4dy-metrics-${fileStamp()}.${format}`);
+  }
+
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    // Give the browser a moment to start the download
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Side panels, with the button that opens each and how to fill it
+   */
+  getPanels() {
+    return {
+      history: {
+        panel: this.elements.historyPanel,
+        button: this.elements.historyBtn,
+        render: () => this.renderHistory(),
+      },
+      style: {
+        panel: this.elements.stylePanel,
+        button: this.elements.styleEditBtn,
+        render: () => this.fillStyleForm(),
+      },
+      voice: {
+        panel: this.elements.voicePanel,
+        button: this.elements.voiceBtn,
+        render: () => this.renderVoicePanel(),
+      },
+      stats: {
+        panel: this.elements.statsPanel,
+        button: this.elements.statsBtn,
+        render: () => this.renderStats(),
+      },
+    };
+  }
+
+  isPanelOpen(name) {
+    return !this.getPanels()[name].panel.classList.contains("hidden");
+  }
+
+  /**
+   * Show or hide a side panel; only one is open at a time
+   *
+   * @param {string} name - "history", "style", "voice" or "stats"
+   * @param {boolean} [open] - Defaults to the opposite of now
+   */
+  togglePanel(name, open = !this.isPanelOpen(name)) {
+    for (const [key, { panel, button, render }] of Object.entries(
+      this.getPanels()
+    )) {
+      const show = key === name && open;
+      panel.classList.toggle("hidden", !show);
+      button.setAttribute("aria-expanded", String(show));
+      if (show) render();
+    }
+  }
+
+  setupHistoryCallbacks() {
+    sessionHistory.onUpdate = () => {
+      if (this.isPanelOpen("history")) this.renderHistory();
+    };
+  }
+
+  setupCostCallbacks() {
+    costs.onUpdate = () => {
+      if (this.isPanelOpen("stats")) this.renderStats();
+    };
+
+    costs.onLevelChange = () => this.updateBudget();
+  }
+
+  /**
+   * Fill the stats panel: what each service used and cost this session
+   * and today, and how the budget stands
+   */
+  renderStats() {
+    const { session, today, level, budget } = costs.getTotals();
+
+    this.elements.statsBody.innerHTML = "";
+    this.elements.statsBody.append(
+      this.renderUsageTable(t("stats.session"), session),
+      this.renderUsageTable(t("stats.today"), today)
+    );
+
+    const notes = [];
+    if (budget.session > 0) {
+      notes.push(
+        t("stats.sessionBudget", {
+          spent: formatCost(session.cost),
+          cap: formatCost(budget.session),
+        })
+      );
+    }
+    if (budget.daily > 0) {
+      notes.push(
+        t("stats.dailyBudget", {
+          spent: formatCost(today.cost),
+          cap: formatCost(budget.daily),
+        })
+      );
+    }
+    if (notes.length === 0) notes.push(t("stats.noBudget"));
+    if (level !== "normal") notes.push(t(`stats.${level}`));
+
+    this.elements.statsBudget.textContent = notes.join(" ");
+  }
+
+  /**
+   * One row per service: calls, tokens or characters, and cost
+   *
+   * @param {string} title - Caption
+   * @param {UsageTotals} totals - From costs.getTotals()
+   * @returns {HTMLTableElement}
+   */
+  renderUsageTable(title, totals) {
+    const table = document.createElement("table");
+    table.className = "stats-table";
+    table.createCaption().textContent = title;
+
+    const head = table.createTHead().insertRow();
+    for (const label of [
+      "",
+      t("stats.calls"),
+      t("stats.usage"),
+      t("stats.cost"),
+    ]) {
+      const cell = document.createElement("th");
+      cell.textContent = label;
+      head.appendChild(cell);
+    }
+
+    const body = table.createTBody();
+    for (const [service, usage] of Object.entries(totals.services)) {
+      const amount =
+        service === "tts"
+          ? t("stats.characters", {
+              count: usage.characters.toLocaleString(getLocale()),
+            })
+          : t("stats.tokens", {
+              count: (usage.inputTokens + usage.outputTokens).toLocaleString(
+                getLocale()
+              ),
+            });
+
+      const row = body.insertRow();
+      for (const text of [
+        t(`service.${service}`),
+        usage.calls,
+        amount,
+        formatCost(usage.cost),
+      ]) {
+        row.insertCell().textContent = text;
+      }
+    }
+
+    const total = table.createTFoot().insertRow();
+    for (const text of [t("stats.total"), "", "", formatCost(totals.cost)]) {
+      total.insertCell().textContent = text;
+    }
+
+    return table;
+  }
+
+  setupMetricsCallbacks() {
+    metrics.onUpdate = () => {
+      if (this.isHudOpen()) this.renderHud();
+    };
+  }
+
+  isHudOpen() {
+    return !this.elements.hud.classList.contains("hidden");
+  }
+
+  /**
+   * Show or hide the performance HUD (config.metrics.hudKey)
+   *
+   * @param {boolean} [open] - Defaults to the opposite of now
+   */
+  toggleHud(open = !this.isHudOpen()) {
+    this.elements.hud.classList.toggle("hidden", !open);
+    if (open) this.renderHud();
+  }
+
+  /**
+   * Fill the HUD: the last, median, p90, p99 and worst time of each
+   * stage, then underruns, time to first audio and the buffer
+   */
+  renderHud() {
+    const { stages, underruns, firstAudio } = metrics.getSummary();
+    const table = this.elements.hudTable;
+
+    table.innerHTML = "";
+    table.createCaption().textContent = t("hud.title");
+
+    const head = table.createTHead().insertRow();
+    for (const label of [
+      t("hud.stage"),
+      t("hud.last"),
+      "p50",
+      "p90",
+      "p99",
+      t("hud.max"),
+    ]) {
+      const cell = document.createElement("th");
+      cell.textContent = label;
+      head.appendChild(cell);
+    }
+
+    const body = table.createTBody();
+    for (const [stage, summary] of Object.entries(stages)) {
+      const row = body.insertRow();
+      row.insertCell().textContent = t(`hud.${stage}`);
+      for (const key of ["last", "p50", "p90", "p99", "max"]) {
+        row.insertCell().textContent = formatMs(summary[key]);
+      }
+    }
+
+    const buffer = audioBuffer.getStatus();
+    this.elements.hudSummary.textContent = [
+      t("hud.underruns", {
+        count: underruns.count,
+        total: underruns.total.toFixed(1),
+        longest: underruns.longest.toFixed(1),
+      }),
+      t("hud.firstAudio", {
+        last: formatMs(firstAudio.last),
+        p50: formatMs(firstAudio.p50),
+      }),
+      t("hud.buffer", {
+        seconds: buffer.totalBufferedSeconds.toFixed(1),
+        clips: buffer.queuedClips,
+        inFlight: pipeline.inFlight,
+      }),
+    ].join("\n");
+  }
+
+  setupPoetryCallbacks() {
+    poetry.onThemeChange = (theme, source) => {
+      this.elements.themeInput.value = theme ?? "";
+      this.elements.themeInput.classList.toggle(
+        "inferred",
+        source === "inferred"
+      );
+    };
+  }
+
+  updateDialogueButton() {
+    this.elements.dialogueBtn.setAttribute(
+      "aria-pressed",
+      String(poetry.dialogue)
+    );
+  }
+
+  setupLanguageCallbacks() {
+    languages.onChange = () => {
+      // The last scene was described in the old language
+      pipeline.resetScene();
+      this.renderLanguagePickers();
+    };
+  }
+
+  /**
+   * Fill the poetry language and translation pickers
+   */
+  renderLanguagePickers() {
+    const { languageSelect, translationSelect } = this.elements;
+    const fill = (select, options) => {
+      select.innerHTML = "";
+      for (const [value, label] of options) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      }
+    };
+
+    const list = languages.list().map(({ id, label }) => [id, label]);
+    fill(languageSelect, list);
+    fill(translationSelect, [
+      ["", t("controls.noTranslation")],
+      ...list.filter(([id]) => id !== languages.currentId),
+    ]);
+
+    languageSelect.value = languages.currentId;
+    translationSelect.value = languages.translation?.id ?? "";
+  }
+
+  setupStyleCallbacks() {
+    styles.onChange = () => {
+      // The last scene was described with the old style's focus
+      pipeline.resetScene();
+
+      this.renderStylePicker();
+      if (this.isPanelOpen("style")) this.fillStyleForm();
+      if (this.isPanelOpen("voice")) this.renderVoicePanel();
+    };
+  }
+
+  renderStylePicker() {
+    const select = this.elements.styleSelect;
+
+    select.innerHTML = "";
+    for (const { id, name, edited } of styles.list()) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = edited ? t("style.edited", { name }) : name;
+      select.appendChild(option);
+    }
+
+    select.value = styles.currentId;
+  }
+
+  /**
+   * Show the current style's prompts and settings in the editor
+   */
+  fillStyleForm() {
+    const style = styles.current;
+    const fields = this.elements.styleForm.elements;
+
+    this.elements.stylePanelTitle.textContent = style.name;
+    for (const key of [
+      "systemPrompt",
+      "userPrompt",
+      "visionFocus",
+      "lines",
+      "temperature",
+    ]) {
+      fields[key].value = style[key];
+    }
+
+    this.elements.styleReset.disabled = !styles.isEdited(style.id);
+  }
+
+  saveStyle() {
+    const fields = this.elements.styleForm.elements;
+
+    try {
+      styles.update(styles.currentId, {
+        systemPrompt: fields.systemPrompt.value,
+        userPrompt: fields.userPrompt.value,
+        visionFocus: fields.visionFocus.value,
+        lines: Number(fields.lines.value),
+        temperature: Number(fields.temperature.value),
+      });
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * List the provider's voices, marking the current style's voice
+   * The list is fetched once; the sliders show the saved settings.
+   */
+  async renderVoicePanel() {
+    this.elements.voiceNote.textContent = t("voice.forStyle", {
+      style: styles.current.name,
+    });
+    this.fillVoiceForm();
+
+    // An empty list (e.g. a failed request) is tried again next time
+    if (this.voices.length === 0) this.voices = await tts.getVoices();
+
+    const list = this.elements.voiceList;
+    const current = tts.getVoiceId();
+    list.innerHTML = "";
+
+    if (this.voices.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "panel-note";
+      empty.textContent = t("voice.none");
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const voice of this.voices) {
+      const row = document.createElement("div");
+      row.className = "voice-option";
+      row.dataset.id = voice.id;
+      row.classList.toggle("selected", voice.id === current);
+
+      const choose = document.createElement("button");
+      choose.className = "voice-choose";
+      choose.title = voice.description ?? "";
+      choose.setAttribute("aria-pressed", String(voice.id === current));
+      choose.textContent = voice.name;
+      const category = document.createElement("small");
+      category.textContent = voice.category ?? "";
+      choose.appendChild(category);
+      choose.addEventListener("click", () => tts.setVoice(voice.id));
+
+      const preview = document.createElement("button");
+      preview.className = "voice-preview";
+      preview.textContent = "▶";
+      preview.disabled = !voice.previewUrl;
+      preview.setAttribute(
+        "aria-label",
+        t("voice.preview", { name: voice.name })
+      );
+      preview.addEventListener("click", () => this.previewVoice(voice));
+
+      row.append(choose, preview);
+      list.appendChild(row);
+    }
+  }
+
+  /**
+   * Show the saved voice settings on the sliders
+   */
+  fillVoiceForm() {
+    const form = this.elements.voiceForm;
+
+    for (const [key, value] of Object.entries(tts.voiceSettings)) {
+      const input = form.elements[key];
+      if (!input) continue;
+
+      input.value = value;
+      input.parentElement.querySelector("output").textContent =
+        value.toFixed(2);
+    }
+  }
+
+  /**
+   * Play a voice's sample from the provider, one at a time
+   *
+   * @param {Voice} voice
+   */
+  previewVoice(voice) {
+    this.voicePreview?.pause();
+
+    this.voicePreview = new Audio(voice.previewUrl);
+    this.voicePreview.volume = this.elements.volumeSlider.value / 100;
+    this.voicePreview.play().catch((error) => {
+      console.error("Voice preview error:", error);
+      this.showError(t("error.preview", { message: error.message }));
+    });
+  }
+
+  /**
+   * List past sessions, newest first; a session's clips load when
+   * it is expanded
+   */
+  async renderHistory() {
+    const list = this.elements.historyList;
+    const expanded = new Set(
+      [...list.querySelectorAll(".history-session[open]")].map(
+        (el) => el.dataset.id
+      )
+    );
+
+    const [sessions, usage] = await Promise.all([
+      sessionHistory.listSessions(),
+      sessionHistory.getUsage(),
+    ]);
+
+    this.elements.historyUsage.textContent = usage.quota
+      ? t("history.usageOf", {
+          usage: formatBytes(usage.usage),
+          quota: formatBytes(usage.quota),
+        })
+      : t("history.usage", { usage: formatBytes(usage.usage) });
+
+    list.innerHTML = "";
+
+    if (sessions.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "panel-note";
+      empty.textContent = t("history.empty");
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const session of sessions) {
+      const details = document.createElement("details");
+      details.className = "history-session";
+      details.dataset.id = session.id;
+
+      const summary = document.createElement("summary");
+      const label = document.createElement("span");
+      label.textContent = `${new Date(
+        session.startedAt
+      ).toLocaleString()} · ${t("history.clips", {
+        count: session.clipCount,
+      })}`;
+
+      const remove = document.createElement("button");
+      remove.className = "history-delete";
+      remove.textContent = t("history.delete");
+      remove.setAttribute("aria-label", t("history.deleteLabel"));
+      remove.addEventListener("click", (e) => {
+        e.preventDefault();
+        sessionHistory.deleteSession(session.id);
+      });
+
+      summary.append(label, remove);
+      details.appendChild(summary);
+      details.addEventListener("toggle", () => {
+        if (details.open) this.renderHistoryClips(details, session.id);
+      });
+
+      list.appendChild(details);
+      if (expanded.has(String(session.id))) details.open = true;
+    }
+  }
+
+  async renderHistoryClips(details, sessionId) {
+    const clips = await sessionHistory.listClips(sessionId);
+
+    details.querySelectorAll(".history-clip").forEach((el) => el.remove());
+
+    for (const clip of clips) {
+      const row = document.createElement("div");
+      row.className = "history-clip";
+
+      if (clip.thumbnail) {
+        const img = document.createElement("img");
+        img.src = clip.thumbnail;
+        img.alt = clip.scene;
+        row.appendChild(img);
+      }
+
+      const text = document.createElement("p");
+      text.textContent = clip.text;
+      text.title = clip.scene;
+
+      const replay = document.createElement("button");
+      replay.className = "history-replay";
+      replay.textContent = "▶";
+      replay.setAttribute("aria-label", t("history.replay"));
+      replay.addEventListener("click", () => this.replayClip(clip.id));
+
+      row.append(text, replay);
+      details.appendChild(row);
+    }
+  }
+
+  /**
+   * Play a clip from history
+   *
+   * While performing it joins the buffer as the next verse;
+   * otherwise it plays on its own right away.
+   *
+   * @param {number} id - Clip row id
+   */
+  async replayClip(id) {
+    try {
+      const clip = await sessionHistory.getClip(id);
+      if (!clip) return;
+
+      await audioBuffer.initialize();
+
+      if (this.isRunning) {
+        await audioBuffer.addToQueue(
+          {
+            blob: clip.audio,
+            url: null,
+            text: clip.text,
+            scene: clip.scene,
+            thumbnail: clip.thumbnail,
+            language: clip.language,
+            translation: clip.translation,
+            segments: clip.segments,
+            timestamp: clip.createdAt,
+            latency: 0,
+          },
+          { next: true }
+        );
+      } else {
+        await audioBuffer.preview(clip.audio);
+        this.displayPoetry(clip.text, clip.translation, clip.segments);
+      }
+    } catch (error) {
+      console.error("Replay error:", error);
+      this.showError(t("error.replay", { message: error.message }));
+    }
+  }
+
+  setupPipelineCallbacks() {
+    pipeline.onClipQueued = (result) => {
+      const { id, totalLatency } = result;
+
+      // Update statistics
+      this.stats.clipsGenerated++;
+      this.stats.totalLatency += totalLatency;
+      metrics.recordClip(result);
+
+      console.log(
+        `✅ Clip #${id} generated in ${totalLatency}ms (avg: ${Math.round(
+          this.stats.totalLatency / this.stats.clipsGenerated
+        )}ms)`
+      );
+
+      // Saved once its audio is complete; doesn't hold up the pipeline
+      sessionHistory.saveClip(result);
+      this.updateFinishButton();
+    };
+
+    pipeline.onError = (error) => {
+      // Fast failures while a service is paused show in the status bar
+      if (error.circuitOpen) return;
+
+      this.stats.errors++;
+
+      // Show error but don't stop - try to continue
+      if (this.stats.errors > 3) {
+        this.showError(t("error.multiple"));
+      }
+    };
+
+    pipeline.onActivityChange = (inFlight) => {
+      this.elements.statusBar.classList.toggle("generating", inFlight > 0);
+    };
+
+    resilience.onStateChange = () => this.updateServiceStatus();
+  }
+
+  setupCameraCallbacks() {
+    // A big visual change shouldn't wait for the buffer to run low
+    camera.onSceneChange = () => {
+      if (
+        this.isRunning &&
+        !this.isQuiet &&
+        !this.isAttracting &&
+        !this.isOverBudget
+      ) {
+        // Voice the new scene before what was written about the old one
+        // (the oldest of those makes room for it)
+        this.generateClip({ next: true });
+      }
+    };
+
+    camera.onDisconnect = () => {
+      this.updateStatus(t("status.cameraDisconnected"));
+    };
+
+    camera.onReconnect = () => {
+      if (this.isRunning) {
+        this.updateServiceStatus();
+      } else {
+        this.updateStatus(t("status.ready"));
+      }
+    };
+
+    camera.onDevicesChange = (devices) => this.renderSourcePicker(devices);
+    camera.onSourceChange = () => this.syncSourcePicker();
+  }
+
+  /**
+   * React to the people in front of the camera: greet arrivals, wave
+   * back, speak to whoever is watching (see modules/audience.js).
+   * An empty room goes quiet in fillBuffer().
+   */
+  setupAudienceCallbacks() {
+    audience.onPersonEntered = (count) => {
+      poetry.setViewers(count);
+      poetry.cueAudience("arrival");
+      this.respondToAudience();
+    };
+
+    audience.onPersonLeft = (count) => poetry.setViewers(count);
+
+    audience.onWave = () => {
+      poetry.cueAudience("wave");
+      this.respondToAudience();
+    };
+
+    audience.onApproach = () => poetry.cueAudience("approach");
+  }
+
+  /**
+   * Write the next verse now instead of when the buffer runs low
+   */
+  respondToAudience() {
+    // Attract mode wakes on its own next check
+    if (!this.isRunning || this.isAttracting || this.isOverBudget) return;
+
+    this.updateQuiet();
+    this.generateClip();
+  }
+
+  /**
+   * Go quiet once the room has been empty for config.audience.quietAfter,
+   * and wake up when someone arrives
+   *
+   * @returns {boolean} - Whether we're quiet
+   */
+  updateQuiet() {
+    const quiet =
+      config.audience.enabled &&
+      audience.count === 0 &&
+      audience.emptyFor() >= config.audience.quietAfter;
+
+    if (quiet !== this.isQuiet) {
+      this.isQuiet = quiet;
+      console.log(quiet ? "🤫 The room is empty, going quiet" : "👥 Waking up");
+      this.updateServiceStatus();
+    }
+
+    return quiet;
+  }
+
+  /**
+   * Stop writing once the budget is spent, with
+   * config.costs.budget.onLimit "pause"; a new session or a new day
+   * starts again
+   *
+   * @returns {boolean} - Whether generation is paused
+   */
+  updateBudget() {
+    const over = costs.checkBudget() === "paused";
+
+    if (over !== this.isOverBudget) {
+      this.isOverBudget = over;
+      console.log(
+        over ? "💸 Budget spent, pausing generation" : "💸 Budget available"
+      );
+      this.updateServiceStatus();
+    }
+
+    return over;
+  }
+
+  setupAttentionCallbacks() {
+    attention.onSleep = () => this.enterAttractMode();
+    attention.onWake = () => this.leaveAttractMode();
+  }
+
+  /**
+   * Stop generating and replay past poems from history, one every
+   * config.attention.attractGap, until attention wakes us
+   * Whatever is already buffered plays out first.
+   */
+  async enterAttractMode() {
+    this.isAttracting = true;
+    this.stopGenerationLoop();
+    camera.stopWatching();
+    pipeline.cancel();
+    this.updateServiceStatus();
+
+    this.attractClips = await this.loadAttractClips();
+    this.attractIndex = 0;
+    if (this.attractClips.length === 0) {
+      console.log("💤 No past poems to replay yet");
+    }
+
+    this.scheduleAttractClip();
+  }
+
+  /**
+   * Back to live poetry: drop the replays still waiting (the one
+   * playing finishes) and top up the buffer straight away
+   */
+  leaveAttractMode() {
+    this.stopAttractMode();
+    audioBuffer.clearQueue();
+
+    if (!this.isRunning) return;
+
+    this.updateServiceStatus();
+    this.startGenerationLoop();
+    if (config.sceneChange.enabled) camera.startWatching();
+    this.fillBuffer();
+  }
+
+  stopAttractMode() {
+    this.isAttracting = false;
+    clearTimeout(this.attractTimer);
+    this.attractTimer = null;
+  }
+
+  /**
+   * Ids of the clips from the most recent sessions, shuffled
+   *
+   * @returns {Promise<number[]>}
+   */
+  async loadAttractClips() {
+    const sessions = (await sessionHistory.listSessions()).slice(
+      0,
+      config.attention.attractSessions
+    );
+    const clips = await Promise.all(
+      sessions.map((session) => sessionHistory.listClips(session.id))
+    );
+    const ids = clips.flat().map((clip) => clip.id);
+
+    for (let i = ids.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+    return ids;
+  }
+
+  scheduleAttractClip(delay = config.attention.attractGap) {
+    clearTimeout(this.attractTimer);
+    this.attractTimer = setTimeout(() => this.playAttractClip(), delay);
+  }
+
+  /**
+   * Queue the next past poem, unless something is still playing
+   * (its end schedules the next one)
+   */
+  async playAttractClip() {
+    this.attractTimer = null;
+    if (!this.isAttracting || this.attractClips.length === 0) return;
+    if (audioBuffer.queue.length > 0 || audioBuffer.currentlyPlaying) return;
+
+    const id = this.attractClips[this.attractIndex % this.attractClips.length];
+    this.attractIndex++;
+
+    try {
+      const clip = await sessionHistory.getClip(id);
+      if (!clip || !this.isAttracting) return;
+
+      await audioBuffer.addToQueue({
+        blob: clip.audio,
+        url: null,
+        text: clip.text,
+        scene: clip.scene,
+        thumbnail: clip.thumbnail,
+        language: clip.language,
+        translation: clip.translation,
+        segments: clip.segments,
+        timestamp: clip.createdAt,
+        latency: 0,
+        attract: true,
+      });
+    } catch (error) {
+      console.error("Attract mode replay error:", error);
+      this.scheduleAttractClip();
+    }
+  }
+
+  /**
+   * Fill the source picker with the cameras the browser reports,
+   * plus the other frame sources
+   */
+  async updateSourcePicker() {
+    try {
+      this.renderSourcePicker(await camera.listDevices());
+    } catch (error) {
+      console.error("Could not list cameras:", error);
+      this.renderSourcePicker([]);
+    }
+  }
+
+  renderSourcePicker(devices) {
+    const select = this.elements.sourceSelect;
+    const options = [
+      ...devices.map((device) => [`camera:${device.id}`, device.label]),
+      ["video", t("source.video")],
+      ["images", t("source.images")],
+      ["folder", t("source.folder")],
+    ];
+
+    if (navigator.mediaDevices.getDisplayMedia) {
+      options.push(["screen", t("source.screen")]);
+    }
+
+    select.innerHTML = "";
+    for (const [value, label] of options) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+
+    this.syncSourcePicker();
+  }
+
+  /**
+   * Show the source that's actually in use
+   */
+  syncSourcePicker() {
+    const { source } = camera;
+    this.elements.sourceSelect.value =
+      source?.kind === "camera" ? `camera:${source.deviceId}` : source?.kind;
+  }
+
+  /**
+   * Handle a choice in the source picker
+   * File-based sources open a file dialog first.
+   */
+  selectSource(value) {
+    // Until the new source is running, keep showing the current one
+    this.syncSourcePicker();
+
+    if (value.startsWith("camera:")) {
+      this.switchSource(() => camera.switchDevice(value.slice(7)));
+    } else if (value === "screen") {
+      this.switchSource(() => camera.useSource("screen"));
+    } else if (value === "video") {
+      this.elements.videoFileInput.click();
+    } else if (value === "images") {
+      this.elements.imageFileInput.click();
+    } else if (value === "folder") {
+      this.elements.imageFolderInput.click();
+    }
+  }
+
+  async switchSource(open) {
+    try {
+      await open();
+    } catch (error) {
+      console.error("Source switch error:", error);
+      this.showError(error.message);
+    }
+  }
+
+  async toggle() {
+    if (this.isRunning) {
+      this.stop();
+    } else {
+      await this.start();
+    }
+  }
+
+  async start() {
+    // Let the closing stanza play out first
+    if (this.isFinishing) return;
+
+    this.isRunning = true;
+    this.elements.startBtn.classList.add("playing");
+    this.elements.statusBar.classList.add("active");
+
+    try {
+      await audioBuffer.initialize();
+
+      // Reuse whatever is still buffered from before a pause
+      // (the paused clip counts) and only top up the rest
+      const status = audioBuffer.getStatus();
+      const buffered = status.queuedClips + (status.pausedAt !== null ? 1 : 0);
+
+      // Time to first audio is timed from a cold start
+      if (buffered === 0) metrics.markStart();
+
+      if (buffered < STARTING_BUFFER_CLIPS && !this.updateBudget()) {
+        this.updateStatus(t("status.buildingBuffer"));
+
+        // Generated side by side, up to config.pipeline.concurrency
+        await pipeline.request(STARTING_BUFFER_CLIPS - buffered);
+
+        // Stopped while the buffer was being built
+        if (!this.isRunning) return;
+      }
+
+      this.updateServiceStatus();
+
+      // Resumes mid-clip if we were paused
+      audioBuffer.play();
+
+      this.startGenerationLoop();
+      if (config.sceneChange.enabled) camera.startWatching();
+      if (config.audience.enabled) audience.start();
+      if (config.attention.enabled) attention.start();
+    } catch (error) {
+      console.error("Start error:", error);
+      this.showError(error.message);
+      this.stop();
+    }
+  }
+
+  /**
+   * Stop the poetry generation
+   */
+  stop() {
+    console.log("🛑 Stopping...");
+
+    this.isRunning = false;
+    this.elements.startBtn.classList.remove("playing");
+    this.elements.statusBar.classList.remove("active", "generating", "resting");
+
+    // Stop the generation loop and anything still in flight
+    this.stopGenerationLoop();
+    metrics.cancelStart();
+    camera.stopWatching();
+    audience.stop();
+    attention.stop();
+    poetry.setViewers(0);
+    this.isQuiet = false;
+    if (this.isAttracting) {
+      // Replays waiting in the buffer aren't worth resuming
+      this.stopAttractMode();
+      audioBuffer.clearQueue();
+    }
+    pipeline.cancel();
+
+    // Pause audio playback
+    audioBuffer.pause();
+
+    this.updateStatus(t("status.paused"));
+  }
+
+  /**
+   * End the performance with a closing stanza
+   *
+   * Clips still waiting in the buffer are dropped so the finale comes
+   * next. Once it has played the session ends, and the next "Begin"
+   * opens a new one.
+   */
+  async finish() {
+    if (this.isFinishing || poetry.stanzaCount === 0) return;
+
+    this.isFinishing = true;
+    this.updateFinishButton();
+
+    if (this.isRunning) this.stop();
+    audioBuffer.clearQueue();
+    this.updateStatus(t("status.writingFinale"));
+
+    try {
+      await audioBuffer.initialize();
+      await pipeline.requestFinale();
+
+      // Failures were reported through pipeline.onError
+      if (!audioBuffer.queue.some((clip) => clip.final)) {
+        throw new Error(t("error.finale"));
+      }
+
+      this.updateStatus(t("status.closing"));
+      audioBuffer.play();
+    } catch (error) {
+      console.error("Finish error:", error);
+      this.showError(error.message);
+      this.endSession();
+    }
+  }
+
+  /**
+   * Start over after the finale: new arc, new history session
+   * The recorded clips stay available for export.
+   */
+  endSession() {
+    audioBuffer.stop();
+    poetry.resetSession();
+    pipeline.resetScene();
+    sessionHistory.endSession();
+    costs.resetSession();
+
+    this.isFinishing = false;
+    this.updateFinishButton();
+    this.updateStatus(t("status.finished"));
+    console.log("🎬 Session finished");
+  }
+
+  updateFinishButton() {
+    this.elements.finishBtn.disabled =
+      this.isFinishing || poetry.stanzaCount === 0;
+  }
+
+  /**
+   * Start the continuous generation loop
+   *
+   * This checks the buffer periodically and generates new clips as needed.
+   * The timing is crucial: we must stay ahead of playback.
+   */
+  startGenerationLoop() {
+    // Never two loops at once
+    this.stopGenerationLoop();
+
+    // Check and generate at intervals
+    this.generationLoop = setInterval(
+      () => this.fillBuffer(),
+      config.timing.bufferCheckInterval
+    );
+  }
+
+  /**
+   * Top up the buffer, counting clips already on their way
+   */
+  fillBuffer() {
+    if (!this.isRunning) return;
+
+    // Nothing to look at while the camera reconnects
+    if (!camera.isInitialized) return;
+
+    // Nobody to perform for, or nothing left to spend
+    if (this.isAttracting || this.updateQuiet() || this.updateBudget()) return;
+
+    const status = audioBuffer.getStatus();
+    const target = config.timing.minBufferClips + 1;
+    const needed = target - status.queuedClips - pipeline.inFlight;
+
+    // Generate if buffer is getting low
+    if (needed > 0) {
+      pipeline.request(needed);
+    }
+  }
+
+  /**
+   * Stop the generation loop
+   */
+  stopGenerationLoop() {
+    if (this.generationLoop) {
+      clearInterval(this.generationLoop);
+      this.generationLoop = null;
+    }
+  }
+
+  /**
+   * Generate a single poetry clip
+   *
+   * Pipeline: Camera → Vision → Poetry → TTS → Buffer
+   *
+   * This is the core creative pipeline; see modules/pipeline.js.
+   * Skipped when the pipeline is already at full concurrency.
+   *
+   * @param {Object} [options] - As for pipeline.request
+   */
+  generateClip(options) {
+    return pipeline.request(1, options);
+  }
+
+  /**
+   * Display poetry on screen with animation
+   *
+   * @param {string} text - Poetry text to display
+   * @param {{text: string, language: string}|null} [translation] - Shown
+   *   in a second column
+   * @param {Object[]|null} [segments] - Dialogue lines; each is labelled
+   *   with its speaker
+   */
+  displayPoetry(text, translation = null, segments = null) {
+    // Built from text nodes: verses, names and translations are never markup
+    const element = (tag, className = "", content = null) => {
+      const node = document.createElement(tag);
+      if (className) node.className = className;
+      if (content !== null) node.textContent = content;
+      return node;
+    };
+
+    const lines = (verse) => verse.split("\n").filter((line) => line.trim());
+
+    // The spoken verse also wraps each word, for karaoke
+    const spoken = (line, paragraph = element("p")) => {
+      splitWords(line).forEach((word, i) => {
+        if (i > 0) paragraph.append(" ");
+        paragraph.append(element("span", "word", word));
+      });
+      return paragraph;
+    };
+
+    const original = segments
+      ? segments.map(({ speaker, name, text }) => {
+          const paragraph = element(
+            "p",
+            `dialogue-line speaker-${speaker % 2}`
+          );
+          paragraph.append(element("span", "speaker-name", name));
+          return spoken(text, paragraph);
+        })
+      : lines(text).map((line) => spoken(line));
+
+    const overlay = this.elements.poetryOverlay;
+    this.karaoke = null;
+    overlay.classList.remove("karaoke");
+    overlay.classList.toggle("bilingual", Boolean(translation));
+
+    if (!translation) {
+      overlay.replaceChildren(...original);
+      return;
+    }
+
+    const originalColumn = element("div", "poem-original");
+    originalColumn.append(...original);
+
+    const translationColumn = element("div", "poem-translation");
+    translationColumn.lang = translation.language;
+    translationColumn.append(
+      ...lines(translation.text).map((line) => element("p", "", line))
+    );
+
+    overlay.replaceChildren(originalColumn, translationColumn);
+  }
+
+  /**
+   * Follow a clip on air word by word: the word being spoken lights up,
+   * and each line comes in as it is reached
+   *
+   * Word timings come from the provider's alignment when there is one,
+   * or are estimated (see utils/wordTiming.js); a clip still streaming
+   * in is estimated afresh until all of its audio is there.
+   *
+   * @param {Object} clip - Clip just displayed by displayPoetry
+   */
+  startKaraoke(clip) {
+    if (!config.karaoke.enabled) return;
+
+    const overlay = this.elements.poetryOverlay;
+    const words = [...overlay.querySelectorAll(".word")];
+    const lines = [...new Set(words.map((word) => word.parentElement))];
+
+    this.karaoke = {
+      clip,
+      words,
+      timings: null,
+      // First and last word of each line
+      lines: lines.map((line) => ({
+        element: line,
+        first: words.findIndex((word) => word.parentElement === line),
+        last: words.findLastIndex((word) => word.parentElement === line),
+      })),
+    };
+
+    overlay.classList.add("karaoke");
+    this.updateKaraoke();
+    this.runKaraoke();
+  }
+
+  /**
+   * Keep the highlight moving once a frame while audio plays
+   */
+  runKaraoke() {
+    if (this.karaokeFrame || !this.karaoke) return;
+
+    const frame = () => {
+      this.karaokeFrame = null;
+      if (!this.karaoke || !audioBuffer.isPlaying || audioBuffer.isPaused) {
+        return;
+      }
+
+      this.updateKaraoke();
+      this.karaokeFrame = requestAnimationFrame(frame);
+    };
+
+    this.karaokeFrame = requestAnimationFrame(frame);
+  }
+
+  /**
+   * Mark words and lines as spoken, being spoken, or yet to come,
+   * from where playback is in the clip
+   */
+  updateKaraoke() {
+    const karaoke = this.karaoke;
+    const playback = audioBuffer.getPlaybackPosition();
+    if (!karaoke || playback?.clip !== karaoke.clip) return;
+
+    const { clip, words, lines } = karaoke;
+    const timings = karaoke.timings ?? clipWordTimings(clip);
+    if (!clip.isStreaming) karaoke.timings = timings;
+
+    const { position } = playback;
+    const startOf = (i) => timings[i]?.start ?? Infinity;
+    const endOf = (i) => timings[i]?.end ?? Infinity;
+
+    words.forEach((word, i) => {
+      word.classList.toggle("spoken", endOf(i) <= position);
+      word.classList.toggle(
+        "active",
+        startOf(i) <= position && position < endOf(i)
+      );
+    });
+
+    for (const { element, first, last } of lines) {
+      const upcoming = position < startOf(first) - config.karaoke.lineLead;
+      const spoken = endOf(last) <= position;
+
+      element.classList.toggle("upcoming", upcoming);
+      element.classList.toggle("active", !upcoming && !spoken);
+      element.classList.toggle("spoken", spoken);
+    }
+  }
+
+  /**
+   * Leave the finished verse on screen, fully spoken
+   */
+  endKaraoke() {
+    const { words, lines } = this.karaoke;
+
+    words.forEach((word) => {
+      word.classList.remove("active");
+      word.classList.add("spoken");
+    });
+    lines.forEach(({ element }) => {
+      element.classList.remove("upcoming", "active");
+      element.classList.add("spoken");
+    });
+
+    this.karaoke = null;
+  }
+
+  /**
+   * Light up the dialogue line being spoken
+   *
+   * @param {number} index - Line of the verse on screen
+   */
+  showSpeaker(index) {
+    const lines =
+      this.elements.poetryOverlay.querySelectorAll(".dialogue-line");
+
+    lines.forEach((line, i) => line.classList.toggle("speaking", i === index));
+  }
+
+  /**
+   * Update buffer UI indicator
+   *
+   * @param {BufferStatus} status - Current buffer status
+   */
+  updateBufferUI(status) {
+    // Update fill bar
+    const percentage =
+      (status.queuedClips / config.timing.maxBufferClips) * 100;
+    this.elements.bufferFill.style.width = `${percentage}%`;
+
+    // Update text
+    if (status.isPaused) {
+      this.elements.bufferText.textContent = t("buffer.paused");
+    } else if (status.isPlaying) {
+      const seconds = status.totalBufferedSeconds.toFixed(0);
+      this.elements.bufferText.textContent = t("buffer.seconds", { seconds });
+    } else {
+      this.elements.bufferText.textContent = t("buffer.empty");
+    }
+  }
+
+  updateStatus(text) {
+    this.elements.statusText.textContent = text;
+  }
+
+  /**
+   * Show "Playing", or which services are degraded while their
+   * circuit breaker is open
+   */
+  updateServiceStatus() {
+    const degraded = resilience.getDegraded();
+    this.elements.statusBar.classList.toggle("degraded", degraded.length > 0);
+    this.elements.statusBar.classList.toggle(
+      "resting",
+      this.isAttracting || this.isQuiet || this.isOverBudget
+    );
+
+    if (!this.isRunning) return;
+
+    if (this.isAttracting) {
+      this.updateStatus(t("status.attract"));
+    } else if (this.isOverBudget) {
+      this.updateStatus(t("status.budget"));
+    } else if (degraded.length > 0) {
+      const names = degraded.map((service) => t(`service.${service}`));
+      this.updateStatus(t("status.degraded", { services: names.join(", ") }));
+    } else if (this.isQuiet) {
+      this.updateStatus(t("status.waitingAudience"));
+    } else {
+      this.updateStatus(t("status.playing"));
+    }
+  }
+
+  showLoading(text = t("app.loading")) {
+    this.elements.loadingText.textContent = text;
+    this.elements.loadingOverlay.classList.remove("hidden");
+  }
+
+  hideLoading() {
+    this.elements.loadingOverlay.classList.add("hidden");
+  }
+
+  showError(message) {
+    this.elements.errorMessage.textContent = message;
+    this.elements.errorToast.classList.remove("hidden");
+
+    setTimeout(() => {
+      this.elements.errorToast.classList.add("hidden");
+    }, 5000);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      averageLatency:
+        this.stats.clipsGenerated > 0
+          ? Math.round(this.stats.totalLatency / this.stats.clipsGenerated)
+          : 0,
+      bufferStatus: audioBuffer.getStatus(),
+      costs: costs.getTotals(),
+      metrics: metrics.getSummary(),
+    };
+  }
+}
+
+/**
+ * 0.0123 → "$0.0123", in config.costs.currency; amounts under one
+ * keep the digits that show
+ */
+function formatCost(amount) {
+  return new Intl.NumberFormat(getLocale(), {
+    style: "currency",
+    currency: config.costs.currency,
+    minimumFractionDigits: 2,
+    maximumFractionDigits: amount > 0 && amount < 1 ? 4 : 2,
+  }).format(amount);
+}
+
+/**
+ * 1234.5 → "1235"; a stage not measured yet → "–"
+ */
+function formatMs(ms) {
+  return ms === null ? "–" : String(Math.round(ms));
+}
+
+/**
+ * "2024-05-01T12-30-00", for download names
+ */
+function fileStamp() {
+  return new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+}
+
+/**
+ * 1536 → "1.5 KB"
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
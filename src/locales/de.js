@@ -0,0 +1,139 @@
+/**
+ * German interface strings
+ */
+
+export const de = {
+  "app.loading": "Das Auge des Dichters erwacht...",
+  "app.placeholder": "Richte die Kamera auf etwas Schönes...",
+
+  "status.ready": "Bereit",
+  "status.readyMock": "Bereit (Testmodus)",
+  "status.checkingServer": "API-Server wird geprüft...",
+  "status.accessingCamera": "Kamera wird geöffnet...",
+  "status.cameraDisconnected": "Kamera getrennt, verbinde neu...",
+  "status.buildingBuffer": "Puffer wird gefüllt...",
+  "status.playing": "Wiedergabe",
+  "status.paused": "Pausiert",
+  "status.degraded": "{services} gestört, neuer Versuch...",
+  "status.waitingAudience": "Warte auf Zuhörer...",
+  "status.attract": "Ruhemodus: frühere Gedichte werden wiederholt",
+  "status.budget": "Budget erreicht: Generierung pausiert",
+  "status.writingFinale": "Die letzte Strophe entsteht...",
+  "status.closing": "Abschluss...",
+  "status.finished": "Beendet",
+
+  "service.vision": "Bilderkennung",
+  "service.poetry": "Dichtung",
+  "service.tts": "Sprache",
+
+  "buffer.empty": "Puffer: leer",
+  "buffer.seconds": "Puffer: {seconds} s",
+  "buffer.paused": "Pausiert",
+
+  "controls.begin": "Beginnen",
+  "controls.start": "Gedichtgenerierung starten",
+  "controls.finish": "Mit einer letzten Strophe beenden",
+  "controls.source": "Bildquelle",
+  "controls.style": "Stil des Dichters",
+  "controls.editStyle": "Stil des Dichters bearbeiten",
+  "controls.theme": "Thema (optional)",
+  "controls.themeLabel": "Thema oder Absicht der Sitzung",
+  "controls.language": "Sprache der Gedichte",
+  "controls.translation": "Übersetzung",
+  "controls.noTranslation": "Keine Übersetzung",
+  "controls.export": "⬇ Exportieren",
+  "controls.exportLabel": "Sitzung exportieren",
+  "controls.history": "Verlauf anzeigen",
+  "controls.voice": "Stimme wählen",
+  "controls.stats": "Nutzung und Kosten anzeigen",
+  "controls.dialogue": "Zwiegespräch",
+  "controls.volume": "Lautstärke",
+
+  "source.video": "🎞️ Videodatei…",
+  "source.images": "🖼️ Bilder…",
+  "source.folder": "📁 Bilderordner…",
+  "source.screen": "🖥️ Bildschirm teilen",
+
+  "export.wav": "Audio (WAV)",
+  "export.vtt": "Untertitel (VTT)",
+  "export.srt": "Untertitel (SRT)",
+  "export.json": "Manifest (JSON)",
+
+  "history.title": "Verlauf",
+  "history.close": "Verlauf schließen",
+  "history.empty": "Noch keine Sitzungen.",
+  "history.clips": "{count} Clips",
+  "history.delete": "Löschen",
+  "history.deleteLabel": "Sitzung löschen",
+  "history.replay": "Clip abspielen",
+  "history.usage": "{usage} belegt",
+  "history.usageOf": "{usage} von {quota} belegt",
+
+  "style.title": "Stil",
+  "style.close": "Stileditor schließen",
+  "style.edited": "{name} (bearbeitet)",
+  "style.systemPrompt": "System-Prompt",
+  "style.userPrompt": "Benutzer-Prompt",
+  "style.visionFocus": "Fokus der Bilderkennung",
+  "style.lines": "Zeilen",
+  "style.temperature": "Temperatur",
+  "style.placeholders":
+    "Platzhalter: {{scene}}, {{history}}, {{theme}}, {{summary}}, {{arc}}, {{lines}}, {{language}}, {{objects}}, {{people}}, {{setting}}, {{lighting}}, {{colors}}, {{mood}}, {{details}}, {{audience}}. Text in {{#theme}}…{{/theme}} wird nur verwendet, wenn es ein Thema gibt.",
+  "style.reset": "Zurücksetzen",
+  "style.save": "Speichern",
+
+  "voice.title": "Stimme",
+  "voice.close": "Stimmauswahl schließen",
+  "voice.forStyle": "Wird für den Stil {style} verwendet.",
+  "voice.loading": "Stimmen werden geladen...",
+  "voice.none": "Keine Stimmen verfügbar.",
+  "voice.preview": "{name} anhören",
+  "voice.stability": "Stabilität",
+  "voice.similarity": "Ähnlichkeit",
+  "voice.style": "Ausdrucksstärke",
+  "voice.reset": "Zurücksetzen",
+
+  "stats.title": "Nutzung",
+  "stats.close": "Nutzung schließen",
+  "stats.session": "Diese Sitzung",
+  "stats.today": "Heute",
+  "stats.calls": "Aufrufe",
+  "stats.usage": "Verbrauch",
+  "stats.cost": "Kosten",
+  "stats.total": "Gesamt",
+  "stats.tokens": "{count} Tokens",
+  "stats.characters": "{count} Zeichen",
+  "stats.sessionBudget": "Sitzungsbudget: {spent} von {cap}.",
+  "stats.dailyBudget": "Tagesbudget: {spent} von {cap}.",
+  "stats.noBudget": "Kein Budget festgelegt.",
+  "stats.economy": "Sparmodus: kleinere Modelle und weniger Bilddetails.",
+  "stats.paused": "Budget erreicht: Die Generierung ist pausiert.",
+
+  "hud.label": "Leistung",
+  "hud.title": "Zeiten je Stufe (ms)",
+  "hud.stage": "Stufe",
+  "hud.last": "Zuletzt",
+  "hud.max": "Max.",
+  "hud.vision": "Bilderkennung",
+  "hud.poetry": "Dichtung",
+  "hud.tts": "Sprache",
+  "hud.decode": "Dekodieren",
+  "hud.total": "Gesamt",
+  "hud.underruns":
+    "Aussetzer: {count} ({total} s insgesamt, längster {longest} s)",
+  "hud.firstAudio": "Erster Ton: {last} ms (Median {p50} ms)",
+  "hud.buffer": "Puffer: {seconds} s in {clips} Clips, {inFlight} in Arbeit",
+  "hud.exportJson": "Als JSON exportieren",
+  "hud.exportCsv": "Als CSV exportieren",
+
+  "error.dismiss": "Schließen",
+  "error.missingKeys": "API-Schlüssel fehlen. Bitte prüfe deine .env-Datei.",
+  "error.proxyUnreachable": "Der API-Server ist nicht erreichbar: {message}",
+  "error.proxyKeys":
+    "Dem API-Server fehlt {keys}. Trage sie in seine .env-Datei ein.",
+  "error.multiple": "Mehrere Fehler sind aufgetreten. Details in der Konsole.",
+  "error.export": "Export fehlgeschlagen: {message}",
+  "error.replay": "Clip konnte nicht abgespielt werden: {message}",
+  "error.finale": "Die letzte Strophe konnte nicht geschrieben werden",
+  "error.preview": "Hörprobe konnte nicht abgespielt werden: {message}",
+};
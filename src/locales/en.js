@@ -0,0 +1,138 @@
+/**
+ * English interface strings (the fallback for every other locale)
+ */
+
+export const en = {
+  "app.loading": "Awakening the poet's eye...",
+  "app.placeholder": "Point your camera at something beautiful...",
+
+  "status.ready": "Ready",
+  "status.readyMock": "Ready (mock mode)",
+  "status.checkingServer": "Checking the API server...",
+  "status.accessingCamera": "Accessing camera...",
+  "status.cameraDisconnected": "Camera disconnected, reconnecting...",
+  "status.buildingBuffer": "Building buffer...",
+  "status.playing": "Playing",
+  "status.paused": "Paused",
+  "status.degraded": "{services} degraded, retrying...",
+  "status.waitingAudience": "Waiting for someone to listen...",
+  "status.attract": "Resting: replaying past poems",
+  "status.budget": "Budget reached: generation paused",
+  "status.writingFinale": "Writing the final stanza...",
+  "status.closing": "Closing...",
+  "status.finished": "Finished",
+
+  "service.vision": "Vision",
+  "service.poetry": "Poetry",
+  "service.tts": "Speech",
+
+  "buffer.empty": "Buffer: Empty",
+  "buffer.seconds": "Buffer: {seconds}s",
+  "buffer.paused": "Paused",
+
+  "controls.begin": "Begin",
+  "controls.start": "Start poetry generation",
+  "controls.finish": "Finish with a closing stanza",
+  "controls.source": "Frame source",
+  "controls.style": "Poet style",
+  "controls.editStyle": "Edit poet style",
+  "controls.theme": "Theme (optional)",
+  "controls.themeLabel": "Session theme or intention",
+  "controls.language": "Poetry language",
+  "controls.translation": "Translation",
+  "controls.noTranslation": "No translation",
+  "controls.export": "⬇ Export",
+  "controls.exportLabel": "Export session",
+  "controls.history": "Show history",
+  "controls.voice": "Choose voice",
+  "controls.stats": "Show usage and costs",
+  "controls.dialogue": "Call and response",
+  "controls.volume": "Volume",
+
+  "source.video": "🎞️ Video file…",
+  "source.images": "🖼️ Images…",
+  "source.folder": "📁 Image folder…",
+  "source.screen": "🖥️ Share screen",
+
+  "export.wav": "Audio (WAV)",
+  "export.vtt": "Subtitles (VTT)",
+  "export.srt": "Subtitles (SRT)",
+  "export.json": "Manifest (JSON)",
+
+  "history.title": "History",
+  "history.close": "Close history",
+  "history.empty": "No sessions yet.",
+  "history.clips": "{count} clips",
+  "history.delete": "Delete",
+  "history.deleteLabel": "Delete session",
+  "history.replay": "Replay clip",
+  "history.usage": "{usage} used",
+  "history.usageOf": "{usage} of {quota} used",
+
+  "style.title": "Style",
+  "style.close": "Close style editor",
+  "style.edited": "{name} (edited)",
+  "style.systemPrompt": "System prompt",
+  "style.userPrompt": "User prompt",
+  "style.visionFocus": "Vision focus",
+  "style.lines": "Lines",
+  "style.temperature": "Temperature",
+  "style.placeholders":
+    "Placeholders: {{scene}}, {{history}}, {{theme}}, {{summary}}, {{arc}}, {{lines}}, {{language}}, {{objects}}, {{people}}, {{setting}}, {{lighting}}, {{colors}}, {{mood}}, {{details}}, {{audience}}. Text inside {{#theme}}…{{/theme}} is only used when there is a theme.",
+  "style.reset": "Reset to preset",
+  "style.save": "Save",
+
+  "voice.title": "Voice",
+  "voice.close": "Close voice picker",
+  "voice.forStyle": "Used for the {style} style.",
+  "voice.loading": "Loading voices...",
+  "voice.none": "No voices available.",
+  "voice.preview": "Preview {name}",
+  "voice.stability": "Stability",
+  "voice.similarity": "Similarity",
+  "voice.style": "Style exaggeration",
+  "voice.reset": "Reset to defaults",
+
+  "stats.title": "Usage",
+  "stats.close": "Close usage",
+  "stats.session": "This session",
+  "stats.today": "Today",
+  "stats.calls": "Calls",
+  "stats.usage": "Used",
+  "stats.cost": "Cost",
+  "stats.total": "Total",
+  "stats.tokens": "{count} tokens",
+  "stats.characters": "{count} characters",
+  "stats.sessionBudget": "Session budget: {spent} of {cap}.",
+  "stats.dailyBudget": "Daily budget: {spent} of {cap}.",
+  "stats.noBudget": "No budget set.",
+  "stats.economy": "Saving: smaller models and less image detail.",
+  "stats.paused": "Budget reached: generation is paused.",
+
+  "hud.label": "Performance",
+  "hud.title": "Stage timings (ms)",
+  "hud.stage": "Stage",
+  "hud.last": "Last",
+  "hud.max": "Max",
+  "hud.vision": "Vision",
+  "hud.poetry": "Poetry",
+  "hud.tts": "Speech",
+  "hud.decode": "Decode",
+  "hud.total": "Total",
+  "hud.underruns": "Underruns: {count} ({total}s in all, longest {longest}s)",
+  "hud.firstAudio": "First audio: {last} ms (median {p50} ms)",
+  "hud.buffer": "Buffer: {seconds}s in {clips} clips, {inFlight} on the way",
+  "hud.exportJson": "Export JSON",
+  "hud.exportCsv": "Export CSV",
+
+  "error.dismiss": "Dismiss",
+  "error.missingKeys": "Missing API keys. Please check your .env file.",
+  "error.proxyUnreachable": "Can't reach the API server: {message}",
+  "error.proxyKeys":
+    "The API server is missing {keys}. Set them in its .env file.",
+  "error.multiple": "Multiple errors occurred. Check console for details.",
+  "error.export": "Export failed: {message}",
+  "error.replay": "Could not replay clip: {message}",
+  "error.finale": "Could not write the final stanza",
+  "error.preview": "Could not play the preview: {message}",
+};
@@ -0,0 +1,140 @@
+/**
+ * Spanish interface strings
+ */
+
+export const es = {
+  "app.loading": "Despertando la mirada del poeta...",
+  "app.placeholder": "Apunta la cámara hacia algo hermoso...",
+
+  "status.ready": "Listo",
+  "status.readyMock": "Listo (modo simulado)",
+  "status.checkingServer": "Comprobando el servidor de la API...",
+  "status.accessingCamera": "Accediendo a la cámara...",
+  "status.cameraDisconnected": "Cámara desconectada, reconectando...",
+  "status.buildingBuffer": "Preparando el búfer...",
+  "status.playing": "Reproduciendo",
+  "status.paused": "En pausa",
+  "status.degraded": "{services} con problemas, reintentando...",
+  "status.waitingAudience": "Esperando a alguien que escuche...",
+  "status.attract": "En reposo: repitiendo poemas anteriores",
+  "status.budget": "Presupuesto agotado: generación en pausa",
+  "status.writingFinale": "Escribiendo la estrofa final...",
+  "status.closing": "Cerrando...",
+  "status.finished": "Terminado",
+
+  "service.vision": "Visión",
+  "service.poetry": "Poesía",
+  "service.tts": "Voz",
+
+  "buffer.empty": "Búfer: vacío",
+  "buffer.seconds": "Búfer: {seconds}s",
+  "buffer.paused": "En pausa",
+
+  "controls.begin": "Comenzar",
+  "controls.start": "Empezar a generar poesía",
+  "controls.finish": "Terminar con una estrofa final",
+  "controls.source": "Fuente de imagen",
+  "controls.style": "Estilo del poeta",
+  "controls.editStyle": "Editar estilo del poeta",
+  "controls.theme": "Tema (opcional)",
+  "controls.themeLabel": "Tema o intención de la sesión",
+  "controls.language": "Idioma de la poesía",
+  "controls.translation": "Traducción",
+  "controls.noTranslation": "Sin traducción",
+  "controls.export": "⬇ Exportar",
+  "controls.exportLabel": "Exportar sesión",
+  "controls.history": "Mostrar historial",
+  "controls.voice": "Elegir voz",
+  "controls.stats": "Ver uso y costes",
+  "controls.dialogue": "Diálogo a dos voces",
+  "controls.volume": "Volumen",
+
+  "source.video": "🎞️ Archivo de vídeo…",
+  "source.images": "🖼️ Imágenes…",
+  "source.folder": "📁 Carpeta de imágenes…",
+  "source.screen": "🖥️ Compartir pantalla",
+
+  "export.wav": "Audio (WAV)",
+  "export.vtt": "Subtítulos (VTT)",
+  "export.srt": "Subtítulos (SRT)",
+  "export.json": "Manifiesto (JSON)",
+
+  "history.title": "Historial",
+  "history.close": "Cerrar historial",
+  "history.empty": "Aún no hay sesiones.",
+  "history.clips": "{count} clips",
+  "history.delete": "Eliminar",
+  "history.deleteLabel": "Eliminar sesión",
+  "history.replay": "Reproducir clip",
+  "history.usage": "{usage} usados",
+  "history.usageOf": "{usage} de {quota} usados",
+
+  "style.title": "Estilo",
+  "style.close": "Cerrar editor de estilo",
+  "style.edited": "{name} (editado)",
+  "style.systemPrompt": "Prompt de sistema",
+  "style.userPrompt": "Prompt de usuario",
+  "style.visionFocus": "Enfoque de la visión",
+  "style.lines": "Versos",
+  "style.temperature": "Temperatura",
+  "style.placeholders":
+    "Marcadores: {{scene}}, {{history}}, {{theme}}, {{summary}}, {{arc}}, {{lines}}, {{language}}, {{objects}}, {{people}}, {{setting}}, {{lighting}}, {{colors}}, {{mood}}, {{details}}, {{audience}}. El texto dentro de {{#theme}}…{{/theme}} solo se usa cuando hay un tema.",
+  "style.reset": "Restablecer",
+  "style.save": "Guardar",
+
+  "voice.title": "Voz",
+  "voice.close": "Cerrar selector de voz",
+  "voice.forStyle": "Se usa para el estilo {style}.",
+  "voice.loading": "Cargando voces...",
+  "voice.none": "No hay voces disponibles.",
+  "voice.preview": "Escuchar {name}",
+  "voice.stability": "Estabilidad",
+  "voice.similarity": "Similitud",
+  "voice.style": "Expresividad",
+  "voice.reset": "Restablecer",
+
+  "stats.title": "Uso",
+  "stats.close": "Cerrar uso",
+  "stats.session": "Esta sesión",
+  "stats.today": "Hoy",
+  "stats.calls": "Llamadas",
+  "stats.usage": "Consumo",
+  "stats.cost": "Coste",
+  "stats.total": "Total",
+  "stats.tokens": "{count} tokens",
+  "stats.characters": "{count} caracteres",
+  "stats.sessionBudget": "Presupuesto de la sesión: {spent} de {cap}.",
+  "stats.dailyBudget": "Presupuesto diario: {spent} de {cap}.",
+  "stats.noBudget": "Sin presupuesto.",
+  "stats.economy": "Ahorrando: modelos más pequeños y menos detalle de imagen.",
+  "stats.paused": "Presupuesto agotado: la generación está en pausa.",
+
+  "hud.label": "Rendimiento",
+  "hud.title": "Tiempos por etapa (ms)",
+  "hud.stage": "Etapa",
+  "hud.last": "Último",
+  "hud.max": "Máx.",
+  "hud.vision": "Visión",
+  "hud.poetry": "Poesía",
+  "hud.tts": "Voz",
+  "hud.decode": "Decodificación",
+  "hud.total": "Total",
+  "hud.underruns":
+    "Cortes: {count} ({total}s en total, el más largo {longest}s)",
+  "hud.firstAudio": "Primer audio: {last} ms (mediana {p50} ms)",
+  "hud.buffer": "Búfer: {seconds}s en {clips} clips, {inFlight} en camino",
+  "hud.exportJson": "Exportar JSON",
+  "hud.exportCsv": "Exportar CSV",
+
+  "error.dismiss": "Cerrar",
+  "error.missingKeys": "Faltan claves de API. Revisa tu archivo .env.",
+  "error.proxyUnreachable":
+    "No se puede contactar con el servidor de la API: {message}",
+  "error.proxyKeys":
+    "Al servidor de la API le falta {keys}. Añádelas a su archivo .env.",
+  "error.multiple": "Se produjeron varios errores. Consulta la consola.",
+  "error.export": "Error al exportar: {message}",
+  "error.replay": "No se pudo reproducir el clip: {message}",
+  "error.finale": "No se pudo escribir la estrofa final",
+  "error.preview": "No se pudo reproducir la muestra: {message}",
+};
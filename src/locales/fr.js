@@ -0,0 +1,141 @@
+/**
+ * French interface strings
+ */
+
+export const fr = {
+  "app.loading": "Le poète ouvre les yeux...",
+  "app.placeholder": "Pointez la caméra vers quelque chose de beau...",
+
+  "status.ready": "Prêt",
+  "status.readyMock": "Prêt (mode simulé)",
+  "status.checkingServer": "Vérification du serveur d'API...",
+  "status.accessingCamera": "Accès à la caméra...",
+  "status.cameraDisconnected": "Caméra déconnectée, reconnexion...",
+  "status.buildingBuffer": "Préparation du tampon...",
+  "status.playing": "Lecture",
+  "status.paused": "En pause",
+  "status.degraded": "{services} perturbé, nouvel essai...",
+  "status.waitingAudience": "En attente d'un auditeur...",
+  "status.attract": "En veille : poèmes passés en boucle",
+  "status.budget": "Budget atteint : génération en pause",
+  "status.writingFinale": "Écriture de la dernière strophe...",
+  "status.closing": "Clôture...",
+  "status.finished": "Terminé",
+
+  "service.vision": "Vision",
+  "service.poetry": "Poésie",
+  "service.tts": "Voix",
+
+  "buffer.empty": "Tampon : vide",
+  "buffer.seconds": "Tampon : {seconds} s",
+  "buffer.paused": "En pause",
+
+  "controls.begin": "Commencer",
+  "controls.start": "Lancer la génération de poésie",
+  "controls.finish": "Terminer par une dernière strophe",
+  "controls.source": "Source d'images",
+  "controls.style": "Style du poète",
+  "controls.editStyle": "Modifier le style du poète",
+  "controls.theme": "Thème (facultatif)",
+  "controls.themeLabel": "Thème ou intention de la session",
+  "controls.language": "Langue de la poésie",
+  "controls.translation": "Traduction",
+  "controls.noTranslation": "Sans traduction",
+  "controls.export": "⬇ Exporter",
+  "controls.exportLabel": "Exporter la session",
+  "controls.history": "Afficher l'historique",
+  "controls.voice": "Choisir la voix",
+  "controls.stats": "Afficher l'usage et les coûts",
+  "controls.dialogue": "Dialogue à deux voix",
+  "controls.volume": "Volume",
+
+  "source.video": "🎞️ Fichier vidéo…",
+  "source.images": "🖼️ Images…",
+  "source.folder": "📁 Dossier d'images…",
+  "source.screen": "🖥️ Partager l'écran",
+
+  "export.wav": "Audio (WAV)",
+  "export.vtt": "Sous-titres (VTT)",
+  "export.srt": "Sous-titres (SRT)",
+  "export.json": "Manifeste (JSON)",
+
+  "history.title": "Historique",
+  "history.close": "Fermer l'historique",
+  "history.empty": "Aucune session pour l'instant.",
+  "history.clips": "{count} clips",
+  "history.delete": "Supprimer",
+  "history.deleteLabel": "Supprimer la session",
+  "history.replay": "Rejouer le clip",
+  "history.usage": "{usage} utilisés",
+  "history.usageOf": "{usage} utilisés sur {quota}",
+
+  "style.title": "Style",
+  "style.close": "Fermer l'éditeur de style",
+  "style.edited": "{name} (modifié)",
+  "style.systemPrompt": "Prompt système",
+  "style.userPrompt": "Prompt utilisateur",
+  "style.visionFocus": "Regard de la vision",
+  "style.lines": "Vers",
+  "style.temperature": "Température",
+  "style.placeholders":
+    "Variables : {{scene}}, {{history}}, {{theme}}, {{summary}}, {{arc}}, {{lines}}, {{language}}, {{objects}}, {{people}}, {{setting}}, {{lighting}}, {{colors}}, {{mood}}, {{details}}, {{audience}}. Le texte entre {{#theme}}…{{/theme}} n'est utilisé que s'il y a un thème.",
+  "style.reset": "Rétablir",
+  "style.save": "Enregistrer",
+
+  "voice.title": "Voix",
+  "voice.close": "Fermer le choix de voix",
+  "voice.forStyle": "Utilisée pour le style {style}.",
+  "voice.loading": "Chargement des voix...",
+  "voice.none": "Aucune voix disponible.",
+  "voice.preview": "Écouter {name}",
+  "voice.stability": "Stabilité",
+  "voice.similarity": "Similarité",
+  "voice.style": "Expressivité",
+  "voice.reset": "Rétablir",
+
+  "stats.title": "Usage",
+  "stats.close": "Fermer l'usage",
+  "stats.session": "Cette session",
+  "stats.today": "Aujourd'hui",
+  "stats.calls": "Appels",
+  "stats.usage": "Consommé",
+  "stats.cost": "Coût",
+  "stats.total": "Total",
+  "stats.tokens": "{count} jetons",
+  "stats.characters": "{count} caractères",
+  "stats.sessionBudget": "Budget de la session : {spent} sur {cap}.",
+  "stats.dailyBudget": "Budget du jour : {spent} sur {cap}.",
+  "stats.noBudget": "Aucun budget défini.",
+  "stats.economy": "Économie : modèles plus petits et images moins détaillées.",
+  "stats.paused": "Budget atteint : la génération est en pause.",
+
+  "hud.label": "Performances",
+  "hud.title": "Temps par étape (ms)",
+  "hud.stage": "Étape",
+  "hud.last": "Dernier",
+  "hud.max": "Max",
+  "hud.vision": "Vision",
+  "hud.poetry": "Poésie",
+  "hud.tts": "Voix",
+  "hud.decode": "Décodage",
+  "hud.total": "Total",
+  "hud.underruns":
+    "Coupures : {count} ({total} s au total, la plus longue {longest} s)",
+  "hud.firstAudio": "Premier son : {last} ms (médiane {p50} ms)",
+  "hud.buffer": "Tampon : {seconds} s en {clips} clips, {inFlight} en cours",
+  "hud.exportJson": "Exporter en JSON",
+  "hud.exportCsv": "Exporter en CSV",
+
+  "error.dismiss": "Fermer",
+  "error.missingKeys": "Clés d'API manquantes. Vérifiez votre fichier .env.",
+  "error.proxyUnreachable":
+    "Impossible de joindre le serveur d'API : {message}",
+  "error.proxyKeys":
+    "Il manque {keys} au serveur d'API. Ajoutez-les à son fichier .env.",
+  "error.multiple":
+    "Plusieurs erreurs se sont produites. Consultez la console.",
+  "error.export": "Échec de l'export : {message}",
+  "error.replay": "Impossible de rejouer le clip : {message}",
+  "error.finale": "Impossible d'écrire la dernière strophe",
+  "error.preview": "Impossible de lire l'extrait : {message}",
+};
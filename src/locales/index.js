@@ -0,0 +1,14 @@
+/**
+ * Interface Locales
+ *
+ * One catalog of UI strings per language, keyed by message id (see
+ * utils/i18n.js). To add a locale, copy en.js, translate the values
+ * and register it below; missing keys fall back to English.
+ */
+
+import { en } from "./en.js";
+import { es } from "./es.js";
+import { fr } from "./fr.js";
+import { de } from "./de.js";
+
+export const MESSAGES = { en, es, fr, de };
@@ -0,0 +1,109 @@
+/**
+ * Attention Monitor
+ *
+ * Decides whether anyone could be listening. After config.attention.idleAfter
+ * with nothing moving in front of the camera (or, with config.audience on,
+ * nobody there) the installation drops into attract mode: no API calls,
+ * only past poems replayed from history. Motion, or a visitor, wakes it.
+ *
+ * Key concepts:
+ * - Activity: Frame signatures (see CameraModule.captureSignature)
+ *   compared from one check to the next, so slow drifts of light don't
+ *   count but someone walking past does
+ * - People: With the audience module running, an empty room is idle
+ *   even if something moves, and only a person wakes it
+ * - States: 'live' (generating) and 'attract' (replaying); the app
+ *   reacts through onSleep and onWake
+ */
+
+import { config } from "../utils/config.js";
+import { camera } from "./camera.js";
+import { audience } from "./audience.js";
+
+export class AttentionMonitor {
+  constructor() {
+    this.timer = null;
+    this.state = "live"; // 'live' | 'attract'
+    this.lastActivity = 0;
+    this.previousSignature = null;
+
+    this.onSleep = null;
+    this.onWake = null;
+  }
+
+  /**
+   * Start checking every config.attention.checkInterval, awake
+   */
+  start() {
+    this.stop();
+
+    this.state = "live";
+    this.lastActivity = Date.now();
+    this.previousSignature = null;
+
+    this.timer = setInterval(
+      () => this.check(),
+      config.attention.checkInterval
+    );
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * How long nothing has happened
+   *
+   * @returns {number} - ms
+   */
+  idleFor(now = Date.now()) {
+    const still = now - this.lastActivity;
+    if (!config.audience.enabled) return still;
+
+    return Math.max(still, audience.emptyFor());
+  }
+
+  /**
+   * Look once: note any activity, then sleep or wake
+   *
+   * @param {number} [now] - Timestamp (ms)
+   */
+  check(now = Date.now()) {
+    // Nothing to look at while the camera reconnects
+    if (!camera.isInitialized) return;
+
+    const signature = camera.captureSignature();
+    const change = this.previousSignature
+      ? camera.compareSignatures(signature, this.previousSignature)
+      : 0;
+    this.previousSignature = signature;
+
+    const moved = change >= config.attention.motionThreshold;
+    const present = config.audience.enabled && audience.count > 0;
+    if (moved || present) this.lastActivity = now;
+
+    if (
+      this.state === "live" &&
+      this.idleFor(now) >= config.attention.idleAfter
+    ) {
+      this.state = "attract";
+      console.log("💤 Nothing happening, switching to attract mode");
+      this.onSleep?.();
+    } else if (
+      this.state === "attract" &&
+      (config.audience.enabled ? present : moved)
+    ) {
+      this.state = "live";
+      console.log(
+        `⏰ ${present ? "Someone is here" : "Motion"}, back to live poetry`
+      );
+      this.onWake?.();
+    }
+  }
+}
+
+// Export singleton instance
+export const attention = new AttentionMonitor();
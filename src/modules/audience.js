@@ -0,0 +1,320 @@
+/**
+ * Audience Module
+ *
+ * Notices the people in front of the installation, on the device and
+ * without any API call: how many there are, when someone arrives or
+ * leaves, waves, or steps closer.
+ *
+ * Key concepts:
+ * - Samples: Camera frames shrunk to a few hundred pixels (see
+ *   CameraModule.captureSample), looked at several times a second
+ * - Skin regions: Pixels in the skin range of YCbCr color space, grouped
+ *   into connected regions; each large enough region is a person
+ * - Motion history: When each pixel last changed. A skin-colored region
+ *   that never moves (a wooden door, a beige wall) isn't a person
+ * - Debouncing: A new count must hold for a moment before anyone has
+ *   arrived or left, so a turned head doesn't make someone vanish
+ * - Waves: Moving skin swinging from side to side a few times in a row
+ * - Approach: A person's region growing quickly as they come closer
+ */
+
+import { config } from "../utils/config.js";
+import { camera } from "./camera.js";
+
+// Skin in YCbCr (Chai & Ngan), and too dark to judge below MIN_LUMA
+const SKIN_CB = [77, 127];
+const SKIN_CR = [133, 173];
+const MIN_LUMA = 40;
+
+// Fewest moving skin pixels to follow for a wave
+const MIN_WAVE_PIXELS = 2;
+
+export class AudienceModule {
+  constructor() {
+    this.timer = null;
+
+    // Debounced estimate, and when the room last emptied
+    this.count = 0;
+    this.emptySince = null;
+    this.candidate = null; // { count, since } waiting to be confirmed
+
+    // Per pixel: last luminance, and when it last moved
+    this.previousLuma = null;
+    this.lastMotion = null;
+
+    // Side-to-side tracking of moving skin (see trackWave)
+    this.swing = { extreme: null, direction: 0, reversals: [] };
+    this.lastWave = -Infinity;
+
+    // Largest person region over time (see trackApproach)
+    this.sizes = [];
+    this.lastApproach = -Infinity;
+
+    this.onPersonEntered = null;
+    this.onPersonLeft = null;
+    this.onWave = null;
+    this.onApproach = null;
+  }
+
+  /**
+   * Start looking at the camera every config.audience.checkInterval
+   */
+  start() {
+    this.stop();
+    this.reset();
+
+    const { sampleWidth, sampleHeight, checkInterval } = config.audience;
+
+    this.timer = setInterval(() => {
+      // Nothing to look at while the camera reconnects
+      if (!camera.isInitialized) return;
+
+      this.analyze(camera.captureSample(sampleWidth, sampleHeight));
+    }, checkInterval);
+
+    console.log("👥 Watching for an audience");
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Forget everyone; the room counts as empty from now
+   */
+  reset() {
+    this.count = 0;
+    this.emptySince = Date.now();
+    this.candidate = null;
+    this.previousLuma = null;
+    this.lastMotion = null;
+    this.swing = { extreme: null, direction: 0, reversals: [] };
+    this.sizes = [];
+  }
+
+  /**
+   * How long nobody has been in front of the camera
+   *
+   * @returns {number} - ms; 0 while someone is there
+   */
+  emptyFor() {
+    if (this.count > 0 || this.emptySince === null) return 0;
+    return Date.now() - this.emptySince;
+  }
+
+  /**
+   * Look at one sample and update the audience
+   *
+   * @param {ImageData} sample - RGBA pixels, from captureSample()
+   * @param {number} [now] - Timestamp (ms)
+   * @returns {number} - People seen in this sample (before debouncing)
+   */
+  analyze({ data, width, height }, now = Date.now()) {
+    const { motionThreshold, minPersonArea, stillTimeout } = config.audience;
+    const size = width * height;
+
+    if (this.previousLuma?.length !== size) {
+      this.previousLuma = null;
+      this.lastMotion = new Float64Array(size).fill(-Infinity);
+    }
+
+    const luma = new Uint8Array(size);
+    const skin = new Uint8Array(size);
+    let movingX = 0;
+    let movingSkin = 0;
+
+    for (let i = 0; i < size; i++) {
+      const r = data[i * 4];
+      const g = data[i * 4 + 1];
+      const b = data[i * 4 + 2];
+
+      luma[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+      skin[i] = isSkin(r, g, b, luma[i]) ? 1 : 0;
+
+      const moved =
+        this.previousLuma &&
+        Math.abs(luma[i] - this.previousLuma[i]) >= motionThreshold;
+      if (!moved) continue;
+
+      this.lastMotion[i] = now;
+      if (skin[i]) {
+        movingX += i % width;
+        movingSkin++;
+      }
+    }
+    this.previousLuma = luma;
+
+    // People: skin regions big enough, that have moved lately
+    const people = findRegions(skin, width, height).filter(
+      (region) =>
+        region.pixels.length >= minPersonArea * size &&
+        region.pixels.some((i) => now - this.lastMotion[i] <= stillTimeout)
+    );
+
+    this.updateCount(people.length, now);
+
+    const x =
+      movingSkin >= MIN_WAVE_PIXELS ? movingX / movingSkin / width : null;
+    this.trackWave(x, now);
+
+    const largest = Math.max(0, ...people.map((p) => p.pixels.length)) / size;
+    this.trackApproach(largest, now);
+
+    return people.length;
+  }
+
+  /**
+   * Accept a new count once it has held for enterDelay (more people)
+   * or leaveDelay (fewer)
+   */
+  updateCount(seen, now) {
+    const { enterDelay, leaveDelay } = config.audience;
+
+    if (seen === this.count) {
+      this.candidate = null;
+      return;
+    }
+    if (this.candidate?.count !== seen) {
+      this.candidate = { count: seen, since: now };
+    }
+
+    const delay = seen > this.count ? enterDelay : leaveDelay;
+    if (now - this.candidate.since < delay) return;
+
+    const previous = this.count;
+    this.count = seen;
+    this.candidate = null;
+    this.emptySince = seen === 0 ? now : null;
+
+    if (seen > previous) {
+      console.log(`👥 Someone arrived (${seen} here)`);
+      this.onPersonEntered?.(seen);
+    } else {
+      console.log(`👥 Someone left (${seen} here)`);
+      this.onPersonLeft?.(seen);
+    }
+  }
+
+  /**
+   * Count side-to-side reversals of moving skin; enough of them,
+   * quickly enough, is a wave
+   *
+   * @param {number|null} x - Where moving skin is (0-1 across), or null
+   */
+  trackWave(x, now) {
+    const { waveSwings, waveWindow, waveMinSwing, cooldown } = config.audience;
+    const swing = this.swing;
+
+    swing.reversals = swing.reversals.filter((t) => now - t <= waveWindow);
+    if (x === null) return;
+
+    if (swing.extreme === null) {
+      swing.extreme = x;
+      return;
+    }
+
+    const delta = x - swing.extreme;
+    if (Math.sign(delta) === swing.direction) {
+      // Still going the same way: follow it to the end of the swing
+      swing.extreme = x;
+      return;
+    }
+    if (Math.abs(delta) < waveMinSwing) return;
+
+    if (swing.direction !== 0) swing.reversals.push(now);
+    swing.direction = Math.sign(delta);
+    swing.extreme = x;
+
+    if (
+      swing.reversals.length >= waveSwings &&
+      now - this.lastWave >= cooldown
+    ) {
+      swing.reversals = [];
+      this.lastWave = now;
+      console.log("👋 Someone waved");
+      this.onWave?.();
+    }
+  }
+
+  /**
+   * A person whose region grows by approachGrowth within
+   * approachWindow is coming closer
+   *
+   * @param {number} area - Largest person region (share of the frame)
+   */
+  trackApproach(area, now) {
+    const { approachGrowth, approachWindow, minPersonArea, cooldown } =
+      config.audience;
+
+    this.sizes = this.sizes.filter((s) => now - s.time <= approachWindow);
+    this.sizes.push({ time: now, area });
+
+    const smallest = Math.min(...this.sizes.map((s) => s.area));
+    if (smallest < minPersonArea) return;
+    if (area < smallest * approachGrowth) return;
+    if (now - this.lastApproach < cooldown) return;
+
+    this.sizes = [];
+    this.lastApproach = now;
+    console.log("👥 Someone is coming closer");
+    this.onApproach?.();
+  }
+}
+
+function isSkin(r, g, b, luma) {
+  if (luma < MIN_LUMA) return false;
+
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return (
+    cb >= SKIN_CB[0] && cb <= SKIN_CB[1] && cr >= SKIN_CR[0] && cr <= SKIN_CR[1]
+  );
+}
+
+/**
+ * Group set pixels into 4-connected regions
+ *
+ * @param {Uint8Array} mask - 1 for set pixels
+ * @returns {{pixels: number[]}[]}
+ */
+function findRegions(mask, width, height) {
+  const seen = new Uint8Array(mask.length);
+  const regions = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || seen[start]) continue;
+
+    const pixels = [];
+    const stack = [start];
+    seen[start] = 1;
+
+    while (stack.length) {
+      const i = stack.pop();
+      pixels.push(i);
+
+      const x = i % width;
+      const neighbours = [
+        x > 0 && i - 1,
+        x < width - 1 && i + 1,
+        i >= width && i - width,
+        i < (height - 1) * width && i + width,
+      ];
+      for (const n of neighbours) {
+        if (n !== false && mask[n] && !seen[n]) {
+          seen[n] = 1;
+          stack.push(n);
+        }
+      }
+    }
+
+    regions.push({ pixels });
+  }
+
+  return regions;
+}
+
+// Export singleton instance
+export const audience = new AudienceModule();
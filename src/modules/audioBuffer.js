@@ -1,6 +1,10 @@
 import { config } from "../utils/config.js";
+import { createPcm16Decoder } from "../utils/pcm.js";
 
-class AudioBufferManager {
+// Shortest fade-in, to avoid a click when a clip starts from silence
+const DECLICK_SECONDS = 0.01;
+
+export class AudioBufferManager {
   constructor() {
     this.audioContext = null;
     this.gainNode = null;
@@ -9,14 +13,38 @@ class AudioBufferManager {
     this.currentlyPlaying = null;
     this.currentSource = null;
 
+    // Clips with audio scheduled on the context clock. During a
+    // crossfade there are two; `tail` is the last one scheduled.
+    this.activeClips = new Set();
+    this.tail = null;
+    this.scheduler = null;
+
+    // Where pause() left off, so resume() can continue mid-clip
+    this.pausedClip = null;
+    this.pausedOffset = 0;
+
+    // Ambient bed that fills buffer underruns
+    this.ambientGain = null;
+    this.ambientBuffer = null;
+    this.ambientSource = null;
+
+    // Context time the next clip was due, while the queue is dry
+    this.underrunAt = null;
+
+    // A clip played outside the queue (see preview)
+    this.previewSource = null;
+
     this.isPlaying = false;
     this.isPaused = false;
     this.isInitialized = false;
 
     this.onClipStart = null;
+    this.onSegmentStart = null;
     this.onClipEnd = null;
+    this.onClipDropped = null;
     this.onBufferLow = null;
     this.onBufferUpdate = null;
+    this.onUnderrun = null;
     this.onError = null;
   }
 
@@ -31,6 +59,15 @@ class AudioBufferManager {
     this.gainNode = this.audioContext.createGain();
     this.gainNode.connect(this.audioContext.destination);
 
+    // The ambient bed has its own gain so it can fade independently
+    this.ambientGain = this.audioContext.createGain();
+    this.ambientGain.gain.value = 0;
+    this.ambientGain.connect(this.gainNode);
+
+    if (config.ambient.enabled && config.ambient.url) {
+      this.loadAmbientBed(config.ambient.url);
+    }
+
     // Resume context if suspended (required by some browsers)
     if (this.audioContext.state === "suspended") {
       await this.audioContext.resume();
@@ -44,47 +81,273 @@ class AudioBufferManager {
    * Add an audio clip to the playback queue
    *
    * @param {AudioClip} clip - Audio clip from TTS module
+   * @param {Object} [options]
+   * @param {boolean} [options.next] - Play before everything else queued
+   * @returns {Promise<Object>} - The queued clip; its `completed` promise
+   *   resolves once all of its audio is in `audioBuffer`
    *
    * The clip's blob is decoded into an AudioBuffer
-   * which can be played by Web Audio API.
+   * which can be played by Web Audio API. How long that took is kept
+   * as the entry's `decodeLatency` (ms; for streams, until the first
+   * chunk).
+   * Streaming clips are handed to addStreamToQueue, and dialogue
+   * clips to addDialogueToQueue.
    */
-  async addToQueue(clip) {
+  async addToQueue(clip, { next = false } = {}) {
     if (!this.isInitialized) {
       throw new Error("Audio buffer not initialized. Call initialize() first.");
     }
 
-    try {
-      // Convert blob to ArrayBuffer
-      const arrayBuffer = await clip.blob.arrayBuffer();
+    if (clip.stream) {
+      return this.addStreamToQueue(clip, { next });
+    }
+
+    if (clip.segments && !clip.blob) {
+      return this.addDialogueToQueue(clip, { next });
+    }
 
-      // Decode to AudioBuffer (Web Audio API format)
-      const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+    try {
+      const decodeStart = Date.now();
+      const audioBuffer = await this.decode(clip.blob);
 
       // Add to queue with all metadata
-      this.queue.push({
+      const entry = {
         ...clip,
         audioBuffer,
+        chunks: [audioBuffer],
+        duration: audioBuffer.duration,
+        isStreaming: false,
+        decodeLatency: Date.now() - decodeStart,
         addedAt: Date.now(),
-      });
+      };
+      entry.completed = Promise.resolve(entry);
 
-      console.log(
-        `📥 Queued clip (${clip.duration.toFixed(1)}s). Buffer: ${
-          this.queue.length
-        } clips`
-      );
+      this.enqueue(entry, { next });
+      return entry;
+    } catch (error) {
+      console.error("Failed to decode audio:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a streaming clip to the queue
+   *
+   * PCM chunks become small AudioBuffers as they arrive, so the clip can
+   * start playing before synthesis finishes. Resolves once the first
+   * chunk is ready; the rest of the stream keeps filling in behind it.
+   *
+   * @param {AudioClip} clip - Clip with a PCM16 `stream` and `sampleRate`
+   * @param {Object} [options] - As for addToQueue
+   * @returns {Promise<Object>} - The queued clip
+   */
+  async addStreamToQueue(clip, { next = false } = {}) {
+    const decodeStart = Date.now();
+    const reader = clip.stream
+      .pipeThrough(
+        createPcm16Decoder({
+          minSamples: Math.round(clip.sampleRate * config.tts.minChunkDuration),
+        })
+      )
+      .getReader();
+
+    const entry = {
+      ...clip,
+      audioBuffer: null,
+      chunks: [],
+      duration: 0,
+      isStreaming: true,
+      addedAt: Date.now(),
+    };
+
+    let markComplete;
+    entry.completed = new Promise((resolve) => (markComplete = resolve));
+
+    const first = await reader.read();
+    if (first.done) {
+      throw new Error("TTS stream ended without any audio");
+    }
+
+    this.appendChunk(entry, first.value);
+    entry.decodeLatency = Date.now() - decodeStart;
+    entry.cancelStream = (reason) => reader.cancel(reason).catch(() => {});
+    this.enqueue(entry, { next });
 
-      // Notify listeners
-      this.notifyBufferUpdate();
+    // Keep reading in the background
+    this.pumpStream(entry, reader, markComplete);
 
-      // Trim queue if too long (drop oldest)
-      while (this.queue.length > config.timing.maxBufferClips) {
-        const dropped = this.queue.shift();
-        console.log("📤 Dropped oldest clip from buffer");
+    return entry;
+  }
+
+  /**
+   * Add a dialogue clip to the queue
+   *
+   * Each line's blob is decoded and the lines are stitched into one
+   * AudioBuffer, with config.dialogue.pause of silence between them.
+   * The entry's `segments` say where each line starts and ends, for
+   * onSegmentStart.
+   *
+   * @param {AudioClip} clip - Clip with `segments` (see tts.synthesizeDialogue)
+   * @param {Object} [options] - As for addToQueue
+   * @returns {Promise<Object>} - The queued clip
+   */
+  async addDialogueToQueue(clip, { next = false } = {}) {
+    const decodeStart = Date.now();
+    const buffers = await Promise.all(
+      clip.segments.map((segment) => this.decode(segment.blob))
+    );
+
+    const { sampleRate } = buffers[0];
+    const pause = this.audioContext.createBuffer(
+      1,
+      Math.max(Math.round(config.dialogue.pause * sampleRate), 1),
+      sampleRate
+    );
+
+    const chunks = [];
+    const segments = [];
+    let position = 0;
+
+    clip.segments.forEach(({ blob, ...segment }, index) => {
+      if (index > 0) {
+        chunks.push(pause);
+        position += pause.duration;
+      }
+
+      const buffer = buffers[index];
+      segments.push({
+        ...segment,
+        start: position,
+        end: position + buffer.duration,
+      });
+      chunks.push(buffer);
+      position += buffer.duration;
+    });
+
+    const audioBuffer = this.concatChunks(chunks, sampleRate);
+    const entry = {
+      ...clip,
+      segments,
+      audioBuffer,
+      chunks: [audioBuffer],
+      duration: audioBuffer.duration,
+      isStreaming: false,
+      decodeLatency: Date.now() - decodeStart,
+      addedAt: Date.now(),
+    };
+    entry.completed = Promise.resolve(entry);
+
+    this.enqueue(entry, { next });
+    return entry;
+  }
+
+  async pumpStream(entry, reader, markComplete) {
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        this.appendChunk(entry, value);
       }
     } catch (error) {
-      console.error("Failed to decode audio:", error);
-      throw error;
+      // Keep whatever arrived; a truncated verse beats a dead buffer.
+      // A stream we gave up on ourselves isn't a failure.
+      if (entry.cancelled || error?.name === "AbortError") {
+        console.log("🚫 Audio stream cancelled");
+      } else {
+        console.error("Audio stream error:", error);
+        this.onError?.(error);
+      }
+    }
+
+    entry.audioBuffer = this.concatChunks(entry.chunks, entry.sampleRate);
+    entry.isStreaming = false;
+
+    console.log(`📥 Stream complete (${entry.duration.toFixed(1)}s)`);
+    markComplete?.(entry);
+    this.notifyBufferUpdate();
+
+    this.endClipIfDone(entry);
+
+    // Its end time is known now, so the next clip can be lined up
+    this.scheduleAhead();
+  }
+
+  /**
+   * Turn decoded samples into an AudioBuffer and, if the clip is
+   * already on air, schedule it right away
+   */
+  appendChunk(entry, samples) {
+    const chunk = this.audioContext.createBuffer(
+      1,
+      samples.length,
+      entry.sampleRate
+    );
+    chunk.copyToChannel(samples, 0);
+
+    entry.chunks.push(chunk);
+    entry.duration += chunk.duration;
+
+    if (this.activeClips.has(entry)) {
+      this.scheduleChunks(entry);
+    }
+  }
+
+  /**
+   * Decode an audio file blob into an AudioBuffer
+   *
+   * @param {Blob} blob - MP3, WAV, ...
+   * @returns {Promise<AudioBuffer>}
+   */
+  async decode(blob) {
+    const arrayBuffer = await blob.arrayBuffer();
+    return this.audioContext.decodeAudioData(arrayBuffer);
+  }
+
+  /**
+   * Join stream chunks into one AudioBuffer for the finished clip
+   */
+  concatChunks(chunks, sampleRate) {
+    const length = chunks.reduce((total, chunk) => total + chunk.length, 0);
+    const buffer = this.audioContext.createBuffer(
+      1,
+      Math.max(length, 1),
+      sampleRate
+    );
+
+    let offset = 0;
+    for (const chunk of chunks) {
+      buffer.getChannelData(0).set(chunk.getChannelData(0), offset);
+      offset += chunk.length;
+    }
+
+    return buffer;
+  }
+
+  enqueue(entry, { next = false } = {}) {
+    if (next) {
+      this.queue.unshift(entry);
+    } else {
+      this.queue.push(entry);
+    }
+
+    console.log(
+      `📥 Queued clip (${entry.duration.toFixed(1)}s${
+        entry.isStreaming ? ", streaming" : ""
+      }). Buffer: ${this.queue.length} clips`
+    );
+
+    // Notify listeners
+    this.notifyBufferUpdate();
+
+    // Trim queue if too long (drop oldest, but not a clip put first)
+    while (this.queue.length > config.timing.maxBufferClips) {
+      const [dropped] = this.queue.splice(next ? 1 : 0, 1);
+      console.log("📤 Dropped oldest clip from buffer");
+      this.dropClip(dropped);
     }
+
+    // Ends an underrun right away if the bed is playing
+    this.scheduleAhead();
   }
 
   async play() {
@@ -92,58 +355,464 @@ class AudioBufferManager {
 
     if (this.isPlaying && !this.isPaused) return;
 
+    // The performance takes over from a replayed verse
+    this.stopPreview();
+
     if (this.audioContext.state === "suspended") {
       await this.audioContext.resume();
     }
 
+    if (this.isPaused) {
+      this.resume();
+      return;
+    }
+
     this.isPlaying = true;
     this.isPaused = false;
 
+    this.startScheduler();
+    this.playNext();
+  }
+
+  /**
+   * Look ahead on the AudioContext clock and line up the next clip
+   *
+   * Runs every schedulerInterval. Timers are too jittery to start audio
+   * on time, so instead we start each clip early by `start(when)`: a
+   * little before the current clip ends, overlapping by the crossfade.
+   */
+  startScheduler() {
+    if (this.scheduler) return;
+
+    this.scheduler = setInterval(
+      () => this.scheduleAhead(),
+      config.timing.schedulerInterval
+    );
+  }
+
+  stopScheduler() {
+    clearInterval(this.scheduler);
+    this.scheduler = null;
+  }
+
+  scheduleAhead() {
+    if (!this.isPlaying || this.isPaused) return;
+
+    const tail = this.tail;
+
+    // A clip that is still streaming has no known end yet
+    if (tail?.isStreaming) return;
+
+    if (tail && this.activeClips.has(tail)) {
+      const crossfade = config.timing.crossfadeDuration / 1000;
+      const lookahead = config.timing.scheduleLookahead / 1000;
+      const startAt = tail.endTime - crossfade;
+
+      if (this.audioContext.currentTime < startAt - lookahead) return;
+    }
+
     this.playNext();
   }
 
-  async playNext() {
+  /**
+   * Schedule the next queued clip
+   *
+   * It starts where the current clip's crossfade begins, or right away
+   * when nothing is playing. With an empty queue the ambient bed takes
+   * over until a clip arrives; onUnderrun then says how long the
+   * silence was (s), from when the next clip was due.
+   */
+  playNext() {
     if (!this.isPlaying || this.isPaused) return;
 
-    if (this.queue.length <= config.timing.minBufferClips) {
+    // Once per underrun, not on every scheduler tick while it lasts
+    if (
+      this.queue.length <= config.timing.minBufferClips &&
+      this.underrunAt === null
+    ) {
       this.onBufferLow?.();
     }
 
+    const ctx = this.audioContext;
+    const crossfade = config.timing.crossfadeDuration / 1000;
+    const tail = this.activeClips.has(this.tail) ? this.tail : null;
+    const startAt = Math.max(
+      ctx.currentTime,
+      tail ? tail.endTime - crossfade : 0
+    );
+
     if (this.queue.length === 0) {
-      setTimeout(() => this.playNext(), 500);
+      if (this.underrunAt === null) this.underrunAt = startAt;
+      this.startAmbientBed(startAt);
       return;
     }
 
+    if (this.underrunAt !== null) {
+      const gap = startAt - this.underrunAt;
+      this.underrunAt = null;
+      if (gap > 0) this.onUnderrun?.(gap);
+    }
+
     const clip = this.queue.shift();
+    this.startClip(clip, startAt, tail);
+    this.stopAmbientBed(startAt);
+    this.notifyBufferUpdate();
+  }
+
+  /**
+   * Put a clip on the clock with its own gain envelope
+   *
+   * @param {Object} clip - Queued clip
+   * @param {number} startAt - AudioContext time to start
+   * @param {Object|null} previous - Clip still playing, to crossfade with
+   * @param {number} [offset] - Seconds into the clip to start from (resume)
+   */
+  startClip(clip, startAt, previous, offset = 0) {
+    const ctx = this.audioContext;
+    const fade = config.timing.crossfadeDuration / 1000;
+    const overlap = previous ? Math.max(0, previous.endTime - startAt) : 0;
+
+    clip.gain = ctx.createGain();
+    clip.gain.connect(this.gainNode);
+
+    // Fade in over the overlap, or just enough to avoid a click
+    const fadeIn = Math.max(Math.min(fade, overlap), DECLICK_SECONDS);
+    clip.gain.gain.setValueAtTime(0, startAt);
+    clip.gain.gain.linearRampToValueAtTime(1, startAt + fadeIn);
+
+    if (overlap > 0) {
+      previous.gain.gain.setValueAtTime(1, startAt);
+      previous.gain.gain.linearRampToValueAtTime(0, previous.endTime);
+    }
+
+    // startTime is where offset 0 would have been, so positions
+    // within the clip stay consistent across pause/resume
+    clip.startTime = startAt - offset;
+    clip.playbackOffset = offset;
+    clip.sources = [];
+    clip.scheduledChunks = 0;
+    clip.chunkPosition = 0;
+    clip.nextStartTime = startAt;
+    clip.endTime = startAt;
+
+    this.activeClips.add(clip);
+    this.tail = clip;
+    this.scheduleChunks(clip);
+
+    // Tell listeners when it actually becomes audible
+    const delay = (startAt - ctx.currentTime) * 1000;
+    if (delay <= 0) {
+      this.announceClip(clip);
+    } else {
+      clip.startTimer = setTimeout(() => this.announceClip(clip), delay);
+    }
+
+    this.scheduleSegments(clip, offset);
+
+    // Resumed right at the very end: nothing left to play
+    this.endClipIfDone(clip);
+  }
+
+  /**
+   * Fire onSegmentStart as each dialogue line is reached
+   * From a resumed clip, the line it resumes in fires straight away.
+   *
+   * @param {Object} clip - Active clip
+   * @param {number} offset - Seconds into the clip it starts from
+   */
+  scheduleSegments(clip, offset) {
+    clip.segmentTimers = (clip.segments ?? [])
+      .map((segment, index) => ({ segment, index }))
+      .filter(({ segment }) => segment.end > offset)
+      .map(({ segment, index }) => {
+        const at = clip.startTime + segment.start;
+        const delay = Math.max(0, (at - this.audioContext.currentTime) * 1000);
+
+        return setTimeout(
+          () => this.onSegmentStart?.(clip, segment, index),
+          delay
+        );
+      });
+  }
+
+  /**
+   * Make the clip current; onClipStart fires only the first time,
+   * not when a paused clip resumes
+   */
+  announceClip(clip) {
+    const isFirstStart = !clip.announced;
+
+    clip.startTimer = null;
+    clip.announced = true;
     this.currentlyPlaying = clip;
 
-    this.onClipStart?.(clip);
+    if (isFirstStart) this.onClipStart?.(clip);
     this.notifyBufferUpdate();
+  }
 
-    const source = this.audioContext.createBufferSource();
-    source.buffer = clip.audioBuffer;
-    source.connect(this.gainNode);
-    this.currentSource = source;
+  /**
+   * Schedule every chunk of an active clip that isn't scheduled yet
+   *
+   * Chunks are queued back to back on the AudioContext clock. A regular
+   * clip is a single chunk; a streaming clip keeps adding more.
+   */
+  scheduleChunks(clip) {
+    if (!this.isPlaying || this.isPaused) return;
 
-    source.onended = () => {
+    while (clip.scheduledChunks < clip.chunks.length) {
+      const chunk = clip.chunks[clip.scheduledChunks++];
+
+      // Skip whatever was already heard before a pause
+      const chunkStart = clip.chunkPosition;
+      clip.chunkPosition += chunk.duration;
+
+      const skip = Math.max(0, clip.playbackOffset - chunkStart);
+      if (skip >= chunk.duration) continue;
+
+      const source = this.audioContext.createBufferSource();
+      source.buffer = chunk;
+      source.connect(clip.gain);
+
+      // If the stream fell behind, pick up from now rather than the past
+      const startAt = Math.max(
+        clip.nextStartTime,
+        this.audioContext.currentTime
+      );
+      clip.nextStartTime = startAt + chunk.duration - skip;
+      clip.endTime = clip.nextStartTime;
+
+      clip.sources.push(source);
+      this.currentSource = source;
+
+      source.onended = () => {
+        clip.sources = clip.sources.filter((s) => s !== source);
+        this.endClipIfDone(clip);
+      };
+
+      // Start playback
+      try {
+        if (skip > 0) {
+          source.start(startAt, skip);
+        } else {
+          source.start(startAt);
+        }
+      } catch (error) {
+        console.error("Playback error:", error);
+        this.onError?.(error);
+
+        clip.sources = clip.sources.filter((s) => s !== source);
+        this.endClipIfDone(clip);
+      }
+    }
+  }
+
+  /**
+   * Retire a clip once it has no audio left to play
+   * (stream complete and every scheduled chunk has ended)
+   */
+  endClipIfDone(clip) {
+    if (!this.activeClips.has(clip)) return;
+    if (clip.isStreaming || clip.sources.length > 0) return;
+
+    this.activeClips.delete(clip);
+    clip.gain.disconnect();
+
+    if (clip === this.currentlyPlaying) {
       this.currentSource = null;
       this.currentlyPlaying = null;
+    }
+
+    this.onClipEnd?.(clip);
 
-      this.onClipEnd?.(clip);
+    // Normally the next clip is already lined up; if not, go now
+    this.scheduleAhead();
+  }
+
+  /**
+   * Silence every active clip
+   *
+   * Clips that were lined up but not yet audible go back to the
+   * front of the queue; clips already heard end as usual, except
+   * `keep`, which stays current so it can be resumed.
+   *
+   * @param {Object|null} [keep] - Clip being paused
+   */
+  stopActiveClips(keep = null) {
+    const clips = [...this.activeClips];
+
+    this.activeClips.clear();
+    this.tail = null;
+    this.currentlyPlaying = keep;
+    this.currentSource = null;
 
-      if (this.isPlaying && !this.isPaused) {
-        this.playNext();
+    for (const clip of clips) {
+      clearTimeout(clip.startTimer);
+      clip.segmentTimers?.forEach(clearTimeout);
+
+      for (const source of clip.sources) {
+        source.onended = null;
+        try {
+          source.stop();
+        } catch (e) {
+          // Source might have already stopped
+        }
       }
-    };
+      clip.sources = [];
+      clip.gain.disconnect();
+    }
+
+    const unheard = clips.filter((clip) => !clip.announced);
+    this.queue.unshift(...unheard);
+
+    clips
+      .filter((clip) => clip.announced && clip !== keep)
+      .forEach((clip) => this.onClipEnd?.(clip));
+  }
+
+  /**
+   * Fade in the ambient bed to cover a buffer underrun
+   *
+   * @param {number} at - AudioContext time to start fading in
+   */
+  startAmbientBed(at) {
+    if (!config.ambient.enabled || this.ambientSource) return;
+
+    // A custom bed may still be loading; the synthesized one is instant
+    if (!this.ambientBuffer) {
+      if (config.ambient.url) return;
+      this.ambientBuffer = this.renderAmbientBed();
+    }
+
+    console.log("🌫️ Buffer underrun - ambient bed fading in");
+
+    const source = this.audioContext.createBufferSource();
+    source.buffer = this.ambientBuffer;
+    source.loop = true;
+    source.connect(this.ambientGain);
+    source.start(at);
+    this.ambientSource = source;
+
+    const gain = this.ambientGain.gain;
+    gain.cancelScheduledValues(at);
+    gain.setValueAtTime(0, at);
+    gain.linearRampToValueAtTime(
+      config.ambient.volume,
+      at + config.ambient.fadeDuration / 1000
+    );
+  }
+
+  /**
+   * Fade out the ambient bed as a clip comes in
+   *
+   * @param {number} at - AudioContext time to start fading out
+   */
+  stopAmbientBed(at = this.audioContext.currentTime) {
+    const source = this.ambientSource;
+    if (!source) return;
+
+    this.ambientSource = null;
+
+    const fadeEnd = at + config.ambient.fadeDuration / 1000;
+    const gain = this.ambientGain.gain;
+    gain.cancelScheduledValues(at);
+    gain.setValueAtTime(gain.value, at);
+    gain.linearRampToValueAtTime(0, fadeEnd);
+
+    try {
+      source.stop(fadeEnd);
+    } catch (e) {
+      // Source might have already stopped
+    }
+  }
 
-    // Start playback
+  /**
+   * Load a custom ambient bed (e.g. a room tone recording)
+   *
+   * @param {string} url - Audio file URL
+   */
+  async loadAmbientBed(url) {
     try {
-      source.start(0);
+      const response = await fetch(url);
+      const arrayBuffer = await response.arrayBuffer();
+      this.ambientBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
     } catch (error) {
-      console.error("Playback error:", error);
-      this.onError?.(error);
+      console.error("Failed to load ambient bed, using a soft drone:", error);
+      this.ambientBuffer = this.renderAmbientBed();
+    }
+  }
 
-      this.playNext();
+  /**
+   * Render a soft, slowly breathing drone that loops seamlessly
+   *
+   * Every frequency completes a whole number of cycles in the loop,
+   * so the end joins the start without a click.
+   */
+  renderAmbientBed() {
+    const seconds = 8;
+    const sampleRate = this.audioContext.sampleRate;
+    const buffer = this.audioContext.createBuffer(
+      1,
+      seconds * sampleRate,
+      sampleRate
+    );
+    const data = buffer.getChannelData(0);
+
+    // Cycles per loop → 110Hz, ~165Hz and ~220Hz, gently detuned
+    const partials = [880, 1319, 1762].map((cycles) => cycles / seconds);
+    const breath = 2 / seconds; // Two swells per loop
+
+    for (let i = 0; i < data.length; i++) {
+      const t = i / sampleRate;
+      const swell = 0.6 + 0.4 * Math.sin(2 * Math.PI * breath * t);
+      const tone = partials.reduce(
+        (sum, frequency) => sum + Math.sin(2 * Math.PI * frequency * t),
+        0
+      );
+      data[i] = (tone / partials.length) * swell * 0.5;
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Play a single clip on its own, outside the queue
+   * (e.g. replaying a verse from history while the poet is paused).
+   * Starting another preview stops the previous one.
+   *
+   * @param {Blob} blob - Audio file
+   * @returns {Promise<number>} - Resolves with the duration once it starts
+   */
+  async preview(blob) {
+    await this.initialize();
+    this.stopPreview();
+
+    if (this.audioContext.state === "suspended") {
+      await this.audioContext.resume();
+    }
+
+    const buffer = await this.decode(blob);
+    const source = this.audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.gainNode);
+    source.onended = () => {
+      if (this.previewSource === source) this.previewSource = null;
+    };
+    source.start();
+
+    this.previewSource = source;
+    return buffer.duration;
+  }
+
+  stopPreview() {
+    const source = this.previewSource;
+    if (!source) return;
+
+    this.previewSource = null;
+    source.onended = null;
+    try {
+      source.stop();
+    } catch (e) {
+      // Source might have already stopped
     }
   }
 
@@ -152,33 +821,56 @@ class AudioBufferManager {
    * Stops current clip and saves position
    */
   pause() {
-    if (!this.isPlaying) return;
+    if (!this.isPlaying || this.isPaused) return;
 
     this.isPaused = true;
 
-    // Stop current source
-    if (this.currentSource) {
-      try {
-        this.currentSource.stop();
-      } catch (e) {
-        // Source might have already stopped
-      }
-      this.currentSource = null;
+    // Remember where we are in the clip on air
+    const clip = this.currentlyPlaying;
+    if (clip) {
+      const position = this.audioContext.currentTime - clip.startTime;
+      this.pausedClip = clip;
+      this.pausedOffset = Math.min(Math.max(position, 0), clip.duration);
     }
 
-    console.log("⏸️ Playback paused");
+    this.stopScheduler();
+    this.stopActiveClips(clip);
+    this.stopAmbientBed();
+    this.underrunAt = null;
+
+    console.log(
+      clip
+        ? `⏸️ Playback paused at ${this.pausedOffset.toFixed(1)}s`
+        : "⏸️ Playback paused"
+    );
     this.notifyBufferUpdate();
   }
 
   /**
    * Resume playback after pause
+   * Restarts the paused clip from where it stopped
    */
   resume() {
     if (!this.isPaused) return;
 
     this.isPaused = false;
-    console.log("▶️ Playback resumed");
-    this.playNext();
+    this.startScheduler();
+
+    const clip = this.pausedClip;
+    this.pausedClip = null;
+
+    if (clip) {
+      console.log(`▶️ Playback resumed at ${this.pausedOffset.toFixed(1)}s`);
+      this.startClip(
+        clip,
+        this.audioContext.currentTime,
+        null,
+        this.pausedOffset
+      );
+    } else {
+      console.log("▶️ Playback resumed");
+      this.playNext();
+    }
   }
 
   /**
@@ -189,16 +881,17 @@ class AudioBufferManager {
     this.isPlaying = false;
     this.isPaused = false;
 
-    if (this.currentSource) {
-      try {
-        this.currentSource.stop();
-      } catch (e) {
-        // Source might have already stopped
-      }
-      this.currentSource = null;
+    this.stopScheduler();
+    this.stopActiveClips();
+    this.stopAmbientBed();
+    this.underrunAt = null;
+
+    // A paused clip is dropped too
+    if (this.pausedClip) {
+      this.onClipEnd?.(this.pausedClip);
+      this.pausedClip = null;
     }
 
-    this.currentlyPlaying = null;
     console.log("⏹️ Playback stopped");
     this.notifyBufferUpdate();
   }
@@ -223,6 +916,36 @@ class AudioBufferManager {
     return this.gainNode?.gain.value ?? 1;
   }
 
+  /**
+   * Where playback is within the clip on air
+   *
+   * Counted on the AudioContext clock, less the output latency, so it
+   * matches what is heard. While paused it stays where it stopped.
+   *
+   * @returns {{clip: Object, position: number, duration: number}|null}
+   *   Seconds; null when no clip is on air
+   */
+  getPlaybackPosition() {
+    if (this.isPaused) {
+      const clip = this.pausedClip;
+      return clip
+        ? { clip, position: this.pausedOffset, duration: clip.duration }
+        : null;
+    }
+
+    const clip = this.currentlyPlaying;
+    if (!clip) return null;
+
+    const heard =
+      this.audioContext.currentTime - (this.audioContext.outputLatency || 0);
+    const position = Math.min(
+      Math.max(heard - clip.startTime, 0),
+      clip.duration
+    );
+
+    return { clip, position, duration: clip.duration };
+  }
+
   /**
    * Get total buffered duration
    * @returns {number} - Total seconds of audio in queue
@@ -237,6 +960,7 @@ class AudioBufferManager {
       totalBufferedSeconds: this.getTotalBufferedSeconds(),
       isPlaying: this.isPlaying,
       isPaused: this.isPaused,
+      pausedAt: this.pausedClip ? this.pausedOffset : null,
       currentlyPlaying: this.currentlyPlaying
         ? {
             text: this.currentlyPlaying.text,
@@ -250,11 +974,24 @@ class AudioBufferManager {
    * Clear the entire queue
    */
   clearQueue() {
+    this.queue.forEach((clip) => this.dropClip(clip));
     this.queue = [];
     console.log("🗑️ Queue cleared");
     this.notifyBufferUpdate();
   }
 
+  /**
+   * Let go of a clip that will never play
+   * A stream still arriving is cancelled so it stops downloading.
+   */
+  dropClip(clip) {
+    if (clip.isStreaming) {
+      clip.cancelled = true;
+      clip.cancelStream?.(new DOMException("Clip dropped", "AbortError"));
+    }
+    this.onClipDropped?.(clip);
+  }
+
   notifyBufferUpdate() {
     this.onBufferUpdate?.(this.getStatus());
   }
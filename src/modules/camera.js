@@ -1,44 +1,244 @@
+/**
+ * Camera Module
+ *
+ * Supplies frames to the pipeline from the current frame source:
+ * a live camera (default), a looping video file, a list of still
+ * images, or a shared screen (see src/sources/).
+ *
+ * Key concepts:
+ * - getUserMedia / getDisplayMedia: Browser access to cameras and screens
+ * - Canvas: Draws the current frame so it can be encoded as JPEG
+ * - Frame signatures: Cheap pixel fingerprints for change detection
+ * - Samples: Tiny frames for on-device analysis (see modules/audience.js)
+ */
+
 import { config } from "../utils/config.js";
+import { loadSetting, saveSetting } from "../utils/storage.js";
+import { createFrameSource } from "../sources/index.js";
+import { restoreMedia, saveMedia } from "../utils/media.js";
 
-class CameraModule {
+export class CameraModule {
   constructor() {
     this.videoElement = null;
-    this.stream = null;
+    this.source = null;
     this.canvas = document.createElement("canvas");
     this.ctx = this.canvas.getContext("2d");
     this.isInitialized = false;
+
+    // Chosen camera ("" = browser default), remembered across reloads
+    this.deviceId = loadSetting("cameraDeviceId", config.camera.deviceId);
+    this.reconnectTimer = null;
+
+    // Tiny canvas for frame signatures (see captureSignature)
+    this.signatureCanvas = document.createElement("canvas");
+    this.signatureCtx = this.signatureCanvas.getContext("2d", {
+      willReadFrequently: true,
+    });
+
+    // Signature of the last frame sent to vision
+    this.referenceSignature = null;
+    this.changePending = false;
+    this.watchTimer = null;
+
+    this.onSceneChange = null;
+    this.onDisconnect = null;
+    this.onReconnect = null;
+    this.onDevicesChange = null;
+    this.onSourceChange = null;
+  }
+
+  /**
+   * The live stream, when the source has one
+   * @returns {MediaStream|null}
+   */
+  get stream() {
+    return this.source?.stream ?? null;
   }
 
   async initialize(videoElement) {
     this.videoElement = videoElement;
 
+    const { kind, videoUrl, imageUrls } = config.source;
+
     try {
-      this.stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          width: { ideal: 640 },
-          height: { ideal: 480 },
-          facingMode: "user",
-        },
-        audio: false,
-      });
-
-      this.videoElement.srcObject = this.stream;
-
-      await new Promise((resolve, reject) => {
-        this.videoElement.onloadedmetadata = () => {
-          this.canvas.width = this.videoElement.videoWidth;
-          this.canvas.height = this.videoElement.videoHeight;
-          resolve();
-        };
-        this.videoElement.onerror = reject;
-      });
-
-      this.isInitialized = true;
-
-      return true;
+      if (kind === "camera") {
+        await this.openCamera();
+      } else {
+        await this.openConfiguredSource(kind, videoUrl, imageUrls);
+      }
     } catch (error) {
       throw new Error(`Camera error: ${error.message}`);
     }
+
+    navigator.mediaDevices.addEventListener?.("devicechange", () =>
+      this.handleDeviceChange()
+    );
+
+    return true;
+  }
+
+  /**
+   * Open the saved camera, or the default one if it's gone
+   * (a saved USB camera may be unplugged)
+   */
+  async openCamera() {
+    try {
+      await this.useSource("camera", { deviceId: this.deviceId });
+    } catch (error) {
+      if (!this.deviceId) throw error;
+
+      console.log(
+        `📷 Saved camera unavailable (${error.message}), using default`
+      );
+      await this.useSource("camera", { deviceId: "" });
+    }
+  }
+
+  /**
+   * Open the source named in config, falling back to the camera
+   * (screen capture, for one, can't start without a click)
+   */
+  async openConfiguredSource(kind, url, urls) {
+    try {
+      await this.useSource(kind, { url, urls });
+    } catch (error) {
+      console.log(`📷 ${kind} source failed (${error.message}), using camera`);
+      await this.openCamera();
+    }
+  }
+
+  /**
+   * Switch frame source
+   * The old source keeps running until the new one has started,
+   * so a failed switch (or a cancelled screen share) changes nothing:
+   * whatever the new source put on the <video> is undone.
+   *
+   * @param {"camera"|"screen"|"video"|"images"} kind - Source type
+   * @param {Object} [options] - Source options (deviceId, file, files, url, urls)
+   */
+  async useSource(kind, options = {}) {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    const source = createFrameSource(kind, options);
+    const previous = saveMedia(this.videoElement);
+
+    try {
+      await source.start(this.videoElement);
+    } catch (error) {
+      source.stop();
+      restoreMedia(this.videoElement, previous);
+      throw error;
+    }
+
+    this.source?.stop();
+    this.source = source;
+    source.onEnded = () => this.handleSourceEnded(source);
+
+    if (source.kind === "camera") this.deviceId = source.deviceId;
+    this.videoElement.dataset.source = source.kind; // Only cameras are mirrored
+    this.isInitialized = true;
+
+    const { width, height } = source.getSize();
+    console.log(`📷 Source: ${source.label} (${width}x${height})`);
+
+    this.onSourceChange?.(source);
+  }
+
+  /**
+   * List the cameras the browser can see
+   * Labels are only filled in once camera permission has been granted.
+   *
+   * @returns {Promise<CameraDevice[]>}
+   */
+  async listDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+
+    return devices
+      .filter((device) => device.kind === "videoinput")
+      .map((device, index) => ({
+        id: device.deviceId,
+        label: device.label || `Camera ${index + 1}`,
+      }));
+  }
+
+  /**
+   * Switch to another camera and remember the choice
+   *
+   * @param {string} deviceId - From listDevices()
+   */
+  async switchDevice(deviceId) {
+    try {
+      await this.useSource("camera", { deviceId });
+      saveSetting("cameraDeviceId", this.deviceId);
+    } catch (error) {
+      throw new Error(`Camera error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop the current source (releases the camera and its light)
+   */
+  stop() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopWatching();
+    this.source?.stop();
+    this.source = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * The source went away. A camera (unplugged, taken by another app,
+   * driver crash) is retried every config.camera.reconnectDelay; when
+   * screen sharing stops we go back to the camera.
+   */
+  handleSourceEnded(source) {
+    if (source !== this.source) return;
+
+    this.isInitialized = false;
+
+    if (!source.reconnectable) {
+      console.log(`📷 ${source.label} ended, back to the camera`);
+      this.source.stop();
+      this.source = null;
+      this.onDisconnect?.();
+      this.scheduleReconnect(0);
+      return;
+    }
+
+    console.error("📷 Camera track ended, reconnecting...");
+    this.onDisconnect?.();
+
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect(delay = config.camera.reconnectDelay) {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+  }
+
+  async reconnect() {
+    this.reconnectTimer = null;
+
+    try {
+      await this.useSource("camera", { deviceId: this.deviceId });
+      console.log("📷 Camera reconnected");
+      this.onReconnect?.();
+    } catch (error) {
+      console.error("Camera reconnect failed:", error.message);
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * A camera was plugged in or out: refresh pickers, and retry
+   * straight away if we're waiting for ours to come back
+   */
+  async handleDeviceChange() {
+    this.onDevicesChange?.(await this.listDevices());
+
+    if (this.reconnectTimer) this.scheduleReconnect(0);
   }
 
   captureFrame() {
@@ -46,8 +246,14 @@ class CameraModule {
       throw new Error("Camera not initialized. Call initialize() first.");
     }
 
+    // Big sources (screens) are scaled down; vision doesn't need 4K
+    const { width, height } = this.source.getSize();
+    const scale = Math.min(1, config.source.maxFrameWidth / width);
+    this.canvas.width = Math.round(width * scale);
+    this.canvas.height = Math.round(height * scale);
+
     this.ctx.drawImage(
-      this.videoElement,
+      this.source.getDrawable(),
       0,
       0,
       this.canvas.width,
@@ -61,6 +267,150 @@ class CameraModule {
 
     return dataUrl.split(",")[1];
   }
+
+  /**
+   * Capture a small JPEG of the current frame, for the session record
+   *
+   * @returns {string} - data: URL
+   */
+  captureThumbnail() {
+    if (!this.isInitialized) {
+      throw new Error("Camera not initialized. Call initialize() first.");
+    }
+
+    const { width, height } = this.source.getSize();
+    const thumbnail = document.createElement("canvas");
+    thumbnail.width = config.recorder.thumbnailWidth;
+    thumbnail.height = Math.round((height / width) * thumbnail.width);
+
+    thumbnail
+      .getContext("2d")
+      .drawImage(
+        this.source.getDrawable(),
+        0,
+        0,
+        thumbnail.width,
+        thumbnail.height
+      );
+
+    return thumbnail.toDataURL("image/jpeg", 0.6);
+  }
+
+  /**
+   * Capture a cheap fingerprint of the current frame
+   *
+   * The frame is shrunk to a small grid and reduced to luminance, so
+   * noise and tiny movements average out. Costs no API call.
+   *
+   * @returns {Uint8Array} - gridSize × gridSize luminance values (0-255)
+   */
+  captureSignature() {
+    if (!this.isInitialized) {
+      throw new Error("Camera not initialized. Call initialize() first.");
+    }
+
+    const size = config.sceneChange.gridSize;
+    const { data } = this.captureSample(size, size);
+
+    const signature = new Uint8Array(size * size);
+    for (let i = 0; i < signature.length; i++) {
+      const r = data[i * 4];
+      const g = data[i * 4 + 1];
+      const b = data[i * 4 + 2];
+      signature[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+    }
+
+    return signature;
+  }
+
+  /**
+   * The current frame shrunk to a few pixels, for cheap on-device
+   * analysis (signatures, audience detection)
+   *
+   * @param {number} width - Sample size (px)
+   * @param {number} height
+   * @returns {ImageData} - RGBA pixels
+   */
+  captureSample(width, height) {
+    if (!this.isInitialized) {
+      throw new Error("Camera not initialized. Call initialize() first.");
+    }
+
+    this.signatureCanvas.width = width;
+    this.signatureCanvas.height = height;
+
+    this.signatureCtx.drawImage(this.source.getDrawable(), 0, 0, width, height);
+    return this.signatureCtx.getImageData(0, 0, width, height);
+  }
+
+  /**
+   * How different two signatures are
+   *
+   * @returns {number} - Mean luminance difference, 0 (same) to 1;
+   *   1 when either is missing
+   */
+  compareSignatures(a, b) {
+    if (!a || !b || a.length !== b.length) return 1;
+
+    let total = 0;
+    for (let i = 0; i < a.length; i++) {
+      total += Math.abs(a[i] - b[i]);
+    }
+
+    return total / (a.length * 255);
+  }
+
+  /**
+   * How much the view has changed since the last analyzed frame
+   *
+   * @param {Uint8Array} [signature] - Defaults to a fresh capture
+   * @returns {number} - 0 to 1
+   */
+  getChange(signature = this.captureSignature()) {
+    return this.compareSignatures(signature, this.referenceSignature);
+  }
+
+  /**
+   * Remember the signature of a frame that was sent to vision
+   */
+  setReference(signature) {
+    this.referenceSignature = signature;
+    this.changePending = false;
+  }
+
+  /**
+   * Watch for big changes between generations
+   * Calls onSceneChange(change) once per change, until the next
+   * analyzed frame becomes the new reference.
+   */
+  startWatching() {
+    this.stopWatching();
+
+    this.watchTimer = setInterval(() => {
+      if (!this.isInitialized) return;
+      if (!this.referenceSignature || this.changePending) return;
+
+      const change = this.getChange();
+      if (change >= config.sceneChange.triggerThreshold) {
+        this.changePending = true;
+        console.log(`🎬 Scene changed (${(change * 100).toFixed(0)}%)`);
+        this.onSceneChange?.(change);
+      }
+    }, config.sceneChange.checkInterval);
+  }
+
+  stopWatching() {
+    if (this.watchTimer) {
+      clearInterval(this.watchTimer);
+      this.watchTimer = null;
+    }
+  }
 }
 
+/**
+ * @typedef {Object} CameraDevice
+ * @property {string} id - deviceId for switchDevice()
+ * @property {string} label - Name to show in the picker
+ */
+
 export const camera = new CameraModule();
@@ -0,0 +1,238 @@
+/**
+ * Cost Tracker
+ *
+ * Counts what every API call uses (tokens for vision and poetry,
+ * characters for speech), prices it from config.costs.prices, and
+ * keeps running totals for the session and for today. A budget can
+ * cap either; nearing it switches to cheaper settings, reaching it
+ * pauses generation (or keeps going cheaply).
+ *
+ * Key concepts:
+ * - Usage: Recorded by the vision, poetry and TTS modules after each
+ *   call that succeeds, with the model that answered
+ * - Today: Saved across reloads and started afresh on a new day
+ *   (local time), so a daily cap holds through restarts
+ * - Levels: 'normal', 'economy' (config.costs.economy: lower image
+ *   detail, smaller models) and 'paused'; the app reacts through
+ *   onLevelChange
+ */
+
+import { config } from "../utils/config.js";
+import { loadSetting, saveSetting } from "../utils/storage.js";
+
+const SERVICES = ["vision", "poetry", "tts"];
+
+export class CostTracker {
+  constructor() {
+    this.session = emptyTotals();
+    this.today = loadToday();
+    this.level = "normal"; // 'normal' | 'economy' | 'paused'
+
+    // Models without a price, warned about once each
+    this.unpriced = new Set();
+
+    this.onUpdate = null;
+    this.onLevelChange = null;
+  }
+
+  /**
+   * Count one call
+   *
+   * @param {"vision"|"poetry"|"tts"} service
+   * @param {Object} usage
+   * @param {string} usage.model - Model that answered, for its price
+   * @param {number} [usage.inputTokens]
+   * @param {number} [usage.outputTokens]
+   * @param {number} [usage.characters] - Characters spoken
+   * @returns {number} - What the call cost
+   */
+  record(
+    service,
+    { model, inputTokens = 0, outputTokens = 0, characters = 0 }
+  ) {
+    this.rollOver();
+
+    const cost = this.price(model, { inputTokens, outputTokens, characters });
+
+    for (const totals of [this.session, this.today]) {
+      const entry = totals.services[service];
+      entry.calls++;
+      entry.inputTokens += inputTokens;
+      entry.outputTokens += outputTokens;
+      entry.characters += characters;
+      entry.cost += cost;
+      totals.cost += cost;
+    }
+    saveSetting("usage", this.today);
+
+    this.checkBudget();
+    this.onUpdate?.();
+
+    return cost;
+  }
+
+  /**
+   * What some usage of a model costs, from config.costs.prices
+   *
+   * @returns {number} - In config.costs.currency
+   */
+  price(model, { inputTokens = 0, outputTokens = 0, characters = 0 }) {
+    const price = config.costs.prices[model];
+
+    if (!price) {
+      if (model && !this.unpriced.has(model)) {
+        this.unpriced.add(model);
+        console.warn(`💸 No price for ${model}, counting it as free`);
+      }
+      return 0;
+    }
+
+    return (
+      (inputTokens * (price.input ?? 0)) / 1e6 +
+      (outputTokens * (price.output ?? 0)) / 1e6 +
+      (characters * (price.characters ?? 0)) / 1e3
+    );
+  }
+
+  /**
+   * Settle the level from what has been spent
+   *
+   * @returns {"normal"|"economy"|"paused"}
+   */
+  checkBudget() {
+    this.rollOver();
+
+    const { economyAt, onLimit } = config.costs.budget;
+    const spent = this.getSpentShare();
+    const level =
+      spent >= 1
+        ? onLimit === "pause"
+          ? "paused"
+          : "economy"
+        : economyAt && spent >= economyAt
+        ? "economy"
+        : "normal";
+
+    if (level !== this.level) {
+      const previous = this.level;
+      this.level = level;
+      console.log(`💸 Budget: ${previous} → ${level}`);
+      this.onLevelChange?.(level, previous);
+    }
+
+    return level;
+  }
+
+  /**
+   * The cheaper settings to use right now
+   *
+   * @returns {Object|null} - config.costs.economy, or null at full quality
+   */
+  get economy() {
+    return this.level === "economy" ? config.costs.economy : null;
+  }
+
+  /**
+   * How much of the tighter budget is spent
+   *
+   * @returns {number} - 0 to 1 (and beyond); 0 without caps
+   */
+  getSpentShare() {
+    const { session, daily } = config.costs.budget;
+
+    return Math.max(
+      session > 0 ? this.session.cost / session : 0,
+      daily > 0 ? this.today.cost / daily : 0
+    );
+  }
+
+  /**
+   * Totals for the stats panel
+   *
+   * @returns {{session: UsageTotals, today: UsageTotals, level: string,
+   *   budget: {session: number, daily: number}}}
+   */
+  getTotals() {
+    this.rollOver();
+
+    return {
+      session: this.session,
+      today: this.today,
+      level: this.level,
+      budget: {
+        session: config.costs.budget.session,
+        daily: config.costs.budget.daily,
+      },
+    };
+  }
+
+  /**
+   * Start counting a new session; today's totals carry on
+   */
+  resetSession() {
+    this.session = emptyTotals();
+    this.checkBudget();
+    this.onUpdate?.();
+  }
+
+  /**
+   * Start today's totals afresh once the date has changed
+   */
+  rollOver() {
+    if (this.today.day === dayKey()) return;
+
+    this.today = { day: dayKey(), ...emptyTotals() };
+    saveSetting("usage", this.today);
+  }
+}
+
+function emptyTotals() {
+  const services = {};
+  for (const service of SERVICES) {
+    services[service] = {
+      calls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      characters: 0,
+      cost: 0,
+    };
+  }
+
+  return { services, cost: 0 };
+}
+
+function loadToday() {
+  const saved = loadSetting("usage");
+  if (saved?.day === dayKey() && saved.services) return saved;
+
+  return { day: dayKey(), ...emptyTotals() };
+}
+
+/**
+ * Today's local date, e.g. "2024-05-01"
+ */
+function dayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+/**
+ * @typedef {Object} UsageTotals
+ * @property {Object<string, ServiceUsage>} services - vision, poetry, tts
+ * @property {number} cost - All services together
+ * @property {string} [day] - For today's totals, e.g. "2024-05-01"
+ */
+
+/**
+ * @typedef {Object} ServiceUsage
+ * @property {number} calls
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} characters - Characters spoken (TTS)
+ * @property {number} cost - In config.costs.currency
+ */
+
+// Export singleton instance
+export const costs = new CostTracker();
@@ -0,0 +1,339 @@
+/**
+ * Session History
+ *
+ * Keeps every generated clip (thumbnail, scene, poem, audio, latencies
+ * and tokens) in IndexedDB, grouped by session, so past performances
+ * can be browsed and replayed after a reload.
+ *
+ * Key concepts:
+ * - IndexedDB: The browser's built-in database; unlike localStorage it
+ *   stores Blobs and has room for hours of audio
+ * - Object stores: "sessions" holds one row per session, "clips" one
+ *   row per verse, indexed by its session
+ * - Session: Everything generated since the page was loaded, or
+ *   since the last performance was finished
+ */
+
+import { config } from "../utils/config.js";
+import { encodeWav } from "../utils/wav.js";
+
+const DB_NAME = "mil4dy";
+const DB_VERSION = 1;
+
+export class SessionHistory {
+  constructor() {
+    this.db = null;
+    this.opening = null;
+
+    // Current session, created with its first clip
+    this.session = null; // Promise of its row id
+    this.sessionId = null;
+
+    // Called after clips are saved or sessions deleted
+    this.onUpdate = null;
+  }
+
+  /**
+   * Open the database, creating the stores on first use
+   *
+   * @returns {Promise<IDBDatabase|null>} - null when IndexedDB is
+   *   unavailable (private mode, old browsers)
+   */
+  open() {
+    if (typeof indexedDB === "undefined") return Promise.resolve(null);
+
+    this.opening ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore("sessions", {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        const clips = db.createObjectStore("clips", {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        clips.createIndex("sessionId", "sessionId");
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      console.error("History unavailable:", error);
+      return null;
+    });
+
+    return this.opening;
+  }
+
+  /**
+   * Save a generated clip once all of its audio has arrived
+   *
+   * @param {Object} result - From pipeline.onClipQueued
+   * @returns {Promise<number|null>} - The clip's row id, or null if not saved
+   */
+  async saveClip({ scene, poem, audio, clip, totalLatency }) {
+    if (!config.history.enabled) return null;
+
+    const db = await this.open();
+    if (!db) return null;
+
+    try {
+      // Streaming clips are still arriving when they're queued
+      const complete = await clip.completed;
+      const sessionId = await this.getSession();
+
+      const record = {
+        sessionId,
+        createdAt: audio.timestamp ?? Date.now(),
+        text: poem.text,
+        language: poem.language ?? null,
+        translation: clip.translation ?? null,
+        segments: clip.segments ?? null,
+        scene: scene.description,
+        thumbnail: scene.thumbnail ?? null,
+        audio: complete.blob ?? encodeAudioBuffer(complete.audioBuffer),
+        duration: complete.duration,
+        latency: {
+          vision: scene.reused ? 0 : scene.latency ?? 0,
+          poetry: poem.latency ?? 0,
+          tts: audio.latency ?? 0,
+          total: totalLatency,
+        },
+        tokens: {
+          vision: scene.reused ? 0 : scene.tokens ?? 0,
+          poetry: poem.tokens ?? 0,
+        },
+      };
+
+      const tx = db.transaction(["sessions", "clips"], "readwrite");
+      const id = await request(tx.objectStore("clips").add(record));
+
+      const sessions = tx.objectStore("sessions");
+      const session = await request(sessions.get(sessionId));
+      if (session) {
+        session.clipCount++;
+        session.endedAt = record.createdAt;
+        sessions.put(session);
+      }
+      await done(tx);
+
+      console.log(`🗄️ Saved clip to history (session ${sessionId})`);
+      this.onUpdate?.();
+      return id;
+    } catch (error) {
+      // History is a nice-to-have; never let it break the performance
+      console.error("Could not save clip to history:", error);
+      return null;
+    }
+  }
+
+  /**
+   * The current session's id, creating the session on first use
+   * and deleting the oldest ones beyond config.history.maxSessions
+   */
+  getSession() {
+    this.session ??= (async () => {
+      const db = await this.open();
+      const now = Date.now();
+
+      const tx = db.transaction("sessions", "readwrite");
+      const id = await request(
+        tx.objectStore("sessions").add({
+          startedAt: now,
+          endedAt: now,
+          clipCount: 0,
+        })
+      );
+      await done(tx);
+      this.sessionId = id;
+
+      const sessions = await this.listSessions();
+      for (const old of sessions.slice(config.history.maxSessions)) {
+        await this.deleteSession(old.id);
+      }
+
+      return id;
+    })();
+
+    // Let a failed attempt be retried with the next clip
+    this.session.catch(() => (this.session = null));
+
+    return this.session;
+  }
+
+  /**
+   * Close the current session; the next clip starts a new one
+   */
+  endSession() {
+    this.session = null;
+    this.sessionId = null;
+  }
+
+  /**
+   * @returns {Promise<HistorySession[]>} - Newest first
+   */
+  async listSessions() {
+    const db = await this.open();
+    if (!db) return [];
+
+    const tx = db.transaction("sessions");
+    const sessions = await request(tx.objectStore("sessions").getAll());
+
+    return sessions.sort((a, b) => b.startedAt - a.startedAt || b.id - a.id);
+  }
+
+  /**
+   * @param {number} sessionId
+   * @returns {Promise<HistoryClip[]>} - In the order they were generated
+   */
+  async listClips(sessionId) {
+    const db = await this.open();
+    if (!db) return [];
+
+    const tx = db.transaction("clips");
+    const clips = await request(
+      tx.objectStore("clips").index("sessionId").getAll(sessionId)
+    );
+
+    return clips.sort((a, b) => a.createdAt - b.createdAt || a.id - b.id);
+  }
+
+  /**
+   * @param {number} id - Clip row id
+   * @returns {Promise<HistoryClip|null>}
+   */
+  async getClip(id) {
+    const db = await this.open();
+    if (!db) return null;
+
+    const tx = db.transaction("clips");
+    return (await request(tx.objectStore("clips").get(id))) ?? null;
+  }
+
+  /**
+   * Delete a session and all of its clips
+   * Deleting the current session starts a new one with the next clip.
+   *
+   * @param {number} sessionId
+   */
+  async deleteSession(sessionId) {
+    const db = await this.open();
+    if (!db) return;
+
+    const tx = db.transaction(["sessions", "clips"], "readwrite");
+    const clips = tx.objectStore("clips");
+    const keys = await request(clips.index("sessionId").getAllKeys(sessionId));
+
+    keys.forEach((key) => clips.delete(key));
+    tx.objectStore("sessions").delete(sessionId);
+    await done(tx);
+
+    if (this.sessionId === sessionId) {
+      this.session = null;
+      this.sessionId = null;
+    }
+
+    console.log(`🗑️ Deleted session ${sessionId} (${keys.length} clips)`);
+    this.onUpdate?.();
+  }
+
+  /**
+   * How much space history takes up
+   *
+   * The browser's estimate covers the whole origin and may be padded;
+   * without one we add up the audio and thumbnails ourselves.
+   *
+   * @returns {Promise<{usage: number, quota: number|null}>} - Bytes
+   */
+  async getUsage() {
+    if (navigator.storage?.estimate) {
+      try {
+        const { usage = 0, quota = null } = await navigator.storage.estimate();
+        return { usage, quota };
+      } catch (error) {
+        // Fall through to counting
+      }
+    }
+
+    const db = await this.open();
+    if (!db) return { usage: 0, quota: null };
+
+    const tx = db.transaction("clips");
+    const clips = await request(tx.objectStore("clips").getAll());
+    const usage = clips.reduce(
+      (total, clip) =>
+        total + (clip.audio?.size ?? 0) + (clip.thumbnail?.length ?? 0),
+      0
+    );
+
+    return { usage, quota: null };
+  }
+}
+
+/**
+ * IDBRequest → Promise
+ */
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Resolves when a transaction has committed
+ */
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Streamed clips have no file of their own; store them as WAV
+ */
+function encodeAudioBuffer(buffer) {
+  const channels = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    channels.push(buffer.getChannelData(c));
+  }
+  return encodeWav(channels, buffer.sampleRate);
+}
+
+/**
+ * @typedef {Object} HistorySession
+ * @property {number} id - Row id
+ * @property {number} startedAt - When its first clip was saved
+ * @property {number} endedAt - When its last clip was saved
+ * @property {number} clipCount - Clips saved
+ */
+
+/**
+ * @typedef {Object} HistoryClip
+ * @property {number} id - Row id
+ * @property {number} sessionId - Session it belongs to
+ * @property {number} createdAt - When it was generated
+ * @property {string} text - Poem text
+ * @property {string|null} language - Language code of the poem
+ * @property {{text: string, language: string}|null} translation - Shown
+ *   beside the poem, if one was made
+ * @property {Object[]|null} segments - Dialogue lines with their speaker,
+ *   and start and end (s) in the audio; null for a single voice
+ * @property {string} scene - Scene description it was written from
+ * @property {string|null} thumbnail - Small JPEG data URL of the frame
+ * @property {Blob} audio - MP3 or WAV
+ * @property {number} duration - Seconds
+ * @property {{vision: number, poetry: number, tts: number, total: number}} latency - ms
+ * @property {{vision: number, poetry: number}} tokens - API tokens used
+ */
+
+// Export singleton instance
+export const sessionHistory = new SessionHistory();
@@ -0,0 +1,132 @@
+/**
+ * Languages
+ *
+ * Which language the poet writes and speaks in, and which one (if any)
+ * a translation is shown in beside each verse. Both choices are saved
+ * locally.
+ *
+ * Key concepts:
+ * - Language codes: ISO 639-1 ("es", "ja"), shared by the prompts, the
+ *   TTS voice choice and the overlay's lang attributes
+ * - Prompt names: Models follow "write in Spanish" more reliably than
+ *   "write in es", so each language carries its English name
+ * - Translation: An optional second column, written by the poetry
+ *   model while the verse is being spoken
+ */
+
+import { config } from "../utils/config.js";
+import { loadSetting, saveSetting } from "../utils/storage.js";
+
+// name: used in prompts; label: shown in the pickers
+export const LANGUAGES = {
+  en: { name: "English", label: "English" },
+  es: { name: "Spanish", label: "Español" },
+  fr: { name: "French", label: "Français" },
+  de: { name: "German", label: "Deutsch" },
+  it: { name: "Italian", label: "Italiano" },
+  pt: { name: "Portuguese", label: "Português" },
+  nl: { name: "Dutch", label: "Nederlands" },
+  pl: { name: "Polish", label: "Polski" },
+  ja: { name: "Japanese", label: "日本語" },
+  zh: { name: "Chinese", label: "中文" },
+  ko: { name: "Korean", label: "한국어" },
+  hi: { name: "Hindi", label: "हिन्दी" },
+};
+
+export class LanguageSettings {
+  constructor() {
+    const saved = loadSetting("poetryLanguage", config.language.poetry);
+    this.currentId = LANGUAGES[saved] ? saved : "en";
+
+    // "" is saved for "no translation", so it survives a configured default
+    const translation = loadSetting(
+      "translationLanguage",
+      config.language.translation
+    );
+    this.translationId = LANGUAGES[translation] ? translation : null;
+
+    // Called with the poetry language whenever either choice changes
+    this.onChange = null;
+  }
+
+  /**
+   * @returns {Language[]}
+   */
+  list() {
+    return Object.keys(LANGUAGES).map((id) => this.get(id));
+  }
+
+  /**
+   * @param {string} id - Language code
+   * @returns {Language}
+   */
+  get(id) {
+    if (!LANGUAGES[id]) throw new Error(`Unknown language: ${id}`);
+    return { id, ...LANGUAGES[id] };
+  }
+
+  /**
+   * The language the poet writes in
+   * @returns {Language}
+   */
+  get current() {
+    return this.get(this.currentId);
+  }
+
+  /**
+   * The language verses are translated into, or null when there is
+   * no translation (or it would be the same language)
+   *
+   * @returns {Language|null}
+   */
+  get translation() {
+    if (!this.translationId || this.translationId === this.currentId) {
+      return null;
+    }
+    return this.get(this.translationId);
+  }
+
+  /**
+   * Switch the poetry language; takes effect from the next clip
+   *
+   * @param {string} id
+   */
+  select(id) {
+    const language = this.get(id);
+    if (id === this.currentId) return;
+
+    this.currentId = id;
+    saveSetting("poetryLanguage", id);
+
+    console.log(`🌐 Poetry language: ${language.name}`);
+    this.onChange?.(language);
+  }
+
+  /**
+   * Show a translation beside each verse
+   *
+   * @param {string|null} id - Language code; null or "" for none
+   */
+  setTranslation(id) {
+    if (id) this.get(id);
+    if ((id || null) === this.translationId) return;
+
+    this.translationId = id || null;
+    saveSetting("translationLanguage", id || "");
+
+    console.log(
+      id ? `🌐 Translating into ${LANGUAGES[id].name}` : "🌐 Translation off"
+    );
+    this.onChange?.(this.current);
+  }
+}
+
+/**
+ * @typedef {Object} Language
+ * @property {string} id - ISO 639-1 code, e.g. "es"
+ * @property {string} name - English name, for prompts
+ * @property {string} label - Native name, for the pickers
+ */
+
+// Export singleton instance
+export const languages = new LanguageSettings();
@@ -0,0 +1,243 @@
+/**
+ * Metrics Collector
+ *
+ * Times every stage of every clip, so config.timing can be tuned with
+ * real numbers instead of console scrollback: vision, poetry and speech
+ * latency, decoding, the whole pipeline, buffer underruns, and how long
+ * the room waits for the first verse after "Begin".
+ *
+ * Key concepts:
+ * - Stages: Recorded per clip from what the pipeline hands over (see
+ *   GenerationPipeline.onClipQueued); a reused scene has no vision time
+ * - Percentiles: Nearest-rank p50/p90/p99 over the clips kept
+ *   (config.metrics.maxClips)
+ * - Underruns: Stretches of silence, from when the next clip was due
+ *   until one started (AudioBufferManager.onUnderrun)
+ * - Time to first audio: From "Begin" with nothing buffered to the
+ *   first verse being heard
+ * - Export: JSON with everything, or CSV with a row per clip
+ */
+
+import { config } from "../utils/config.js";
+
+const STAGES = ["vision", "poetry", "tts", "decode", "total"];
+
+const CSV_COLUMNS = [
+  "id",
+  "time",
+  "vision_ms",
+  "poetry_ms",
+  "tts_ms",
+  "decode_ms",
+  "total_ms",
+  "reused_scene",
+  "streamed",
+];
+
+export class MetricsCollector {
+  constructor() {
+    this.clips = [];
+    this.underruns = []; // { at, duration } in ms and s
+    this.firstAudio = []; // { at, latency } in ms
+
+    // When "Begin" was pressed, until the first verse is heard
+    this.startedAt = null;
+
+    this.onUpdate = null;
+  }
+
+  /**
+   * Note the stages of a clip that just reached the buffer
+   *
+   * @param {Object} result - From GenerationPipeline.onClipQueued
+   */
+  recordClip({ id, scene, poem, audio, clip, totalLatency }) {
+    this.keep(this.clips, {
+      id,
+      at: Date.now(),
+      vision: scene.reused ? null : scene.latency ?? null,
+      poetry: poem.latency ?? null,
+      tts: audio.latency ?? null,
+      decode: clip?.decodeLatency ?? null,
+      total: totalLatency,
+      reused: Boolean(scene.reused),
+      streamed: Boolean(audio.stream),
+    });
+    this.onUpdate?.();
+  }
+
+  /**
+   * @param {number} duration - Seconds of silence
+   */
+  recordUnderrun(duration) {
+    this.keep(this.underruns, { at: Date.now(), duration });
+    this.onUpdate?.();
+  }
+
+  /**
+   * Start timing until the first verse is heard
+   */
+  markStart(now = Date.now()) {
+    this.startedAt = now;
+  }
+
+  /**
+   * Stopped before anything was heard: nothing to time
+   */
+  cancelStart() {
+    this.startedAt = null;
+  }
+
+  /**
+   * A verse started playing; the first one after markStart() counts
+   */
+  recordFirstAudio(now = Date.now()) {
+    if (this.startedAt === null) return;
+
+    this.keep(this.firstAudio, { at: now, latency: now - this.startedAt });
+    this.startedAt = null;
+    this.onUpdate?.();
+  }
+
+  /**
+   * Percentiles per stage, underruns and time to first audio
+   *
+   * @returns {MetricsSummary}
+   */
+  getSummary() {
+    const stages = {};
+    for (const stage of STAGES) {
+      stages[stage] = summarize(
+        this.clips.map((clip) => clip[stage]).filter((v) => v !== null)
+      );
+    }
+
+    const durations = this.underruns.map((u) => u.duration);
+
+    return {
+      clips: this.clips.length,
+      stages,
+      underruns: {
+        count: durations.length,
+        total: durations.reduce((sum, d) => sum + d, 0),
+        longest: durations.length ? Math.max(...durations) : 0,
+      },
+      firstAudio: summarize(this.firstAudio.map((f) => f.latency)),
+    };
+  }
+
+  /**
+   * Everything, with the timing settings it was measured under
+   *
+   * @returns {Blob} - application/json
+   */
+  exportJson() {
+    const report = {
+      exportedAt: new Date().toISOString(),
+      settings: { timing: config.timing, pipeline: config.pipeline },
+      summary: this.getSummary(),
+      clips: this.clips.map(({ at, ...clip }) => ({
+        ...clip,
+        at: new Date(at).toISOString(),
+      })),
+      underruns: this.underruns.map(({ at, duration }) => ({
+        at: new Date(at).toISOString(),
+        duration,
+      })),
+      firstAudio: this.firstAudio.map(({ at, latency }) => ({
+        at: new Date(at).toISOString(),
+        latency,
+      })),
+    };
+
+    return new Blob([JSON.stringify(report, null, 2)], {
+      type: "application/json",
+    });
+  }
+
+  /**
+   * One row per clip, timings in ms (empty for a skipped stage)
+   *
+   * @returns {Blob} - text/csv
+   */
+  exportCsv() {
+    const rows = this.clips.map((clip) => [
+      clip.id,
+      new Date(clip.at).toISOString(),
+      ...STAGES.map((stage) => clip[stage] ?? ""),
+      clip.reused,
+      clip.streamed,
+    ]);
+
+    const csv = [CSV_COLUMNS, ...rows].map((row) => row.join(",")).join("\n");
+    return new Blob([`${csv}\n`], { type: "text/csv" });
+  }
+
+  /**
+   * Forget everything measured so far
+   */
+  reset() {
+    this.clips = [];
+    this.underruns = [];
+    this.firstAudio = [];
+    this.startedAt = null;
+    this.onUpdate?.();
+  }
+
+  /**
+   * Add to a list, forgetting the oldest beyond config.metrics.maxClips
+   */
+  keep(list, entry) {
+    list.push(entry);
+    if (list.length > config.metrics.maxClips) list.shift();
+  }
+}
+
+/**
+ * Nearest-rank percentile
+ *
+ * @param {number[]} values - Unsorted
+ * @param {number} p - 0 to 100
+ * @returns {number|null} - null without values
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+function summarize(values) {
+  return {
+    count: values.length,
+    last: values.at(-1) ?? null,
+    p50: percentile(values, 50),
+    p90: percentile(values, 90),
+    p99: percentile(values, 99),
+    max: values.length ? Math.max(...values) : null,
+  };
+}
+
+/**
+ * @typedef {Object} StageSummary
+ * @property {number} count - Measurements
+ * @property {number|null} last - Most recent (ms)
+ * @property {number|null} p50 - Median (ms)
+ * @property {number|null} p90
+ * @property {number|null} p99
+ * @property {number|null} max
+ */
+
+/**
+ * @typedef {Object} MetricsSummary
+ * @property {number} clips - Clips measured
+ * @property {Object<string, StageSummary>} stages - vision, poetry,
+ *   tts, decode and total
+ * @property {{count: number, total: number, longest: number}} underruns -
+ *   Durations in seconds
+ * @property {StageSummary} firstAudio - Time to first audio
+ */
+
+// Export singleton instance
+export const metrics = new MetricsCollector();
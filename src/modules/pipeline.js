@@ -0,0 +1,305 @@
+/**
+ * Generation Pipeline
+ *
+ * Runs Camera → Vision → Poetry → TTS → Buffer for several clips at
+ * once, so vision for the next clip overlaps speech for the current one.
+ *
+ * Key concepts:
+ * - Pipelining: Independent stages of different clips run in parallel
+ * - Ordering: Poetry and queueing happen in request order, so verses
+ *   build on each other and play in the order they were written
+ * - AbortController: Cancels in-flight API calls when we stop
+ * - Scene reuse: When the camera view hasn't changed, vision is skipped
+ *   and the last description is used again
+ * - New scenes: When the analysis finds a different setting, people or
+ *   objects (VisionModule.detectSceneChange), the clip plays next
+ * - Finale: One last job writes the closing stanza when a session ends
+ * - Translation: When one is wanted, it is written while the verse is
+ *   being synthesized, so it costs no extra wait
+ * - Dialogue: A call-and-response verse is spoken line by line in each
+ *   speaker's voice, and stitched into one clip by the buffer
+ */
+
+import { camera } from "./camera.js";
+import { vision } from "./vision.js";
+import { poetry } from "./poetry.js";
+import { tts } from "./tts.js";
+import { audioBuffer } from "./audioBuffer.js";
+import { languages } from "./languages.js";
+import { config } from "../utils/config.js";
+
+// Wait for a step of the previous job without inheriting its failure
+const settled = (promise) => promise.catch(() => {});
+
+export class GenerationPipeline {
+  constructor() {
+    this.jobs = new Set();
+    this.lastJob = null;
+    this.nextJobId = 1;
+
+    // Last vision result, and how many clips have reused it
+    this.lastScene = null;
+    this.reuseCount = 0;
+
+    this.onClipQueued = null;
+    this.onError = null;
+    this.onActivityChange = null;
+  }
+
+  /**
+   * Number of clips currently being generated
+   * @returns {number}
+   */
+  get inFlight() {
+    return this.jobs.size;
+  }
+
+  /**
+   * Start generating up to `count` clips, within the concurrency limit
+   *
+   * @param {number} [count] - Clips wanted
+   * @param {Object} [options]
+   * @param {boolean} [options.next] - Play them before the clips already
+   *   buffered (see AudioBufferManager.addToQueue)
+   * @returns {Promise<void>} - Resolves when the started clips are queued
+   *   (or have failed; failures go to onError)
+   */
+  request(count = 1, { next = false } = {}) {
+    const available = config.pipeline.concurrency - this.jobs.size;
+    const toStart = Math.min(count, available);
+
+    if (toStart <= 0) {
+      console.log("⏳ Pipeline full, skipping...");
+      return Promise.resolve();
+    }
+
+    const started = [];
+    for (let i = 0; i < toStart; i++) {
+      started.push(this.startJob({ next }));
+    }
+
+    return Promise.all(started).then(() => {});
+  }
+
+  /**
+   * Generate the closing stanza, outside the concurrency limit
+   * Call cancel() first so nothing is queued after it.
+   *
+   * @returns {Promise<void>} - Resolves when it is queued (or has failed)
+   */
+  requestFinale() {
+    return this.startJob({ final: true });
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.final] - The session's closing stanza
+   * @param {boolean} [options.next] - Jump the buffer queue
+   */
+  startJob({ final = false, next = false } = {}) {
+    const job = {
+      id: this.nextJobId++,
+      controller: new AbortController(),
+      previous: this.lastJob,
+      startTime: Date.now(),
+      final,
+      next,
+    };
+
+    // Later jobs wait on these to keep poems and clips in order
+    let resolvePoem;
+    job.poemDone = new Promise((resolve) => (resolvePoem = resolve));
+    job.resolvePoem = resolvePoem;
+
+    this.lastJob = job;
+    this.jobs.add(job);
+    this.onActivityChange?.(this.jobs.size);
+
+    job.done = this.runJob(job)
+      .catch((error) => {
+        if (job.controller.signal.aborted) {
+          console.log(`🚫 Clip #${job.id} cancelled`);
+          return;
+        }
+
+        if (error.circuitOpen) {
+          console.log(`⏸️ Clip #${job.id} skipped: ${error.message}`);
+          this.onError?.(error);
+          return;
+        }
+
+        console.error(`❌ Generation error (clip #${job.id}):`, error);
+        this.onError?.(error);
+      })
+      .finally(() => {
+        job.resolvePoem();
+        this.jobs.delete(job);
+        if (this.lastJob === job) this.lastJob = null;
+        this.onActivityChange?.(this.jobs.size);
+      });
+
+    return job.done;
+  }
+
+  /**
+   * Generate a single poetry clip
+   *
+   * Pipeline: Camera → Vision → Poetry → TTS → Buffer
+   */
+  async runJob(job) {
+    const { signal } = job.controller;
+    const previous = job.previous;
+
+    // Steps 1-2: Capture and describe the scene (or reuse the last one)
+    const scene = await this.describeScene(job, signal);
+
+    // Step 3: Generate poetry, after the previous clip's verse,
+    // so the history it builds on is complete
+    if (previous) await settled(previous.poemDone);
+    signal.throwIfAborted();
+
+    console.log(`✨ Generating poetry (clip #${job.id})...`);
+    const poem = await poetry.generate(scene.description, {
+      signal,
+      final: job.final,
+      analysis: scene.analysis,
+    });
+    job.resolvePoem();
+
+    // Step 4: Convert to speech (runs in parallel), translating
+    // the verse meanwhile if the overlay shows a translation
+    console.log(`🔊 Synthesizing speech (clip #${job.id})...`);
+    const speech = poem.dialogue
+      ? tts.synthesizeDialogue(poem.dialogue, {
+          signal,
+          language: poem.language,
+        })
+      : tts.synthesize(poem.text, { signal, language: poem.language });
+    const [audio, translation] = await Promise.all([
+      speech,
+      this.translate(job, poem, signal),
+    ]);
+
+    // Step 5: Add to playback buffer, after the previous clip
+    if (previous) await settled(previous.done);
+    signal.throwIfAborted();
+
+    // The scene travels with the clip, for the session recorder
+    const clip = await audioBuffer.addToQueue(
+      {
+        ...audio,
+        scene: scene.description,
+        thumbnail: scene.thumbnail,
+        final: job.final,
+        language: poem.language,
+        translation,
+      },
+      { next: job.next }
+    );
+
+    const totalLatency = Date.now() - job.startTime;
+    this.onClipQueued?.({
+      id: job.id,
+      scene,
+      poem,
+      audio,
+      clip,
+      totalLatency,
+    });
+  }
+
+  /**
+   * Translate a verse into the translation language, if one is set
+   * A failed translation only costs the second column, not the clip.
+   *
+   * @returns {Promise<{text: string, language: string}|null>}
+   */
+  async translate(job, poem, signal) {
+    const target = languages.translation;
+    if (!target || target.id === poem.language) return null;
+
+    try {
+      const text = await poetry.translate(poem.text, target.id, { signal });
+      return { text, language: target.id };
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error(`Translation error (clip #${job.id}):`, error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Capture a frame and analyze it with the Vision API (runs in parallel),
+   * unless the view looks the same as the last analyzed frame
+   *
+   * @returns {Promise<SceneDescription>}
+   */
+  async describeScene(job, signal) {
+    const { enabled, threshold, maxReuse } = config.sceneChange;
+    const signature = enabled ? camera.captureSignature() : null;
+
+    if (
+      enabled &&
+      this.lastScene &&
+      this.reuseCount < maxReuse &&
+      camera.getChange(signature) < threshold
+    ) {
+      this.reuseCount++;
+      console.log(`👁️ Scene unchanged, reusing description (clip #${job.id})`);
+      return { ...this.lastScene, isNewScene: false, reused: true };
+    }
+
+    // Step 1: Capture camera frame
+    console.log(`📷 Capturing frame (clip #${job.id})...`);
+    const frame = camera.captureFrame();
+    const thumbnail =
+      config.recorder.enabled || config.history.enabled
+        ? camera.captureThumbnail()
+        : null;
+
+    // Step 2: Analyze scene with Vision API
+    console.log(`👁️ Analyzing scene (clip #${job.id})...`);
+    const scene = {
+      ...(await vision.analyzeFrame(frame, { signal })),
+      thumbnail,
+    };
+
+    // Somewhere new, not just a shift in the light: voice it before
+    // the clips written about the old scene
+    if (scene.isNewScene && this.lastScene) {
+      console.log(`🎬 New scene, playing clip #${job.id} next`);
+      job.next = true;
+    }
+
+    this.lastScene = scene;
+    this.reuseCount = 0;
+    if (enabled) camera.setReference(signature);
+
+    return scene;
+  }
+
+  /**
+   * Forget the last scene, so the next clip looks afresh
+   */
+  resetScene() {
+    this.lastScene = null;
+    this.reuseCount = 0;
+  }
+
+  /**
+   * Cancel everything in flight
+   * Clips already in the buffer are kept.
+   */
+  cancel() {
+    if (this.jobs.size === 0) return;
+
+    console.log(`🚫 Cancelling ${this.jobs.size} clip(s) in flight`);
+    for (const job of this.jobs) {
+      job.controller.abort();
+    }
+  }
+}
+
+// Export singleton instance
+export const pipeline = new GenerationPipeline();
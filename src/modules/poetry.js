@@ -1,79 +1,207 @@
-import OpenAI from "openai";
 import { config } from "../utils/config.js";
+import { createProvider } from "../providers/index.js";
+import { resilience } from "../utils/resilience.js";
+import { renderTemplate } from "../utils/template.js";
+import { loadSetting, saveSetting } from "../utils/storage.js";
+import { styles } from "./styles.js";
+import { languages } from "./languages.js";
+import { costs } from "./costs.js";
 
-class PoetryModule {
+// What the poet is told at each stage of the performance
+const ARC_GUIDANCE = {
+  opening:
+    "This is the opening of the performance: set the scene and introduce the theme gently.",
+  development:
+    "We are in the middle of the performance: deepen and vary the theme, and let earlier images return changed.",
+  closing:
+    "This is the final stanza of the performance: echo where we began, resolve the theme, and come to rest.",
+};
+
+// What the poet is told about the people listening (see modules/audience.js);
+// arrival, wave and approach are said once, watching while anyone is there
+const AUDIENCE_GUIDANCE = {
+  arrival:
+    "Someone has just stepped up to listen: greet them, in the poem's own voice.",
+  wave: "Someone in front of you just waved: wave back, in words.",
+  approach: "Someone is stepping closer: draw them in.",
+  watching:
+    '{{viewers}} listening right now: speak to them directly, as "you".',
+};
+
+// A stronger cue isn't replaced by a weaker one before it is used
+const CUE_PRIORITY = ["approach", "wave", "arrival"];
+
+const SUMMARY_PROMPT = `You keep the notes for a live poetry performance.
+Summarize the story so far in at most 3 sentences: the images, the feelings and where the poem is heading.
+Reply with the summary only.`;
+
+const THEME_PROMPT = `You curate a live poetry performance that responds to a camera.
+From the scenes seen so far, name the theme or intention the performance should explore, in 2 to 6 words{{#language}}, in {{language}}{{/language}}.
+Reply with the theme only, without quotes.`;
+
+// Added to every style's system prompt when the poet isn't writing in English
+const LANGUAGE_PROMPT = `LANGUAGE:
+- Write every line in {{language}}, as a poet native to it would
+- Carry the style's form, rhythm and rhyme over into {{language}}; don't translate from English`;
+
+// Added to the system prompt in call-and-response mode (see config.dialogue)
+const DIALOGUE_PROMPT = `DIALOGUE:
+- Write the verse as a call and response between {{speakers}}, trading lines
+- Start every line with its speaker's name and a colon, e.g. "{{first}}: ..."`;
+
+const TRANSLATION_PROMPT = `You translate poetry for subtitles.
+Translate the verse into {{language}}, line by line, keeping the same number of lines and its imagery.
+Reply with the translation only.`;
+
+/**
+ * Template variables for a structured scene (see utils/sceneAnalysis.js)
+ * Without one they are all empty, so their template sections drop out.
+ *
+ * @param {SceneAnalysis|null} analysis
+ * @returns {Object<string, string|null>}
+ */
+function sceneVariables(analysis) {
+  if (!analysis) return {};
+
+  const { objects, peopleCount, colors, details } = analysis;
+  const people =
+    peopleCount === 0
+      ? "no one"
+      : peopleCount === 1
+      ? "one person"
+      : `${peopleCount} people`;
+
+  return {
+    objects: objects.join(", "),
+    people,
+    colors: colors.join(", "),
+    lighting: analysis.lighting,
+    mood: analysis.mood,
+    setting: analysis.setting,
+    details: details.join("; "),
+  };
+}
+
+export class PoetryModule {
   constructor() {
-    this.client = null;
+    this.provider = null;
     this.previousLines = [];
     this.maxPreviousLines = 12; // Keep ~3 stanzas for context
     this.isInitialized = false;
+
+    // The session's narrative layer (see config.arc)
     this.sessionTheme = null;
+    this.themeSource = null; // 'user' | 'inferred' | null
+    this.summary = "";
+    this.unsummarizedLines = [];
+    this.stanzaCount = 0;
+    this.scenes = [];
+    this.summarizing = null;
+    this.inferring = null;
+    this.epoch = 0; // Bumped by resetSession, so late answers are ignored
+
+    // Call-and-response mode, saved across reloads
+    this.dialogue = loadSetting("dialogue", config.dialogue.enabled);
+
+    // The people in front of the camera, when config.audience is on
+    this.viewers = 0;
+    this.audienceCue = null; // 'arrival' | 'wave' | 'approach' | null
+
+    // Called with (theme, source) when the theme is set or inferred
+    this.onThemeChange = null;
   }
 
   initialize() {
     if (this.isInitialized) return;
 
-    this.client = new OpenAI({
-      apiKey: config.openai.apiKey,
-      dangerouslyAllowBrowser: true,
-    });
+    this.provider = createProvider("poetry", config.providers.poetry);
 
     this.isInitialized = true;
   }
 
-  async generate(sceneDescription) {
+  /**
+   * Write the next verse for a scene, in the current poet style
+   *
+   * The poet is given the session theme, a summary of earlier stanzas,
+   * the last few lines, and where we are in the arc.
+   *
+   * @param {string} sceneDescription - From the vision module
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {boolean} [options.final] - Write the closing stanza
+   * @param {SceneAnalysis|null} [options.analysis] - The scene's fields,
+   *   for the {{objects}}, {{mood}}, ... placeholders
+   * @returns {Promise<Object>} - text, lines, lineCount, phase, language,
+   *   dialogue (lines tagged by speaker, or null), latency, tokens
+   */
+  async generate(
+    sceneDescription,
+    { signal, final = false, analysis = null } = {}
+  ) {
     this.initialize();
 
     const startTime = Date.now();
+    const style = styles.current;
+    const language = languages.current;
+    const phase = final ? "closing" : this.getPhase();
+
+    // Only the latest lines verbatim; older ones are in the summary
+    const recent = this.previousLines.slice(-config.arc.recentLines);
+    const variables = {
+      scene: sceneDescription,
+      history: recent,
+      theme: this.sessionTheme,
+      summary: this.summary,
+      arc: ARC_GUIDANCE[phase],
+      lines: style.lines,
+      language: language.name,
+      ...sceneVariables(analysis),
+      audience: final ? null : this.takeAudienceCue(),
+    };
 
-    const systemPrompt = `You are a contemplative poet who finds meaning in ordinary moments.
-
-YOUR STYLE:
-- Begin with observation of what is seen
-- Transform observations into reflections on life, love, or beauty
-- Find lessons and meaning in the mundane
-- Use accessible, flowing language
-- Avoid clichés; find fresh perspectives
-
-TECHNICAL REQUIREMENTS:
-- Write exactly 2 lines of poetry
-- Each line should be speakable in one breath
-- Create natural pause points (line breaks)
-- Avoid tongue-twisters or complex phrases
-- The poetry will be spoken aloud by text-to-speech
-
-THEMATIC GUIDANCE:
-- Even mundane scenes contain beauty
-- Loneliness can be solitude; emptiness can be possibility
-- Technology connects us; screens are windows
-- Every moment is an opportunity for presence
-- Find the universal in the specific`;
-
-    // Build context from previous generations
-    const previousContext =
-      this.previousLines.length > 0
-        ? `\n\nPrevious verses (maintain thematic continuity):\n${this.previousLines.join(
-            "\n"
-          )}`
-        : "";
+    const speakers = config.dialogue.speakers.map((speaker) => speaker.name);
+    const systemPrompt = [
+      renderTemplate(style.systemPrompt, variables),
+      language.id !== "en" && renderTemplate(LANGUAGE_PROMPT, variables),
+      this.dialogue &&
+        renderTemplate(DIALOGUE_PROMPT, {
+          speakers: speakers.join(" and "),
+          first: speakers[0],
+        }),
+    ]
+      .filter(Boolean)
+      .join("\n\n");
 
     try {
-      const response = await this.client.chat.completions.create({
-        model: config.openai.model,
-        messages: [
-          { role: "system", content: systemPrompt },
-          {
-            role: "user",
-            content: `What I see: ${sceneDescription}${previousContext}
-
-Write the next verses. Begin with the observation, end with meaning.`,
-          },
-        ],
-        max_tokens: 200,
-        temperature: 0.8, // Higher = more creative, lower = more predictable
-      });
-
-      const poetry = response.choices[0].message.content.trim();
+      const result = await resilience.call(
+        "poetry",
+        (attemptSignal) =>
+          this.provider.generate(sceneDescription, recent, {
+            systemPrompt,
+            userPrompt: renderTemplate(style.userPrompt, variables),
+            maxTokens: 40 + style.lines * 80,
+            temperature: style.temperature, // Higher = more creative, lower = more predictable
+            model: costs.economy?.models[config.providers.poetry],
+            signal: attemptSignal,
+          }),
+        { signal }
+      );
+      const { text, tokens } = result;
+      this.recordUsage(result);
+
+      // Models sometimes add a closing line; keep the style's length
+      const kept = text
+        .split("\n")
+        .filter((line) => line.trim())
+        .slice(0, style.lines);
+
+      // Speaker tags are for the voices, not the verse
+      const parsed = this.dialogue ? this.parseDialogue(kept) : [];
+      const dialogue = parsed.length > 0 ? parsed : null;
+      const poetry = dialogue
+        ? dialogue.map((line) => line.text).join("\n")
+        : kept.join("\n");
+
       const latency = Date.now() - startTime;
 
       this.addToHistory(poetry);
@@ -81,16 +209,22 @@ Write the next verses. Begin with the observation, end with meaning.`,
       const lines = poetry.split("\n").filter((line) => line.trim());
 
       console.log(
-        `✨ Poetry (${latency}ms, ${lines.length} lines):\n${poetry}`
+        `✨ Poetry (${latency}ms, ${phase}, ${lines.length} lines):\n${poetry}`
       );
 
+      // Nothing left to summarize or theme after the finale
+      if (!final) this.advanceArc(sceneDescription, lines);
+
       return {
         text: poetry,
         lines,
         lineCount: lines.length,
+        phase,
+        language: language.id,
+        dialogue,
         timestamp: Date.now(),
         latency,
-        tokens: response.usage?.total_tokens || 0,
+        tokens,
       };
     } catch (error) {
       console.error("Poetry generation error:", error);
@@ -98,6 +232,314 @@ Write the next verses. Begin with the observation, end with meaning.`,
     }
   }
 
+  /**
+   * Split "Name: line" tags off a dialogue verse
+   *
+   * An untagged line goes to the next speaker in turn, so a model that
+   * forgets the tags still gives a call and response. A tag with nothing
+   * after it is dropped: there is nothing to speak.
+   *
+   * @param {string[]} lines - Lines as written
+   * @returns {DialogueLine[]}
+   */
+  parseDialogue(lines) {
+    const { speakers } = config.dialogue;
+    const names = speakers.map((speaker) =>
+      speaker.name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    );
+    const tag = new RegExp(`^\\W*(${names.join("|")})\\W*?[:：][*_\\s]*`, "i");
+
+    let speaker = -1;
+    const dialogue = [];
+    for (const line of lines) {
+      const match = line.match(tag);
+      const text = (match ? line.slice(match[0].length) : line).trim();
+      if (!text) continue;
+
+      const named = match
+        ? speakers.findIndex(
+            ({ name }) => name.toLowerCase() === match[1].toLowerCase()
+          )
+        : -1;
+
+      speaker = named >= 0 ? named : (speaker + 1) % speakers.length;
+      dialogue.push({ speaker, name: speakers[speaker].name, text });
+    }
+
+    return dialogue;
+  }
+
+  /**
+   * Turn call-and-response mode on or off; the choice is saved
+   *
+   * @param {boolean} enabled
+   */
+  setDialogue(enabled) {
+    this.dialogue = Boolean(enabled);
+    saveSetting("dialogue", this.dialogue);
+    console.log(`🗣️ Dialogue ${this.dialogue ? "on" : "off"}`);
+  }
+
+  /**
+   * Tell the poet how many people are listening
+   *
+   * @param {number} count - From the audience module
+   */
+  setViewers(count) {
+    this.viewers = count;
+    if (count === 0) this.audienceCue = null;
+  }
+
+  /**
+   * Ask for one verse that responds to something the audience did
+   *
+   * @param {"arrival"|"wave"|"approach"} cue
+   */
+  cueAudience(cue) {
+    const current = CUE_PRIORITY.indexOf(this.audienceCue);
+    if (CUE_PRIORITY.indexOf(cue) > current) this.audienceCue = cue;
+  }
+
+  /**
+   * The audience guidance for the next verse; a cue is used up by it
+   *
+   * @returns {string|null}
+   */
+  takeAudienceCue() {
+    const cue = this.audienceCue;
+    this.audienceCue = null;
+
+    if (cue) return AUDIENCE_GUIDANCE[cue];
+    if (this.viewers === 0) return null;
+
+    return renderTemplate(AUDIENCE_GUIDANCE.watching, {
+      viewers: this.viewers === 1 ? "Someone is" : `${this.viewers} people are`,
+    });
+  }
+
+  /**
+   * Where the performance is: opening for the first few stanzas,
+   * development after that (closing is asked for explicitly)
+   *
+   * @returns {"opening"|"development"}
+   */
+  getPhase() {
+    return this.stanzaCount < config.arc.openingStanzas
+      ? "opening"
+      : "development";
+  }
+
+  /**
+   * Book-keeping after each stanza: summarize every few stanzas,
+   * and name a theme once enough scenes have been seen
+   */
+  advanceArc(sceneDescription, lines) {
+    this.stanzaCount++;
+    this.unsummarizedLines.push(...lines);
+
+    if (this.stanzaCount % config.arc.summarizeEvery === 0) {
+      this.updateSummary();
+    }
+
+    const { inferThemeAfter } = config.arc;
+    if (!this.sessionTheme && inferThemeAfter > 0) {
+      this.scenes.push(sceneDescription);
+      if (this.scenes.length >= inferThemeAfter) this.inferTheme();
+    }
+  }
+
+  /**
+   * Set the session's theme or intention
+   *
+   * @param {string} theme - Empty to clear it (one may then be inferred)
+   */
+  setTheme(theme) {
+    const trimmed = theme.trim();
+
+    this.sessionTheme = trimmed || null;
+    this.themeSource = trimmed ? "user" : null;
+    this.scenes = [];
+
+    if (trimmed) console.log(`🧭 Session theme: ${trimmed}`);
+    this.onThemeChange?.(this.sessionTheme, this.themeSource);
+  }
+
+  /**
+   * Fold the stanzas since the last summary into the rolling summary
+   * Runs in the background; a failure keeps the old summary.
+   *
+   * @returns {Promise<void>}
+   */
+  updateSummary() {
+    if (this.summarizing || this.unsummarizedLines.length === 0) {
+      return this.summarizing ?? Promise.resolve();
+    }
+
+    const lines = this.unsummarizedLines;
+    const epoch = this.epoch;
+    this.unsummarizedLines = [];
+
+    const userPrompt = `${
+      this.summary ? `Summary so far: ${this.summary}\n\n` : ""
+    }New stanzas:\n${lines.join("\n")}`;
+
+    this.summarizing = this.ask(SUMMARY_PROMPT, userPrompt, "summary")
+      .then((summary) => {
+        if (epoch !== this.epoch) return;
+        this.summary = summary;
+        console.log(`📜 Story so far: ${summary}`);
+      })
+      .catch((error) => {
+        console.error("Summary error:", error);
+        if (epoch !== this.epoch) return;
+
+        // Try again with the next batch
+        this.unsummarizedLines = [...lines, ...this.unsummarizedLines];
+      })
+      .finally(() => (this.summarizing = null));
+
+    return this.summarizing;
+  }
+
+  /**
+   * Name a theme from the first scenes, unless the user has set one
+   *
+   * @returns {Promise<void>}
+   */
+  inferTheme() {
+    if (this.inferring) return this.inferring;
+
+    const scenes = this.scenes;
+    const epoch = this.epoch;
+    const userPrompt = `Scenes:\n${scenes
+      .map((scene) => `- ${scene}`)
+      .join("\n")}`;
+
+    const { id, name } = languages.current;
+    const systemPrompt = renderTemplate(THEME_PROMPT, {
+      language: id !== "en" ? name : null,
+    });
+
+    this.inferring = this.ask(systemPrompt, userPrompt, "theme")
+      .then((text) => {
+        // The user may have chosen one meanwhile
+        if (this.sessionTheme || epoch !== this.epoch) return;
+
+        this.sessionTheme = text.replace(/^["'\s]+|["'.\s]+$/g, "");
+        this.themeSource = "inferred";
+        this.scenes = [];
+
+        console.log(`🧭 Inferred theme: ${this.sessionTheme}`);
+        this.onThemeChange?.(this.sessionTheme, this.themeSource);
+      })
+      .catch((error) => console.error("Theme inference error:", error))
+      .finally(() => (this.inferring = null));
+
+    return this.inferring;
+  }
+
+  /**
+   * Translate a verse, for the overlay's second column
+   *
+   * @param {string} text - Verse in the poetry language
+   * @param {string} languageId - Language to translate into
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<string>} - As many lines as the verse
+   */
+  async translate(text, languageId, { signal } = {}) {
+    const lines = text.split("\n").filter((line) => line.trim());
+    const systemPrompt = renderTemplate(TRANSLATION_PROMPT, {
+      language: languages.get(languageId).name,
+    });
+
+    const translation = await this.ask(
+      systemPrompt,
+      lines.join("\n"),
+      "translation",
+      { maxTokens: 40 + lines.length * 80, signal }
+    );
+
+    return translation
+      .split("\n")
+      .filter((line) => line.trim())
+      .slice(0, lines.length)
+      .join("\n");
+  }
+
+  /**
+   * One low-temperature request that isn't a verse: session notes
+   * and translations
+   *
+   * @param {string} systemPrompt
+   * @param {string} userPrompt
+   * @param {"summary"|"theme"|"translation"} purpose - Lets providers
+   *   that don't use prompts (the mock) answer in kind
+   * @param {Object} [options]
+   * @param {number} [options.maxTokens]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<string>}
+   */
+  async ask(
+    systemPrompt,
+    userPrompt,
+    purpose,
+    { maxTokens = 120, signal } = {}
+  ) {
+    this.initialize();
+
+    const result = await resilience.call(
+      "poetry",
+      (attemptSignal) =>
+        this.provider.generate("", [], {
+          systemPrompt,
+          userPrompt,
+          maxTokens,
+          temperature: 0.3,
+          purpose,
+          model: costs.economy?.models[config.providers.poetry],
+          signal: attemptSignal,
+        }),
+      { signal }
+    );
+    this.recordUsage(result);
+
+    return result.text.trim();
+  }
+
+  /**
+   * Count a reply's tokens toward the budget (see modules/costs.js)
+   *
+   * @param {Object} result - From the provider
+   */
+  recordUsage({ model, tokens = 0, inputTokens, outputTokens }) {
+    costs.record("poetry", {
+      model: model ?? config.providers.poetry,
+      inputTokens: inputTokens ?? tokens,
+      outputTokens: outputTokens ?? 0,
+    });
+  }
+
+  /**
+   * Forget the session's lines, summary and arc (for starting fresh)
+   * A theme the user set is kept; an inferred one is not.
+   */
+  resetSession() {
+    this.epoch++;
+    this.previousLines = [];
+    this.summary = "";
+    this.unsummarizedLines = [];
+    this.stanzaCount = 0;
+    this.scenes = [];
+    this.audienceCue = null;
+
+    if (this.themeSource === "inferred") {
+      this.sessionTheme = null;
+      this.themeSource = null;
+      this.onThemeChange?.(null, null);
+    }
+  }
+
   addToHistory(poetry) {
     const lines = poetry.split("\n").filter((line) => line.trim());
     this.previousLines.push(...lines);
@@ -112,4 +554,11 @@ Write the next verses. Begin with the observation, end with meaning.`,
   }
 }
 
+/**
+ * @typedef {Object} DialogueLine
+ * @property {number} speaker - Index into config.dialogue.speakers
+ * @property {string} name - The speaker's name
+ * @property {string} text - The line, without its tag
+ */
+
 export const poetry = new PoetryModule();
@@ -0,0 +1,232 @@
+/**
+ * Session Recorder
+ *
+ * Keeps every clip that plays (text, scene, thumbnail, timing and
+ * audio) so a session can be exported afterwards:
+ * - One WAV with all the verses back to back
+ * - Subtitles (WebVTT or SRT) timed to that WAV
+ * - A JSON manifest with everything else
+ *
+ * Key concepts:
+ * - AudioBuffer: Decoded samples we can read back and re-encode
+ * - Resampling: Streamed and file clips can differ in sample rate
+ * - Subtitle formats: VTT and SRT differ mostly in the timestamp separator
+ */
+
+import { config } from "../utils/config.js";
+import { encodeWav } from "../utils/wav.js";
+import { resample } from "../utils/pcm.js";
+
+export class SessionRecorder {
+  constructor() {
+    this.clips = [];
+    this.startedAt = null;
+
+    // Called with the number of recorded clips
+    this.onUpdate = null;
+  }
+
+  /**
+   * Record a clip as it starts playing
+   *
+   * The clip's audio may still be streaming; it is read at export time.
+   *
+   * @param {Object} clip - Clip from AudioBufferManager (see onClipStart)
+   */
+  record(clip) {
+    if (!config.recorder.enabled) return;
+
+    this.startedAt ??= Date.now();
+    this.clips.push({
+      clip,
+      text: clip.text,
+      scene: clip.scene ?? "",
+      thumbnail: clip.thumbnail ?? null,
+      language: clip.language ?? null,
+      translation: clip.translation ?? null,
+      segments: clip.segments ?? null,
+      generatedAt: clip.timestamp,
+      playedAt: Date.now(),
+    });
+
+    // Audio is ~1MB per clip; keep long sessions bounded
+    if (this.clips.length > config.recorder.maxClips) {
+      this.clips.shift();
+    }
+
+    this.onUpdate?.(this.clips.length);
+  }
+
+  /**
+   * Lay out all clips on one timeline, with a short gap between them
+   *
+   * @returns {{channel: Float32Array, sampleRate: number, cues: Cue[]}}
+   */
+  render() {
+    const audio = this.clips.map((entry) => getMonoAudio(entry.clip));
+    const sampleRate = Math.max(...audio.map((a) => a?.sampleRate ?? 0), 8000);
+
+    const parts = audio.map((a) =>
+      a ? resample(a.samples, a.sampleRate, sampleRate) : new Float32Array(0)
+    );
+    const gapSamples = Math.round(config.recorder.gap * sampleRate);
+    const length =
+      parts.reduce((total, part) => total + part.length, 0) +
+      gapSamples * Math.max(0, parts.length - 1);
+
+    const channel = new Float32Array(length);
+    const cues = [];
+    let offset = 0;
+
+    parts.forEach((part, index) => {
+      channel.set(part, offset);
+
+      const entry = this.clips[index];
+      cues.push({
+        index: index + 1,
+        start: offset / sampleRate,
+        end: (offset + part.length) / sampleRate,
+        text: entry.text,
+      });
+
+      offset += part.length + gapSamples;
+    });
+
+    return { channel, sampleRate, cues };
+  }
+
+  /**
+   * @returns {Blob} - audio/wav of the whole session
+   */
+  exportWav() {
+    const { channel, sampleRate } = this.render();
+    return encodeWav([channel], sampleRate);
+  }
+
+  /**
+   * @returns {Blob} - text/vtt subtitles timed to exportWav()
+   */
+  exportVtt() {
+    const body = this.render()
+      .cues.map(
+        (cue) =>
+          `${formatTime(cue.start, ".")} --> ${formatTime(cue.end, ".")}\n${
+            cue.text
+          }`
+      )
+      .join("\n\n");
+
+    return new Blob([`WEBVTT\n\n${body}\n`], { type: "text/vtt" });
+  }
+
+  /**
+   * @returns {Blob} - SubRip subtitles timed to exportWav()
+   */
+  exportSrt() {
+    const body = this.render()
+      .cues.map(
+        (cue) =>
+          `${cue.index}\n${formatTime(cue.start, ",")} --> ${formatTime(
+            cue.end,
+            ","
+          )}\n${cue.text}`
+      )
+      .join("\n\n");
+
+    return new Blob([`${body}\n`], { type: "application/x-subrip" });
+  }
+
+  /**
+   * @returns {Blob} - application/json with per-clip text, scene,
+   *   thumbnail, language, translation and dialogue segments, wall-clock
+   *   times and position in exportWav()
+   */
+  exportManifest() {
+    const { cues, sampleRate } = this.render();
+
+    const manifest = {
+      startedAt: this.startedAt && new Date(this.startedAt).toISOString(),
+      exportedAt: new Date().toISOString(),
+      sampleRate,
+      clips: this.clips.map((entry, index) => ({
+        index: index + 1,
+        text: entry.text,
+        scene: entry.scene,
+        thumbnail: entry.thumbnail,
+        language: entry.language,
+        translation: entry.translation,
+        segments: entry.segments,
+        generatedAt: entry.generatedAt
+          ? new Date(entry.generatedAt).toISOString()
+          : null,
+        playedAt: new Date(entry.playedAt).toISOString(),
+        start: round(cues[index].start),
+        end: round(cues[index].end),
+      })),
+    };
+
+    return new Blob([JSON.stringify(manifest, null, 2)], {
+      type: "application/json",
+    });
+  }
+
+  /**
+   * Forget the session (for starting fresh)
+   */
+  clear() {
+    this.clips = [];
+    this.startedAt = null;
+    this.onUpdate?.(0);
+  }
+}
+
+/**
+ * A clip's audio as mono samples
+ * Streaming clips only get a full audioBuffer once the stream ends;
+ * until then we join the chunks that arrived.
+ */
+function getMonoAudio(clip) {
+  const buffers = clip.audioBuffer ? [clip.audioBuffer] : clip.chunks ?? [];
+  if (buffers.length === 0) return null;
+
+  const length = buffers.reduce((total, buffer) => total + buffer.length, 0);
+  const samples = new Float32Array(length);
+  let offset = 0;
+
+  for (const buffer of buffers) {
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c);
+      for (let i = 0; i < buffer.length; i++) {
+        samples[offset + i] += data[i] / buffer.numberOfChannels;
+      }
+    }
+    offset += buffer.length;
+  }
+
+  return { samples, sampleRate: buffers[0].sampleRate };
+}
+
+/**
+ * 75.5 → "00:01:15.500" (VTT) or "00:01:15,500" (SRT)
+ */
+function formatTime(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (n, size = 2) => String(n).padStart(size, "0");
+
+  return `${pad(Math.floor(ms / 3600000))}:${pad(
+    Math.floor(ms / 60000) % 60
+  )}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * @typedef {Object} Cue
+ * @property {number} index - 1-based
+ * @property {number} start - Seconds into the exported audio
+ * @property {number} end - Seconds into the exported audio
+ * @property {string} text - Poem text
+ */
+
+// Export singleton instance
+export const recorder = new SessionRecorder();
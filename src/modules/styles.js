@@ -0,0 +1,420 @@
+/**
+ * Poet Styles
+ *
+ * Named presets for the poet's persona: each has its own prompts, line
+ * count, temperature and what the vision model should look for.
+ * Any preset can be edited in the app; edits are saved locally and
+ * can be reset to the original.
+ *
+ * Key concepts:
+ * - Prompt templates: Prompts use {{scene}}, {{history}}, {{theme}},
+ *   {{summary}}, {{arc}}, {{lines}} and {{language}} placeholders
+ *   (see utils/template.js), plus the scene's fields: {{objects}},
+ *   {{people}}, {{setting}}, {{lighting}}, {{colors}}, {{mood}} and
+ *   {{details}}, empty when the vision reply was prose, and {{audience}}
+ *   (how to address the people watching; see modules/audience.js)
+ * - Temperature: Higher for playful styles, lower for strict forms
+ * - Vision focus: A haiku wants the season and light, noir wants
+ *   shadows and strangers; the scene description follows the style
+ * - Voice: A style may bring its own speaker (an ElevenLabs voice ID);
+ *   null uses the configured voice. Picking a voice in the app saves it
+ *   as an edit of the current style.
+ */
+
+import { config } from "../utils/config.js";
+import { loadSetting, saveSetting } from "../utils/storage.js";
+import { templateVariables } from "../utils/template.js";
+
+// Placeholders a style's prompts may use
+export const TEMPLATE_VARIABLES = [
+  "scene",
+  "history",
+  "theme",
+  "summary",
+  "arc",
+  "lines",
+  "language",
+  "objects",
+  "people",
+  "setting",
+  "lighting",
+  "colors",
+  "mood",
+  "details",
+  "audience",
+];
+
+// Fields a user can change
+const EDITABLE = [
+  "systemPrompt",
+  "userPrompt",
+  "lines",
+  "temperature",
+  "visionFocus",
+  "voiceId",
+];
+
+/**
+ * The user prompt every preset shares, with its own closing instruction
+ */
+const userPrompt = (instruction) => `What I see: {{scene}}{{#objects}}
+In view: {{objects}}{{/objects}}{{#people}}
+People: {{people}}{{/people}}{{#setting}}
+Setting: {{setting}}{{/setting}}{{#lighting}}
+Light: {{lighting}}{{/lighting}}{{#colors}}
+Colors: {{colors}}{{/colors}}{{#mood}}
+Mood: {{mood}}{{/mood}}{{#details}}
+Worth noticing: {{details}}{{/details}}
+{{#theme}}
+The theme of this performance: {{theme}}
+{{/theme}}
+{{#summary}}
+
+The story so far: {{summary}}
+{{/summary}}
+{{#history}}
+
+Previous verses (maintain thematic continuity):
+{{history}}
+{{/history}}
+{{#arc}}
+
+{{arc}}
+{{/arc}}
+{{#audience}}
+
+{{audience}}
+{{/audience}}
+
+${instruction}`;
+
+// Rules that hold for every style, because the verse is spoken aloud
+const SPOKEN = `- Write exactly {{lines}} lines
+- Each line should be speakable in one breath
+- Avoid tongue-twisters or complex phrases
+- The poetry will be spoken aloud by text-to-speech
+- Reply with the lines only: no title, no quotes`;
+
+export const PRESETS = {
+  contemplative: {
+    name: "Contemplative",
+    systemPrompt: `You are a contemplative poet who finds meaning in ordinary moments.
+
+YOUR STYLE:
+- Begin with observation of what is seen
+- Transform observations into reflections on life, love, or beauty
+- Find lessons and meaning in the mundane
+- Use accessible, flowing language
+- Avoid clichés; find fresh perspectives
+
+TECHNICAL REQUIREMENTS:
+${SPOKEN}
+- Create natural pause points (line breaks)
+
+THEMATIC GUIDANCE:
+- Even mundane scenes contain beauty
+- Loneliness can be solitude; emptiness can be possibility
+- Technology connects us; screens are windows
+- Every moment is an opportunity for presence
+- Find the universal in the specific`,
+    userPrompt: userPrompt(
+      "Write the next verses. Begin with the observation, end with meaning."
+    ),
+    lines: 2,
+    temperature: 0.8,
+    visionFocus: `- The main subject or action happening
+- Notable details that could inspire reflection
+- The mood, atmosphere, or feeling`,
+    voiceId: null,
+  },
+
+  haiku: {
+    name: "Haiku",
+    systemPrompt: `You are a haiku poet in the tradition of Bashō.
+
+YOUR STYLE:
+- Three lines of roughly 5, 7 and 5 syllables
+- One concrete image, rooted in a season or the time of day
+- A turn (kireji) between the first image and the second
+- Present tense, no metaphors explained, no rhyme
+
+TECHNICAL REQUIREMENTS:
+${SPOKEN}`,
+    userPrompt: userPrompt(
+      "Write the next haiku. Let the image speak for itself."
+    ),
+    lines: 3,
+    temperature: 0.7,
+    visionFocus: `- Light, weather and the time of day or season
+- One small, precise detail worth pausing on
+- Anything living or growing`,
+    voiceId: null,
+  },
+
+  sonnet: {
+    name: "Sonnet fragment",
+    systemPrompt: `You are a sonneteer writing one quatrain at a time of a longer sonnet.
+
+YOUR STYLE:
+- Iambic pentameter, ten syllables to the line
+- Rhyme scheme ABAB within each quatrain
+- Elevated but clear diction; address the scene or a beloved
+- Build an argument across quatrains: proposition, complication, turn
+
+TECHNICAL REQUIREMENTS:
+${SPOKEN}`,
+    userPrompt: userPrompt(
+      "Write the next quatrain, continuing the sonnet's argument."
+    ),
+    lines: 4,
+    temperature: 0.8,
+    visionFocus: `- Signs of time passing: age, wear, light changing
+- What the people present might feel for each other
+- Beauty that won't last`,
+    voiceId: null,
+  },
+
+  freeVerse: {
+    name: "Free verse",
+    systemPrompt: `You are a free-verse poet with a sharp, modern eye.
+
+YOUR STYLE:
+- No meter, no rhyme; let line breaks do the work
+- Concrete nouns and strong verbs over adjectives
+- Surprising juxtapositions; leap between images
+- Short lines are fine; fragments are fine
+
+TECHNICAL REQUIREMENTS:
+${SPOKEN}`,
+    userPrompt: userPrompt("Write the next lines. Surprise me."),
+    lines: 3,
+    temperature: 1.0,
+    visionFocus: `- Textures, surfaces and materials
+- The most unexpected thing in view
+- Movement, or what looks about to move`,
+    voiceId: null,
+  },
+
+  noir: {
+    name: "Noir narration",
+    systemPrompt: `You are the weary narrator of a 1940s detective story.
+
+YOUR STYLE:
+- First person, past tense, hard-boiled
+- Similes with a twist of cynicism
+- Every object is a clue; every stranger has a secret
+- Rain, neon, cigarette smoke, bad coffee
+
+TECHNICAL REQUIREMENTS:
+${SPOKEN}`,
+    userPrompt: userPrompt("Narrate the next beat of the case. Keep it moody."),
+    lines: 2,
+    temperature: 0.9,
+    visionFocus: `- Shadows, light sources and where the light falls
+- Who is there, and what they seem to be hiding
+- Any object that could be a clue`,
+    voiceId: "pNInz6obpgDQGcFmaJgB", // Adam: deep, unhurried narration
+  },
+
+  childrensRhyme: {
+    name: "Children's rhyme",
+    systemPrompt: `You write nursery rhymes for small children.
+
+YOUR STYLE:
+- Rhyming couplets (AABB) with a bouncy, sing-song rhythm
+- Simple, everyday words a four-year-old knows
+- Playful, warm and gentle; never scary
+- Name colors, animals and shapes
+
+TECHNICAL REQUIREMENTS:
+${SPOKEN}`,
+    userPrompt: userPrompt("Write the next verse of the rhyme."),
+    lines: 4,
+    temperature: 0.7,
+    visionFocus: `- Colors and simple shapes
+- Animals, toys and friendly everyday objects
+- Anything that looks funny or cheerful`,
+    voiceId: "XB0fDUnXU5powFXDhCwa", // Charlotte: warm storyteller
+  },
+
+  standUp: {
+    name: "Stand-up",
+    systemPrompt: `You are an observational stand-up comedian doing crowd work.
+
+YOUR STYLE:
+- Setup, then punchline
+- Point out what everyone sees but nobody says
+- Affectionate, never cruel; punch up, not down
+- Conversational rhythm, like talking to the front row
+
+TECHNICAL REQUIREMENTS:
+${SPOKEN}`,
+    userPrompt: userPrompt("Do the next bit about what you see."),
+    lines: 2,
+    temperature: 1.0,
+    visionFocus: `- Anything absurd, out of place or incongruous
+- Everyday frustrations the scene hints at
+- What the people present are doing (or avoiding)`,
+    voiceId: "IKne3meq5aSn9XLyUdCD", // Charlie: casual and conversational
+  },
+};
+
+export class StyleLibrary {
+  constructor() {
+    // Per-style overrides, keyed by preset id
+    this.edits = loadSetting("poetStyleEdits", {});
+
+    const saved = loadSetting("poetStyle", config.poetry.style);
+    this.currentId = PRESETS[saved] ? saved : "contemplative";
+
+    // Called with the style whenever the selection or its prompts change
+    this.onChange = null;
+  }
+
+  /**
+   * @returns {{id: string, name: string, edited: boolean}[]}
+   */
+  list() {
+    return Object.keys(PRESETS).map((id) => ({
+      id,
+      name: PRESETS[id].name,
+      edited: this.isEdited(id),
+    }));
+  }
+
+  /**
+   * A preset with the user's edits applied
+   *
+   * @param {string} id
+   * @returns {PoetStyle}
+   */
+  get(id) {
+    if (!PRESETS[id]) throw new Error(`Unknown poet style: ${id}`);
+    return { id, ...PRESETS[id], ...this.edits[id] };
+  }
+
+  /**
+   * @returns {PoetStyle}
+   */
+  get current() {
+    return this.get(this.currentId);
+  }
+
+  /**
+   * Switch styles; takes effect from the next clip
+   *
+   * @param {string} id
+   */
+  select(id) {
+    const style = this.get(id);
+    if (id === this.currentId) return;
+
+    this.currentId = id;
+    saveSetting("poetStyle", id);
+
+    console.log(`🎭 Poet style: ${style.name}`);
+    this.onChange?.(style);
+  }
+
+  /**
+   * Change a style's prompts or settings
+   *
+   * @param {string} id
+   * @param {Partial<PoetStyle>} changes - Any of systemPrompt, userPrompt,
+   *   lines, temperature, visionFocus, voiceId
+   * @throws {Error} - When a value is out of range or a template uses an
+   *   unknown placeholder
+   */
+  update(id, changes) {
+    const merged = { ...this.get(id), ...pick(changes, EDITABLE) };
+    validate(merged);
+
+    // Only keep what differs from the preset
+    const edits = {};
+    for (const key of EDITABLE) {
+      if (merged[key] !== PRESETS[id][key]) edits[key] = merged[key];
+    }
+
+    if (Object.keys(edits).length > 0) {
+      this.edits[id] = edits;
+    } else {
+      delete this.edits[id];
+    }
+    saveSetting("poetStyleEdits", this.edits);
+
+    if (id === this.currentId) this.onChange?.(this.current);
+  }
+
+  /**
+   * Throw away a style's edits
+   *
+   * @param {string} id
+   */
+  reset(id) {
+    this.get(id);
+
+    delete this.edits[id];
+    saveSetting("poetStyleEdits", this.edits);
+
+    if (id === this.currentId) this.onChange?.(this.current);
+  }
+
+  isEdited(id) {
+    return Boolean(this.edits[id]);
+  }
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(
+    keys
+      .filter((key) => object[key] !== undefined)
+      .map((key) => [key, object[key]])
+  );
+}
+
+function validate(style) {
+  if (!Number.isInteger(style.lines) || style.lines < 1 || style.lines > 14) {
+    throw new Error("Lines must be a whole number from 1 to 14");
+  }
+
+  if (
+    typeof style.temperature !== "number" ||
+    style.temperature < 0 ||
+    style.temperature > 2
+  ) {
+    throw new Error("Temperature must be between 0 and 2");
+  }
+
+  if (
+    style.voiceId !== null &&
+    (typeof style.voiceId !== "string" || !style.voiceId.trim())
+  ) {
+    throw new Error("Voice must be a voice ID, or null for the default");
+  }
+
+  for (const key of ["systemPrompt", "userPrompt"]) {
+    if (!style[key]?.trim()) throw new Error(`${key} can't be empty`);
+
+    const unknown = templateVariables(style[key]).filter(
+      (name) => !TEMPLATE_VARIABLES.includes(name)
+    );
+    if (unknown.length > 0) {
+      throw new Error(`Unknown placeholder {{${unknown[0]}}} in ${key}`);
+    }
+  }
+}
+
+/**
+ * @typedef {Object} PoetStyle
+ * @property {string} id - Preset id, e.g. "haiku"
+ * @property {string} name - Shown in the style picker
+ * @property {string} systemPrompt - Persona and rules (template)
+ * @property {string} userPrompt - Scene and context (template)
+ * @property {number} lines - Lines per clip
+ * @property {number} temperature - Sampling temperature (0-2)
+ * @property {string} visionFocus - What the scene description should cover
+ * @property {string|null} voiceId - TTS voice; null for the configured one
+ */
+
+// Export singleton instance
+export const styles = new StyleLibrary();
@@ -1,94 +1,144 @@
 /**
  * Text-to-Speech Module
  *
- * Converts poetry text into spoken audio using ElevenLabs API.
+ * Converts poetry text into spoken audio (ElevenLabs by default).
  * Returns audio as blobs that can be played via Web Audio API.
  *
  * Key concepts:
  * - Fetch API: Making HTTP requests to external services
  * - Blob: Binary large object for handling audio data
  * - Object URLs: Creating playable URLs from binary data
- * - Voice settings: Controlling speech characteristics
+ * - Voice settings: Controlling speech characteristics (saved from the
+ *   voice panel's sliders)
+ * - Voices per style: Each poet style can bring its own voice; picking
+ *   one in the voice panel saves it for the current style (a language
+ *   with a voice of its own still uses that)
+ * - Timestamps: File synthesis can bring per-character timing
+ *   (config.karaoke.alignment), so the overlay can follow each word
+ * - Languages: Each poetry language gets a suitable voice and model
+ *   (see config.elevenlabs.voices)
+ * - Dialogue: In call-and-response mode each line is synthesized in
+ *   its speaker's voice; AudioBufferManager stitches them together
+ * - Providers: The backend is chosen by config.providers.tts
+ * - Resilience: Calls are retried and guarded by a circuit breaker
+ * - Costs: Every character spoken is counted; near the budget a
+ *   cheaper model is used (see modules/costs.js)
  */
 
 import { config } from "../utils/config.js";
+import { createProvider } from "../providers/index.js";
+import { resilience } from "../utils/resilience.js";
+import { loadSetting, saveSetting } from "../utils/storage.js";
+import { languages } from "./languages.js";
+import { PRESETS, styles } from "./styles.js";
+import { costs } from "./costs.js";
 
-class TTSModule {
+const VOICE_SETTINGS = ["stability", "similarityBoost", "style"];
+
+export class TTSModule {
   constructor() {
-    this.baseUrl = "https://api.elevenlabs.io/v1";
-    this.voiceId = config.elevenlabs.voiceId;
+    this.provider = null;
+
+    // Slider values, saved across reloads
+    this.voiceSettings = {
+      ...config.elevenlabs.voiceSettings,
+      ...loadSetting("voiceSettings", {}),
+    };
+  }
+
+  /**
+   * Create the configured TTS provider on first use
+   */
+  initialize() {
+    if (this.provider) return;
+
+    this.provider = createProvider("tts", config.providers.tts);
   }
 
   /**
    * Convert text to speech audio
    *
    * @param {string} text - Text to convert to speech
-   * @returns {Promise<AudioClip>} - Audio clip with blob and metadata
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {string} [options.language] - Language code of the text;
+   *   defaults to the current poetry language
+   * @returns {Promise<AudioClip>} - Audio clip with audio data and metadata
    *
-   * Voice settings explained:
-   * - stability: Higher = more consistent, lower = more expressive
-   * - similarity_boost: How closely to match the voice model
-   * - style: Amount of stylistic variation (0 = neutral)
+   * With config.tts.streaming (and a provider that supports it) the clip
+   * carries a PCM `stream` instead of a blob, and resolves as soon as the
+   * first bytes arrive. AudioBufferManager decodes it chunk by chunk.
+   * Duration is filled in from the decoded audio, not measured here.
    */
-  async synthesize(text) {
+  async synthesize(text, { signal, language = languages.currentId } = {}) {
+    this.initialize();
+
     const startTime = Date.now();
+    const { voiceId, modelId } = this.getVoiceFor(language);
+    const voiceSettings = { ...this.voiceSettings };
 
     try {
-      const response = await fetch(
-        `${this.baseUrl}/text-to-speech/${this.voiceId}`,
-        {
-          method: "POST",
-          headers: {
-            Accept: "audio/mpeg",
-            "Content-Type": "application/json",
-            "xi-api-key": config.elevenlabs.apiKey,
-          },
-          body: JSON.stringify({
-            text: text,
-            model_id: config.elevenlabs.modelId,
-            voice_settings: {
-              stability: 0.5, // Balanced - not too robotic, not too wild
-              similarity_boost: 0.75, // Clear voice matching
-              style: 0.3, // Slight expressiveness for poetry
-              use_speaker_boost: true, // Enhanced clarity
-            },
-          }),
-        }
-      );
-
-      // Handle API errors
-      if (!response.ok) {
-        const errorText = await response.text();
+      if (config.tts.streaming && this.provider.synthesizeStream) {
+        // Retries cover the request; once audio flows we're committed
+        const result = await resilience.call(
+          "tts",
+          (attemptSignal) =>
+            this.provider.synthesizeStream(text, {
+              voiceId,
+              modelId,
+              voiceSettings,
+              signal: attemptSignal,
+            }),
+          { signal }
+        );
+        const { stream, sampleRate } = result;
+        this.recordUsage(text, result);
 
-        if (response.status === 401) {
-          throw new Error("Invalid ElevenLabs API key. Check your .env file.");
-        } else if (response.status === 429) {
-          throw new Error("ElevenLabs rate limit reached. Please wait.");
-        } else if (response.status === 400) {
-          throw new Error(`ElevenLabs error: ${errorText}`);
-        }
+        const latency = Date.now() - startTime;
+        console.log(`🔊 TTS (${latency}ms): streaming ${sampleRate}Hz PCM`);
 
-        throw new Error(`TTS API error (${response.status}): ${errorText}`);
+        return {
+          stream,
+          sampleRate,
+          blob: null,
+          url: null,
+          duration: 0,
+          text,
+          latency,
+          timestamp: Date.now(),
+        };
       }
 
-      // Get audio as blob (binary data)
-      const audioBlob = await response.blob();
+      const result = await resilience.call(
+        "tts",
+        (attemptSignal) =>
+          this.provider.synthesize(text, {
+            voiceId,
+            modelId,
+            voiceSettings,
+            timestamps: this.wantsTimestamps(),
+            signal: attemptSignal,
+          }),
+        { signal }
+      );
+      const { blob: audioBlob, alignment = null } = result;
+      this.recordUsage(text, result);
 
       // Create a URL that can be used for playback
       const audioUrl = URL.createObjectURL(audioBlob);
 
-      // Get audio duration by loading it
-      const duration = await this.getAudioDuration(audioUrl);
-
       const latency = Date.now() - startTime;
       console.log(
-        `🔊 TTS (${latency}ms): ${duration.toFixed(1)}s audio generated`
+        `🔊 TTS (${latency}ms): ${(audioBlob.size / 1024).toFixed(
+          0
+        )}KB audio generated`
       );
 
       return {
         blob: audioBlob,
         url: audioUrl,
-        duration,
+        alignment,
+        duration: 0,
         text,
         latency,
         timestamp: Date.now(),
@@ -100,31 +150,105 @@ class TTSModule {
   }
 
   /**
-   * Get duration of audio from URL
+   * Speak a dialogue, each line in its speaker's voice
    *
-   * @param {string} audioUrl - Object URL for audio blob
-   * @returns {Promise<number>} - Duration in seconds
+   * Lines are synthesized side by side as whole files (not streamed),
+   * since the clip can only play once every line is ready.
    *
-   * We need to load the audio into an Audio element
-   * to read its duration metadata.
+   * @param {DialogueLine[]} lines - From the poetry module
+   * @param {Object} [options] - As for synthesize
+   * @returns {Promise<AudioClip>} - A clip with `segments`, one blob per
+   *   line, for AudioBufferManager to stitch
    */
-  getAudioDuration(audioUrl) {
-    return new Promise((resolve, reject) => {
-      const audio = new Audio(audioUrl);
+  async synthesizeDialogue(
+    lines,
+    { signal, language = languages.currentId } = {}
+  ) {
+    this.initialize();
+
+    const startTime = Date.now();
+    const { modelId } = this.getVoiceFor(language);
+    const voiceSettings = { ...this.voiceSettings };
+
+    try {
+      const segments = await Promise.all(
+        lines.map(async (line) => {
+          const voiceId = this.getSpeakerVoice(line.speaker, language);
+          const result = await resilience.call(
+            "tts",
+            (attemptSignal) =>
+              this.provider.synthesize(line.text, {
+                voiceId,
+                modelId,
+                voiceSettings,
+                timestamps: this.wantsTimestamps(),
+                signal: attemptSignal,
+              }),
+            { signal }
+          );
+          const { blob, alignment = null } = result;
+          this.recordUsage(line.text, result);
 
-      audio.addEventListener("loadedmetadata", () => {
-        resolve(audio.duration);
-      });
+          return { ...line, voiceId, blob, alignment };
+        })
+      );
+
+      const latency = Date.now() - startTime;
+      console.log(
+        `🔊 TTS (${latency}ms): ${segments.length} dialogue lines generated`
+      );
 
-      audio.addEventListener("error", (e) => {
-        reject(new Error("Failed to load audio metadata"));
-      });
+      return {
+        segments,
+        blob: null,
+        url: null,
+        duration: 0,
+        text: lines.map((line) => line.text).join("\n"),
+        latency,
+        timestamp: Date.now(),
+      };
+    } catch (error) {
+      console.error("TTS error:", error);
+      throw error;
+    }
+  }
 
-      // Timeout after 10 seconds
-      setTimeout(() => reject(new Error("Audio load timeout")), 10000);
+  /**
+   * Count the characters spoken toward the budget (see modules/costs.js)
+   *
+   * @param {string} text - What was sent
+   * @param {Object} result - From the provider, with the model if it says
+   */
+  recordUsage(text, { model }) {
+    costs.record("tts", {
+      model: model ?? config.providers.tts,
+      characters: text.length,
     });
   }
 
+  /**
+   * Whether to ask the provider when each character is spoken,
+   * for the overlay's karaoke highlighting
+   */
+  wantsTimestamps() {
+    return config.karaoke.enabled && config.karaoke.alignment;
+  }
+
+  /**
+   * The voice for one of config.dialogue.speakers
+   * A speaker without a voice of its own uses the style's voice.
+   *
+   * @param {number} speaker - Index into config.dialogue.speakers
+   * @param {string} language - Language code
+   * @returns {string} - Voice ID
+   */
+  getSpeakerVoice(speaker, language) {
+    return (
+      config.dialogue.speakers[speaker]?.voiceId ??
+      this.getVoiceFor(language).voiceId
+    );
+  }
+
   /**
    * Get list of available voices
    * Useful for building a voice selection UI
@@ -132,25 +256,10 @@ class TTSModule {
    * @returns {Promise<Voice[]>} - Array of available voices
    */
   async getVoices() {
-    try {
-      const response = await fetch(`${this.baseUrl}/voices`, {
-        headers: {
-          "xi-api-key": config.elevenlabs.apiKey,
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error("Failed to fetch voices");
-      }
+    this.initialize();
 
-      const data = await response.json();
-      return data.voices.map((voice) => ({
-        id: voice.voice_id,
-        name: voice.name,
-        category: voice.category,
-        description: voice.description,
-        previewUrl: voice.preview_url,
-      }));
+    try {
+      return await this.provider.getVoices();
     } catch (error) {
       console.error("Failed to fetch voices:", error);
       return [];
@@ -158,12 +267,71 @@ class TTSModule {
   }
 
   /**
-   * Change the voice used for synthesis
-   * @param {string} voiceId - ElevenLabs voice ID
+   * Change the voice used for synthesis, for the current poet style
+   * The choice is saved as an edit of the style.
+   *
+   * @param {string|null} voiceId - Provider voice ID; null goes back to
+   *   the style's own voice
    */
   setVoice(voiceId) {
-    this.voiceId = voiceId;
-    console.log(`🎤 Voice changed to: ${voiceId}`);
+    styles.update(styles.currentId, {
+      voiceId: voiceId ?? PRESETS[styles.currentId].voiceId,
+    });
+    console.log(`🎤 Voice changed to: ${this.getVoiceId()}`);
+  }
+
+  /**
+   * Adjust how the voice speaks; values are saved
+   *
+   * @param {Partial<VoiceSettings>} changes - Each from 0 to 1
+   * @throws {Error} - When a value is out of range
+   */
+  setVoiceSettings(changes) {
+    for (const key of VOICE_SETTINGS) {
+      const value = changes[key];
+      if (value === undefined) continue;
+
+      if (typeof value !== "number" || value < 0 || value > 1) {
+        throw new Error(`${key} must be between 0 and 1`);
+      }
+      this.voiceSettings[key] = value;
+    }
+
+    saveSetting("voiceSettings", this.voiceSettings);
+  }
+
+  /**
+   * Back to config.elevenlabs.voiceSettings
+   */
+  resetVoiceSettings() {
+    this.voiceSettings = { ...config.elevenlabs.voiceSettings };
+    saveSetting("voiceSettings", null);
+  }
+
+  /**
+   * The voice and model to speak a language with
+   *
+   * A voice configured for the language comes first, since the style's
+   * voice (or one picked in the voice panel) may only suit English;
+   * then the style's voice, then the default voice. English uses the
+   * fast default model; other languages use the multilingual one,
+   * unless config.elevenlabs.voices says otherwise. Near the budget the
+   * economy model replaces either.
+   *
+   * @param {string} language - Language code, e.g. "es"
+   * @returns {{voiceId: string, modelId: string}}
+   */
+  getVoiceFor(language) {
+    const { voiceId, modelId, multilingualModelId, voices } = config.elevenlabs;
+    const override = voices[language] ?? {};
+
+    return {
+      voiceId: override.voiceId ?? styles.current.voiceId ?? voiceId,
+      modelId:
+        costs.economy?.models[config.providers.tts] ??
+        override.modelId ??
+        (language === "en" ? modelId : multilingualModelId),
+    };
   }
 
   /**
@@ -171,7 +339,7 @@ class TTSModule {
    * @returns {string}
    */
   getVoiceId() {
-    return this.voiceId;
+    return this.getVoiceFor(languages.currentId).voiceId;
   }
 
   /**
@@ -187,14 +355,27 @@ class TTSModule {
 
 /**
  * @typedef {Object} AudioClip
- * @property {Blob} blob - Raw audio data
- * @property {string} url - Playable object URL
- * @property {number} duration - Duration in seconds
+ * @property {Blob|null} blob - Raw audio data (null when streaming)
+ * @property {string|null} url - Playable object URL (null when streaming)
+ * @property {Alignment|null} [alignment] - When each character is spoken,
+ *   if the provider said (see utils/wordTiming.js)
+ * @property {ReadableStream<Uint8Array>} [stream] - PCM16 audio as it arrives
+ * @property {Object[]} [segments] - Dialogue lines, each with its
+ *   speaker, voiceId, blob and alignment (see synthesizeDialogue)
+ * @property {number} [sampleRate] - Sample rate of the stream
+ * @property {number} duration - Seconds; set once the audio is decoded
  * @property {string} text - Original text
  * @property {number} latency - API response time (ms)
  * @property {number} timestamp - When generated
  */
 
+/**
+ * @typedef {Object} VoiceSettings
+ * @property {number} stability - Higher = more consistent (0-1)
+ * @property {number} similarityBoost - Closeness to the voice model (0-1)
+ * @property {number} style - Expressiveness; 0 = neutral (0-1)
+ */
+
 /**
  * @typedef {Object} Voice
  * @property {string} id - Voice ID
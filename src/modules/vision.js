@@ -1,99 +1,155 @@
 /**
  * Vision Module
  *
- * Analyzes camera frames using GPT-4o Vision API.
- * Converts what the camera "sees" into natural language descriptions.
+ * Analyzes camera frames with a vision-capable model (GPT-4o by default).
+ * Converts what the camera "sees" into a structured scene: objects,
+ * people, colors, light, mood and setting, plus a short description.
  *
  * Key concepts:
  * - Multimodal AI: Models that understand both text and images
  * - Base64 images: How to send images to APIs as text
  * - Prompt engineering: Crafting instructions for desired output
+ * - Structured output: The reply is JSON (see utils/sceneAnalysis.js),
+ *   validated, and kept as plain prose when it can't be parsed
+ * - Scene changes: A new setting, different people or a different set
+ *   of objects; prose-only scenes fall back to word overlap
+ * - Providers: The backend is chosen by config.providers.vision
+ * - Poet styles: What to look for depends on the current style
+ * - Languages: The scene is described in the language the poet writes in
+ * - Resilience: Calls are retried and guarded by a circuit breaker
+ * - Costs: Every call's tokens are counted; near the budget, image
+ *   detail and the model step down (see modules/costs.js)
  */
 
-import OpenAI from "openai";
 import { config } from "../utils/config.js";
+import { createProvider } from "../providers/index.js";
+import { resilience } from "../utils/resilience.js";
+import { renderTemplate } from "../utils/template.js";
+import { parseSceneAnalysis, SCENE_SCHEMA } from "../utils/sceneAnalysis.js";
+import { styles } from "./styles.js";
+import { languages } from "./languages.js";
+import { costs } from "./costs.js";
 
-class VisionModule {
+// {{focus}} comes from the current poet style (see modules/styles.js),
+// {{language}} is only set when the poet isn't writing in English
+const VISION_PROMPT = `You are an observant poet's eye. Describe what you see in this image in 2-3 sentences.
+
+Focus on:
+{{focus}}
+
+Be specific and evocative, but concise. This description will inspire poetry.
+Avoid generic descriptions. Find something interesting or meaningful in the scene.{{#language}}
+Write the description in {{language}}.{{/language}}`;
+
+// The same eye, answering in fields (see config.vision.structured)
+const STRUCTURED_PROMPT = `You are an observant poet's eye. Study this image for a poet.
+
+Focus on:
+{{focus}}
+
+Reply with a JSON object with these fields:
+- "description": 2-3 specific, evocative sentences that will inspire poetry
+- "objects": the things in view, as short lowercase nouns
+- "peopleCount": how many people are visible (0 for none)
+- "colors": the dominant colors
+- "lighting": the light, in a few words
+- "mood": the mood or atmosphere, in a few words
+- "setting": where this is, e.g. "kitchen" or "city street"
+- "details": notable details worth a line of poetry
+
+Avoid generic descriptions. Find something interesting or meaningful in the scene.{{#language}}
+Write the values in {{language}}; keep the field names in English.{{/language}}`;
+
+// Below this object-set overlap, the view counts as a new scene
+const OBJECT_SIMILARITY = 0.5;
+
+export class VisionModule {
   constructor() {
-    this.client = null;
-    this.lastDescription = "";
+    this.provider = null;
+    this.lastScene = null; // { description, analysis } of the last frame
     this.isInitialized = false;
   }
 
   /**
-   * Initialize the OpenAI client
+   * Create the configured vision provider
    * Called lazily on first use to avoid errors if API key is missing
    */
   initialize() {
     if (this.isInitialized) return;
 
-    this.client = new OpenAI({
-      apiKey: config.openai.apiKey,
-      // Note: In production, you'd proxy through a backend to hide the API key
-      // This flag acknowledges we're making direct browser calls
-      dangerouslyAllowBrowser: true,
-    });
+    this.provider = createProvider("vision", config.providers.vision);
 
     this.isInitialized = true;
-    console.log("👁️ Vision module initialized");
+    console.log(`👁️ Vision module initialized (${config.providers.vision})`);
   }
 
   /**
    * Analyze a camera frame and return a scene description
    *
    * @param {string} imageBase64 - Base64 encoded JPEG image
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
    * @returns {Promise<SceneDescription>} - Scene analysis results
    *
    * The prompt is crafted to get descriptions that inspire poetry:
    * - Focus on observable details
    * - Note mood and atmosphere
    * - Be evocative but concise
+   *
+   * With config.vision.structured the provider is asked for JSON
+   * matching SCENE_SCHEMA; a reply that doesn't parse is used as the
+   * description, with analysis null.
    */
-  async analyzeFrame(imageBase64) {
+  async analyzeFrame(imageBase64, { signal } = {}) {
     this.initialize();
 
     const startTime = Date.now();
+    const { id, name } = languages.current;
+    const { structured } = config.vision;
+    const economy = costs.economy;
+    const prompt = renderTemplate(
+      structured ? STRUCTURED_PROMPT : VISION_PROMPT,
+      {
+        focus: styles.current.visionFocus,
+        language: id !== "en" ? name : null,
+      }
+    );
 
     try {
-      const response = await this.client.chat.completions.create({
-        model: config.openai.model,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: `You are an observant poet's eye. Describe what you see in this image in 2-3 sentences.
-
-Focus on:
-- The main subject or action happening
-- Notable details that could inspire reflection
-- The mood, atmosphere, or feeling
-
-Be specific and evocative, but concise. This description will inspire poetry.
-Avoid generic descriptions. Find something interesting or meaningful in the scene.`,
-              },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:image/jpeg;base64,${imageBase64}`,
-                  // 'low' = faster & cheaper (~85 tokens), good for our use case
-                  // 'high' = more detail (~765 tokens), for detailed analysis
-                  detail: config.vision.imageDetail,
-                },
-              },
-            ],
-          },
-        ],
-        max_tokens: config.vision.maxTokens,
+      const result = await resilience.call(
+        "vision",
+        (attemptSignal) =>
+          this.provider.analyzeFrame(imageBase64, {
+            prompt,
+            maxTokens: config.vision.maxTokens,
+            detail: economy?.imageDetail ?? config.vision.imageDetail,
+            schema: structured ? SCENE_SCHEMA : null,
+            model: economy?.models[config.providers.vision],
+            signal: attemptSignal,
+          }),
+        { signal }
+      );
+      const { text, tokens } = result;
+      costs.record("vision", {
+        model: result.model ?? config.providers.vision,
+        inputTokens: result.inputTokens ?? tokens,
+        outputTokens: result.outputTokens ?? 0,
       });
 
-      const description = response.choices[0].message.content;
       const latency = Date.now() - startTime;
 
+      const analysis = structured ? parseSceneAnalysis(text) : null;
+      if (structured && !analysis) {
+        console.warn(
+          "👁️ Vision reply wasn't valid scene JSON, using it as prose"
+        );
+      }
+      const description = analysis?.description ?? text.trim();
+
       // Check if scene changed significantly
-      const isNewScene = this.detectSceneChange(description);
-      this.lastDescription = description;
+      const scene = { description, analysis };
+      const isNewScene = this.detectSceneChange(scene);
+      this.lastScene = scene;
 
       console.log(
         `👁️ Vision (${latency}ms): ${description.substring(0, 100)}...`
@@ -101,21 +157,13 @@ Avoid generic descriptions. Find something interesting or meaningful in the scen
 
       return {
         description,
+        analysis,
         timestamp: Date.now(),
         latency,
         isNewScene,
-        tokens: response.usage?.total_tokens || 0,
+        tokens,
       };
     } catch (error) {
-      // Handle specific API errors
-      if (error.status === 401) {
-        throw new Error("Invalid OpenAI API key. Check your .env file.");
-      } else if (error.status === 429) {
-        throw new Error("Rate limited by OpenAI. Please wait a moment.");
-      } else if (error.status === 500) {
-        throw new Error("OpenAI service error. Retrying...");
-      }
-
       console.error("Vision API error:", error);
       throw error;
     }
@@ -123,25 +171,53 @@ Avoid generic descriptions. Find something interesting or meaningful in the scen
 
   /**
    * Detect if the scene has changed significantly
-   * Uses simple word overlap similarity
+   * Compares the structured fields when both scenes have them:
+   * a new setting, a different number of people, or a different set
+   * of objects. Otherwise uses simple word overlap similarity.
    *
-   * @param {string} newDescription - New scene description
+   * @param {{description: string, analysis: SceneAnalysis|null}} scene
    * @returns {boolean} - True if scene changed significantly
    *
    * This helps avoid generating redundant poetry for static scenes
    */
-  detectSceneChange(newDescription) {
-    if (!this.lastDescription) return true;
+  detectSceneChange({ description, analysis }) {
+    const last = this.lastScene;
+    if (!last) return true;
 
-    const similarity = this.calculateSimilarity(
-      newDescription,
-      this.lastDescription
-    );
+    if (analysis?.objects.length && last.analysis?.objects.length) {
+      return (
+        !this.isSameSetting(analysis.setting, last.analysis.setting) ||
+        analysis.peopleCount !== last.analysis.peopleCount ||
+        jaccard(analysis.objects, last.analysis.objects) < OBJECT_SIMILARITY
+      );
+    }
+
+    const similarity = this.calculateSimilarity(description, last.description);
 
     // If less than 50% similar, consider it a new scene
     return similarity < 0.5;
   }
 
+  /**
+   * Whether two settings name the same place
+   * "kitchen" and "small kitchen" do; an unknown setting matches anything.
+   *
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  isSameSetting(a, b) {
+    if (!a || !b) return true;
+
+    const words = (s) =>
+      s
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+    const wordsB = new Set(words(b));
+    return words(a).some((word) => wordsB.has(word));
+  }
+
   /**
    * Calculate word overlap similarity between two strings
    * Simple but effective for our use case
@@ -165,28 +241,43 @@ Avoid generic descriptions. Find something interesting or meaningful in the scen
         .filter((w) => w.length > 3)
     );
 
-    // Count overlapping words
-    const intersection = [...wordsA].filter((word) => wordsB.has(word));
-
-    // Jaccard similarity
-    const union = new Set([...wordsA, ...wordsB]);
-    return intersection.length / union.size;
+    return jaccard([...wordsA], [...wordsB]);
   }
 
   /**
    * Reset scene tracking (for starting fresh)
    */
   reset() {
-    this.lastDescription = "";
+    this.lastScene = null;
   }
 }
 
+/**
+ * Jaccard similarity: shared items over all items
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number} - 0-1
+ */
+function jaccard(a, b) {
+  const setB = new Set(b);
+  const union = new Set([...a, ...b]);
+  const intersection = [...new Set(a)].filter((item) => setB.has(item));
+  return union.size ? intersection.length / union.size : 0;
+}
+
 /**
  * @typedef {Object} SceneDescription
  * @property {string} description - Natural language scene description
+ * @property {SceneAnalysis|null} analysis - Structured fields (see
+ *   utils/sceneAnalysis.js); null for prose-only replies
  * @property {number} timestamp - When the analysis was done
  * @property {number} latency - How long the API call took (ms)
  * @property {boolean} isNewScene - Whether scene changed significantly
+ * @property {boolean} [reused] - Copied from the last analysis because the
+ *   camera view hadn't changed (no API call made)
+ * @property {string|null} [thumbnail] - Small JPEG data URL of the frame,
+ *   added by the pipeline
  * @property {number} tokens - API tokens used
  */
 
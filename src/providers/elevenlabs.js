@@ -0,0 +1,204 @@
+/**
+ * ElevenLabs Provider
+ *
+ * Text-to-speech via the ElevenLabs REST API (or our proxy).
+ * The with-timestamps endpoint adds when each character is spoken.
+ */
+
+import { config } from "../utils/config.js";
+import { proxyFetch } from "../utils/proxy.js";
+import { parseRetryAfter } from "../utils/resilience.js";
+
+export class ElevenLabsTTSProvider {
+  constructor() {
+    this.baseUrl = "https://api.elevenlabs.io/v1";
+  }
+
+  /**
+   * Convert text to MP3 audio
+   *
+   * @param {string} text - Text to speak
+   * @param {Object} options
+   * @param {string} options.voiceId - ElevenLabs voice ID
+   * @param {string} [options.modelId] - Defaults to config.elevenlabs.modelId
+   * @param {VoiceSettings} [options.voiceSettings] - Defaults to
+   *   config.elevenlabs.voiceSettings
+   * @param {boolean} [options.timestamps] - Also return the alignment
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<{blob: Blob, alignment?: Alignment, model: string}>}
+   *
+   * Voice settings explained:
+   * - stability: Higher = more consistent, lower = more expressive
+   * - similarity_boost: How closely to match the voice model
+   * - style: Amount of stylistic variation (0 = neutral)
+   */
+  async synthesize(
+    text,
+    { voiceId, modelId, voiceSettings, timestamps = false, signal }
+  ) {
+    const body = this.buildBody(text, modelId, voiceSettings);
+    const endpoint = timestamps ? "/with-timestamps" : "";
+
+    // In proxy mode our server adds the API key (see server/proxy.js)
+    const response = config.proxy.enabled
+      ? await proxyFetch("/api/tts", { voiceId, timestamps, ...body }, signal)
+      : await fetch(`${this.baseUrl}/text-to-speech/${voiceId}${endpoint}`, {
+          method: "POST",
+          headers: {
+            Accept: timestamps ? "application/json" : "audio/mpeg",
+            "Content-Type": "application/json",
+            "xi-api-key": config.elevenlabs.apiKey,
+          },
+          body: JSON.stringify(body),
+          signal,
+        });
+
+    await this.checkResponse(response);
+
+    if (timestamps) {
+      return {
+        ...this.parseTimestamps(await response.json()),
+        model: body.model_id,
+      };
+    }
+
+    // Get audio as blob (binary data)
+    return { blob: await response.blob(), model: body.model_id };
+  }
+
+  /**
+   * Unpack a with-timestamps response: base64 MP3, plus the start
+   * and end of every character of the text
+   *
+   * @returns {{blob: Blob, alignment: Alignment|null}}
+   */
+  parseTimestamps({ audio_base64, alignment }) {
+    const bytes = Uint8Array.from(atob(audio_base64), (c) => c.charCodeAt(0));
+
+    return {
+      blob: new Blob([bytes], { type: "audio/mpeg" }),
+      alignment: alignment
+        ? {
+            characters: alignment.characters,
+            startTimes: alignment.character_start_times_seconds,
+            endTimes: alignment.character_end_times_seconds,
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Stream speech as raw PCM while it is being generated
+   *
+   * Uses the /stream endpoint with a pcm_* output format: raw samples
+   * can be played chunk by chunk, unlike MP3 frames.
+   *
+   * @param {string} text - Text to speak
+   * @param {Object} options
+   * @param {string} options.voiceId - ElevenLabs voice ID
+   * @param {string} [options.modelId] - Defaults to config.elevenlabs.modelId
+   * @param {VoiceSettings} [options.voiceSettings] - As for synthesize()
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<{stream: ReadableStream<Uint8Array>, sampleRate: number,
+   *   model: string}>}
+   */
+  async synthesizeStream(text, { voiceId, modelId, voiceSettings, signal }) {
+    const body = this.buildBody(text, modelId, voiceSettings);
+    const sampleRate = config.elevenlabs.streamSampleRate;
+    const outputFormat = `pcm_${sampleRate}`;
+
+    const response = config.proxy.enabled
+      ? await proxyFetch(
+          "/api/tts/stream",
+          { voiceId, outputFormat, ...body },
+          signal
+        )
+      : await fetch(
+          `${this.baseUrl}/text-to-speech/${voiceId}/stream?output_format=${outputFormat}`,
+          {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              "xi-api-key": config.elevenlabs.apiKey,
+            },
+            body: JSON.stringify(body),
+            signal,
+          }
+        );
+
+    await this.checkResponse(response);
+
+    return { stream: response.body, sampleRate, model: body.model_id };
+  }
+
+  buildBody(
+    text,
+    modelId = config.elevenlabs.modelId,
+    voiceSettings = config.elevenlabs.voiceSettings
+  ) {
+    return {
+      text: text,
+      model_id: modelId,
+      voice_settings: {
+        stability: voiceSettings.stability,
+        similarity_boost: voiceSettings.similarityBoost,
+        style: voiceSettings.style,
+        use_speaker_boost: true, // Enhanced clarity
+      },
+    };
+  }
+
+  /**
+   * Turn API errors into readable messages
+   * Errors keep `status` and `retryAfter` (ms) for the retry logic.
+   */
+  async checkResponse(response) {
+    if (response.ok) return;
+
+    const errorText = await response.text();
+    let message = `TTS API error (${response.status}): ${errorText}`;
+
+    if (response.status === 401) {
+      message = "Invalid ElevenLabs API key. Check your .env file.";
+    } else if (response.status === 429) {
+      message = "ElevenLabs rate limit reached. Please wait.";
+    } else if (response.status === 400) {
+      message = `ElevenLabs error: ${errorText}`;
+    }
+
+    const error = new Error(message);
+    error.status = response.status;
+    error.retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+    throw error;
+  }
+
+  /**
+   * @returns {Promise<Voice[]>} - Available voices
+   */
+  async getVoices() {
+    const response = config.proxy.enabled
+      ? await fetch(`${config.proxy.baseUrl}/api/tts/voices`)
+      : await fetch(`${this.baseUrl}/voices`, {
+          headers: {
+            "xi-api-key": config.elevenlabs.apiKey,
+          },
+        });
+
+    if (!response.ok) {
+      throw new Error("Failed to fetch voices");
+    }
+
+    const data = await response.json();
+    return data.voices.map((voice) => ({
+      id: voice.voice_id,
+      name: voice.name,
+      category: voice.category,
+      description: voice.description,
+      previewUrl: voice.preview_url,
+    }));
+  }
+}
+
+export function createElevenLabsTTSProvider() {
+  return new ElevenLabsTTSProvider();
+}
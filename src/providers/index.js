@@ -0,0 +1,36 @@
+/**
+ * Providers
+ *
+ * Registers the built-in backends. Import from here rather than
+ * registry.js so the registrations are guaranteed to have run.
+ */
+
+import { registerProvider } from "./registry.js";
+import {
+  createOpenAIPoetryProvider,
+  createOpenAIVisionProvider,
+} from "./openai.js";
+import {
+  createCompatiblePoetryProvider,
+  createCompatibleVisionProvider,
+} from "./openaiCompatible.js";
+import { createElevenLabsTTSProvider } from "./elevenlabs.js";
+import {
+  MockPoetryProvider,
+  MockTTSProvider,
+  MockVisionProvider,
+} from "./mock.js";
+
+registerProvider("vision", "openai", createOpenAIVisionProvider);
+registerProvider("poetry", "openai", createOpenAIPoetryProvider);
+
+registerProvider("vision", "openai-compatible", createCompatibleVisionProvider);
+registerProvider("poetry", "openai-compatible", createCompatiblePoetryProvider);
+
+registerProvider("tts", "elevenlabs", createElevenLabsTTSProvider);
+
+registerProvider("vision", "mock", () => new MockVisionProvider());
+registerProvider("poetry", "mock", () => new MockPoetryProvider());
+registerProvider("tts", "mock", () => new MockTTSProvider());
+
+export { createProvider, listProviders, registerProvider } from "./registry.js";
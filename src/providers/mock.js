@@ -0,0 +1,300 @@
+/**
+ * Mock Providers
+ *
+ * Offline stand-ins for every pipeline stage, so the buffer, UI and
+ * timing logic can run end to end without keys, network or cost.
+ * Enable with ?mock in the URL or VITE_MOCK_MODE=true.
+ *
+ * - Vision cycles through canned scenes, as JSON when asked for it
+ * - Poetry fills couplet templates with words from the scene, answers
+ *   theme and summary requests with canned notes, and "translates" by
+ *   marking each line
+ * - TTS renders a soft sine tone (WAV or streamed PCM) paced like speech,
+ *   and can say when each word's pulse is, like a timestamps endpoint
+ */
+
+import { config } from "../utils/config.js";
+import { encodeWav } from "../utils/wav.js";
+import { floatToPcm16 } from "../utils/pcm.js";
+
+const SCENES = [
+  {
+    description:
+      "A person sits at a wooden desk, lit by the blue glow of a laptop screen. A half-empty mug of coffee rests beside a stack of notebooks. The room feels quiet and focused.",
+    objects: ["desk", "laptop", "mug", "notebooks"],
+    peopleCount: 1,
+    colors: ["blue", "brown"],
+    lighting: "screen glow in a dim room",
+    mood: "quiet, focused",
+    setting: "home office",
+    details: ["the coffee is half gone"],
+  },
+  {
+    description:
+      "Afternoon light slants through a window onto a potted plant whose leaves lean toward the glass. Dust drifts in the sunbeam. The mood is calm and unhurried.",
+    objects: ["window", "plant", "pot"],
+    peopleCount: 0,
+    colors: ["gold", "green"],
+    lighting: "slanting afternoon sun",
+    mood: "calm, unhurried",
+    setting: "living room",
+    details: ["leaves leaning toward the glass", "dust in the sunbeam"],
+  },
+  {
+    description:
+      "An empty chair faces a bookshelf crowded with worn paperbacks. A jacket hangs over its back as if someone just stepped away. The space feels paused, waiting.",
+    objects: ["chair", "bookshelf", "paperbacks", "jacket"],
+    peopleCount: 0,
+    colors: ["brown", "faded red"],
+    lighting: "soft, even lamplight",
+    mood: "paused, waiting",
+    setting: "study",
+    details: ["a jacket left over the chair"],
+  },
+  {
+    description:
+      "A hand holds a phone close, thumb scrolling past bright images. Behind it, a dim hallway stretches into shadow. There is a restless, searching energy.",
+    objects: ["hand", "phone", "hallway"],
+    peopleCount: 1,
+    colors: ["black", "bright white"],
+    lighting: "phone light against shadow",
+    mood: "restless, searching",
+    setting: "hallway",
+    details: ["a thumb mid-scroll"],
+  },
+  {
+    description:
+      "Two cups sit side by side on a kitchen counter, steam curling from one of them. A window shows a grey sky beyond. The scene feels intimate and domestic.",
+    objects: ["cups", "counter", "window"],
+    peopleCount: 0,
+    colors: ["grey", "white"],
+    lighting: "overcast daylight",
+    mood: "intimate, domestic",
+    setting: "kitchen",
+    details: ["steam from only one cup"],
+  },
+];
+
+const COUPLETS = [
+  [
+    "I see the {a} resting where the light has been,",
+    "and learn that stillness is a kind of listening.",
+  ],
+  [
+    "The {a} holds more than it was made to hold,",
+    "the way a moment carries every year before it.",
+  ],
+  [
+    "Beside the {a}, the {b} keeps its quiet watch,",
+    "and I remember that waiting is also a form of love.",
+  ],
+  [
+    "Even the {a} leans toward something brighter,",
+    "as if to say: we grow by what we turn to face.",
+  ],
+  [
+    "Here is the {a}, ordinary and unguarded,",
+    "and here is the whole world, hiding inside it.",
+  ],
+];
+
+// The mock voice's speaking pace: one tone pulse per word
+const SECONDS_PER_WORD = 0.35;
+
+const VOICES = [
+  {
+    id: "mock-warm",
+    name: "Warm Tone",
+    category: "mock",
+    description: "Low sine voice",
+    previewUrl: "",
+  },
+  {
+    id: "mock-bright",
+    name: "Bright Tone",
+    category: "mock",
+    description: "High sine voice",
+    previewUrl: "",
+  },
+];
+
+/**
+ * Wait like a network call would, and cancel like one too
+ *
+ * @param {AbortSignal} [signal]
+ */
+function simulateLatency(signal) {
+  const jitter = Math.random() * 0.5 + 0.75; // 75%–125%
+
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("The operation was aborted.", "AbortError"));
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, config.mock.latency * jitter);
+
+    if (signal?.aborted) abort();
+    signal?.addEventListener("abort", abort, { once: true });
+  });
+}
+
+/**
+ * Pull "interesting" words out of a description for the templates
+ */
+function pickWords(text) {
+  const words = text
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, "")
+    .split(/\s+/)
+    .filter((w) => w.length > 4);
+
+  return [...new Set(words)];
+}
+
+export class MockVisionProvider {
+  constructor() {
+    this.index = 0;
+  }
+
+  async analyzeFrame(imageBase64, { schema, signal } = {}) {
+    await simulateLatency(signal);
+
+    const scene = SCENES[this.index % SCENES.length];
+    this.index++;
+
+    // Answers like a model asked for JSON, or with the prose alone
+    const text = schema ? JSON.stringify(scene) : scene.description;
+    return { text, tokens: 0 };
+  }
+}
+
+export class MockPoetryProvider {
+  constructor() {
+    this.index = 0;
+  }
+
+  async generate(scene, history, { purpose, userPrompt, signal } = {}) {
+    await simulateLatency(signal);
+
+    // Session notes (see PoetryModule.ask)
+    if (purpose === "theme") {
+      return { text: "Small rituals of an ordinary day", tokens: 0 };
+    }
+    if (purpose === "translation") {
+      const lines = userPrompt.split("\n").map((line) => `~ ${line}`);
+      return { text: lines.join("\n"), tokens: 0 };
+    }
+    if (purpose === "summary") {
+      return {
+        text: "The poet has lingered on quiet rooms and the light moving through them.",
+        tokens: 0,
+      };
+    }
+
+    const words = pickWords(scene);
+    const [first, second] = COUPLETS[this.index % COUPLETS.length];
+    this.index++;
+
+    const fill = (line) =>
+      line
+        .replace("{a}", words[0] || "window")
+        .replace("{b}", words[1] || "shadow");
+
+    return { text: `${fill(first)}\n${fill(second)}`, tokens: 0 };
+  }
+}
+
+export class MockTTSProvider {
+  constructor() {
+    this.sampleRate = 22050;
+  }
+
+  async synthesize(text, { voiceId, timestamps = false, signal }) {
+    await simulateLatency(signal);
+
+    return {
+      blob: encodeWav([this.renderTone(text, voiceId)], this.sampleRate),
+      ...(timestamps && { alignment: this.align(text) }),
+    };
+  }
+
+  /**
+   * Time every character to its word's pulse
+   */
+  align(text) {
+    const characters = [...text];
+    const startTimes = [];
+    const endTimes = [];
+    let word = -1;
+    let inWord = false;
+
+    for (const character of characters) {
+      const isSpace = /\s/.test(character);
+      if (!isSpace && !inWord) word++;
+      inWord = !isSpace;
+
+      const start = Math.max(word, 0) * SECONDS_PER_WORD;
+      startTimes.push(start);
+      endTimes.push(start + SECONDS_PER_WORD);
+    }
+
+    return { characters, startTimes, endTimes };
+  }
+
+  /**
+   * Stream the same tone as PCM, a quarter second every 50ms,
+   * so the streaming playback path runs offline too
+   */
+  async synthesizeStream(text, { voiceId, signal }) {
+    await simulateLatency(signal);
+
+    const samples = this.renderTone(text, voiceId);
+    const chunkSize = Math.round(this.sampleRate * 0.25);
+    let offset = 0;
+
+    const stream = new ReadableStream({
+      pull: async (controller) => {
+        if (offset >= samples.length) {
+          controller.close();
+          return;
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        controller.enqueue(
+          floatToPcm16(samples.subarray(offset, offset + chunkSize))
+        );
+        offset += chunkSize;
+      },
+    });
+
+    return { stream, sampleRate: this.sampleRate };
+  }
+
+  /**
+   * Render a tone that pulses once per word, roughly at speaking pace,
+   * so clip durations behave like real speech
+   */
+  renderTone(text, voiceId) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const duration = words.length * SECONDS_PER_WORD + 0.5;
+    const samples = new Float32Array(Math.ceil(duration * this.sampleRate));
+    const frequency = voiceId === "mock-bright" ? 330 : 220;
+
+    for (let i = 0; i < samples.length; i++) {
+      const t = i / this.sampleRate;
+      const wordPhase = (t % SECONDS_PER_WORD) / SECONDS_PER_WORD;
+      const envelope = Math.sin(Math.PI * wordPhase) * 0.2;
+      samples[i] = Math.sin(2 * Math.PI * frequency * t) * envelope;
+    }
+
+    return samples;
+  }
+
+  async getVoices() {
+    return VOICES;
+  }
+}
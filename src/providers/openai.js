@@ -0,0 +1,239 @@
+/**
+ * OpenAI Providers
+ *
+ * Vision and poetry backends built on the OpenAI chat completions API.
+ * Also the base for any OpenAI-compatible server (see openaiCompatible.js).
+ */
+
+import OpenAI from "openai";
+import { config } from "../utils/config.js";
+import { createProxyClient } from "../utils/proxy.js";
+import { parseRetryAfter } from "../utils/resilience.js";
+
+/**
+ * Create the OpenAI client, or the proxy stand-in when proxy mode is on
+ *
+ * @param {string} proxyRoute - Route to use in proxy mode
+ */
+function createClient(proxyRoute) {
+  if (config.proxy.enabled) {
+    return createProxyClient(proxyRoute);
+  }
+
+  return new OpenAI({
+    apiKey: config.openai.apiKey,
+    // Direct browser calls expose the key; use the proxy in production
+    dangerouslyAllowBrowser: true,
+    maxRetries: 0, // Retries happen in utils/resilience.js
+  });
+}
+
+/**
+ * Replace an API error's message, keeping what the retry logic needs
+ */
+function withMessage(error, message) {
+  const mapped = new Error(message);
+  mapped.status = error.status;
+  mapped.retryAfter =
+    error.retryAfter ?? parseRetryAfter(error.headers?.["retry-after"]);
+  return mapped;
+}
+
+export class OpenAIVisionProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - OpenAI client (or compatible)
+   * @param {string} options.model - Vision-capable model name
+   * @param {string} [options.label] - Vendor name used in error messages
+   * @param {string|null} [options.responseFormat] - How structured replies
+   *   are requested: "json_schema", "json_object", or "none" (prompt only)
+   */
+  constructor({
+    client,
+    model,
+    label = "OpenAI",
+    responseFormat = "json_schema",
+  }) {
+    this.client = client;
+    this.model = model;
+    this.label = label;
+    this.responseFormat = responseFormat;
+  }
+
+  /**
+   * Describe a camera frame
+   *
+   * @param {string} imageBase64 - Base64 encoded JPEG image
+   * @param {Object} options
+   * @param {string} options.prompt - Instructions for the description
+   * @param {number} options.maxTokens - Max tokens for the description
+   * @param {string} options.detail - Image detail level ('low' | 'high')
+   * @param {Object|null} [options.schema] - JSON schema the reply should
+   *   match (see utils/sceneAnalysis.js); null for prose
+   * @param {string} [options.model] - Instead of this.model (economy)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Completion>}
+   */
+  async analyzeFrame(
+    imageBase64,
+    { prompt, maxTokens, detail, schema = null, model, signal }
+  ) {
+    const format = schema && this.getResponseFormat(schema);
+
+    try {
+      const response = await this.client.chat.completions.create(
+        {
+          model: model ?? this.model,
+          messages: [
+            {
+              role: "user",
+              content: [
+                { type: "text", text: prompt },
+                {
+                  type: "image_url",
+                  image_url: {
+                    url: `data:image/jpeg;base64,${imageBase64}`,
+                    // 'low' = faster & cheaper (~85 tokens), good for our use case
+                    // 'high' = more detail (~765 tokens), for detailed analysis
+                    detail,
+                  },
+                },
+              ],
+            },
+          ],
+          max_tokens: maxTokens,
+          ...(format && { response_format: format }),
+        },
+        { signal }
+      );
+
+      return {
+        text: response.choices[0].message.content ?? "",
+        ...readUsage(response, model ?? this.model),
+      };
+    } catch (error) {
+      // Handle specific API errors
+      if (error.status === 401) {
+        throw withMessage(
+          error,
+          `Invalid ${this.label} API key. Check your .env file.`
+        );
+      } else if (error.status === 429) {
+        throw withMessage(
+          error,
+          `Rate limited by ${this.label}. Please wait a moment.`
+        );
+      } else if (error.status >= 500) {
+        throw withMessage(error, `${this.label} service error.`);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * The response_format for a structured reply, or null to rely on the prompt
+   */
+  getResponseFormat(schema) {
+    if (this.responseFormat === "json_schema") {
+      return {
+        type: "json_schema",
+        json_schema: { name: "scene_analysis", strict: true, schema },
+      };
+    }
+    if (this.responseFormat === "json_object") return { type: "json_object" };
+    return null;
+  }
+}
+
+export class OpenAIPoetryProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - OpenAI client (or compatible)
+   * @param {string} options.model - Chat model name
+   */
+  constructor({ client, model }) {
+    this.client = client;
+    this.model = model;
+  }
+
+  /**
+   * Write verses for a scene
+   *
+   * Chat models only need the prompts built by PoetryModule;
+   * scene and history are there for providers that don't use prompts.
+   *
+   * @param {string} scene - Scene description
+   * @param {string[]} history - The latest lines (config.arc.recentLines);
+   *   older ones are in the summary
+   * @param {Object} options
+   * @param {string} options.systemPrompt - Poet persona and rules
+   * @param {string} options.userPrompt - Scene plus context
+   * @param {number} options.maxTokens - Max tokens for the poem
+   * @param {number} options.temperature - Sampling temperature
+   * @param {string} [options.purpose] - "theme", "summary" or
+   *   "translation" for requests that aren't verses; the prompts
+   *   already say so
+   * @param {string} [options.model] - Instead of this.model (economy)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Completion>}
+   */
+  async generate(
+    scene,
+    history,
+    { systemPrompt, userPrompt, maxTokens, temperature, model, signal }
+  ) {
+    const response = await this.client.chat.completions.create(
+      {
+        model: model ?? this.model,
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: userPrompt },
+        ],
+        max_tokens: maxTokens,
+        temperature,
+      },
+      { signal }
+    );
+
+    return {
+      text: response.choices[0].message.content.trim(),
+      ...readUsage(response, model ?? this.model),
+    };
+  }
+}
+
+/**
+ * Token counts from a completion, for cost accounting
+ */
+function readUsage({ usage }, model) {
+  return {
+    tokens: usage?.total_tokens || 0,
+    inputTokens: usage?.prompt_tokens || 0,
+    outputTokens: usage?.completion_tokens || 0,
+    model,
+  };
+}
+
+/**
+ * @typedef {Object} Completion
+ * @property {string} text - The reply
+ * @property {number} tokens - Total tokens used
+ * @property {number} inputTokens - Prompt tokens (image included)
+ * @property {number} outputTokens - Reply tokens
+ * @property {string} model - Model that answered
+ */
+
+export function createOpenAIVisionProvider() {
+  return new OpenAIVisionProvider({
+    client: createClient("/api/vision"),
+    model: config.openai.model,
+  });
+}
+
+export function createOpenAIPoetryProvider() {
+  return new OpenAIPoetryProvider({
+    client: createClient("/api/poetry"),
+    model: config.openai.model,
+  });
+}
@@ -0,0 +1,37 @@
+/**
+ * OpenAI-Compatible Providers
+ *
+ * For any server that speaks the chat completions API at a custom
+ * base URL: Ollama, LM Studio, vLLM, llama.cpp, OpenRouter, ...
+ * Configured through config.custom; never goes through the proxy.
+ */
+
+import OpenAI from "openai";
+import { config } from "../utils/config.js";
+import { OpenAIPoetryProvider, OpenAIVisionProvider } from "./openai.js";
+
+function createClient() {
+  return new OpenAI({
+    baseURL: config.custom.baseUrl,
+    // Local servers usually ignore the key, but the SDK requires one
+    apiKey: config.custom.apiKey || "not-needed",
+    dangerouslyAllowBrowser: true,
+    maxRetries: 0, // Retries happen in utils/resilience.js
+  });
+}
+
+export function createCompatibleVisionProvider() {
+  return new OpenAIVisionProvider({
+    client: createClient(),
+    model: config.custom.visionModel,
+    label: "custom endpoint",
+    responseFormat: config.custom.visionFormat,
+  });
+}
+
+export function createCompatiblePoetryProvider() {
+  return new OpenAIPoetryProvider({
+    client: createClient(),
+    model: config.custom.model,
+  });
+}
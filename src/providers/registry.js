@@ -0,0 +1,77 @@
+/**
+ * Provider Registry
+ *
+ * Vision, poetry and TTS backends are registered here by name and
+ * picked through config.providers, so swapping a vendor never touches
+ * the modules or main.js.
+ *
+ * Provider contracts:
+ * - vision: analyzeFrame(imageBase64, options) → { text, tokens, ...usage }
+ * - poetry: generate(scene, history, options) → { text, tokens, ...usage }
+ * - tts:    synthesize(text, options) → { blob, alignment?, model? }, getVoices() → Voice[]
+ *           synthesizeStream(text, options) → { stream, sampleRate, model? } (optional)
+ *
+ * usage is optional: inputTokens, outputTokens and the model that
+ * answered, which is what a call is priced on (see modules/costs.js).
+ *
+ * Every `options` may carry an AbortSignal as `signal`. Poetry options
+ * may carry a `purpose` ("theme" | "summary" | "translation") for
+ * requests that aren't verses; providers that build on the prompts can
+ * ignore it. Vision options may carry a JSON `schema` for the reply
+ * (see utils/sceneAnalysis.js); providers that can't enforce one rely
+ * on the prompt, which asks for the same JSON. Vision and poetry options
+ * may carry a `model` to use instead of the provider's own, for economy
+ * (see modules/costs.js); providers with one model ignore it. TTS
+ * options carry `voiceId` and, per language, `modelId`; with
+ * `timestamps`, providers that can also return when each character is
+ * spoken (see utils/wordTiming.js).
+ */
+
+const providers = {
+  vision: new Map(),
+  poetry: new Map(),
+  tts: new Map(),
+};
+
+/**
+ * Register a provider factory
+ *
+ * @param {"vision"|"poetry"|"tts"} kind - Pipeline stage
+ * @param {string} name - Name used in config.providers
+ * @param {Function} factory - Returns a new provider instance
+ */
+export function registerProvider(kind, name, factory) {
+  if (!providers[kind]) {
+    throw new Error(`Unknown provider kind: ${kind}`);
+  }
+
+  providers[kind].set(name, factory);
+}
+
+/**
+ * Create a provider instance by name
+ *
+ * @param {"vision"|"poetry"|"tts"} kind - Pipeline stage
+ * @param {string} name - Registered provider name
+ * @returns {Object} - Provider instance
+ */
+export function createProvider(kind, name) {
+  const factory = providers[kind]?.get(name);
+
+  if (!factory) {
+    const available = listProviders(kind).join(", ");
+    throw new Error(
+      `Unknown ${kind} provider "${name}". Available: ${available}`
+    );
+  }
+
+  return factory();
+}
+
+/**
+ * @param {"vision"|"poetry"|"tts"} kind - Pipeline stage
+ * @returns {string[]} - Registered provider names
+ */
+export function listProviders(kind) {
+  return [...(providers[kind]?.keys() ?? [])];
+}
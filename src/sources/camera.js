@@ -0,0 +1,69 @@
+/**
+ * Camera Source
+ *
+ * Live frames from a webcam via getUserMedia.
+ */
+
+import { config } from "../utils/config.js";
+import { waitForMetadata } from "../utils/media.js";
+
+export class CameraSource {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.deviceId] - Camera to open; "" for the default
+   */
+  constructor({ deviceId = "" } = {}) {
+    this.kind = "camera";
+    this.deviceId = deviceId;
+    this.label = "";
+    this.stream = null;
+    this.video = null;
+
+    // Cameras come back when replugged, so it's worth retrying
+    this.reconnectable = true;
+    this.onEnded = null;
+  }
+
+  async start(videoElement) {
+    const { width, height, frameRate, facingMode } = config.camera;
+
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      video: {
+        ...(this.deviceId
+          ? { deviceId: { exact: this.deviceId } }
+          : { facingMode }),
+        width: { ideal: width },
+        height: { ideal: height },
+        frameRate: { ideal: frameRate },
+      },
+      audio: false,
+    });
+
+    const [track] = this.stream.getVideoTracks();
+    track.addEventListener("ended", () => this.onEnded?.());
+
+    // Which camera the browser actually gave us
+    this.deviceId = track.getSettings?.().deviceId || this.deviceId;
+    this.label = track.label || "Camera";
+
+    this.video = videoElement;
+    videoElement.srcObject = this.stream;
+    await waitForMetadata(videoElement);
+  }
+
+  stop() {
+    // Stopping our own tracks doesn't fire "ended"
+    this.stream?.getTracks().forEach((track) => track.stop());
+
+    if (this.video?.srcObject === this.stream) this.video.srcObject = null;
+    this.stream = null;
+  }
+
+  getDrawable() {
+    return this.video;
+  }
+
+  getSize() {
+    return { width: this.video.videoWidth, height: this.video.videoHeight };
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Image List Source
+ *
+ * Frames from still images (a folder or a list of URLs), shown one
+ * after another like a slow slideshow. Each new image reads as a
+ * scene change, so the poem moves on with it.
+ */
+
+import { config } from "../utils/config.js";
+
+export class ImageListSource {
+  /**
+   * @param {Object} options
+   * @param {File[]} [options.files] - Local images (non-images are skipped)
+   * @param {string[]} [options.urls] - Or image URLs
+   */
+  constructor({ files = [], urls = [] } = {}) {
+    this.files = [...files]
+      .filter((file) => file.type.startsWith("image/"))
+      .sort((a, b) =>
+        a.name.localeCompare(b.name, undefined, { numeric: true })
+      );
+    this.urls = urls;
+
+    if (this.files.length === 0 && this.urls.length === 0) {
+      throw new Error("Image source needs at least one image");
+    }
+
+    this.kind = "images";
+    this.label = `${this.files.length || this.urls.length} images`;
+    this.sources = [];
+    this.index = 0;
+    this.image = null;
+    this.video = null;
+    this.timer = null;
+
+    this.reconnectable = false;
+    this.onEnded = null;
+  }
+
+  async start(videoElement) {
+    this.sources = this.files.length
+      ? this.files.map((file) => URL.createObjectURL(file))
+      : this.urls;
+    this.video = videoElement;
+
+    try {
+      await this.show(0);
+    } catch (error) {
+      this.stop();
+      throw error;
+    }
+
+    this.timer = setInterval(
+      () =>
+        this.show((this.index + 1) % this.sources.length).catch((error) =>
+          console.error("Image source error:", error)
+        ),
+      config.source.imageInterval
+    );
+  }
+
+  /**
+   * Load an image and put it behind the poetry
+   * The <video> shows its poster while it has no media.
+   */
+  async show(index) {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () =>
+        reject(new Error(`Could not load image ${this.sources[index]}`));
+      image.src = this.sources[index];
+    });
+
+    this.index = index;
+    this.image = image;
+
+    this.video.srcObject = null;
+    this.video.removeAttribute("src");
+    this.video.setAttribute("poster", this.sources[index]);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    const shown = this.sources[this.index];
+    if (this.video && this.video.getAttribute("poster") === shown) {
+      this.video.removeAttribute("poster");
+    }
+
+    if (this.files.length) {
+      this.sources.forEach((src) => URL.revokeObjectURL(src));
+    }
+    this.sources = [];
+  }
+
+  getDrawable() {
+    return this.image;
+  }
+
+  getSize() {
+    return {
+      width: this.image.naturalWidth,
+      height: this.image.naturalHeight,
+    };
+  }
+}
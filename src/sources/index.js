@@ -0,0 +1,45 @@
+/**
+ * Frame Sources
+ *
+ * Where CameraModule gets its pictures from. Every source shows itself
+ * in the background <video> element and hands frames to the canvas.
+ *
+ * Source contract:
+ * - start(videoElement) → Promise; shows the source
+ * - stop()
+ * - getDrawable() → anything canvas drawImage() accepts
+ * - getSize() → { width, height }
+ * - kind, label, reconnectable, onEnded
+ */
+
+import { CameraSource } from "./camera.js";
+import { ScreenSource } from "./screen.js";
+import { VideoFileSource } from "./videoFile.js";
+import { ImageListSource } from "./images.js";
+
+const sources = {
+  camera: (options) => new CameraSource(options),
+  screen: () => new ScreenSource(),
+  video: (options) => new VideoFileSource(options),
+  images: (options) => new ImageListSource(options),
+};
+
+/**
+ * Create a frame source by kind
+ *
+ * @param {"camera"|"screen"|"video"|"images"} kind
+ * @param {Object} [options] - Passed to the source's constructor
+ */
+export function createFrameSource(kind, options = {}) {
+  const factory = sources[kind];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown frame source "${kind}". Available: ${Object.keys(sources).join(
+        ", "
+      )}`
+    );
+  }
+
+  return factory(options);
+}
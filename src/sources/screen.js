@@ -0,0 +1,56 @@
+/**
+ * Screen Source
+ *
+ * Frames from a shared screen, window or tab via getDisplayMedia.
+ * Must be started from a user gesture (a click or a menu choice).
+ */
+
+import { config } from "../utils/config.js";
+import { waitForMetadata } from "../utils/media.js";
+
+export class ScreenSource {
+  constructor() {
+    this.kind = "screen";
+    this.label = "Screen";
+    this.stream = null;
+    this.video = null;
+
+    // Ended means the user stopped sharing; don't ask again
+    this.reconnectable = false;
+    this.onEnded = null;
+  }
+
+  async start(videoElement) {
+    if (!navigator.mediaDevices.getDisplayMedia) {
+      throw new Error("Screen capture is not supported in this browser");
+    }
+
+    this.stream = await navigator.mediaDevices.getDisplayMedia({
+      video: { frameRate: { ideal: config.camera.frameRate } },
+      audio: false,
+    });
+
+    const [track] = this.stream.getVideoTracks();
+    track.addEventListener("ended", () => this.onEnded?.());
+    this.label = track.label || "Screen";
+
+    this.video = videoElement;
+    videoElement.srcObject = this.stream;
+    await waitForMetadata(videoElement);
+  }
+
+  stop() {
+    this.stream?.getTracks().forEach((track) => track.stop());
+
+    if (this.video?.srcObject === this.stream) this.video.srcObject = null;
+    this.stream = null;
+  }
+
+  getDrawable() {
+    return this.video;
+  }
+
+  getSize() {
+    return { width: this.video.videoWidth, height: this.video.videoHeight };
+  }
+}
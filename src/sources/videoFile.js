@@ -0,0 +1,66 @@
+/**
+ * Video File Source
+ *
+ * Frames from a recorded video, played muted in a loop.
+ * Good for rehearsing a performance against known footage.
+ */
+
+import { waitForMetadata } from "../utils/media.js";
+
+export class VideoFileSource {
+  /**
+   * @param {Object} options
+   * @param {File} [options.file] - A local file (from a file picker)
+   * @param {string} [options.url] - Or a URL to load
+   */
+  constructor({ file = null, url = "" } = {}) {
+    if (!file && !url) {
+      throw new Error("Video source needs a file or a URL");
+    }
+
+    this.kind = "video";
+    this.label = file?.name || url.split("/").pop();
+    this.file = file;
+    this.url = url;
+    this.src = null;
+    this.video = null;
+
+    // Loops forever, so it never ends
+    this.reconnectable = false;
+    this.onEnded = null;
+  }
+
+  async start(videoElement) {
+    this.src = this.file ? URL.createObjectURL(this.file) : this.url;
+    this.video = videoElement;
+
+    // srcObject wins over src, so clear any live stream first
+    videoElement.srcObject = null;
+    videoElement.loop = true;
+    videoElement.muted = true;
+    videoElement.src = this.src;
+
+    await waitForMetadata(videoElement);
+    await videoElement.play();
+  }
+
+  stop() {
+    if (this.video?.getAttribute("src") === this.src) {
+      this.video.pause();
+      this.video.removeAttribute("src");
+      this.video.loop = false;
+      this.video.load();
+    }
+
+    if (this.file && this.src) URL.revokeObjectURL(this.src);
+    this.src = null;
+  }
+
+  getDrawable() {
+    return this.video;
+  }
+
+  getSize() {
+    return { width: this.video.videoWidth, height: this.video.videoHeight };
+  }
+}
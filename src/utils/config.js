@@ -1,4 +1,36 @@
+const proxyUrl = import.meta.env.VITE_PROXY_URL || "";
+
+// Offline mode: ?mock in the URL or VITE_MOCK_MODE=true
+const mockMode =
+  import.meta.env.VITE_MOCK_MODE === "true" ||
+  (typeof window !== "undefined" &&
+    new URLSearchParams(window.location.search).has("mock"));
+
 export const config = {
+  // When set, API calls go through our server (see server/proxy.js)
+  // and the API keys never ship to the browser. Use "/" for same origin.
+  proxy: {
+    enabled: Boolean(proxyUrl),
+    baseUrl: proxyUrl.replace(/\/+$/, ""),
+  },
+
+  // Backends for each pipeline stage (see src/providers/)
+  // Mock mode swaps all of them for the offline stand-ins
+  providers: {
+    vision: mockMode
+      ? "mock"
+      : import.meta.env.VITE_VISION_PROVIDER || "openai",
+    poetry: mockMode
+      ? "mock"
+      : import.meta.env.VITE_POETRY_PROVIDER || "openai",
+    tts: mockMode ? "mock" : import.meta.env.VITE_TTS_PROVIDER || "elevenlabs",
+  },
+
+  mock: {
+    enabled: mockMode,
+    latency: 800, // Simulated API latency per call (ms)
+  },
+
   openai: {
     apiKey: import.meta.env.VITE_OPENAI_API_KEY || "",
     model: "gpt-4o",
@@ -7,7 +39,42 @@ export const config = {
   elevenlabs: {
     apiKey: import.meta.env.VITE_ELEVENLABS_API_KEY || "",
     voiceId: import.meta.env.VITE_ELEVENLABS_VOICE_ID || "EXAVITQu4vr4xnSDxMaL",
-    modelId: "eleven_turbo_v2_5",
+    modelId: "eleven_turbo_v2_5", // Fastest; used for English
+    multilingualModelId: "eleven_multilingual_v2", // Other poetry languages
+    // Per-language overrides, e.g. { es: { voiceId: "...", modelId: "..." } }
+    voices: {},
+    // Starting values for the voice panel's sliders (0-1)
+    voiceSettings: {
+      stability: 0.5, // Higher = more consistent, lower = more expressive
+      similarityBoost: 0.75, // How closely to match the voice model
+      style: 0.3, // Slight expressiveness for poetry (0 = neutral)
+    },
+    streamSampleRate: 24000, // PCM rate for streaming (pcm_24000)
+  },
+
+  tts: {
+    streaming: true, // Play speech as it arrives instead of waiting for the file
+    minChunkDuration: 0.1, // Coalesce stream chunks to at least this (s)
+  },
+
+  // Word-by-word highlighting in the overlay, following the speech
+  karaoke: {
+    enabled: true,
+    alignment: true, // Ask for per-character timing (file synthesis, not streams)
+    charactersPerSecond: 14, // Speaking rate assumed while a clip streams in
+    lineLead: 0.3, // A line comes in this long before its first word (s)
+  },
+
+  // Any OpenAI-compatible server, for the "openai-compatible" providers
+  custom: {
+    baseUrl:
+      import.meta.env.VITE_CUSTOM_BASE_URL || "http://localhost:11434/v1",
+    apiKey: import.meta.env.VITE_CUSTOM_API_KEY || "",
+    model: import.meta.env.VITE_CUSTOM_MODEL || "llama3.2",
+    visionModel: import.meta.env.VITE_CUSTOM_VISION_MODEL || "llama3.2-vision",
+    // How to ask for structured scenes: "json_schema", "json_object"
+    // (most local servers), or "none" to rely on the prompt alone
+    visionFormat: import.meta.env.VITE_CUSTOM_VISION_FORMAT || "json_object",
   },
 
   timing: {
@@ -16,20 +83,226 @@ export const config = {
     maxBufferClips: 2, // Maximum clips before dropping old ones
     crossfadeDuration: 500, // Crossfade between clips (ms)
     bufferCheckInterval: 1000, // How often to check buffer status (ms)
+    schedulerInterval: 100, // How often playback looks ahead (ms)
+    scheduleLookahead: 300, // How far ahead clips are put on the clock (ms)
+  },
+
+  pipeline: {
+    concurrency: 2, // Clips generated side by side (vision overlaps TTS)
+  },
+
+  camera: {
+    deviceId: import.meta.env.VITE_CAMERA_DEVICE_ID || "", // "" = default
+    width: 640, // Requested resolution; the camera picks the closest
+    height: 480,
+    frameRate: 15, // Frames per second (we only sample every few seconds)
+    facingMode: "user", // Used when no device is chosen
+    reconnectDelay: 2000, // Wait between reconnect attempts (ms)
+  },
+
+  // Where frames come from; also selectable from the controls bar
+  source: {
+    kind: import.meta.env.VITE_FRAME_SOURCE || "camera", // camera | video | images | screen
+    videoUrl: import.meta.env.VITE_SOURCE_VIDEO_URL || "", // For "video" (looped)
+    imageUrls: (import.meta.env.VITE_SOURCE_IMAGE_URLS || "")
+      .split(",")
+      .map((url) => url.trim())
+      .filter(Boolean), // For "images"
+    imageInterval: 8000, // How long each still image is shown (ms)
+    maxFrameWidth: 1024, // Larger frames are scaled down before vision
+  },
+
+  // Pixel-based change detection, to skip vision for a static view
+  sceneChange: {
+    enabled: true,
+    gridSize: 16, // Signature is a gridSize × gridSize luminance grid
+    threshold: 0.04, // Change (0-1) below which the last description is reused
+    triggerThreshold: 0.2, // Change that starts a fresh generation right away
+    checkInterval: 500, // How often to look for big changes (ms)
+    maxReuse: 3, // Re-describe a static scene at least every N+1 clips
+  },
+
+  // Reacting to the people in front of the camera, for gallery installs
+  // (on-device motion and skin-color heuristics; see modules/audience.js)
+  audience: {
+    enabled: import.meta.env.VITE_AUDIENCE === "true",
+    sampleWidth: 32, // Frames are looked at this small (px)
+    sampleHeight: 24,
+    checkInterval: 150, // How often to look (ms); a wave needs several looks
+    motionThreshold: 20, // Luminance change (0-255) that counts as movement
+    minPersonArea: 0.02, // Smallest skin region that is a person (share of frame)
+    stillTimeout: 15000, // Skin that hasn't moved in this long is scenery (ms)
+    enterDelay: 1000, // Someone must be seen this long to have arrived (ms)
+    leaveDelay: 4000, // ...and missed this long to have left (ms)
+    waveSwings: 3, // Side-to-side reversals that make a wave...
+    waveWindow: 2000, // ...within this long (ms)
+    waveMinSwing: 0.06, // Smallest swing (share of the frame width)
+    approachGrowth: 1.6, // A person this much bigger...
+    approachWindow: 3000, // ...within this long (ms) is stepping closer
+    cooldown: 6000, // Between two waves, or two approaches (ms)
+    quietAfter: 20000, // Stop writing once the room is empty this long (ms)
+  },
+
+  // When nothing happens for a while, stop calling the APIs and replay
+  // past poems from history until someone comes (see modules/attention.js)
+  attention: {
+    enabled: true,
+    idleAfter: 5 * 60 * 1000, // No motion (or nobody, with audience) this long (ms)
+    checkInterval: 1000, // How often to look for motion (ms)
+    motionThreshold: 0.02, // Change (0-1) between two looks that is activity
+    attractGap: 15000, // Silence between replayed poems (ms)
+    attractSessions: 10, // Replay from this many recent sessions
+  },
+
+  // Keeps every clip that plays, for export
+  recorder: {
+    enabled: true,
+    maxClips: 120, // Oldest are forgotten beyond this (~1MB of audio each)
+    gap: 0.5, // Silence between clips in the exported audio (s)
+    thumbnailWidth: 160, // Frame thumbnails in the manifest (px)
+  },
+
+  // Every generated clip, kept in IndexedDB across reloads
+  history: {
+    enabled: true,
+    maxSessions: 50, // Oldest sessions are deleted beyond this
+  },
+
+  // What the APIs cost, and how much we may spend (see modules/costs.js)
+  costs: {
+    currency: "USD",
+    // Per model: { input, output } per million tokens, or
+    // { characters } per thousand characters. Unlisted models cost 0.
+    prices: {
+      "gpt-4o": { input: 2.5, output: 10 },
+      "gpt-4o-mini": { input: 0.15, output: 0.6 },
+      eleven_turbo_v2_5: { characters: 0.15 },
+      eleven_flash_v2_5: { characters: 0.15 },
+      eleven_multilingual_v2: { characters: 0.3 },
+      mock: {}, // Mock mode (see providers/mock.js)
+    },
+    budget: {
+      session: Number(import.meta.env.VITE_SESSION_BUDGET) || 0, // 0 = no cap
+      daily: Number(import.meta.env.VITE_DAILY_BUDGET) || 0, // 0 = no cap
+      economyAt: 0.8, // Share of a cap spent before saving kicks in
+      onLimit: "pause", // At a cap: "pause" generation, or carry on in "economy"
+    },
+    // Cheaper settings used in economy; models per provider name
+    economy: {
+      imageDetail: "low",
+      models: {
+        openai: "gpt-4o-mini",
+        elevenlabs: "eleven_flash_v2_5",
+      },
+    },
+  },
+
+  // Per-stage timings, to tune config.timing (see modules/metrics.js)
+  metrics: {
+    maxClips: 500, // Measurements kept for percentiles and export
+    hudKey: "?", // Shows and hides the performance overlay
+  },
+
+  // Retries, timeouts and circuit breakers for remote calls
+  resilience: {
+    retries: 2, // Extra attempts after the first failure
+    baseDelay: 500, // First backoff (ms), doubled each retry
+    maxDelay: 8000, // Backoff ceiling; longer Retry-After waits fail fast
+    timeouts: {
+      vision: 15000, // Per attempt (ms)
+      poetry: 15000,
+      tts: 20000, // Until audio starts arriving, when streaming
+    },
+    breaker: {
+      failureThreshold: 3, // Failures in a row before a service is paused
+      resetTimeout: 30000, // How long to pause it (ms)
+    },
+  },
+
+  // Fills buffer underruns instead of silence
+  ambient: {
+    enabled: true,
+    url: "", // Optional audio file to loop; empty = a soft synthesized drone
+    volume: 0.08, // Bed level relative to the poetry (0-1)
+    fadeDuration: 1500, // Fade in/out (ms)
   },
 
   vision: {
     imageQuality: 0.8, // JPEG quality (0-1)
     imageDetail: "low", // 'low' for faster/cheaper, 'high' for detail
-    maxTokens: 150, // Max tokens for scene description
+    maxTokens: 400, // Max tokens for the scene analysis (JSON is wordier)
+    structured: true, // Ask for JSON fields (objects, mood, ...) instead of prose
+  },
+
+  poetry: {
+    // Preset from modules/styles.js; the picker's choice overrides it
+    style: import.meta.env.VITE_POET_STYLE || "contemplative",
+  },
+
+  // What the poet writes in, and what the interface is shown in
+  language: {
+    // See modules/languages.js; the picker's choice overrides it
+    poetry: import.meta.env.VITE_POETRY_LANGUAGE || "en",
+    // Shown beside each verse; "" = none
+    translation: import.meta.env.VITE_TRANSLATION_LANGUAGE || "",
+    // Interface strings (see src/locales/); "" = the browser's language
+    ui: import.meta.env.VITE_UI_LANGUAGE || "",
+  },
+
+  // Call and response: lines traded between voices, stitched into one clip
+  dialogue: {
+    // The 🗣️ toggle's choice overrides it
+    enabled: import.meta.env.VITE_DIALOGUE === "true",
+    // Names tag the lines (in the prompt and the overlay);
+    // voiceId null = the style's voice
+    speakers: [
+      { name: "A", voiceId: null },
+      {
+        name: "B",
+        voiceId: mockMode ? "mock-bright" : "21m00Tcm4TlvDq8ikWAM", // Rachel
+      },
+    ],
+    pause: 0.35, // Silence between lines (s)
+  },
+
+  // A performance's shape: theme, rolling summary, opening → closing
+  arc: {
+    openingStanzas: 3, // Stanzas that set the scene before development
+    recentLines: 4, // Lines quoted to the poet; older ones are summarized
+    summarizeEvery: 3, // Stanzas between summary updates
+    inferThemeAfter: 3, // Scenes to see before naming a theme (0 = never)
   },
 };
 
+/**
+ * The vendors whose keys the chosen providers need
+ *
+ * @returns {{openai: boolean, elevenlabs: boolean}}
+ */
+export function requiredKeys() {
+  const { vision, poetry, tts } = config.providers;
+
+  return {
+    openai: vision === "openai" || poetry === "openai",
+    elevenlabs: tts === "elevenlabs",
+  };
+}
+
 export function validateConfig() {
   const missing = [];
 
-  if (!config.openai.apiKey) missing.push("VITE_OPENAI_API_KEY");
-  if (!config.elevenlabs.apiKey) missing.push("VITE_ELEVENLABS_API_KEY");
+  // Keys live on the server in proxy mode (see checkProxy in proxy.js)
+  if (config.proxy.enabled) return true;
+
+  // Only require keys for the vendors we actually use
+  const needed = requiredKeys();
+
+  if (needed.openai && !config.openai.apiKey) {
+    missing.push("VITE_OPENAI_API_KEY");
+  }
+  if (needed.elevenlabs && !config.elevenlabs.apiKey) {
+    missing.push("VITE_ELEVENLABS_API_KEY");
+  }
   if (missing.length > 0) return false;
 
   return true;
@@ -0,0 +1,108 @@
+/**
+ * Interface Strings
+ *
+ * Looks up the app's UI text in the current locale's catalog (see
+ * src/locales/), falling back to English for anything not translated
+ * yet. Static text in index.html is marked with data-i18n attributes
+ * and filled in by localizePage().
+ *
+ * Key concepts:
+ * - Message keys: "status.ready" rather than the English text, so the
+ *   copy can change without touching every catalog
+ * - Placeholders: {name} in a message is filled from the values given
+ *   (single braces, so prompt {{placeholders}} can be shown as-is)
+ * - Locale: config.language.ui, else the browser's preferred language
+ */
+
+import { config } from "./config.js";
+import { MESSAGES } from "../locales/index.js";
+
+const FALLBACK = "en";
+
+let locale = detectLocale();
+
+/**
+ * Pick the first supported locale from the configured one and the
+ * browser's preferences ("pt-BR" matches "pt")
+ *
+ * @returns {string}
+ */
+export function detectLocale() {
+  const preferred = [
+    config.language.ui,
+    ...(typeof navigator !== "undefined"
+      ? navigator.languages ?? [navigator.language]
+      : []),
+  ];
+
+  for (const tag of preferred) {
+    const code = tag?.toLowerCase().split("-")[0];
+    if (code && MESSAGES[code]) return code;
+  }
+
+  return FALLBACK;
+}
+
+/**
+ * @returns {string} - Current locale code
+ */
+export function getLocale() {
+  return locale;
+}
+
+/**
+ * Switch the interface language
+ * Call localizePage() afterwards to update static text.
+ *
+ * @param {string} code - A locale in src/locales/
+ */
+export function setLocale(code) {
+  if (!MESSAGES[code]) throw new Error(`No interface strings for "${code}"`);
+  locale = code;
+}
+
+/**
+ * Translate a message
+ *
+ * @param {string} key - e.g. "status.ready"
+ * @param {Object<string, *>} [values] - Fills {placeholders}
+ * @returns {string} - The key itself when no catalog has it
+ *
+ * @example
+ * t("history.clips", { count: 3 }); // → "3 clips"
+ */
+export function t(key, values = {}) {
+  const message = MESSAGES[locale][key] ?? MESSAGES[FALLBACK][key] ?? key;
+
+  return message.replace(/{(\w+)}/g, (match, name) =>
+    name in values ? String(values[name]) : match
+  );
+}
+
+/**
+ * Fill in the static text marked in the page:
+ * data-i18n (text), data-i18n-placeholder, data-i18n-label (aria-label)
+ * and data-i18n-title
+ *
+ * @param {ParentNode} [root]
+ */
+export function localizePage(root = document) {
+  const attributes = {
+    i18nPlaceholder: "placeholder",
+    i18nLabel: "aria-label",
+    i18nTitle: "title",
+  };
+
+  for (const el of root.querySelectorAll("[data-i18n]")) {
+    el.textContent = t(el.dataset.i18n);
+  }
+
+  for (const [key, attribute] of Object.entries(attributes)) {
+    const selector = `[data-${key.replace(/[A-Z]/g, "-$&").toLowerCase()}]`;
+    for (const el of root.querySelectorAll(selector)) {
+      el.setAttribute(attribute, t(el.dataset[key]));
+    }
+  }
+
+  if (root === document) document.documentElement.lang = locale;
+}
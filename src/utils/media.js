@@ -0,0 +1,55 @@
+/**
+ * Resolve once a <video> knows its dimensions
+ * (after srcObject or src has been set)
+ *
+ * @param {HTMLVideoElement} video
+ * @returns {Promise<void>}
+ */
+export function waitForMetadata(video) {
+  return new Promise((resolve, reject) => {
+    video.onloadedmetadata = () => resolve();
+    video.onerror = () =>
+      reject(video.error || new Error("Could not load video"));
+  });
+}
+
+/**
+ * What a <video> is showing, to put back with restoreMedia()
+ *
+ * @param {HTMLVideoElement} video
+ * @returns {Object}
+ */
+export function saveMedia(video) {
+  return {
+    srcObject: video.srcObject,
+    src: video.getAttribute("src"),
+    poster: video.getAttribute("poster"),
+    loop: video.loop,
+    muted: video.muted,
+  };
+}
+
+/**
+ * Show what saveMedia() saw again, e.g. after a source failed to start
+ *
+ * @param {HTMLVideoElement} video
+ * @param {Object} media - From saveMedia()
+ */
+export function restoreMedia(video, { srcObject, src, poster, loop, muted }) {
+  video.loop = loop;
+  video.muted = muted;
+
+  if (poster === null) video.removeAttribute("poster");
+  else video.setAttribute("poster", poster);
+
+  if (srcObject) {
+    video.removeAttribute("src");
+    video.srcObject = srcObject;
+  } else {
+    video.srcObject = null;
+    if (src === null) video.removeAttribute("src");
+    else video.src = src;
+  }
+
+  video.play()?.catch(() => {});
+}
@@ -0,0 +1,106 @@
+/**
+ * PCM Stream Decoding
+ *
+ * Streaming TTS sends raw 16-bit little-endian mono PCM. Network chunks
+ * split samples at arbitrary byte boundaries and are often tiny, so we
+ * stitch leftovers and coalesce into chunks of at least `minSamples`.
+ */
+
+/**
+ * Create a TransformStream: Uint8Array (PCM16 LE) → Float32Array (-1..1)
+ *
+ * @param {Object} [options]
+ * @param {number} [options.minSamples] - Smallest chunk to emit (except the last)
+ * @returns {TransformStream}
+ */
+export function createPcm16Decoder({ minSamples = 0 } = {}) {
+  let leftover = new Uint8Array(0);
+  let pending = [];
+  let pendingLength = 0;
+
+  const emit = (controller) => {
+    if (pendingLength === 0) return;
+
+    const samples = new Float32Array(pendingLength);
+    let offset = 0;
+    for (const part of pending) {
+      samples.set(part, offset);
+      offset += part.length;
+    }
+
+    pending = [];
+    pendingLength = 0;
+    controller.enqueue(samples);
+  };
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      const bytes = new Uint8Array(leftover.length + chunk.length);
+      bytes.set(leftover);
+      bytes.set(chunk, leftover.length);
+
+      // Keep a trailing odd byte for the next chunk
+      const usable = bytes.length - (bytes.length % 2);
+      leftover = bytes.slice(usable);
+
+      const view = new DataView(bytes.buffer, 0, usable);
+      const samples = new Float32Array(usable / 2);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = view.getInt16(i * 2, true) / 0x8000;
+      }
+
+      pending.push(samples);
+      pendingLength += samples.length;
+
+      if (pendingLength >= minSamples) emit(controller);
+    },
+
+    flush(controller) {
+      emit(controller);
+    },
+  });
+}
+
+/**
+ * Encode Float32 samples (-1..1) as PCM16 LE bytes
+ *
+ * @param {Float32Array} samples
+ * @returns {Uint8Array}
+ */
+export function floatToPcm16(samples) {
+  const view = new DataView(new ArrayBuffer(samples.length * 2));
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+  }
+
+  return new Uint8Array(view.buffer);
+}
+
+/**
+ * Change the sample rate of mono samples (linear interpolation)
+ * Good enough for speech; used to join clips recorded at different rates.
+ *
+ * @param {Float32Array} samples
+ * @param {number} fromRate - Rate of `samples`
+ * @param {number} toRate - Wanted rate
+ * @returns {Float32Array}
+ */
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.round(samples.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    const fraction = position - index;
+
+    output[i] = samples[index] * (1 - fraction) + samples[next] * fraction;
+  }
+
+  return output;
+}
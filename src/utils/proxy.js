@@ -0,0 +1,81 @@
+import { config, requiredKeys } from "./config.js";
+import { parseRetryAfter } from "./resilience.js";
+
+/**
+ * POST a JSON body to one of our /api/* routes
+ *
+ * @param {string} route - e.g. "/api/tts"
+ * @param {Object} body - JSON payload
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Response>}
+ */
+export function proxyFetch(route, body, signal) {
+  return fetch(`${config.proxy.baseUrl}${route}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal,
+  });
+}
+
+/**
+ * Ask the proxy which keys it holds, so an unreachable server or a
+ * missing key shows at start-up instead of on the first clip
+ *
+ * @returns {Promise<string[]>} - Server-side keys the chosen providers
+ *   need but the server lacks, e.g. ["ELEVENLABS_API_KEY"]
+ * @throws {Error} - When the server doesn't answer
+ */
+export async function checkProxy() {
+  const needed = requiredKeys();
+  if (!needed.openai && !needed.elevenlabs) return [];
+
+  const response = await fetch(`${config.proxy.baseUrl}/api/health`);
+  if (!response.ok) {
+    throw new Error(`Proxy error (${response.status})`);
+  }
+
+  const keys = await response.json();
+  const missing = [];
+  if (needed.openai && !keys.openai) missing.push("OPENAI_API_KEY");
+  if (needed.elevenlabs && !keys.elevenlabs) {
+    missing.push("ELEVENLABS_API_KEY");
+  }
+
+  return missing;
+}
+
+/**
+ * Create a stand-in for the OpenAI client that sends chat completions
+ * through the proxy. Only the part of the SDK we use is implemented.
+ *
+ * Errors carry `status` like the SDK's APIError so callers can keep
+ * their existing error handling, plus `retryAfter` (ms) on 429s.
+ *
+ * @param {string} route - Proxy route, e.g. "/api/vision"
+ */
+export function createProxyClient(route) {
+  return {
+    chat: {
+      completions: {
+        create: async (params, options = {}) => {
+          const response = await proxyFetch(route, params, options.signal);
+
+          if (!response.ok) {
+            const errorText = await response.text();
+            const error = new Error(
+              `Proxy error (${response.status}): ${errorText}`
+            );
+            error.status = response.status;
+            error.retryAfter = parseRetryAfter(
+              response.headers.get("retry-after")
+            );
+            throw error;
+          }
+
+          return response.json();
+        },
+      },
+    },
+  };
+}
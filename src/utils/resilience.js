@@ -0,0 +1,301 @@
+/**
+ * Resilience
+ *
+ * One place for how remote calls survive a flaky network:
+ * retries with exponential backoff and jitter, Retry-After on 429s,
+ * a timeout per attempt, and a circuit breaker per service.
+ *
+ * Key concepts:
+ * - Backoff with jitter: Wait longer after each failure, with randomness
+ *   so parallel clips don't retry in lockstep
+ * - Retry-After: The server tells us how long to wait; we listen
+ * - Circuit breaker: After repeated failures, stop calling a service for
+ *   a while (open), then let one trial request through (half-open)
+ */
+
+import { config } from "./config.js";
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ *
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Milliseconds to wait, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed call is worth trying again
+ * Network errors, timeouts, 408, 429 and 5xx are; bad keys and bad input aren't.
+ */
+export function isRetryable(error) {
+  if (error.timedOut) return true;
+  if (!error.status) return error.name !== "AbortError";
+
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Sleep that wakes up early (with an AbortError) when cancelled
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("The operation was aborted.", "AbortError"));
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+
+    if (signal?.aborted) abort();
+    signal?.addEventListener("abort", abort, { once: true });
+  });
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Service name, shown in the UI
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Failures in a row before opening
+   * @param {number} options.resetTimeout - How long to stay open (ms)
+   */
+  constructor(name, { failureThreshold, resetTimeout }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+
+    this.state = "closed"; // 'closed' | 'open' | 'half-open'
+    this.failures = 0;
+    this.openedAt = 0;
+    this.openDuration = resetTimeout;
+    this.trialInFlight = false;
+
+    this.onStateChange = null;
+  }
+
+  /**
+   * Whether a request may go out now
+   * An open breaker lets one trial request through once its timeout passes.
+   */
+  canRequest() {
+    if (this.state === "closed") return true;
+
+    if (this.state === "open") {
+      if (Date.now() - this.openedAt < this.openDuration) return false;
+      this.setState("half-open");
+    }
+
+    // Half-open: only one trial at a time
+    if (this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.trialInFlight = false;
+    this.setState("closed");
+  }
+
+  /**
+   * @param {number} [retryAfter] - Server-requested wait (ms); keeps us open
+   *   at least that long
+   */
+  recordFailure(retryAfter = 0) {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === "half-open" || this.failures >= this.failureThreshold) {
+      this.trip(retryAfter);
+    }
+  }
+
+  /**
+   * Open now, for at least `duration` ms
+   */
+  trip(duration = 0) {
+    this.openedAt = Date.now();
+    this.openDuration = Math.max(this.resetTimeout, duration || 0);
+    this.trialInFlight = false;
+    this.setState("open");
+  }
+
+  /**
+   * Milliseconds until the next trial request, 0 when not open
+   */
+  getRetryIn() {
+    if (this.state !== "open") return 0;
+    return Math.max(0, this.openedAt + this.openDuration - Date.now());
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+
+    this.state = state;
+    console.log(`🔌 ${this.name} circuit ${state}`);
+    this.onStateChange?.(this);
+  }
+}
+
+export class Resilience {
+  constructor() {
+    this.breakers = new Map();
+
+    // Called with the breaker whenever one opens, half-opens or closes
+    this.onStateChange = null;
+  }
+
+  /**
+   * Get (or create) the breaker for a service
+   * @param {string} service - e.g. "vision", "poetry", "tts"
+   * @returns {CircuitBreaker}
+   */
+  getBreaker(service) {
+    if (!this.breakers.has(service)) {
+      const breaker = new CircuitBreaker(service, config.resilience.breaker);
+      breaker.onStateChange = (b) => this.onStateChange?.(b);
+      this.breakers.set(service, breaker);
+    }
+
+    return this.breakers.get(service);
+  }
+
+  /**
+   * Services whose breaker is not closed
+   * @returns {string[]}
+   */
+  getDegraded() {
+    return [...this.breakers.values()]
+      .filter((breaker) => breaker.state !== "closed")
+      .map((breaker) => breaker.name);
+  }
+
+  /**
+   * Run a remote call with timeout, retries and the service's breaker
+   *
+   * @param {string} service - Breaker and timeout to use
+   * @param {Function} fn - (signal) => Promise; must pass `signal` on to fetch
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the call and any retries
+   * @returns {Promise<*>} - Whatever `fn` resolves to
+   *
+   * Fails fast with `error.circuitOpen` while the breaker is open.
+   * The attempt's signal stays linked to `signal` after success, so
+   * a stream returned by `fn` can still be cancelled.
+   */
+  async call(service, fn, { signal } = {}) {
+    const { retries, baseDelay, maxDelay, timeouts } = config.resilience;
+    const breaker = this.getBreaker(service);
+
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+
+      if (!breaker.canRequest()) {
+        const error = new Error(
+          `${service} is unavailable, retrying in ${Math.ceil(
+            breaker.getRetryIn() / 1000
+          )}s`
+        );
+        error.service = service;
+        error.circuitOpen = true;
+        throw error;
+      }
+
+      try {
+        const result = await this.attempt(fn, timeouts[service], signal);
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        // Cancelled by us: not the service's fault
+        if (signal?.aborted) {
+          breaker.trialInFlight = false;
+          throw error;
+        }
+
+        error.service = service;
+        const retryAfter = error.retryAfter ?? null;
+
+        // Bad input is our problem; outages and bad keys are the service's
+        if (isRetryable(error) || error.status === 401) {
+          breaker.recordFailure(retryAfter);
+        } else {
+          breaker.trialInFlight = false;
+        }
+
+        // Waiting longer than our backoff ceiling stalls the pipeline;
+        // give up and let the breaker hold off instead
+        if (retryAfter !== null && retryAfter > maxDelay) {
+          breaker.trip(retryAfter);
+          throw error;
+        }
+
+        if (!isRetryable(error) || attempt >= retries) throw error;
+
+        const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt);
+        const delay = retryAfter ?? Math.random() * backoff; // Full jitter
+
+        console.log(
+          `🔁 ${service} failed (${error.message}), retry ${
+            attempt + 1
+          }/${retries} in ${Math.round(delay)}ms`
+        );
+        await wait(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * One try, aborted after `timeout` ms or when `signal` aborts
+   */
+  async attempt(fn, timeout, signal) {
+    const controller = new AbortController();
+    const forward = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", forward, { once: true });
+
+    let timedOut = false;
+    const timer = timeout
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout)
+      : null;
+
+    try {
+      return await fn(controller.signal);
+    } catch (error) {
+      signal?.removeEventListener("abort", forward);
+
+      if (timedOut) {
+        const timeoutError = new Error(`Timed out after ${timeout}ms`);
+        timeoutError.timedOut = true;
+        throw timeoutError;
+      }
+
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Close every breaker (for starting fresh)
+   */
+  reset() {
+    this.breakers.clear();
+  }
+}
+
+// Export singleton instance
+export const resilience = new Resilience();
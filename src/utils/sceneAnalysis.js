@@ -0,0 +1,154 @@
+/**
+ * Scene Analysis
+ *
+ * The structured reply the vision model is asked for: what is in view,
+ * who, the colors, light and mood, instead of a paragraph of prose.
+ * The poet gets the fields as prompt variables and scene changes are
+ * judged on them (see modules/vision.js).
+ *
+ * Key concepts:
+ * - JSON schema: Sent as the response format so OpenAI replies with
+ *   exactly these fields; other servers get plain JSON mode or only
+ *   the prompt
+ * - Validation: Replies are parsed leniently (code fences, text around
+ *   the object) and every field is checked and normalized
+ * - Fallback: A reply that isn't usable JSON parses to null; the vision
+ *   module keeps it as a free-text description
+ */
+
+// For response_format; strict mode wants every field required
+export const SCENE_SCHEMA = {
+  type: "object",
+  properties: {
+    description: { type: "string" },
+    objects: { type: "array", items: { type: "string" } },
+    peopleCount: { type: "integer" },
+    colors: { type: "array", items: { type: "string" } },
+    lighting: { type: "string" },
+    mood: { type: "string" },
+    setting: { type: "string" },
+    details: { type: "array", items: { type: "string" } },
+  },
+  required: [
+    "description",
+    "objects",
+    "peopleCount",
+    "colors",
+    "lighting",
+    "mood",
+    "setting",
+    "details",
+  ],
+  additionalProperties: false,
+};
+
+// Lists longer than this are trimmed (the prompt stays short)
+const MAX_ITEMS = 12;
+
+/**
+ * Parse a vision reply into a scene analysis
+ *
+ * @param {string} reply - The model's reply
+ * @returns {SceneAnalysis|null} - null when the reply isn't usable JSON
+ */
+export function parseSceneAnalysis(reply) {
+  return validateSceneAnalysis(parseJson(reply));
+}
+
+/**
+ * Check and normalize a parsed reply
+ * Missing or mistyped fields are left empty; a reply with neither a
+ * description nor anything in view is rejected.
+ *
+ * @param {*} value - Parsed JSON
+ * @returns {SceneAnalysis|null}
+ */
+export function validateSceneAnalysis(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return null;
+  }
+
+  const analysis = {
+    description: text(value.description),
+    objects: list(value.objects, { lowercase: true }),
+    peopleCount: count(value.peopleCount),
+    colors: list(value.colors, { lowercase: true }),
+    lighting: text(value.lighting),
+    mood: text(value.mood),
+    setting: text(value.setting),
+    details: list(value.details),
+  };
+
+  if (!analysis.description && !analysis.objects.length) return null;
+
+  // Prose is still needed for history, subtitles and the theme
+  if (!analysis.description) analysis.description = summarize(analysis);
+
+  return analysis;
+}
+
+/**
+ * One sentence from the fields, for replies without a description
+ *
+ * @param {SceneAnalysis} analysis
+ * @returns {string}
+ */
+export function summarize({ objects, setting, lighting, mood }) {
+  const place = setting ? ` in a ${setting}` : "";
+  const light = lighting ? `, ${lighting}` : "";
+  const feeling = mood ? ` The mood is ${mood}.` : "";
+  return `${capitalize(objects.join(", "))}${place}${light}.${feeling}`;
+}
+
+/**
+ * The JSON object in a reply, tolerating code fences and chatter
+ */
+function parseJson(reply) {
+  if (typeof reply !== "string") return null;
+
+  const start = reply.indexOf("{");
+  const end = reply.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(reply.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function list(value, { lowercase = false } = {}) {
+  if (!Array.isArray(value)) return [];
+
+  const items = value
+    .filter((item) => typeof item === "string")
+    .map((item) => (lowercase ? item.trim().toLowerCase() : item.trim()))
+    .filter(Boolean);
+
+  return [...new Set(items)].slice(0, MAX_ITEMS);
+}
+
+function count(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : 0;
+}
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+/**
+ * @typedef {Object} SceneAnalysis
+ * @property {string} description - 2-3 sentences of prose
+ * @property {string[]} objects - What is in view, lowercase nouns
+ * @property {number} peopleCount - People visible
+ * @property {string[]} colors - Dominant colors, lowercase
+ * @property {string} lighting - e.g. "soft window light"
+ * @property {string} mood - e.g. "quiet, expectant"
+ * @property {string} setting - e.g. "kitchen"
+ * @property {string[]} details - Notable details worth a line
+ */
@@ -0,0 +1,43 @@
+/**
+ * Saved Settings
+ *
+ * Small wrapper around localStorage for choices that should survive
+ * a reload (camera, voice, ...). Storage can be unavailable (private
+ * mode, kiosk policies), so every call fails soft.
+ */
+
+const PREFIX = "mil4dy.";
+
+/**
+ * Read a saved setting
+ *
+ * @param {string} key - Setting name, e.g. "cameraDeviceId"
+ * @param {*} [fallback] - Returned when nothing is saved
+ * @returns {*} - The parsed value
+ */
+export function loadSetting(key, fallback = null) {
+  try {
+    const raw = localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Save a setting; null or undefined removes it
+ *
+ * @param {string} key - Setting name
+ * @param {*} value - Anything JSON can hold
+ */
+export function saveSetting(key, value) {
+  try {
+    if (value === null || value === undefined) {
+      localStorage.removeItem(PREFIX + key);
+    } else {
+      localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    }
+  } catch (error) {
+    console.error(`Could not save setting "${key}":`, error);
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Prompt Templates
+ *
+ * Fills `{{name}}` placeholders in a prompt. A block wrapped in
+ * `{{#name}}...{{/name}}` is only kept when `name` has a value, so a
+ * template can say "Previous verses: {{history}}" without leaving a
+ * dangling heading on the first clip.
+ */
+
+const SECTION = /{{#(\w+)}}([\s\S]*?){{\/\1}}/g;
+const VARIABLE = /{{(\w+)}}/g;
+
+/**
+ * Render a template
+ *
+ * @param {string} template - Text with {{placeholders}}
+ * @param {Object<string, *>} variables - Values; arrays are joined by lines
+ * @returns {string}
+ *
+ * @example
+ * renderTemplate("I see {{scene}}.{{#theme}} Theme: {{theme}}{{/theme}}", {
+ *   scene: "a kettle",
+ * }); // → "I see a kettle."
+ */
+export function renderTemplate(template, variables) {
+  const value = (name) => {
+    const v = variables[name];
+    if (v === null || v === undefined) return "";
+    return Array.isArray(v) ? v.join("\n") : String(v);
+  };
+
+  return template
+    .replace(SECTION, (_, name, body) => (value(name) ? body : ""))
+    .replace(VARIABLE, (_, name) => value(name))
+    .trim();
+}
+
+/**
+ * Names of the {{placeholders}} a template uses
+ *
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function templateVariables(template) {
+  const names = [...template.matchAll(/{{[#/]?(\w+)}}/g)].map(
+    (match) => match[1]
+  );
+  return [...new Set(names)];
+}
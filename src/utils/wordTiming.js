@@ -0,0 +1,190 @@
+/**
+ * Word Timing
+ *
+ * When each word of a verse is spoken, for the overlay's karaoke
+ * highlighting. Words are the verse split on whitespace, in order, so
+ * timing i belongs to the i-th word on screen.
+ *
+ * Key concepts:
+ * - Alignment: Providers that can (ElevenLabs with-timestamps, the mock)
+ *   say when each character is spoken; a word spans its characters
+ * - Estimation: Otherwise the speech is shared out over the words by
+ *   length, with a breath after punctuation and at line ends. It spans
+ *   the decoded audio without its leading and trailing silence, or
+ *   assumes a speaking rate while a stream is still arriving
+ * - Dialogue: Each line of a stitched clip is timed within its own
+ *   segment
+ */
+
+import { config } from "./config.js";
+
+// Extra weight, in characters, for the pause after a word
+const PAUSE_WEIGHT = {
+  ",": 2,
+  ";": 3,
+  ":": 3,
+  "—": 3,
+  ".": 4,
+  "!": 4,
+  "?": 4,
+};
+const LINE_END_WEIGHT = 5;
+
+// Quieter than this counts as silence when trimming decoded audio
+const SILENCE_THRESHOLD = 0.02;
+
+/**
+ * @param {string} text
+ * @returns {string[]} - Words, as shown in the overlay
+ */
+export function splitWords(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Word timings for a clip from AudioBufferManager
+ *
+ * @param {Object} clip - Queued clip (text, duration, audioBuffer, and
+ *   alignment or segments when there are any)
+ * @returns {WordTiming[]} - One per word of clip.text
+ */
+export function clipWordTimings(clip) {
+  const parts = clip.segments ?? [
+    { text: clip.text, alignment: clip.alignment, ...speechSpan(clip) },
+  ];
+
+  return parts.flatMap((part) => {
+    if (part.alignment) {
+      const aligned = timingsFromAlignment(part.alignment, part.start);
+      if (aligned.length === splitWords(part.text).length) return aligned;
+    }
+
+    return estimateTimings(part.text, part.start, part.end);
+  });
+}
+
+/**
+ * Group character times into words
+ *
+ * @param {Alignment} alignment - From the TTS provider
+ * @param {number} [offset] - Seconds to add (where the text starts in the clip)
+ * @returns {WordTiming[]}
+ */
+export function timingsFromAlignment(alignment, offset = 0) {
+  const { characters, startTimes, endTimes } = alignment;
+  const timings = [];
+  let current = null;
+
+  characters.forEach((character, i) => {
+    if (/\s/.test(character)) {
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      current = { word: "", start: startTimes[i] + offset, end: 0 };
+      timings.push(current);
+    }
+    current.word += character;
+    current.end = endTimes[i] + offset;
+  });
+
+  return timings;
+}
+
+/**
+ * Share a stretch of speech out over the words of a text
+ *
+ * @param {string} text - Lines separated by "\n"
+ * @param {number} start - When the first word starts (s)
+ * @param {number} end - When the last word ends (s)
+ * @returns {WordTiming[]}
+ */
+export function estimateTimings(text, start, end) {
+  const lines = text
+    .split("\n")
+    .map(splitWords)
+    .filter((l) => l.length);
+
+  const words = lines.flatMap((line, l) =>
+    line.map((word, w) => {
+      const lineEnd = w === line.length - 1 && l < lines.length - 1;
+      const pause =
+        (PAUSE_WEIGHT[word.at(-1)] ?? 0) + (lineEnd ? LINE_END_WEIGHT : 0);
+      return { word, pause };
+    })
+  );
+
+  // The last word's pause is past the end of the speech
+  const total = words.reduce(
+    (sum, { word, pause }, i) =>
+      sum + word.length + (i < words.length - 1 ? pause : 0),
+    0
+  );
+  const scale = total > 0 ? Math.max(end - start, 0) / total : 0;
+
+  let position = start;
+  return words.map(({ word, pause }) => {
+    const timing = {
+      word,
+      start: position,
+      end: position + word.length * scale,
+    };
+    position = timing.end + pause * scale;
+    return timing;
+  });
+}
+
+/**
+ * Where the speech is within decoded audio: from the first sample
+ * above the silence threshold to the last
+ *
+ * @param {AudioBuffer} buffer
+ * @returns {{start: number, end: number}} - Seconds
+ */
+export function speechBounds(buffer) {
+  const data = buffer.getChannelData(0);
+
+  let first = 0;
+  while (first < data.length && Math.abs(data[first]) < SILENCE_THRESHOLD) {
+    first++;
+  }
+  if (first === data.length) return { start: 0, end: buffer.duration };
+
+  let last = data.length - 1;
+  while (last > first && Math.abs(data[last]) < SILENCE_THRESHOLD) {
+    last--;
+  }
+
+  return {
+    start: first / buffer.sampleRate,
+    end: (last + 1) / buffer.sampleRate,
+  };
+}
+
+/**
+ * The stretch of a single-voice clip that is speech
+ * A clip still streaming in has no end yet, so a speaking rate is assumed.
+ */
+function speechSpan(clip) {
+  if (clip.isStreaming || !clip.audioBuffer) {
+    const characters = clip.text.replace(/\s+/g, " ").length;
+    return { start: 0, end: characters / config.karaoke.charactersPerSecond };
+  }
+
+  return speechBounds(clip.audioBuffer);
+}
+
+/**
+ * @typedef {Object} WordTiming
+ * @property {string} word - The word as written
+ * @property {number} start - Seconds into the clip
+ * @property {number} end - Seconds into the clip
+ */
+
+/**
+ * @typedef {Object} Alignment
+ * @property {string[]} characters - The text, one character each
+ * @property {number[]} startTimes - When each character starts (s)
+ * @property {number[]} endTimes - When each character ends (s)
+ */
@@ -0,0 +1,751 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  audioResponse,
+  installFakeFetch,
+  timestampsResponse,
+} from "./fakes/fetch.js";
+import html from "../index.html?raw";
+
+vi.mock("openai", () => import("./fakes/openai.js"));
+
+describe("Mil4dy", () => {
+  let app;
+  let audioBuffer;
+  let pipeline;
+  let fetchMock;
+
+  beforeEach(async () => {
+    // Fresh singletons and a fresh page for every test
+    vi.resetModules();
+    localStorage.clear();
+    document.documentElement.innerHTML = html;
+
+    fetchMock = installFakeFetch({
+      "with-timestamps": (url, init) =>
+        timestampsResponse(3000, JSON.parse(init.body).text),
+      "text-to-speech": () => audioResponse(3000),
+    });
+
+    const { Mil4dy } = await import("../src/app.js");
+    ({ audioBuffer } = await import("../src/modules/audioBuffer.js"));
+    ({ pipeline } = await import("../src/modules/pipeline.js"));
+
+    app = new Mil4dy();
+  });
+
+  const statusText = () => document.getElementById("status-text").textContent;
+
+  it("initializes the camera and reports ready", async () => {
+    expect(await app.initialize()).toBe(true);
+
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalled();
+    expect(statusText()).toBe("Ready");
+  });
+
+  it("fills the source picker and switches cameras", async () => {
+    await app.initialize();
+
+    const select = document.getElementById("source-select");
+    expect([...select.options].map((o) => o.value)).toEqual([
+      "camera:cam-built-in",
+      "camera:cam-usb",
+      "video",
+      "images",
+      "folder",
+      "screen",
+    ]);
+    expect(select.value).toBe("camera:cam-built-in");
+
+    select.value = "camera:cam-usb";
+    select.dispatchEvent(new Event("change"));
+
+    await vi.waitFor(() =>
+      expect(localStorage.getItem("mil4dy.cameraDeviceId")).toBe('"cam-usb"')
+    );
+    expect(select.value).toBe("camera:cam-usb");
+  });
+
+  it("switches and edits the poet style", async () => {
+    await app.initialize();
+    const { styles } = await import("../src/modules/styles.js");
+
+    const select = document.getElementById("style-select");
+    expect(select.options).toHaveLength(7);
+    expect(select.value).toBe("contemplative");
+
+    select.value = "haiku";
+    select.dispatchEvent(new Event("change"));
+    expect(styles.current.id).toBe("haiku");
+
+    document.getElementById("style-edit-btn").click();
+    expect(document.getElementById("style-panel-title").textContent).toBe(
+      "Haiku"
+    );
+
+    const form = document.getElementById("style-form");
+    expect(form.elements.lines.value).toBe("3");
+    form.elements.lines.value = "5";
+    form.dispatchEvent(new Event("submit"));
+
+    expect(styles.current.lines).toBe(5);
+    expect(select.selectedOptions[0].textContent).toBe("Haiku (edited)");
+
+    // Bad input is reported, not saved
+    form.elements.userPrompt.value = "{{weather}}";
+    form.dispatchEvent(new Event("submit"));
+    expect(document.getElementById("error-message").textContent).toMatch(
+      /Unknown placeholder/
+    );
+
+    document.getElementById("style-reset").click();
+    expect(form.elements.lines.value).toBe("3");
+    expect(select.selectedOptions[0].textContent).toBe("Haiku");
+  });
+
+  it("picks a voice for the style and tunes it", async () => {
+    fetchMock = installFakeFetch({
+      "/voices": () =>
+        Response.json({
+          voices: [
+            { voice_id: "v-sarah", name: "Sarah", preview_url: "sarah.mp3" },
+            { voice_id: "v-adam", name: "Adam", preview_url: null },
+          ],
+        }),
+    });
+    await app.initialize();
+    const { styles } = await import("../src/modules/styles.js");
+    const { tts } = await import("../src/modules/tts.js");
+
+    document.getElementById("voice-btn").click();
+    const rows = await vi.waitFor(() => {
+      const found = document.querySelectorAll(".voice-option");
+      expect(found).toHaveLength(2);
+      return found;
+    });
+    expect(document.getElementById("voice-note").textContent).toContain(
+      "Contemplative"
+    );
+
+    // Only voices with a sample can be previewed
+    rows[0].querySelector(".voice-preview").click();
+    expect(HTMLMediaElement.prototype.play).toHaveBeenCalled();
+    expect(app.voicePreview.src).toContain("sarah.mp3");
+    expect(rows[1].querySelector(".voice-preview").disabled).toBe(true);
+
+    rows[1].querySelector(".voice-choose").click();
+    expect(styles.current.voiceId).toBe("v-adam");
+    await vi.waitFor(() =>
+      expect(document.querySelector(".voice-option.selected").dataset.id).toBe(
+        "v-adam"
+      )
+    );
+
+    const stability = document.getElementById("voice-form").elements.stability;
+    stability.value = "0.25";
+    stability.dispatchEvent(new Event("input", { bubbles: true }));
+    expect(tts.voiceSettings.stability).toBe(0.25);
+    expect(stability.parentElement.querySelector("output").textContent).toBe(
+      "0.25"
+    );
+
+    document.getElementById("voice-reset").click();
+    expect(styles.current.voiceId).toBeNull();
+    expect(tts.voiceSettings.stability).toBe(0.5);
+  });
+
+  it("switches to a video file picked from the source menu", async () => {
+    await app.initialize();
+
+    const select = document.getElementById("source-select");
+    const input = document.getElementById("video-file-input");
+    const click = vi.spyOn(input, "click").mockImplementation(() => {});
+
+    select.value = "video";
+    select.dispatchEvent(new Event("change"));
+    expect(click).toHaveBeenCalled();
+
+    // Still showing the camera until a file is chosen
+    expect(select.value).toBe("camera:cam-built-in");
+
+    const file = new File(["video"], "rehearsal.mp4", { type: "video/mp4" });
+    Object.defineProperty(input, "files", { value: [file] });
+    input.dispatchEvent(new Event("change"));
+
+    await vi.waitFor(() => expect(select.value).toBe("video"));
+    expect(document.getElementById("camera-feed").dataset.source).toBe("video");
+  });
+
+  it("shows an error when the camera is unavailable", async () => {
+    navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(
+      new Error("Permission denied")
+    );
+
+    expect(await app.initialize()).toBe(false);
+    expect(document.getElementById("error-message").textContent).toBe(
+      "Camera error: Permission denied"
+    );
+  });
+
+  it("checks the API server's keys at start-up in proxy mode", async () => {
+    const { config } = await import("../src/utils/config.js");
+    config.proxy.enabled = true;
+    const errorText = () =>
+      document.getElementById("error-message").textContent;
+
+    installFakeFetch({
+      "/api/health": () => Response.json({ openai: true, elevenlabs: false }),
+    });
+    expect(await app.initialize()).toBe(false);
+    expect(errorText()).toBe(
+      "The API server is missing ELEVENLABS_API_KEY. Set them in its .env file."
+    );
+
+    installFakeFetch();
+    expect(await app.initialize()).toBe(false);
+    expect(errorText()).toMatch(
+      /^Can't reach the API server: Proxy error \(404\)/
+    );
+
+    installFakeFetch({
+      "/api/health": () => Response.json({ openai: true, elevenlabs: true }),
+    });
+    expect(await app.initialize()).toBe(true);
+  });
+
+  it("buffers two clips, plays, and pauses on stop", async () => {
+    await app.initialize();
+    await app.start();
+
+    expect(app.isRunning).toBe(true);
+    expect(app.getStats().clipsGenerated).toBe(2);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(statusText()).toBe("Playing");
+
+    // The first clip is on air and its poem is on screen
+    expect(audioBuffer.currentlyPlaying).not.toBeNull();
+    expect(
+      [...document.querySelectorAll("#poetry-overlay p")].map(
+        (p) => p.textContent
+      )
+    ).toEqual(["A quiet room.", "A patient light."]);
+
+    app.stop();
+
+    expect(app.isRunning).toBe(false);
+    expect(app.generationLoop).toBeNull();
+    expect(audioBuffer.isPaused).toBe(true);
+    expect(statusText()).toBe("Paused");
+  });
+
+  it("records what plays and exports it", async () => {
+    const exportSelect = document.getElementById("export-select");
+    const click = vi
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(() => {});
+
+    await app.initialize();
+    expect(exportSelect.disabled).toBe(true);
+
+    await app.start();
+    app.stop();
+    expect(exportSelect.disabled).toBe(false);
+
+    exportSelect.value = "vtt";
+    exportSelect.dispatchEvent(new Event("change"));
+
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(click.mock.contexts[0].download).toMatch(/^mil4dy-.*\.vtt$/);
+    expect(exportSelect.value).toBe("");
+  });
+
+  it("keeps generated clips in history and replays them", async () => {
+    await app.initialize();
+    await app.start();
+    app.stop();
+
+    const button = document.getElementById("history-btn");
+    button.click();
+    expect(button.getAttribute("aria-expanded")).toBe("true");
+
+    const session = await vi.waitFor(() => {
+      const el = document.querySelector(".history-session");
+      expect(el.textContent).toContain("2 clips");
+      return el;
+    });
+    expect(document.getElementById("history-usage").textContent).toMatch(
+      /KB used$/
+    );
+
+    session.open = true;
+    session.dispatchEvent(new Event("toggle"));
+    const replay = await vi.waitFor(() => {
+      const buttons = session.querySelectorAll(".history-replay");
+      expect(buttons).toHaveLength(2);
+      return buttons[0];
+    });
+
+    // Paused, so the verse plays on its own
+    const preview = vi.spyOn(audioBuffer, "preview");
+    replay.click();
+    await vi.waitFor(() => expect(preview).toHaveBeenCalled());
+    expect(audioBuffer.queue).toHaveLength(1);
+
+    session.querySelector(".history-delete").click();
+    await vi.waitFor(() =>
+      expect(document.getElementById("history-list").textContent).toBe(
+        "No sessions yet."
+      )
+    );
+  });
+
+  it("ends with a final stanza and then starts a new session", async () => {
+    const { poetry } = await import("../src/modules/poetry.js");
+    const { completions } = await import("openai");
+    const finishBtn = document.getElementById("finish-btn");
+
+    await app.initialize();
+    expect(finishBtn.disabled).toBe(true);
+
+    await app.start();
+    expect(finishBtn.disabled).toBe(false);
+
+    finishBtn.click();
+    await vi.waitFor(() => expect(statusText()).toBe("Closing..."));
+
+    // Buffered verses make way for the finale
+    expect(app.isRunning).toBe(false);
+    expect(audioBuffer.queue.map((clip) => clip.final)).toEqual([true]);
+    expect(
+      completions.create.mock.calls.at(-1)[0].messages[1].content
+    ).toContain("final stanza");
+
+    // Play everything out
+    const ctx = audioBuffer.audioContext;
+    await vi.waitFor(() => {
+      ctx.sources.forEach((source) => source.finish());
+      expect(statusText()).toBe("Finished");
+    });
+
+    expect(audioBuffer.isPlaying).toBe(false);
+    expect(poetry.stanzaCount).toBe(0);
+    expect(finishBtn.disabled).toBe(true);
+  });
+
+  it("voices a scene change before the clips about the old one", async () => {
+    await app.initialize();
+    const { camera } = await import("../src/modules/camera.js");
+    const { completions, chatResponse } = await import("openai");
+
+    // Ten-second clips, so none is lined up ahead of time
+    installFakeFetch({ "text-to-speech": () => audioResponse(480000) });
+
+    await app.start();
+    try {
+      // Top up to a full buffer of clips about the old scene
+      app.fillBuffer();
+      await vi.waitFor(() => expect(audioBuffer.queue).toHaveLength(2));
+
+      completions.create.mockResolvedValue(chatResponse("A new face."));
+      camera.onSceneChange();
+      await vi.waitFor(() => expect(pipeline.inFlight).toBe(0));
+    } finally {
+      app.stop();
+    }
+
+    expect(audioBuffer.queue.map((clip) => clip.text)).toEqual([
+      "A new face.",
+      "A quiet room.\nA patient light.",
+    ]);
+  });
+
+  it("passes the theme typed by the user to the poet", async () => {
+    const { completions } = await import("openai");
+    await app.initialize();
+
+    const input = document.getElementById("theme-input");
+    input.value = "homecoming";
+    input.dispatchEvent(new Event("change"));
+
+    await app.generateClip();
+
+    const [params] = completions.create.mock.calls.at(-1);
+    expect(params.messages[1].content).toContain(
+      "The theme of this performance: homecoming"
+    );
+  });
+
+  it("writes in the chosen language with a translation beside it", async () => {
+    const { completions } = await import("openai");
+    await app.initialize();
+
+    const language = document.getElementById("language-select");
+    const translation = document.getElementById("translation-select");
+    expect(language.value).toBe("en");
+    expect(translation.value).toBe("");
+
+    language.value = "es";
+    language.dispatchEvent(new Event("change"));
+    translation.value = "en";
+    translation.dispatchEvent(new Event("change"));
+
+    await app.start();
+    app.stop();
+
+    const prompts = completions.create.mock.calls.map(
+      ([params]) => params.messages[0].content
+    );
+    expect(prompts.some((p) => p.includes("Write every line in Spanish"))).toBe(
+      true
+    );
+    expect(prompts.some((p) => p.includes("into English"))).toBe(true);
+
+    const overlay = document.getElementById("poetry-overlay");
+    expect(overlay.classList.contains("bilingual")).toBe(true);
+    expect(overlay.querySelector(".poem-original").textContent).toBe(
+      audioBuffer.currentlyPlaying.text.replace("\n", "")
+    );
+    expect(overlay.querySelector(".poem-translation").lang).toBe("en");
+  });
+
+  it("performs a call and response in two voices", async () => {
+    const { config } = await import("../src/utils/config.js");
+    await app.initialize();
+
+    const button = document.getElementById("dialogue-btn");
+    expect(button.getAttribute("aria-pressed")).toBe("false");
+    button.click();
+    expect(button.getAttribute("aria-pressed")).toBe("true");
+
+    await app.start();
+    app.stop();
+
+    const voices = fetchMock.mock.calls
+      .map(([url]) => String(url))
+      .map((url) => url.match(/text-to-speech\/([^/]+)/)?.[1])
+      .filter(Boolean);
+    expect(voices).toContain(config.dialogue.speakers[1].voiceId);
+
+    const lines = document.querySelectorAll("#poetry-overlay .dialogue-line");
+    expect(lines.length).toBeGreaterThan(1);
+    expect(lines[0].querySelector(".speaker-name").textContent).toBe("A");
+    expect(lines[1].querySelector(".speaker-name").textContent).toBe("B");
+  });
+
+  it("shows names and verses as text, never as markup", async () => {
+    await app.initialize();
+
+    app.displayPoetry("<b>A</b> line", null, [
+      { speaker: 0, name: "<i>Ada</i>", text: "<b>Bold</b> claim" },
+    ]);
+
+    const overlay = document.getElementById("poetry-overlay");
+    expect(overlay.querySelector("b, i")).toBeNull();
+    expect(overlay.querySelector(".speaker-name").textContent).toBe(
+      "<i>Ada</i>"
+    );
+    expect(
+      [...overlay.querySelectorAll(".word")].map((word) => word.textContent)
+    ).toEqual(["<b>Bold</b>", "claim"]);
+
+    app.displayPoetry("<img src=x>", { language: "fr", text: "<b>Vers</b>" });
+    expect(overlay.querySelector("img, b")).toBeNull();
+    expect(overlay.querySelector(".poem-translation").lang).toBe("fr");
+    expect(overlay.querySelector(".poem-translation p").textContent).toBe(
+      "<b>Vers</b>"
+    );
+  });
+
+  it("lights up each word as it is spoken", async () => {
+    const { config } = await import("../src/utils/config.js");
+    config.tts.streaming = false;
+    await app.initialize();
+
+    await app.start();
+
+    const clip = audioBuffer.currentlyPlaying;
+    const words = [...document.querySelectorAll("#poetry-overlay .word")];
+    const lines = document.querySelectorAll("#poetry-overlay p");
+    expect(words.map((word) => word.textContent).join(" ")).toBe(
+      clip.text.replace("\n", " ")
+    );
+
+    // Characters are a tenth of a second apart (see timestampsResponse)
+    audioBuffer.audioContext.currentTime = clip.startTime + 0.05;
+    app.updateKaraoke();
+    expect(words[0].classList.contains("active")).toBe(true);
+    expect(words[1].classList.contains("active")).toBe(false);
+    expect(lines[0].classList.contains("active")).toBe(true);
+    expect(lines[1].classList.contains("upcoming")).toBe(true);
+
+    const secondWord = words[0].textContent.length / 10 + 0.15;
+    audioBuffer.audioContext.currentTime = clip.startTime + secondWord;
+    app.updateKaraoke();
+    expect(words[0].classList.contains("spoken")).toBe(true);
+    expect(words[1].classList.contains("active")).toBe(true);
+
+    app.stop();
+  });
+
+  it("goes quiet in an empty room and greets the next visitor", async () => {
+    const { config } = await import("../src/utils/config.js");
+    const { audience } = await import("../src/modules/audience.js");
+    const { completions } = await import("openai");
+    config.audience.enabled = true;
+    config.audience.quietAfter = 0;
+
+    await app.initialize();
+    await app.start();
+
+    app.fillBuffer();
+    expect(pipeline.inFlight).toBe(0);
+    expect(statusText()).toBe("Waiting for someone to listen...");
+
+    // Someone stays in front of the camera
+    audience.count = 1;
+    audience.onPersonEntered(1);
+    expect(pipeline.inFlight).toBe(1);
+    expect(statusText()).toBe("Playing");
+
+    await vi.waitFor(() => expect(pipeline.inFlight).toBe(0));
+    app.stop();
+    expect(audience.timer).toBeNull();
+
+    const prompts = completions.create.mock.calls.map(
+      ([params]) => params.messages.at(-1).content
+    );
+    expect(
+      prompts.filter((p) => p.includes("Someone has just stepped up"))
+    ).toHaveLength(1);
+  });
+
+  it("replays past poems when idle and goes live again on wake", async () => {
+    const { config } = await import("../src/utils/config.js");
+    const { sessionHistory } = await import("../src/modules/history.js");
+    config.attention.attractGap = 0;
+
+    await app.initialize();
+    await app.start();
+    await vi.waitFor(async () => {
+      const [session] = await sessionHistory.listSessions();
+      expect(await sessionHistory.listClips(session.id)).toHaveLength(2);
+    });
+
+    // Let the live verses go, so the replays start
+    audioBuffer.clearQueue();
+    audioBuffer.stop();
+    await app.enterAttractMode();
+
+    await vi.waitFor(() => expect(audioBuffer.queue[0]?.attract).toBe(true));
+    expect(statusText()).toBe("Resting: replaying past poems");
+    app.fillBuffer();
+    expect(pipeline.inFlight).toBe(0);
+
+    app.leaveAttractMode();
+    expect(audioBuffer.queue).toHaveLength(0);
+    expect(pipeline.inFlight).toBe(2);
+    expect(statusText()).toBe("Playing");
+
+    await vi.waitFor(() => expect(pipeline.inFlight).toBe(0));
+    app.stop();
+  });
+
+  it("pauses at the budget and shows what was spent", async () => {
+    const { config } = await import("../src/utils/config.js");
+    config.costs.budget.daily = 0.001;
+
+    await app.initialize();
+    document.getElementById("stats-btn").click();
+    await app.start();
+
+    app.fillBuffer();
+    const inFlight = pipeline.inFlight;
+    const status = statusText();
+    app.stop();
+
+    expect(inFlight).toBe(0);
+    expect(status).toBe("Budget reached: generation paused");
+    expect(app.getStats().costs.session.services.tts.calls).toBe(2);
+
+    const panel = document.getElementById("stats-panel");
+    expect(panel.classList.contains("hidden")).toBe(false);
+    expect(panel.querySelector("caption").textContent).toBe("This session");
+    expect(panel.querySelector("tbody tr").textContent).toMatch(
+      /^Vision2\d+ tokens\$0\.\d+$/
+    );
+    expect(document.getElementById("stats-budget").textContent).toMatch(
+      /Daily budget: \$0\.\d+ of \$0\.001\. Budget reached/
+    );
+  });
+
+  it("times each stage and shows them on the HUD", async () => {
+    await app.initialize();
+    const hud = document.getElementById("hud");
+    expect(hud.classList.contains("hidden")).toBe(true);
+
+    await app.start();
+    app.stop();
+
+    // Not while typing a theme
+    const theme = document.getElementById("theme-input");
+    theme.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "?", bubbles: true })
+    );
+    expect(hud.classList.contains("hidden")).toBe(true);
+
+    document.dispatchEvent(new KeyboardEvent("keydown", { key: "?" }));
+    expect(hud.classList.contains("hidden")).toBe(false);
+
+    const rows = [...hud.querySelectorAll("tbody tr")];
+    expect(rows.map((row) => row.cells[0].textContent)).toEqual([
+      "Vision",
+      "Poetry",
+      "Speech",
+      "Decode",
+      "Total",
+    ]);
+    expect(rows[4].cells[1].textContent).toMatch(/^\d+$/);
+    expect(document.getElementById("hud-summary").textContent).toMatch(
+      /First audio: \d+ ms/
+    );
+    expect(app.getStats().metrics.clips).toBe(2);
+
+    const click = vi.spyOn(HTMLAnchorElement.prototype, "click");
+    document.getElementById("hud-export-csv").click();
+    expect(click.mock.contexts[0].download).toMatch(/^mil4dy-metrics-.*\.csv$/);
+  });
+
+  it("shows the interface in the browser's language", async () => {
+    vi.spyOn(navigator, "languages", "get").mockReturnValue(["es-ES"]);
+    vi.resetModules();
+    const { Mil4dy } = await import("../src/app.js");
+    app = new Mil4dy();
+
+    await app.initialize();
+
+    expect(statusText()).toBe("Listo");
+    expect(document.querySelector("#start-btn .btn-text").textContent).toBe(
+      "Comenzar"
+    );
+    expect(document.documentElement.lang).toBe("es");
+  });
+
+  it("reuses the buffered clips when started again", async () => {
+    await app.initialize();
+    await app.start();
+    app.stop();
+
+    const paused = audioBuffer.currentlyPlaying;
+    await app.start();
+
+    // One clip queued + one paused = a full starting buffer
+    expect(app.getStats().clipsGenerated).toBe(2);
+    expect(audioBuffer.isPaused).toBe(false);
+    expect(audioBuffer.currentlyPlaying).toBe(paused);
+
+    app.stop();
+  });
+
+  it("counts generation errors without throwing", async () => {
+    installFakeFetch({
+      "text-to-speech": () => new Response("nope", { status: 401 }),
+    });
+
+    await app.initialize();
+    await audioBuffer.initialize();
+    await app.generateClip();
+
+    expect(app.getStats()).toMatchObject({ clipsGenerated: 0, errors: 1 });
+    expect(pipeline.inFlight).toBe(0);
+    expect(audioBuffer.queue).toHaveLength(0);
+  });
+
+  it("names a degraded service in the status bar", async () => {
+    installFakeFetch({
+      "text-to-speech": () => new Response("nope", { status: 401 }),
+    });
+
+    await app.initialize();
+    await app.start();
+
+    // The buffer is empty, so the app keeps trying; the third failure
+    // in a row opens the TTS breaker
+    await vi.waitFor(() =>
+      expect(statusText()).toBe("Speech degraded, retrying...")
+    );
+    expect(
+      document.getElementById("status-bar").classList.contains("degraded")
+    ).toBe(true);
+
+    // Fast failures while it's open aren't counted as errors
+    await vi.waitFor(() => expect(pipeline.inFlight).toBe(0));
+    const { errors } = app.getStats();
+    await app.generateClip();
+    expect(app.getStats().errors).toBe(errors);
+
+    app.stop();
+  });
+
+  it("caps generation at the pipeline concurrency", async () => {
+    await app.initialize();
+    await audioBuffer.initialize();
+
+    // Default concurrency is 2, so the third request is skipped
+    await Promise.all([
+      app.generateClip(),
+      app.generateClip(),
+      app.generateClip(),
+    ]);
+
+    expect(app.getStats().clipsGenerated).toBe(2);
+    expect(audioBuffer.queue).toHaveLength(2);
+  });
+
+  it("stays stopped when stopped while building the buffer", async () => {
+    await app.initialize();
+    const { camera } = await import("../src/modules/camera.js");
+    const { completions, chatResponse } = await import("openai");
+    const startBtn = document.getElementById("start-btn");
+
+    // Stop is pressed while the first scene is being described
+    completions.create.mockImplementationOnce(async () => {
+      startBtn.click();
+      return chatResponse("A quiet room.");
+    });
+    await app.start();
+
+    const generationLoop = app.generationLoop;
+    const watchTimer = camera.watchTimer;
+    const playing = audioBuffer.currentlyPlaying;
+    app.stop();
+
+    expect(generationLoop).toBeNull();
+    expect(watchTimer).toBeNull();
+    expect(playing).toBeNull();
+    expect(statusText()).toBe("Paused");
+  });
+
+  it("never runs two generation loops", async () => {
+    await app.initialize();
+    const clear = vi.spyOn(globalThis, "clearInterval");
+
+    app.startGenerationLoop();
+    const first = app.generationLoop;
+    app.startGenerationLoop();
+    app.stop();
+
+    expect(clear).toHaveBeenCalledWith(first);
+  });
+
+  it("cancels clips in flight on stop", async () => {
+    await app.initialize();
+    await app.start();
+
+    app.fillBuffer();
+    expect(pipeline.inFlight).toBe(1);
+
+    app.stop();
+    await vi.waitFor(() => expect(pipeline.inFlight).toBe(0));
+
+    expect(app.getStats()).toMatchObject({ clipsGenerated: 2, errors: 0 });
+  });
+});
@@ -0,0 +1,74 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { AttentionMonitor } from "../src/modules/attention.js";
+import { camera } from "../src/modules/camera.js";
+import { audience } from "../src/modules/audience.js";
+import { config } from "../src/utils/config.js";
+
+describe("AttentionMonitor", () => {
+  let attention;
+  let view;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    // What the camera sees, as a frame signature
+    view = new Uint8Array(256);
+    camera.isInitialized = true;
+    vi.spyOn(camera, "captureSignature").mockImplementation(() => view);
+
+    attention = new AttentionMonitor();
+    attention.onSleep = vi.fn();
+    attention.onWake = vi.fn();
+    attention.start();
+  });
+
+  afterEach(() => {
+    attention.stop();
+    camera.isInitialized = false;
+    config.audience.enabled = false;
+    audience.count = 0;
+  });
+
+  const { idleAfter, checkInterval } = config.attention;
+
+  it("falls asleep when nothing moves, and wakes on motion", () => {
+    vi.advanceTimersByTime(idleAfter - checkInterval);
+    expect(attention.state).toBe("live");
+
+    vi.advanceTimersByTime(checkInterval);
+    expect(attention.state).toBe("attract");
+    expect(attention.onSleep).toHaveBeenCalledTimes(1);
+
+    view = new Uint8Array(256).fill(200);
+    vi.advanceTimersByTime(checkInterval);
+    expect(attention.state).toBe("live");
+    expect(attention.onWake).toHaveBeenCalledTimes(1);
+  });
+
+  it("stays awake while things keep moving", () => {
+    for (let t = 0; t < idleAfter * 2; t += checkInterval) {
+      view = new Uint8Array(256).fill((t / checkInterval) % 2 ? 0 : 100);
+      vi.advanceTimersByTime(checkInterval);
+    }
+
+    expect(attention.onSleep).not.toHaveBeenCalled();
+  });
+
+  it("sleeps in an empty room and only wakes for a person", () => {
+    config.audience.enabled = true;
+    vi.spyOn(audience, "emptyFor").mockReturnValue(idleAfter);
+
+    // Moving, but nobody there
+    view = new Uint8Array(256).fill(50);
+    vi.advanceTimersByTime(checkInterval);
+    expect(attention.state).toBe("attract");
+
+    view = new Uint8Array(256).fill(150);
+    vi.advanceTimersByTime(checkInterval);
+    expect(attention.state).toBe("attract");
+
+    audience.count = 1;
+    vi.advanceTimersByTime(checkInterval);
+    expect(attention.state).toBe("live");
+  });
+});
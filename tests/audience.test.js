@@ -0,0 +1,136 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { AudienceModule } from "../src/modules/audience.js";
+import { config } from "../src/utils/config.js";
+
+const WIDTH = 32;
+const HEIGHT = 24;
+const BACKGROUND = [60, 60, 60];
+const SKIN = [224, 172, 138];
+
+/**
+ * A sample with skin-colored rectangles on a grey background
+ *
+ * @param {...number[]} rects - [x, y, width, height] each
+ */
+function frame(...rects) {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let i = 0; i < WIDTH * HEIGHT; i++) {
+    const x = i % WIDTH;
+    const y = Math.floor(i / WIDTH);
+    const inside = rects.some(
+      ([rx, ry, rw, rh]) => x >= rx && x < rx + rw && y >= ry && y < ry + rh
+    );
+    data.set([...(inside ? SKIN : BACKGROUND), 255], i * 4);
+  }
+  return { data, width: WIDTH, height: HEIGHT };
+}
+
+describe("AudienceModule", () => {
+  let audience;
+  let events;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    audience = new AudienceModule();
+    audience.reset();
+
+    events = [];
+    audience.onPersonEntered = (count) => events.push(["entered", count]);
+    audience.onPersonLeft = (count) => events.push(["left", count]);
+    audience.onWave = () => events.push(["wave"]);
+    audience.onApproach = () => events.push(["approach"]);
+  });
+
+  afterEach(() => {
+    audience.stop();
+  });
+
+  it("sees someone arrive once they have stayed a moment", () => {
+    const { enterDelay } = config.audience;
+    const face = [10, 4, 6, 6];
+
+    audience.analyze(frame(), 0);
+    expect(audience.analyze(frame(face), 100)).toBe(1);
+    expect(events).toEqual([]);
+
+    audience.analyze(frame(face), 100 + enterDelay);
+    expect(events).toEqual([["entered", 1]]);
+    expect(audience.count).toBe(1);
+    expect(audience.emptyFor()).toBe(0);
+  });
+
+  it("sees them leave after a longer absence", () => {
+    const { enterDelay, leaveDelay } = config.audience;
+    const face = [10, 4, 6, 6];
+
+    audience.analyze(frame(), 0);
+    audience.analyze(frame(face), 100);
+    audience.analyze(frame(face), 100 + enterDelay);
+
+    // Gone for a moment, then back: nobody left
+    const t = 200 + enterDelay;
+    audience.analyze(frame(), t);
+    audience.analyze(frame(face), t + leaveDelay / 2);
+    audience.analyze(frame(), t + leaveDelay);
+    expect(events).toEqual([["entered", 1]]);
+
+    audience.analyze(frame(), t + leaveDelay * 2);
+    expect(events.at(-1)).toEqual(["left", 0]);
+
+    vi.setSystemTime(t + leaveDelay * 2 + 500);
+    expect(audience.emptyFor()).toBe(500);
+  });
+
+  it("ignores skin-colored scenery that never moves", () => {
+    const door = [2, 2, 8, 20];
+
+    for (let t = 0; t < 5000; t += 500) {
+      expect(audience.analyze(frame(door), t)).toBe(0);
+    }
+    expect(events).toEqual([]);
+  });
+
+  it("recognizes a hand waving from side to side", () => {
+    const hand = (x) => [x, 4, 3, 3];
+
+    [4, 20, 4, 20, 4].forEach((x, i) =>
+      audience.analyze(frame(hand(x)), i * 150)
+    );
+    expect(events).toEqual([]);
+
+    audience.analyze(frame(hand(20)), 750);
+    expect(events).toEqual([["wave"]]);
+
+    // Not again straight away
+    [4, 20, 4, 20].forEach((x, i) =>
+      audience.analyze(frame(hand(x)), 900 + i * 150)
+    );
+    expect(events).toEqual([["wave"]]);
+  });
+
+  it("notices someone stepping closer", () => {
+    audience.analyze(frame(), 0);
+    audience.analyze(frame([10, 4, 4, 4]), 100);
+    audience.analyze(frame([10, 4, 4, 4]), 4000);
+    audience.analyze(frame([9, 3, 6, 6]), 4500);
+
+    expect(events).toContainEqual(["approach"]);
+  });
+
+  it("samples the camera until stopped", async () => {
+    const { camera } = await import("../src/modules/camera.js");
+    camera.isInitialized = true;
+    const capture = vi
+      .spyOn(camera, "captureSample")
+      .mockImplementation(() => frame());
+
+    audience.start();
+    vi.advanceTimersByTime(config.audience.checkInterval * 3);
+    audience.stop();
+    vi.advanceTimersByTime(config.audience.checkInterval * 3);
+
+    expect(capture).toHaveBeenCalledTimes(3);
+    expect(capture).toHaveBeenCalledWith(WIDTH, HEIGHT);
+    camera.isInitialized = false;
+  });
+});
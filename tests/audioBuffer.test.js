@@ -0,0 +1,569 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { AudioBufferManager } from "../src/modules/audioBuffer.js";
+import { config } from "../src/utils/config.js";
+import { floatToPcm16 } from "../src/utils/pcm.js";
+
+function makeClip(text, bytes = 1000) {
+  return {
+    text,
+    blob: new Blob([new Uint8Array(bytes)]),
+    duration: bytes / 1000,
+  };
+}
+
+/**
+ * A streaming clip whose chunks are pushed by the test
+ */
+function makeStreamClip(text, sampleRate = 1000) {
+  let controller;
+  const cancel = vi.fn();
+  const stream = new ReadableStream({
+    start(c) {
+      controller = c;
+    },
+    cancel,
+  });
+
+  return {
+    clip: { text, stream, sampleRate, duration: 0 },
+    push: (seconds) =>
+      controller.enqueue(floatToPcm16(new Float32Array(seconds * sampleRate))),
+    close: () => controller.close(),
+    fail: (error) => controller.error(error),
+    cancel,
+  };
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve));
+
+describe("AudioBufferManager", () => {
+  let manager;
+
+  beforeEach(async () => {
+    manager = new AudioBufferManager();
+    await manager.initialize();
+  });
+
+  describe("addToQueue", () => {
+    it("rejects clips before initialize()", async () => {
+      const fresh = new AudioBufferManager();
+      await expect(fresh.addToQueue(makeClip("a"))).rejects.toThrow(
+        /not initialized/
+      );
+    });
+
+    it("decodes the blob and queues the clip", async () => {
+      await manager.addToQueue(makeClip("first line", 2000));
+
+      expect(manager.queue).toHaveLength(1);
+      expect(manager.queue[0].text).toBe("first line");
+      expect(manager.queue[0].audioBuffer.duration).toBeCloseTo(2);
+    });
+
+    it("notifies buffer listeners", async () => {
+      manager.onBufferUpdate = vi.fn();
+      await manager.addToQueue(makeClip("a"));
+
+      expect(manager.onBufferUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ queuedClips: 1 })
+      );
+    });
+
+    it("drops the oldest clips beyond maxBufferClips", async () => {
+      const max = config.timing.maxBufferClips;
+
+      for (let i = 0; i < max + 2; i++) {
+        await manager.addToQueue(makeClip(`clip ${i}`));
+      }
+
+      expect(manager.queue).toHaveLength(max);
+      expect(manager.queue[0].text).toBe("clip 2");
+    });
+
+    it("puts a clip first when asked, keeping it when trimming", async () => {
+      const max = config.timing.maxBufferClips;
+
+      for (let i = 0; i < max; i++) {
+        await manager.addToQueue(makeClip(`clip ${i}`));
+      }
+      await manager.addToQueue(makeClip("replay"), { next: true });
+
+      expect(manager.queue).toHaveLength(max);
+      expect(manager.queue[0].text).toBe("replay");
+      expect(manager.queue[1].text).toBe("clip 1");
+    });
+
+    it("returns the queued clip, already complete", async () => {
+      const entry = await manager.addToQueue(makeClip("a"));
+
+      expect(entry).toBe(manager.queue[0]);
+      expect(await entry.completed).toBe(entry);
+    });
+
+    it("takes the clip duration from the decoded audio", async () => {
+      await manager.addToQueue({ ...makeClip("a", 3000), duration: 0 });
+      expect(manager.queue[0].duration).toBeCloseTo(3);
+    });
+
+    it("propagates decode failures", async () => {
+      await expect(manager.addToQueue(makeClip("empty", 0))).rejects.toThrow(
+        /decode/
+      );
+      expect(manager.queue).toHaveLength(0);
+    });
+  });
+
+  describe("playNext", () => {
+    it("plays clips in order and advances when each ends", async () => {
+      const started = [];
+      const ended = [];
+      manager.onClipStart = (clip) => started.push(clip.text);
+      manager.onClipEnd = (clip) => ended.push(clip.text);
+
+      await manager.addToQueue(makeClip("one"));
+      await manager.addToQueue(makeClip("two"));
+      await manager.play();
+
+      expect(started).toEqual(["one"]);
+      expect(manager.currentlyPlaying.text).toBe("one");
+
+      manager.audioContext.lastSource.finish();
+
+      expect(ended).toEqual(["one"]);
+      expect(started).toEqual(["one", "two"]);
+    });
+
+    it("signals a low buffer", async () => {
+      manager.onBufferLow = vi.fn();
+
+      await manager.addToQueue(makeClip("only"));
+      await manager.play();
+
+      expect(manager.onBufferLow).toHaveBeenCalled();
+    });
+
+    it("signals a low buffer once per underrun", async () => {
+      manager.onBufferLow = vi.fn();
+
+      await manager.play();
+      manager.scheduleAhead();
+      manager.scheduleAhead();
+      expect(manager.onBufferLow).toHaveBeenCalledTimes(1);
+
+      // A clip ends the underrun; running dry again is a new one
+      await manager.addToQueue(makeClip("one"));
+      manager.audioContext.lastSource.finish();
+      manager.scheduleAhead();
+      expect(manager.onBufferLow).toHaveBeenCalledTimes(2);
+
+      manager.stop();
+    });
+
+    it("starts a clip as soon as it arrives after an underrun", async () => {
+      manager.onClipStart = vi.fn();
+
+      await manager.play();
+      expect(manager.onClipStart).not.toHaveBeenCalled();
+
+      await manager.addToQueue(makeClip("late"));
+
+      expect(manager.onClipStart).toHaveBeenCalledWith(
+        expect.objectContaining({ text: "late" })
+      );
+    });
+  });
+
+  describe("gapless scheduling", () => {
+    it("starts the next clip before the current one ends, crossfading", async () => {
+      vi.useFakeTimers();
+      const ctx = manager.audioContext;
+      const crossfade = config.timing.crossfadeDuration / 1000;
+      manager.onClipStart = vi.fn();
+
+      await manager.addToQueue(makeClip("one", 2000));
+      await manager.addToQueue(makeClip("two", 2000));
+      await manager.play();
+
+      const [first, second] = [manager.tail, manager.queue[0]];
+
+      // Not yet inside the lookahead window
+      ctx.currentTime = 0.5;
+      manager.scheduleAhead();
+      expect(ctx.sources).toHaveLength(1);
+
+      ctx.currentTime = 2 - crossfade - 0.1;
+      manager.scheduleAhead();
+
+      expect(ctx.lastSource.startArgs).toEqual([2 - crossfade]);
+      expect(first.gain.gain.events.at(-1)).toEqual({
+        type: "ramp",
+        value: 0,
+        time: 2,
+      });
+      expect(second.gain.gain.events.at(-1)).toEqual({
+        type: "ramp",
+        value: 1,
+        time: 2,
+      });
+
+      // onClipStart waits until the clip is actually audible
+      expect(manager.onClipStart).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(100);
+      expect(manager.onClipStart).toHaveBeenLastCalledWith(second);
+      expect(manager.currentlyPlaying).toBe(second);
+
+      manager.stop();
+    });
+
+    it("fills an underrun with the ambient bed and fades it out", async () => {
+      await manager.addToQueue(makeClip("only"));
+      await manager.play();
+
+      manager.audioContext.lastSource.finish();
+
+      const bed = manager.ambientSource;
+      expect(bed).not.toBeNull();
+      expect(bed.loop).toBe(true);
+      expect(manager.ambientGain.gain.events.at(-1)).toMatchObject({
+        value: config.ambient.volume,
+      });
+
+      await manager.addToQueue(makeClip("next"));
+
+      expect(manager.ambientSource).toBeNull();
+      expect(manager.ambientGain.gain.events.at(-1)).toMatchObject({
+        value: 0,
+      });
+      expect(manager.currentlyPlaying.text).toBe("next");
+    });
+
+    it("reports how long an underrun lasted", async () => {
+      const ctx = manager.audioContext;
+      manager.onUnderrun = vi.fn();
+
+      await manager.addToQueue(makeClip("one"));
+      expect(manager.queue[0].decodeLatency).toEqual(expect.any(Number));
+      await manager.play();
+
+      ctx.currentTime = 1;
+      ctx.lastSource.finish();
+      ctx.currentTime = 2.5;
+      manager.scheduleAhead();
+      expect(manager.onUnderrun).not.toHaveBeenCalled();
+
+      await manager.addToQueue(makeClip("late"));
+      expect(manager.onUnderrun).toHaveBeenCalledWith(1.5);
+
+      manager.stop();
+    });
+
+    it("puts clips that were lined up but unheard back in the queue", async () => {
+      const ctx = manager.audioContext;
+
+      await manager.addToQueue(makeClip("one", 2000));
+      await manager.addToQueue(makeClip("two", 2000));
+      await manager.play();
+
+      ctx.currentTime = 1.4;
+      manager.scheduleAhead();
+      expect(manager.queue).toHaveLength(0);
+
+      manager.stop();
+
+      expect(manager.queue.map((clip) => clip.text)).toEqual(["two"]);
+    });
+  });
+
+  describe("streaming clips", () => {
+    it("queues as soon as the first chunk arrives", async () => {
+      const { clip, push } = makeStreamClip("streamed");
+      push(0.5);
+
+      await manager.addToQueue(clip);
+
+      expect(manager.queue).toHaveLength(1);
+      expect(manager.queue[0].isStreaming).toBe(true);
+      expect(manager.queue[0].duration).toBeCloseTo(0.5);
+    });
+
+    it("schedules chunks back to back while they arrive", async () => {
+      const { clip, push, close } = makeStreamClip("streamed");
+      manager.onClipEnd = vi.fn();
+      push(0.5);
+
+      await manager.addToQueue(clip);
+      await manager.play();
+
+      const ctx = manager.audioContext;
+      expect(ctx.sources).toHaveLength(1);
+      expect(ctx.sources[0].startArgs).toEqual([0]);
+
+      push(0.25);
+      await tick();
+
+      expect(ctx.sources).toHaveLength(2);
+      expect(ctx.sources[1].startArgs[0]).toBeCloseTo(0.5);
+
+      // Chunks ending doesn't end the clip while the stream is open
+      ctx.sources.forEach((source) => source.finish());
+      expect(manager.onClipEnd).not.toHaveBeenCalled();
+
+      close();
+      await tick();
+
+      expect(manager.onClipEnd).toHaveBeenCalledTimes(1);
+      const [ended] = manager.onClipEnd.mock.calls[0];
+      expect(ended.isStreaming).toBe(false);
+      expect(ended.audioBuffer.duration).toBeCloseTo(0.75);
+    });
+
+    it("completes once the stream ends", async () => {
+      const { clip, push, close } = makeStreamClip("streamed");
+      push(0.5);
+
+      const entry = await manager.addToQueue(clip);
+      let completed = false;
+      entry.completed.then(() => (completed = true));
+
+      push(0.25);
+      await tick();
+      expect(completed).toBe(false);
+
+      close();
+      await tick();
+      expect(completed).toBe(true);
+      expect(entry.audioBuffer.duration).toBeCloseTo(0.75);
+    });
+
+    it("reports a stream that breaks off", async () => {
+      const { clip, push, fail } = makeStreamClip("streamed");
+      manager.onError = vi.fn();
+      push(0.5);
+
+      const entry = await manager.addToQueue(clip);
+      fail(new Error("connection reset"));
+      await entry.completed;
+
+      expect(manager.onError).toHaveBeenCalledTimes(1);
+      expect(entry.audioBuffer.duration).toBeCloseTo(0.5);
+    });
+
+    it("doesn't report a stream that was aborted", async () => {
+      const { clip, push, fail } = makeStreamClip("streamed");
+      manager.onError = vi.fn();
+      push(0.5);
+
+      const entry = await manager.addToQueue(clip);
+      fail(new DOMException("The operation was aborted.", "AbortError"));
+      await entry.completed;
+
+      expect(manager.onError).not.toHaveBeenCalled();
+    });
+
+    it("cancels the stream of a dropped clip without reporting it", async () => {
+      const { clip, push, cancel } = makeStreamClip("streamed");
+      manager.onError = vi.fn();
+      manager.onClipDropped = vi.fn();
+      push(0.5);
+
+      const entry = await manager.addToQueue(clip);
+      manager.clearQueue();
+      await entry.completed;
+      await tick();
+
+      expect(cancel).toHaveBeenCalledTimes(1);
+      expect(cancel.mock.calls[0][0].name).toBe("AbortError");
+      expect(manager.onClipDropped).toHaveBeenCalledWith(entry);
+      expect(manager.onError).not.toHaveBeenCalled();
+    });
+
+    it("rejects a stream that ends without audio", async () => {
+      const { clip, close } = makeStreamClip("silent");
+      close();
+
+      await expect(manager.addToQueue(clip)).rejects.toThrow(
+        /without any audio/
+      );
+    });
+  });
+
+  describe("dialogue clips", () => {
+    const makeDialogueClip = () => ({
+      text: "Call.\nResponse.",
+      segments: [
+        { speaker: 0, name: "A", text: "Call.", blob: makeClip("").blob },
+        {
+          speaker: 1,
+          name: "B",
+          text: "Response.",
+          blob: makeClip("", 500).blob,
+        },
+      ],
+    });
+
+    it("stitches the lines into one clip, with a pause between", async () => {
+      const { pause } = config.dialogue;
+      const clip = await manager.addToQueue(makeDialogueClip());
+
+      expect(clip.duration).toBeCloseTo(1.5 + pause);
+      expect(clip.chunks).toEqual([clip.audioBuffer]);
+      expect(clip.segments).toEqual([
+        { speaker: 0, name: "A", text: "Call.", start: 0, end: 1 },
+        expect.objectContaining({
+          name: "B",
+          start: expect.closeTo(1 + pause),
+          end: expect.closeTo(1.5 + pause),
+        }),
+      ]);
+      expect(clip.segments[1]).not.toHaveProperty("blob");
+    });
+
+    it("announces each line as it is reached, also after a resume", async () => {
+      const ctx = manager.audioContext;
+      const onSegmentStart = vi.fn();
+      manager.onSegmentStart = onSegmentStart;
+      await manager.addToQueue(makeDialogueClip());
+
+      vi.useFakeTimers();
+      try {
+        await manager.play();
+        vi.advanceTimersByTime(0);
+        expect(onSegmentStart).toHaveBeenLastCalledWith(
+          manager.currentlyPlaying,
+          expect.objectContaining({ name: "A" }),
+          0
+        );
+
+        // Paused lines stay quiet
+        ctx.currentTime = 0.5;
+        manager.pause();
+        vi.advanceTimersByTime(5000);
+        expect(onSegmentStart).toHaveBeenCalledTimes(1);
+
+        // Resuming mid-line announces it again, then the next one
+        ctx.currentTime = 10;
+        manager.resume();
+        vi.advanceTimersByTime(0);
+        expect(onSegmentStart).toHaveBeenCalledTimes(2);
+
+        vi.advanceTimersByTime((0.5 + config.dialogue.pause) * 1000 + 10);
+        expect(onSegmentStart).toHaveBeenLastCalledWith(
+          expect.anything(),
+          expect.objectContaining({ name: "B" }),
+          1
+        );
+      } finally {
+        manager.stop();
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe("pause, resume and stop", () => {
+    it("stops the current source on pause", async () => {
+      await manager.addToQueue(makeClip("one"));
+      await manager.play();
+
+      const source = manager.audioContext.lastSource;
+      manager.pause();
+
+      expect(source.stopped).toBe(true);
+      expect(manager.getStatus().isPaused).toBe(true);
+      expect(manager.isCurrentlyPlaying()).toBe(false);
+    });
+
+    it("resumes the paused clip from where it stopped", async () => {
+      const ctx = manager.audioContext;
+      manager.onClipStart = vi.fn();
+
+      await manager.addToQueue(makeClip("one", 2000));
+      await manager.addToQueue(makeClip("two", 2000));
+      await manager.play();
+
+      ctx.currentTime = 0.8;
+      manager.pause();
+
+      expect(manager.getStatus().pausedAt).toBeCloseTo(0.8);
+      expect(manager.currentlyPlaying.text).toBe("one");
+
+      ctx.currentTime = 5;
+      manager.resume();
+
+      // Same buffer, starting 0.8s in, and no second onClipStart
+      expect(ctx.lastSource.buffer).toBe(manager.currentlyPlaying.audioBuffer);
+      expect(ctx.lastSource.startArgs).toEqual([5, expect.closeTo(0.8)]);
+      expect(manager.onClipStart).toHaveBeenCalledTimes(1);
+      expect(manager.queue.map((clip) => clip.text)).toEqual(["two"]);
+
+      // Position math continues across the pause
+      expect(manager.currentlyPlaying.startTime).toBeCloseTo(4.2);
+      expect(manager.currentlyPlaying.endTime).toBeCloseTo(6.2);
+
+      manager.stop();
+    });
+
+    it("resumes through play() as well", async () => {
+      await manager.addToQueue(makeClip("one", 2000));
+      await manager.play();
+      manager.pause();
+
+      await manager.play();
+
+      expect(manager.isPaused).toBe(false);
+      expect(manager.currentlyPlaying.text).toBe("one");
+      manager.stop();
+    });
+
+    it("keeps the queue on stop", async () => {
+      await manager.addToQueue(makeClip("one"));
+      await manager.addToQueue(makeClip("two"));
+      await manager.play();
+
+      manager.stop();
+
+      expect(manager.isPlaying).toBe(false);
+      expect(manager.currentlyPlaying).toBeNull();
+      expect(manager.queue).toHaveLength(1);
+    });
+  });
+
+  it("reports where playback is in the clip on air", async () => {
+    const ctx = manager.audioContext;
+    expect(manager.getPlaybackPosition()).toBeNull();
+
+    await manager.addToQueue(makeClip("one", 2000));
+    ctx.currentTime = 1;
+    await manager.play();
+
+    ctx.currentTime = 1.5;
+    expect(manager.getPlaybackPosition()).toMatchObject({
+      clip: manager.currentlyPlaying,
+      position: expect.closeTo(0.5),
+      duration: 2,
+    });
+
+    // Output latency is not heard yet
+    ctx.outputLatency = 0.1;
+    expect(manager.getPlaybackPosition().position).toBeCloseTo(0.4);
+
+    // Held while paused
+    manager.pause();
+    ctx.currentTime = 9;
+    expect(manager.getPlaybackPosition().position).toBeCloseTo(0.5);
+
+    manager.stop();
+    expect(manager.getPlaybackPosition()).toBeNull();
+  });
+
+  it("reports buffered seconds and clamps volume", async () => {
+    await manager.addToQueue(makeClip("a", 1500));
+    await manager.addToQueue(makeClip("b", 500));
+
+    expect(manager.getTotalBufferedSeconds()).toBeCloseTo(2);
+
+    manager.setVolume(1.7);
+    expect(manager.getVolume()).toBe(1);
+    manager.setVolume(-1);
+    expect(manager.getVolume()).toBe(0);
+  });
+});
@@ -0,0 +1,169 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { CameraModule } from "../src/modules/camera.js";
+import { config } from "../src/utils/config.js";
+
+describe("CameraModule", () => {
+  let camera;
+  let pixels;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    camera = new CameraModule();
+    await camera.initialize(document.createElement("video"));
+
+    // Every pixel of the downscaled frame is this RGBA value
+    pixels = [0, 0, 0, 255];
+    camera.signatureCtx.getImageData = (x, y, w, h) => ({
+      data: Uint8ClampedArray.from(
+        { length: w * h * 4 },
+        (_, i) => pixels[i % 4]
+      ),
+    });
+  });
+
+  afterEach(() => {
+    camera.stopWatching();
+  });
+
+  it("requests the webcam and sizes the canvas to the video", () => {
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalled();
+    expect(camera.captureFrame()).toBe("ZmFrZS1mcmFtZQ==");
+    expect(camera.canvas.width).toBe(640);
+  });
+
+  describe("devices", () => {
+    it("lists cameras only", async () => {
+      expect(await camera.listDevices()).toEqual([
+        { id: "cam-built-in", label: "FaceTime HD" },
+        { id: "cam-usb", label: "USB Camera" },
+      ]);
+    });
+
+    it("asks for the configured resolution and frame rate", () => {
+      const [{ video }] = navigator.mediaDevices.getUserMedia.mock.calls[0];
+
+      expect(video).toMatchObject({
+        facingMode: config.camera.facingMode,
+        width: { ideal: config.camera.width },
+        height: { ideal: config.camera.height },
+        frameRate: { ideal: config.camera.frameRate },
+      });
+    });
+
+    it("switches devices, stops the old stream and remembers the choice", async () => {
+      const [oldTrack] = camera.stream.getTracks();
+
+      await camera.switchDevice("cam-usb");
+
+      expect(oldTrack.stop).toHaveBeenCalled();
+      expect(camera.deviceId).toBe("cam-usb");
+      expect(navigator.mediaDevices.getUserMedia).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          video: expect.objectContaining({ deviceId: { exact: "cam-usb" } }),
+        })
+      );
+
+      // A new page opens the same camera
+      const next = new CameraModule();
+      await next.initialize(document.createElement("video"));
+      expect(next.deviceId).toBe("cam-usb");
+    });
+
+    it("falls back to the default when the saved camera is gone", async () => {
+      localStorage.setItem("mil4dy.cameraDeviceId", '"unplugged"');
+
+      const next = new CameraModule();
+      await next.initialize(document.createElement("video"));
+
+      expect(next.isInitialized).toBe(true);
+      expect(next.deviceId).toBe("cam-built-in");
+    });
+
+    it("reconnects when the track ends", async () => {
+      vi.useFakeTimers();
+      const onDisconnect = vi.fn();
+      const onReconnect = vi.fn();
+      camera.onDisconnect = onDisconnect;
+      camera.onReconnect = onReconnect;
+
+      // First attempt fails, second works
+      navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(
+        new Error("Device busy")
+      );
+      camera.stream.getVideoTracks()[0].end();
+
+      expect(onDisconnect).toHaveBeenCalled();
+      expect(camera.isInitialized).toBe(false);
+      expect(() => camera.captureFrame()).toThrow(/not initialized/);
+
+      await vi.advanceTimersByTimeAsync(config.camera.reconnectDelay * 2 + 10);
+
+      expect(onReconnect).toHaveBeenCalledTimes(1);
+      expect(camera.isInitialized).toBe(true);
+    });
+
+    it("stops the stream", () => {
+      const [track] = camera.stream.getTracks();
+      camera.stop();
+
+      expect(track.stop).toHaveBeenCalled();
+      expect(camera.stream).toBeNull();
+      expect(camera.isInitialized).toBe(false);
+    });
+  });
+
+  describe("frame signatures", () => {
+    it("reduces the frame to a luminance grid", () => {
+      pixels = [255, 255, 255, 255];
+      const signature = camera.captureSignature();
+
+      expect(signature).toHaveLength(config.sceneChange.gridSize ** 2);
+      expect(signature.every((value) => value === 255)).toBe(true);
+    });
+
+    it("scores differences from 0 to 1", () => {
+      const black = camera.captureSignature();
+      pixels = [255, 255, 255, 255];
+      const white = camera.captureSignature();
+
+      expect(camera.compareSignatures(black, black)).toBe(0);
+      expect(camera.compareSignatures(black, white)).toBe(1);
+      expect(camera.compareSignatures(black, null)).toBe(1);
+    });
+
+    it("measures change against the last analyzed frame", () => {
+      camera.setReference(camera.captureSignature());
+      expect(camera.getChange()).toBe(0);
+
+      pixels = [128, 128, 128, 255];
+      expect(camera.getChange()).toBeCloseTo(0.5, 1);
+    });
+  });
+
+  describe("watching", () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    it("reports a big change once until the next reference", () => {
+      const onSceneChange = vi.fn();
+      camera.onSceneChange = onSceneChange;
+      camera.setReference(camera.captureSignature());
+      camera.startWatching();
+
+      vi.advanceTimersByTime(config.sceneChange.checkInterval * 2);
+      expect(onSceneChange).not.toHaveBeenCalled();
+
+      pixels = [255, 255, 255, 255];
+      vi.advanceTimersByTime(config.sceneChange.checkInterval * 3);
+      expect(onSceneChange).toHaveBeenCalledTimes(1);
+      expect(onSceneChange).toHaveBeenCalledWith(1);
+
+      // A new analysis makes this the baseline
+      camera.setReference(camera.captureSignature());
+      pixels = [0, 0, 0, 255];
+      vi.advanceTimersByTime(config.sceneChange.checkInterval);
+      expect(onSceneChange).toHaveBeenCalledTimes(2);
+    });
+  });
+});
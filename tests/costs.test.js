@@ -0,0 +1,101 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { CostTracker } from "../src/modules/costs.js";
+import { config } from "../src/utils/config.js";
+
+describe("CostTracker", () => {
+  let costs;
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2024, 4, 1, 12));
+
+    costs = new CostTracker();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    config.costs.budget.session = 0;
+    config.costs.budget.daily = 0;
+    config.costs.budget.onLimit = "pause";
+  });
+
+  it("prices tokens and characters per model", () => {
+    costs.record("vision", {
+      model: "gpt-4o",
+      inputTokens: 1000,
+      outputTokens: 100,
+    });
+    costs.record("tts", { model: "eleven_multilingual_v2", characters: 200 });
+
+    const { session, today } = costs.getTotals();
+    expect(session.services.vision).toMatchObject({
+      calls: 1,
+      inputTokens: 1000,
+      outputTokens: 100,
+      cost: expect.closeTo(0.0035),
+    });
+    expect(session.services.tts.cost).toBeCloseTo(0.06);
+    expect(session.cost).toBeCloseTo(0.0635);
+    expect(today.cost).toBeCloseTo(0.0635);
+  });
+
+  it("keeps today across reloads and starts afresh the next day", () => {
+    costs.record("poetry", { model: "gpt-4o", inputTokens: 400000 });
+
+    const reloaded = new CostTracker();
+    expect(reloaded.getTotals().today.cost).toBeCloseTo(1);
+    expect(reloaded.getTotals().session.cost).toBe(0);
+
+    vi.setSystemTime(new Date(2024, 4, 2, 9));
+    expect(reloaded.getTotals().today).toMatchObject({
+      day: "2024-05-02",
+      cost: 0,
+    });
+  });
+
+  it("saves near the budget and pauses at it", () => {
+    config.costs.budget.daily = 1;
+    costs.onLevelChange = vi.fn();
+    const spend = (dollars) =>
+      costs.record("poetry", { model: "gpt-4o", outputTokens: dollars * 1e5 });
+
+    spend(0.5);
+    expect(costs.level).toBe("normal");
+    expect(costs.economy).toBeNull();
+
+    spend(0.3);
+    expect(costs.level).toBe("economy");
+    expect(costs.economy.models.openai).toBe("gpt-4o-mini");
+
+    spend(0.2);
+    expect(costs.level).toBe("paused");
+    expect(costs.onLevelChange.mock.calls).toEqual([
+      ["economy", "normal"],
+      ["paused", "economy"],
+    ]);
+
+    // Or carry on cheaply
+    config.costs.budget.onLimit = "economy";
+    expect(costs.checkBudget()).toBe("economy");
+  });
+
+  it("caps a session separately, and counts unpriced models as free", () => {
+    config.costs.budget.session = 0.01;
+
+    costs.record("tts", { model: "eleven_turbo_v2_5", characters: 100 });
+    expect(costs.level).toBe("paused");
+
+    costs.resetSession();
+    expect(costs.level).toBe("normal");
+    expect(costs.getTotals().today.cost).toBeCloseTo(0.015);
+
+    costs.record("poetry", { model: "llama3.2", inputTokens: 5000 });
+    costs.record("poetry", { model: "llama3.2", inputTokens: 5000 });
+    expect(costs.getTotals().session.services.poetry).toMatchObject({
+      calls: 2,
+      cost: 0,
+    });
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+});
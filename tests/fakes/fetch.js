@@ -0,0 +1,69 @@
+/**
+ * Fake fetch
+ *
+ * Routes are matched by URL substring; each handler returns a Response.
+ */
+
+import { vi } from "vitest";
+
+/**
+ * @param {Object<string, Function>} routes - { "text-to-speech": (url, init) => Response }
+ * @returns {Function} - The fetch mock (also installed on globalThis)
+ */
+export function installFakeFetch(routes = {}) {
+  const fetchMock = vi.fn(async (url, init) => {
+    const match = Object.keys(routes).find((pattern) =>
+      String(url).includes(pattern)
+    );
+
+    if (!match) {
+      return new Response(`No fake route for ${url}`, { status: 404 });
+    }
+
+    return routes[match](url, init);
+  });
+
+  globalThis.fetch = fetchMock;
+  return fetchMock;
+}
+
+/**
+ * An audio response whose body has the given number of bytes
+ */
+export function audioResponse(bytes = 1000) {
+  return new Response(new Uint8Array(bytes), {
+    status: 200,
+    headers: { "Content-Type": "audio/mpeg" },
+  });
+}
+
+/**
+ * A with-timestamps response: base64 audio of the given size, and
+ * every character of `text` timed a tenth of a second apart
+ */
+export function timestampsResponse(bytes, text) {
+  const characters = [...text];
+
+  return Response.json({
+    audio_base64: btoa("\0".repeat(bytes)),
+    alignment: {
+      characters,
+      character_start_times_seconds: characters.map((_, i) => i / 10),
+      character_end_times_seconds: characters.map((_, i) => (i + 1) / 10),
+    },
+  });
+}
+
+/**
+ * A streamed PCM16 response delivered in the given byte chunks
+ */
+export function pcmStreamResponse(chunks) {
+  const stream = new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(chunk));
+      controller.close();
+    },
+  });
+
+  return new Response(stream, { status: 200 });
+}
@@ -0,0 +1,147 @@
+/**
+ * Fake camera APIs: getUserMedia, <video> and <canvas>
+ */
+
+import { vi } from "vitest";
+
+export const FAKE_CAMERAS = [
+  { deviceId: "cam-built-in", kind: "videoinput", label: "FaceTime HD" },
+  { deviceId: "cam-usb", kind: "videoinput", label: "USB Camera" },
+  { deviceId: "mic", kind: "audioinput", label: "Microphone" },
+];
+
+/**
+ * A stream with one video track; fire `track.end()` to simulate
+ * the camera being unplugged
+ */
+export function createFakeStream(deviceId = FAKE_CAMERAS[0].deviceId) {
+  const track = new EventTarget();
+  Object.assign(track, {
+    kind: "video",
+    label: FAKE_CAMERAS.find((c) => c.deviceId === deviceId)?.label ?? "",
+    stop: vi.fn(),
+    getSettings: () => ({ deviceId }),
+    end: () => track.dispatchEvent(new Event("ended")),
+  });
+
+  return {
+    getTracks: () => [track],
+    getVideoTracks: () => [track],
+  };
+}
+
+/**
+ * Install navigator.mediaDevices (getUserMedia, enumerateDevices,
+ * getDisplayMedia)
+ * Asking for an exact deviceId that isn't in FAKE_CAMERAS fails.
+ *
+ * @returns {Function} - The getUserMedia mock
+ */
+export function installFakeMediaDevices() {
+  const getUserMedia = vi.fn(async ({ video }) => {
+    const wanted = video?.deviceId?.exact;
+    if (wanted && !FAKE_CAMERAS.some((c) => c.deviceId === wanted)) {
+      throw new DOMException("Requested device not found", "NotFoundError");
+    }
+    return createFakeStream(wanted);
+  });
+
+  const mediaDevices = new EventTarget();
+  mediaDevices.getUserMedia = getUserMedia;
+  mediaDevices.enumerateDevices = vi.fn(async () => FAKE_CAMERAS);
+  mediaDevices.getDisplayMedia = vi.fn(async () => createFakeStream("screen"));
+
+  Object.defineProperty(navigator, "mediaDevices", {
+    configurable: true,
+    value: mediaDevices,
+  });
+
+  return getUserMedia;
+}
+
+/**
+ * Make <video> elements "load" as soon as they get a stream or a src,
+ * and <img> elements as soon as they get a src (unless it has "missing"
+ * in it)
+ */
+export function installFakeVideo({ width = 640, height = 480 } = {}) {
+  Object.defineProperty(HTMLVideoElement.prototype, "srcObject", {
+    configurable: true,
+    get() {
+      return this._srcObject ?? null;
+    },
+    set(stream) {
+      this._srcObject = stream;
+      if (stream) setTimeout(() => this.onloadedmetadata?.());
+    },
+  });
+
+  Object.defineProperty(HTMLVideoElement.prototype, "src", {
+    configurable: true,
+    get() {
+      return this.getAttribute("src") ?? "";
+    },
+    set(url) {
+      this.setAttribute("src", url);
+      setTimeout(() =>
+        url.includes("missing") ? this.onerror?.() : this.onloadedmetadata?.()
+      );
+    },
+  });
+
+  HTMLMediaElement.prototype.play = vi.fn(async () => {});
+  HTMLMediaElement.prototype.pause = vi.fn();
+  HTMLMediaElement.prototype.load = vi.fn();
+
+  Object.defineProperty(HTMLImageElement.prototype, "src", {
+    configurable: true,
+    get() {
+      return this.getAttribute("src") ?? "";
+    },
+    set(url) {
+      this.setAttribute("src", url);
+      setTimeout(() =>
+        url.includes("missing") ? this.onerror?.() : this.onload?.()
+      );
+    },
+  });
+
+  Object.defineProperty(HTMLImageElement.prototype, "naturalWidth", {
+    configurable: true,
+    get: () => 800,
+  });
+
+  Object.defineProperty(HTMLImageElement.prototype, "naturalHeight", {
+    configurable: true,
+    get: () => 600,
+  });
+
+  Object.defineProperty(HTMLVideoElement.prototype, "videoWidth", {
+    configurable: true,
+    get: () => width,
+  });
+
+  Object.defineProperty(HTMLVideoElement.prototype, "videoHeight", {
+    configurable: true,
+    get: () => height,
+  });
+}
+
+/**
+ * jsdom has no canvas rendering; return a 2D context that does nothing
+ */
+export function installFakeCanvas() {
+  HTMLCanvasElement.prototype.getContext = function () {
+    return {
+      drawImage: vi.fn(),
+      getImageData: (x, y, w, h) => ({
+        width: w,
+        height: h,
+        data: new Uint8ClampedArray(w * h * 4),
+      }),
+    };
+  };
+
+  HTMLCanvasElement.prototype.toDataURL = () =>
+    "data:image/jpeg;base64,ZmFrZS1mcmFtZQ==";
+}
@@ -0,0 +1,34 @@
+/**
+ * Fake OpenAI SDK
+ *
+ * Use with: vi.mock("openai", () => import("./fakes/openai.js"))
+ * Queue replies with `completions.create.mockResolvedValueOnce(...)`;
+ * by default every call returns `chatResponse("...")`.
+ */
+
+import { vi } from "vitest";
+
+export function chatResponse(content, totalTokens = 42) {
+  return {
+    choices: [{ message: { content } }],
+    usage: { total_tokens: totalTokens },
+  };
+}
+
+export function apiError(status, message = `HTTP ${status}`) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Shared by every client instance so tests can reach it
+export const completions = {
+  create: vi.fn(async () => chatResponse("A quiet room.\nA patient light.")),
+};
+
+export default class FakeOpenAI {
+  constructor(options) {
+    this.options = options;
+    this.chat = { completions };
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Fake Web Audio API
+ *
+ * Just enough of AudioContext for AudioBufferManager: sources never
+ * make sound, and tests end them by calling `source.finish()`.
+ */
+
+export class FakeAudioParam {
+  constructor(value) {
+    this.value = value;
+    this.events = [];
+  }
+
+  setValueAtTime(value, time) {
+    this.events.push({ type: "set", value, time });
+    this.value = value;
+  }
+
+  linearRampToValueAtTime(value, time) {
+    this.events.push({ type: "ramp", value, time });
+  }
+
+  cancelScheduledValues(time) {
+    this.events = this.events.filter((event) => event.time < time);
+  }
+}
+
+export class FakeGainNode {
+  constructor() {
+    this.gain = new FakeAudioParam(1);
+    this.connections = [];
+  }
+
+  connect(node) {
+    this.connections.push(node);
+  }
+
+  disconnect() {
+    this.connections = [];
+  }
+}
+
+export class FakeAudioBuffer {
+  constructor({ duration = 1, sampleRate = 44100, numberOfChannels = 1 } = {}) {
+    this.duration = duration;
+    this.sampleRate = sampleRate;
+    this.numberOfChannels = numberOfChannels;
+    this.length = Math.round(duration * sampleRate);
+    this.channels = Array.from(
+      { length: numberOfChannels },
+      () => new Float32Array(this.length)
+    );
+  }
+
+  getChannelData(channel) {
+    return this.channels[channel];
+  }
+
+  copyToChannel(samples, channel) {
+    this.channels[channel].set(samples);
+  }
+}
+
+export class FakeBufferSource {
+  constructor(context) {
+    this.context = context;
+    this.buffer = null;
+    this.loop = false;
+    this.onended = null;
+    this.started = false;
+    this.stopped = false;
+    this.startArgs = null;
+  }
+
+  connect(node) {
+    this.destination = node;
+  }
+
+  disconnect() {
+    this.destination = null;
+  }
+
+  start(...args) {
+    if (this.started) {
+      throw new Error("InvalidStateError: source already started");
+    }
+    this.started = true;
+    this.startArgs = args;
+  }
+
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    this.onended?.();
+  }
+
+  /** Simulate the buffer playing to the end */
+  finish() {
+    if (this.stopped) return;
+    this.stopped = true;
+    this.onended?.();
+  }
+}
+
+export class FakeAudioContext {
+  constructor() {
+    this.state = "running";
+    this.currentTime = 0;
+    this.sampleRate = 44100;
+    this.destination = { type: "destination" };
+    this.sources = [];
+
+    // Seconds per decoded byte, so tests can size clips by blob length
+    this.secondsPerByte = 0.001;
+  }
+
+  createGain() {
+    return new FakeGainNode();
+  }
+
+  createBuffer(numberOfChannels, length, sampleRate) {
+    return new FakeAudioBuffer({
+      duration: length / sampleRate,
+      sampleRate,
+      numberOfChannels,
+    });
+  }
+
+  createBufferSource() {
+    const source = new FakeBufferSource(this);
+    this.sources.push(source);
+    return source;
+  }
+
+  async decodeAudioData(arrayBuffer) {
+    if (!arrayBuffer || arrayBuffer.byteLength === 0) {
+      throw new Error("EncodingError: Unable to decode audio data");
+    }
+
+    return new FakeAudioBuffer({
+      duration: arrayBuffer.byteLength * this.secondsPerByte,
+      sampleRate: this.sampleRate,
+    });
+  }
+
+  async resume() {
+    this.state = "running";
+  }
+
+  async suspend() {
+    this.state = "suspended";
+  }
+
+  /** The most recently created source */
+  get lastSource() {
+    return this.sources[this.sources.length - 1];
+  }
+}
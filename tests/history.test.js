@@ -0,0 +1,147 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { SessionHistory } from "../src/modules/history.js";
+import { config } from "../src/utils/config.js";
+import { FakeAudioBuffer } from "./fakes/webAudio.js";
+
+/**
+ * What pipeline.onClipQueued hands over for one clip
+ */
+function makeResult(text, { blob = null, reused = false } = {}) {
+  const clip = {
+    text,
+    blob,
+    duration: 1,
+    audioBuffer: new FakeAudioBuffer({ duration: 1, sampleRate: 8000 }),
+  };
+  clip.completed = Promise.resolve(clip);
+
+  return {
+    id: 1,
+    scene: {
+      description: `scene for ${text}`,
+      thumbnail: "data:image/jpeg;base64,dGh1bWI=",
+      latency: 400,
+      tokens: 120,
+      reused,
+    },
+    poem: { text, latency: 300, tokens: 60 },
+    audio: { text, latency: 200, timestamp: Date.now() },
+    clip,
+    totalLatency: 950,
+  };
+}
+
+describe("SessionHistory", () => {
+  let history;
+
+  beforeEach(() => {
+    history = new SessionHistory();
+  });
+
+  afterEach(() => {
+    config.history.enabled = true;
+    config.history.maxSessions = 50;
+  });
+
+  it("saves clips into one session", async () => {
+    await history.saveClip(makeResult("first"));
+    await history.saveClip(makeResult("second"));
+
+    const sessions = await history.listSessions();
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].clipCount).toBe(2);
+
+    const clips = await history.listClips(sessions[0].id);
+    expect(clips.map((clip) => clip.text)).toEqual(["first", "second"]);
+    expect(clips[0]).toMatchObject({
+      scene: "scene for first",
+      thumbnail: "data:image/jpeg;base64,dGh1bWI=",
+      latency: { vision: 400, poetry: 300, tts: 200, total: 950 },
+      tokens: { vision: 120, poetry: 60 },
+    });
+  });
+
+  it("keeps the TTS file, or encodes streamed audio as WAV", async () => {
+    const mp3 = new Blob(["mp3"], { type: "audio/mpeg" });
+    const fileId = await history.saveClip(makeResult("file", { blob: mp3 }));
+    const streamId = await history.saveClip(makeResult("stream"));
+
+    expect((await history.getClip(fileId)).audio.type).toBe("audio/mpeg");
+
+    const wav = (await history.getClip(streamId)).audio;
+    expect(wav.type).toBe("audio/wav");
+    expect(wav.size).toBe(44 + 8000 * 2);
+  });
+
+  it("waits for a streaming clip to finish", async () => {
+    const result = makeResult("slow");
+    let finish;
+    result.clip.completed = new Promise((resolve) => (finish = resolve));
+
+    const saving = history.saveClip(result);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(await history.listSessions()).toEqual([]);
+
+    finish(result.clip);
+    await saving;
+    expect(await history.listSessions()).toHaveLength(1);
+  });
+
+  it("does not count vision for a reused scene", async () => {
+    const id = await history.saveClip(makeResult("again", { reused: true }));
+
+    const clip = await history.getClip(id);
+    expect(clip.latency.vision).toBe(0);
+    expect(clip.tokens.vision).toBe(0);
+  });
+
+  it("deletes a session with its clips and starts a new one", async () => {
+    const id = await history.saveClip(makeResult("gone"));
+    const [session] = await history.listSessions();
+
+    await history.deleteSession(session.id);
+
+    expect(await history.listSessions()).toEqual([]);
+    expect(await history.getClip(id)).toBeNull();
+
+    await history.saveClip(makeResult("fresh"));
+    const [next] = await history.listSessions();
+    expect(next.id).not.toBe(session.id);
+    expect(next.clipCount).toBe(1);
+  });
+
+  it("drops the oldest sessions beyond the limit", async () => {
+    config.history.maxSessions = 2;
+
+    for (const text of ["one", "two", "three"]) {
+      // A reload starts a new session
+      history = new SessionHistory();
+      await history.saveClip(makeResult(text));
+    }
+
+    const sessions = await history.listSessions();
+    expect(sessions).toHaveLength(2);
+
+    const texts = await Promise.all(
+      sessions.map(async (s) => (await history.listClips(s.id))[0].text)
+    );
+    expect(texts.sort()).toEqual(["three", "two"]);
+  });
+
+  it("adds up its own usage when the browser has no estimate", async () => {
+    await history.saveClip(
+      makeResult("sized", { blob: new Blob([new Uint8Array(1000)]) })
+    );
+
+    const { usage, quota } = await history.getUsage();
+    expect(usage).toBe(1000 + "data:image/jpeg;base64,dGh1bWI=".length);
+    expect(quota).toBeNull();
+  });
+
+  it("saves nothing when disabled", async () => {
+    config.history.enabled = false;
+
+    expect(await history.saveClip(makeResult("off"))).toBeNull();
+    expect(await history.listSessions()).toEqual([]);
+  });
+});
@@ -0,0 +1,89 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  detectLocale,
+  getLocale,
+  localizePage,
+  setLocale,
+  t,
+} from "../src/utils/i18n.js";
+import { config } from "../src/utils/config.js";
+
+describe("i18n", () => {
+  afterEach(() => {
+    setLocale("en");
+    config.language.ui = "";
+  });
+
+  describe("t", () => {
+    it("fills placeholders", () => {
+      expect(t("history.clips", { count: 3 })).toBe("3 clips");
+      expect(t("buffer.seconds", { seconds: 12 })).toBe("Buffer: 12s");
+    });
+
+    it("uses the current locale", () => {
+      setLocale("es");
+      expect(t("status.ready")).toBe("Listo");
+      expect(t("style.edited", { name: "Haiku" })).toBe("Haiku (editado)");
+    });
+
+    it("leaves prompt placeholders alone", () => {
+      expect(t("style.placeholders")).toContain("{{scene}}");
+    });
+
+    it("falls back to English, then to the key", () => {
+      setLocale("de");
+      expect(t("no.such.key")).toBe("no.such.key");
+    });
+
+    it("rejects locales without strings", () => {
+      expect(() => setLocale("xx")).toThrow(/No interface strings/);
+      expect(getLocale()).toBe("en");
+    });
+  });
+
+  describe("detectLocale", () => {
+    it("prefers the configured locale", () => {
+      config.language.ui = "fr";
+      expect(detectLocale()).toBe("fr");
+    });
+
+    it("matches the browser's language by its base code", () => {
+      vi.spyOn(navigator, "languages", "get").mockReturnValue([
+        "pt-BR",
+        "de-AT",
+      ]);
+      expect(detectLocale()).toBe("de");
+    });
+
+    it("falls back to English", () => {
+      vi.spyOn(navigator, "languages", "get").mockReturnValue(["xx-YY"]);
+      expect(detectLocale()).toBe("en");
+    });
+  });
+
+  describe("localizePage", () => {
+    it("translates marked text and attributes", () => {
+      document.body.innerHTML = `
+        <button id="b" data-i18n-label="controls.finish"
+          data-i18n-title="controls.finish">⏹</button>
+        <input id="i" data-i18n-placeholder="controls.theme" />
+        <span id="s" data-i18n="status.ready">Ready</span>
+      `;
+      setLocale("fr");
+
+      localizePage();
+
+      expect(document.getElementById("s").textContent).toBe("Prêt");
+      expect(document.getElementById("i").placeholder).toBe(
+        "Thème (facultatif)"
+      );
+      const button = document.getElementById("b");
+      expect(button.getAttribute("aria-label")).toBe(
+        "Terminer par une dernière strophe"
+      );
+      expect(button.title).toBe("Terminer par une dernière strophe");
+      expect(button.textContent).toBe("⏹");
+      expect(document.documentElement.lang).toBe("fr");
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { LanguageSettings } from "../src/modules/languages.js";
+import { config } from "../src/utils/config.js";
+
+describe("LanguageSettings", () => {
+  let languages;
+
+  beforeEach(() => {
+    localStorage.clear();
+    languages = new LanguageSettings();
+  });
+
+  it("starts with the configured language and no translation", () => {
+    expect(languages.current).toMatchObject({ id: "en", name: "English" });
+    expect(languages.translation).toBeNull();
+  });
+
+  it("remembers the chosen language", () => {
+    const onChange = vi.fn();
+    languages.onChange = onChange;
+
+    languages.select("ja");
+
+    expect(onChange).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "ja", label: "日本語" })
+    );
+    expect(new LanguageSettings().currentId).toBe("ja");
+    expect(() => languages.select("xx")).toThrow(/Unknown language/);
+  });
+
+  it("has no translation into the language already spoken", () => {
+    languages.setTranslation("es");
+    expect(languages.translation.name).toBe("Spanish");
+
+    languages.select("es");
+    expect(languages.translation).toBeNull();
+  });
+
+  it("remembers turning translation off over a configured default", () => {
+    config.language.translation = "fr";
+    try {
+      const configured = new LanguageSettings();
+      expect(configured.translationId).toBe("fr");
+
+      configured.setTranslation("");
+      expect(new LanguageSettings().translationId).toBeNull();
+    } finally {
+      config.language.translation = "";
+    }
+  });
+});
@@ -0,0 +1,99 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { MetricsCollector, percentile } from "../src/modules/metrics.js";
+import { config } from "../src/utils/config.js";
+
+// What GenerationPipeline.onClipQueued hands over
+const result = (id, { vision = 900, reused = false, stream = null } = {}) => ({
+  id,
+  scene: { latency: vision, reused },
+  poem: { latency: 1200 },
+  audio: { latency: 400, stream },
+  clip: { decodeLatency: 30 },
+  totalLatency: 2600 + id,
+});
+
+describe("MetricsCollector", () => {
+  let metrics;
+
+  beforeEach(() => {
+    metrics = new MetricsCollector();
+  });
+
+  afterEach(() => {
+    config.metrics.maxClips = 500;
+  });
+
+  it("takes nearest-rank percentiles", () => {
+    const values = [5, 1, 4, 2, 3, 6, 7, 8, 9, 10];
+
+    expect(percentile(values, 50)).toBe(5);
+    expect(percentile(values, 90)).toBe(9);
+    expect(percentile(values, 99)).toBe(10);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  it("summarizes each stage, leaving out reused scenes' vision", () => {
+    metrics.recordClip(result(1));
+    metrics.recordClip(result(2, { vision: 700 }));
+    metrics.recordClip(result(3, { reused: true }));
+
+    const { clips, stages } = metrics.getSummary();
+    expect(clips).toBe(3);
+    expect(stages.vision).toMatchObject({
+      count: 2,
+      last: 700,
+      p50: 700,
+      max: 900,
+    });
+    expect(stages.total).toMatchObject({ count: 3, last: 2603, p99: 2603 });
+    expect(stages.decode.p50).toBe(30);
+  });
+
+  it("times the first audio and underruns", () => {
+    metrics.markStart(1000);
+    metrics.recordFirstAudio(3500);
+    metrics.recordFirstAudio(9000); // Only the first verse counts
+
+    metrics.markStart(10000);
+    metrics.cancelStart();
+    metrics.recordFirstAudio(12000);
+
+    metrics.recordUnderrun(0.5);
+    metrics.recordUnderrun(2);
+
+    const { firstAudio, underruns } = metrics.getSummary();
+    expect(firstAudio).toMatchObject({ count: 1, last: 2500 });
+    expect(underruns).toEqual({ count: 2, total: 2.5, longest: 2 });
+  });
+
+  it("exports a row per clip as CSV, and everything as JSON", async () => {
+    metrics.onUpdate = vi.fn();
+    metrics.recordClip(result(1, { stream: {} }));
+    metrics.recordClip(result(2, { reused: true }));
+
+    const [header, first, second] = (await metrics.exportCsv().text())
+      .trim()
+      .split("\n");
+    expect(header).toBe(
+      "id,time,vision_ms,poetry_ms,tts_ms,decode_ms,total_ms,reused_scene,streamed"
+    );
+    expect(first).toMatch(
+      /^1,[\d-]+T[\d:.]+Z,900,1200,400,30,2601,false,true$/
+    );
+    expect(second).toMatch(/^2,.*Z,,1200,400,30,2602,true,false$/);
+
+    const report = JSON.parse(await metrics.exportJson().text());
+    expect(report.settings.timing).toEqual(config.timing);
+    expect(report.summary.stages.poetry.p50).toBe(1200);
+    expect(report.clips).toHaveLength(2);
+    expect(metrics.onUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps only the latest measurements", () => {
+    config.metrics.maxClips = 2;
+
+    for (let id = 1; id <= 4; id++) metrics.recordClip(result(id));
+
+    expect(metrics.clips.map((clip) => clip.id)).toEqual([3, 4]);
+  });
+});
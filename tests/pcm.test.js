@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { createPcm16Decoder, floatToPcm16 } from "../src/utils/pcm.js";
+
+async function decode(chunks, options) {
+  const stream = new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(chunk));
+      controller.close();
+    },
+  });
+
+  const output = [];
+  const reader = stream.pipeThrough(createPcm16Decoder(options)).getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return output;
+    output.push(value);
+  }
+}
+
+describe("createPcm16Decoder", () => {
+  it("round-trips samples through floatToPcm16", async () => {
+    const samples = new Float32Array([0, 0.5, -0.5, 0.25]);
+    const [decoded] = await decode([floatToPcm16(samples)]);
+
+    expect(Array.from(decoded)).toEqual(
+      Array.from(samples).map((s) => expect.closeTo(s, 3))
+    );
+  });
+
+  it("stitches samples split across chunk boundaries", async () => {
+    const bytes = floatToPcm16(new Float32Array([0.5, -0.5]));
+    const chunks = await decode([
+      bytes.slice(0, 1),
+      bytes.slice(1, 3),
+      bytes.slice(3),
+    ]);
+
+    const all = chunks.flatMap((chunk) => Array.from(chunk));
+    expect(all).toEqual([expect.closeTo(0.5, 3), expect.closeTo(-0.5, 3)]);
+  });
+
+  it("coalesces small chunks up to minSamples", async () => {
+    const one = floatToPcm16(new Float32Array(10));
+    const chunks = await decode([one, one, one], { minSamples: 25 });
+
+    expect(chunks.map((chunk) => chunk.length)).toEqual([30]);
+  });
+});
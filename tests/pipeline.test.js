@@ -0,0 +1,289 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { GenerationPipeline } from "../src/modules/pipeline.js";
+import { camera } from "../src/modules/camera.js";
+import { vision } from "../src/modules/vision.js";
+import { poetry } from "../src/modules/poetry.js";
+import { tts } from "../src/modules/tts.js";
+import { audioBuffer } from "../src/modules/audioBuffer.js";
+import { languages } from "../src/modules/languages.js";
+import { config } from "../src/utils/config.js";
+
+vi.mock("openai", () => import("./fakes/openai.js"));
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves after `ms`, or rejects like fetch does when aborted
+const abortable = (ms, signal, value) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(value), ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new DOMException("The operation was aborted.", "AbortError"));
+    });
+  });
+
+describe("GenerationPipeline", () => {
+  let pipeline;
+  let queued;
+  let poemOrder;
+  let view;
+
+  beforeEach(() => {
+    pipeline = new GenerationPipeline();
+    queued = [];
+    poemOrder = [];
+
+    // What the camera sees, as a frame signature
+    view = new Uint8Array(256);
+    camera.setReference(null);
+    vi.spyOn(camera, "captureFrame").mockReturnValue("frame");
+    vi.spyOn(camera, "captureThumbnail").mockReturnValue("data:thumb");
+    vi.spyOn(camera, "captureSignature").mockImplementation(() => view);
+
+    // The first scene takes longer than the second
+    let visionCalls = 0;
+    vi.spyOn(vision, "analyzeFrame").mockImplementation((frame, { signal }) => {
+      const n = ++visionCalls;
+      return abortable(n === 1 ? 30 : 5, signal, { description: `scene ${n}` });
+    });
+
+    vi.spyOn(poetry, "generate").mockImplementation(async (scene) => {
+      poemOrder.push(scene);
+      await delay(1);
+      return { text: `poem for ${scene}`, lines: [] };
+    });
+
+    vi.spyOn(tts, "synthesize").mockImplementation((text, { signal }) =>
+      abortable(1, signal, { text })
+    );
+
+    vi.spyOn(audioBuffer, "addToQueue").mockImplementation(async (clip) => {
+      queued.push(clip.text);
+    });
+  });
+
+  it("runs jobs side by side but writes and queues them in order", async () => {
+    await pipeline.request(2);
+
+    expect(vision.analyzeFrame).toHaveBeenCalledTimes(2);
+    expect(poemOrder).toEqual(["scene 1", "scene 2"]);
+    expect(queued).toEqual(["poem for scene 1", "poem for scene 2"]);
+    expect(pipeline.inFlight).toBe(0);
+  });
+
+  it("only starts what the concurrency allows", async () => {
+    const activity = [];
+    pipeline.onActivityChange = (count) => activity.push(count);
+
+    const done = pipeline.request(5);
+    expect(pipeline.inFlight).toBe(2);
+    await done;
+
+    expect(queued).toHaveLength(2);
+    expect(activity).toEqual([1, 2, 1, 0]);
+  });
+
+  it("keeps going after an earlier job fails", async () => {
+    const onError = vi.fn();
+    pipeline.onError = onError;
+    tts.synthesize.mockRejectedValueOnce(new Error("TTS down"));
+
+    await pipeline.request(2);
+
+    expect(onError).toHaveBeenCalledWith(expect.any(Error));
+    expect(queued).toEqual(["poem for scene 2"]);
+  });
+
+  it("passes the scene and thumbnail along with the clip", async () => {
+    const addToQueue = audioBuffer.addToQueue;
+    await pipeline.request(1);
+
+    expect(addToQueue).toHaveBeenCalledWith(
+      expect.objectContaining({
+        text: "poem for scene 1",
+        scene: "scene 1",
+        thumbnail: "data:thumb",
+      }),
+      { next: false }
+    );
+  });
+
+  it("can put a clip ahead of those already buffered", async () => {
+    await pipeline.request(1, { next: true });
+
+    expect(audioBuffer.addToQueue).toHaveBeenCalledWith(
+      expect.objectContaining({ text: "poem for scene 1" }),
+      { next: true }
+    );
+  });
+
+  describe("translation", () => {
+    beforeEach(() => {
+      languages.translationId = "fr";
+      vi.spyOn(poetry, "translate").mockResolvedValue("poème traduit");
+    });
+
+    afterEach(() => {
+      languages.translationId = null;
+    });
+
+    it("sends the translation along with the clip", async () => {
+      await pipeline.request(1);
+
+      expect(poetry.translate).toHaveBeenCalledWith(
+        "poem for scene 1",
+        "fr",
+        expect.anything()
+      );
+      expect(audioBuffer.addToQueue).toHaveBeenCalledWith(
+        expect.objectContaining({
+          translation: { text: "poème traduit", language: "fr" },
+        }),
+        { next: false }
+      );
+    });
+
+    it("queues the clip without one when translation fails", async () => {
+      const onError = vi.fn();
+      pipeline.onError = onError;
+      poetry.translate.mockRejectedValueOnce(new Error("Poetry down"));
+
+      await pipeline.request(1);
+
+      expect(queued).toEqual(["poem for scene 1"]);
+      expect(audioBuffer.addToQueue).toHaveBeenCalledWith(
+        expect.objectContaining({ translation: null }),
+        { next: false }
+      );
+      expect(onError).not.toHaveBeenCalled();
+    });
+  });
+
+  it("speaks a dialogue line by line", async () => {
+    const dialogue = [
+      { speaker: 0, name: "A", text: "Call." },
+      { speaker: 1, name: "B", text: "Response." },
+    ];
+    poetry.generate.mockResolvedValueOnce({
+      text: "Call.\nResponse.",
+      lines: ["Call.", "Response."],
+      language: "en",
+      dialogue,
+    });
+    vi.spyOn(tts, "synthesizeDialogue").mockResolvedValue({
+      text: "Call.\nResponse.",
+      segments: [],
+    });
+
+    await pipeline.request(1);
+
+    expect(tts.synthesizeDialogue).toHaveBeenCalledWith(dialogue, {
+      signal: expect.any(AbortSignal),
+      language: "en",
+    });
+    expect(tts.synthesize).not.toHaveBeenCalled();
+    expect(queued).toEqual(["Call.\nResponse."]);
+  });
+
+  it("hands the scene's fields to the poet", async () => {
+    const analysis = { objects: ["kettle"], mood: "hushed" };
+    vision.analyzeFrame.mockResolvedValueOnce({
+      description: "A kettle.",
+      analysis,
+    });
+
+    await pipeline.request(1);
+
+    expect(poetry.generate).toHaveBeenCalledWith(
+      "A kettle.",
+      expect.objectContaining({ analysis })
+    );
+  });
+
+  describe("scene reuse", () => {
+    it("skips vision while the view is unchanged", async () => {
+      await pipeline.request(1);
+      await pipeline.request(1);
+
+      expect(vision.analyzeFrame).toHaveBeenCalledTimes(1);
+      expect(poemOrder).toEqual(["scene 1", "scene 1"]);
+    });
+
+    it("analyzes again when the view changes", async () => {
+      await pipeline.request(1);
+
+      view = new Uint8Array(256).fill(200);
+      await pipeline.request(1);
+
+      expect(vision.analyzeFrame).toHaveBeenCalledTimes(2);
+      expect(poemOrder).toEqual(["scene 1", "scene 2"]);
+    });
+
+    it("plays a clip about a new setting or new objects next", async () => {
+      const views = [
+        { setting: "office", objects: ["desk", "laptop", "mug"] },
+        { setting: "home office", objects: ["desk", "laptop", "mug"] },
+        { setting: "garden", objects: ["desk", "laptop", "mug"] },
+        { setting: "garden", objects: ["roses", "fence", "bench"] },
+      ];
+      vision.reset();
+      vision.analyzeFrame.mockImplementation(async () => {
+        const analysis = { peopleCount: 0, ...views.shift() };
+        const scene = { description: analysis.setting, analysis };
+        const isNewScene = vision.detectSceneChange(scene);
+        vision.lastScene = scene;
+        return { ...scene, isNewScene };
+      });
+
+      for (let i = 0; i < 4; i++) {
+        view = new Uint8Array(256).fill(i * 60);
+        await pipeline.request(1);
+      }
+
+      expect(vision.analyzeFrame).toHaveBeenCalledTimes(4);
+      expect(
+        audioBuffer.addToQueue.mock.calls.map(([, options]) => options.next)
+      ).toEqual([false, false, true, true]);
+    });
+
+    it("re-describes a static view after maxReuse clips", async () => {
+      const { maxReuse } = config.sceneChange;
+
+      for (let i = 0; i < maxReuse + 2; i++) {
+        await pipeline.request(1);
+      }
+
+      expect(vision.analyzeFrame).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it("cancels jobs in flight without reporting errors", async () => {
+    const onError = vi.fn();
+    pipeline.onError = onError;
+
+    const done = pipeline.request(2);
+    pipeline.cancel();
+    await done;
+
+    expect(onError).not.toHaveBeenCalled();
+    expect(poetry.generate).not.toHaveBeenCalled();
+    expect(queued).toEqual([]);
+    expect(pipeline.inFlight).toBe(0);
+  });
+
+  it("writes a final stanza after cancelling what's in flight", async () => {
+    vi.spyOn(audioBuffer, "addToQueue").mockImplementation(async (clip) => {
+      queued.push([clip.text, clip.final]);
+    });
+
+    pipeline.request(2);
+    pipeline.cancel();
+    await pipeline.requestFinale();
+
+    expect(queued).toEqual([["poem for scene 3", true]]);
+    expect(poetry.generate).toHaveBeenLastCalledWith(
+      "scene 3",
+      expect.objectContaining({ final: true })
+    );
+  });
+});
@@ -0,0 +1,403 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { apiError, chatResponse, completions } from "./fakes/openai.js";
+import { PoetryModule } from "../src/modules/poetry.js";
+import { styles } from "../src/modules/styles.js";
+import { languages } from "../src/modules/languages.js";
+import { config } from "../src/utils/config.js";
+
+vi.mock("openai", () => import("./fakes/openai.js"));
+
+describe("PoetryModule", () => {
+  let poetry;
+
+  beforeEach(() => {
+    poetry = new PoetryModule();
+  });
+
+  afterEach(() => {
+    styles.currentId = "contemplative";
+    styles.edits = {};
+  });
+
+  describe("addToHistory", () => {
+    it("stores non-empty lines", () => {
+      poetry.addToHistory("first line\n\nsecond line\n");
+      expect(poetry.getHistory()).toEqual(["first line", "second line"]);
+    });
+
+    it("keeps only the most recent maxPreviousLines", () => {
+      for (let i = 0; i < 10; i++) {
+        poetry.addToHistory(`line ${i}a\nline ${i}b`);
+      }
+
+      const history = poetry.getHistory();
+      expect(history).toHaveLength(poetry.maxPreviousLines);
+      expect(history[0]).toBe("line 4a");
+      expect(history.at(-1)).toBe("line 9b");
+    });
+
+    it("returns a copy", () => {
+      poetry.addToHistory("a line");
+      poetry.getHistory().push("tampered");
+      expect(poetry.getHistory()).toEqual(["a line"]);
+    });
+  });
+
+  describe("generate", () => {
+    it("returns the poem split into lines and records it", async () => {
+      completions.create.mockResolvedValueOnce(
+        chatResponse("  The kettle sings.\nWe listen.  ", 120)
+      );
+
+      const poem = await poetry.generate("A kettle on a stove.");
+
+      expect(poem).toMatchObject({
+        text: "The kettle sings.\nWe listen.",
+        lines: ["The kettle sings.", "We listen."],
+        lineCount: 2,
+        tokens: 120,
+      });
+      expect(poetry.getHistory()).toEqual(["The kettle sings.", "We listen."]);
+    });
+
+    it("passes previous verses for continuity", async () => {
+      poetry.addToHistory("An earlier verse.");
+      await poetry.generate("A new scene.");
+
+      const [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[1].content).toContain("An earlier verse.");
+    });
+
+    it("leaves out the history section on the first verse", async () => {
+      await poetry.generate("A new scene.");
+
+      const [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[1].content).not.toContain("Previous verses");
+      expect(params.messages[0].content).toContain("Write exactly 2 lines");
+    });
+
+    it("writes in the current style", async () => {
+      styles.currentId = "haiku";
+      completions.create.mockResolvedValueOnce(
+        chatResponse("Old pond.\nA frog jumps in.\nSplash.\nThe end.", 80)
+      );
+
+      const poem = await poetry.generate("A pond.");
+
+      const [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[0].content).toContain("haiku poet");
+      expect(params.messages[0].content).toContain("Write exactly 3 lines");
+      expect(params.temperature).toBe(0.7);
+
+      // Extra lines are trimmed to the style's length
+      expect(poem.lines).toEqual(["Old pond.", "A frog jumps in.", "Splash."]);
+    });
+
+    it("tells the poet what is in view", async () => {
+      await poetry.generate("A cat naps.", {
+        analysis: {
+          description: "A cat naps.",
+          objects: ["cat", "sill"],
+          peopleCount: 0,
+          colors: ["orange"],
+          lighting: "warm sun",
+          mood: "drowsy",
+          setting: "kitchen",
+          details: ["one paw twitching", "a crumb"],
+        },
+      });
+
+      const [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[1].content).toContain(
+        "What I see: A cat naps.\nIn view: cat, sill\nPeople: no one\nSetting: kitchen"
+      );
+      expect(params.messages[1].content).toContain(
+        "Worth noticing: one paw twitching; a crumb"
+      );
+    });
+
+    it("leaves out the scene fields for a prose description", async () => {
+      await poetry.generate("A cat naps.");
+
+      const [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[1].content).not.toMatch(/In view|People|Mood/);
+    });
+
+    it("greets an arrival once, then speaks to whoever is watching", async () => {
+      poetry.setViewers(2);
+      poetry.cueAudience("arrival");
+      poetry.cueAudience("approach"); // Weaker; the greeting stays
+
+      await poetry.generate("A hall.");
+      let [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[1].content).toContain("greet them");
+
+      await poetry.generate("A hall.");
+      [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[1].content).toContain(
+        "2 people are listening right now"
+      );
+
+      poetry.setViewers(0);
+      await poetry.generate("A hall.");
+      [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[1].content).not.toContain("listening");
+    });
+
+    it("fills the theme into edited templates", async () => {
+      poetry.sessionTheme = "homecoming";
+      styles.update("contemplative", {
+        userPrompt: "{{scene}}{{#theme}} / {{theme}}{{/theme}}",
+      });
+
+      await poetry.generate("A door.");
+
+      const [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[1].content).toBe("A door. / homecoming");
+    });
+  });
+
+  describe("languages", () => {
+    afterEach(() => {
+      languages.currentId = "en";
+    });
+
+    it("writes in the poetry language", async () => {
+      languages.currentId = "es";
+
+      const poem = await poetry.generate("Una tetera.");
+
+      const [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[0].content).toContain(
+        "Write every line in Spanish"
+      );
+      expect(poem.language).toBe("es");
+    });
+
+    it("adds no language rules for English", async () => {
+      const poem = await poetry.generate("A kettle.");
+
+      const [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[0].content).not.toContain("LANGUAGE");
+      expect(poem.language).toBe("en");
+    });
+
+    it("translates a verse line for line", async () => {
+      completions.create.mockResolvedValueOnce(
+        chatResponse("La tetera canta.\nEscuchamos.\nFin.", 40)
+      );
+
+      const translation = await poetry.translate(
+        "The kettle sings.\nWe listen.",
+        "es"
+      );
+
+      const [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[0].content).toContain("into Spanish");
+      expect(params.messages[1].content).toBe("The kettle sings.\nWe listen.");
+      expect(translation).toBe("La tetera canta.\nEscuchamos.");
+    });
+  });
+
+  describe("dialogue", () => {
+    beforeEach(() => {
+      localStorage.clear();
+      poetry.setDialogue(true);
+    });
+
+    afterEach(() => localStorage.clear());
+
+    it("asks for tagged lines and hands each to its speaker", async () => {
+      completions.create.mockResolvedValueOnce(
+        chatResponse("A: The kettle sings.\n**B:** Who is listening?", 40)
+      );
+
+      const poem = await poetry.generate("A kettle.");
+
+      const [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[0].content).toContain(
+        "call and response between A and B"
+      );
+      expect(poem.dialogue).toEqual([
+        { speaker: 0, name: "A", text: "The kettle sings." },
+        { speaker: 1, name: "B", text: "Who is listening?" },
+      ]);
+      expect(poem.text).toBe("The kettle sings.\nWho is listening?");
+      expect(poetry.getHistory()).toEqual([
+        "The kettle sings.",
+        "Who is listening?",
+      ]);
+    });
+
+    it("takes turns on untagged lines", () => {
+      const lines = poetry.parseDialogue([
+        "First.",
+        "Second.",
+        "b: Third.",
+        "Fourth.",
+      ]);
+
+      expect(lines.map((line) => line.speaker)).toEqual([0, 1, 1, 0]);
+      expect(lines[2].text).toBe("Third.");
+    });
+
+    it("drops tags with nothing to say", () => {
+      const lines = poetry.parseDialogue([
+        "A:",
+        "First.",
+        "**B:** ",
+        "Second.",
+      ]);
+
+      expect(lines).toEqual([
+        { speaker: 0, name: "A", text: "First." },
+        { speaker: 1, name: "B", text: "Second." },
+      ]);
+    });
+
+    it("is remembered, and off unless configured", async () => {
+      expect(new PoetryModule().dialogue).toBe(true);
+
+      poetry.setDialogue(false);
+      const poem = await poetry.generate("A kettle.");
+
+      expect(poem.dialogue).toBeNull();
+      expect(new PoetryModule().dialogue).toBe(false);
+    });
+  });
+
+  describe("session arc", () => {
+    const defaults = { ...config.arc };
+    const lastPrompt = () => completions.create.mock.calls.at(-1)[0];
+
+    afterEach(() => {
+      Object.assign(config.arc, defaults);
+    });
+
+    it("moves from opening to development", async () => {
+      config.arc.inferThemeAfter = 0;
+
+      for (let i = 0; i < config.arc.openingStanzas; i++) {
+        expect(poetry.getPhase()).toBe("opening");
+        await poetry.generate(`scene ${i}`);
+      }
+
+      expect(poetry.getPhase()).toBe("development");
+      await poetry.generate("later");
+      expect(lastPrompt().messages[1].content).toContain(
+        "middle of the performance"
+      );
+    });
+
+    it("writes a closing stanza when asked", async () => {
+      const poem = await poetry.generate("the end", { final: true });
+
+      expect(poem.phase).toBe("closing");
+      expect(lastPrompt().messages[1].content).toContain("final stanza");
+    });
+
+    it("quotes recent lines and summarizes older stanzas", async () => {
+      config.arc.inferThemeAfter = 0;
+
+      for (let i = 0; i < config.arc.summarizeEvery; i++) {
+        completions.create.mockResolvedValueOnce(
+          chatResponse(`line ${i}a\nline ${i}b`)
+        );
+        await poetry.generate(`scene ${i}`);
+      }
+
+      // The summary request went out after the third stanza
+      const summaryCall = lastPrompt();
+      expect(summaryCall.messages[0].content).toContain("Summarize");
+      expect(summaryCall.messages[1].content).toContain("line 0a");
+
+      await poetry.updateSummary();
+      expect(poetry.summary).toBe("A quiet room.\nA patient light.");
+
+      const generate = vi.spyOn(poetry.provider, "generate");
+      const recent = poetry.getHistory().slice(-config.arc.recentLines);
+      await poetry.generate("next");
+      const prompt = lastPrompt().messages[1].content;
+      expect(prompt).toContain("The story so far: A quiet room.");
+      expect(prompt).toContain("line 2b");
+      expect(prompt).not.toContain("line 0a");
+
+      // Providers get the same recent lines, not the whole history
+      expect(recent).toHaveLength(config.arc.recentLines);
+      expect(generate.mock.calls[0][1]).toEqual(recent);
+    });
+
+    it("keeps the stanzas when a summary fails", async () => {
+      poetry.unsummarizedLines = ["kept"];
+      completions.create.mockRejectedValueOnce(apiError(400));
+
+      await poetry.updateSummary();
+
+      expect(poetry.summary).toBe("");
+      expect(poetry.unsummarizedLines).toEqual(["kept"]);
+    });
+
+    it("infers a theme from the first scenes", async () => {
+      config.arc.summarizeEvery = 100;
+      poetry.onThemeChange = vi.fn();
+
+      for (let i = 1; i < config.arc.inferThemeAfter; i++) {
+        await poetry.generate(`scene ${i}`);
+      }
+
+      // The last scene's verse, then the theme request it sets off
+      completions.create
+        .mockResolvedValueOnce(chatResponse("A verse.\nAnother."))
+        .mockResolvedValueOnce(chatResponse('"Waiting for the light."'));
+      await poetry.generate("last scene");
+      await poetry.inferring;
+
+      const [themeCall] = completions.create.mock.calls.at(-1);
+      expect(themeCall.messages[1].content).toContain("- last scene");
+
+      expect(poetry.sessionTheme).toBe("Waiting for the light");
+      expect(poetry.themeSource).toBe("inferred");
+      expect(poetry.onThemeChange).toHaveBeenCalledWith(
+        "Waiting for the light",
+        "inferred"
+      );
+
+      await poetry.generate("more");
+      expect(lastPrompt().messages[1].content).toContain(
+        "The theme of this performance: Waiting for the light"
+      );
+    });
+
+    it("never overrides a theme the user set", async () => {
+      poetry.setTheme("  letting go ");
+      expect(poetry.sessionTheme).toBe("letting go");
+
+      for (let i = 0; i < config.arc.inferThemeAfter; i++) {
+        await poetry.generate(`scene ${i}`);
+      }
+
+      expect(poetry.inferring).toBeNull();
+      expect(poetry.sessionTheme).toBe("letting go");
+    });
+
+    it("starts over, keeping only a theme the user chose", async () => {
+      poetry.setTheme("letting go");
+      await poetry.generate("scene");
+      poetry.summary = "Something happened.";
+
+      poetry.resetSession();
+
+      expect(poetry).toMatchObject({
+        stanzaCount: 0,
+        summary: "",
+        previousLines: [],
+        sessionTheme: "letting go",
+      });
+
+      poetry.sessionTheme = "a guess";
+      poetry.themeSource = "inferred";
+      poetry.resetSession();
+      expect(poetry.sessionTheme).toBeNull();
+    });
+  });
+});
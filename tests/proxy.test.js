@@ -0,0 +1,232 @@
+import http from "node:http";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { installFakeFetch } from "./fakes/fetch.js";
+import { createProxyMiddleware, readLimits } from "../server/proxy.js";
+
+describe("API proxy", () => {
+  let server;
+  let fetchMock;
+  let handled; // The middleware's promise for the latest request
+
+  const listen = (limits) => {
+    const proxy = createProxyMiddleware(
+      { openaiApiKey: "sk-server", elevenlabsApiKey: "xi-server" },
+      limits
+    );
+    server = http.createServer((req, res) => {
+      handled = proxy(req, res);
+    });
+
+    return new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  };
+
+  const post = (route, body) =>
+    new Promise((resolve, reject) => {
+      const req = http.request(
+        {
+          host: "127.0.0.1",
+          port: server.address().port,
+          path: route,
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+        },
+        (res) => {
+          let text = "";
+          res.on("data", (chunk) => (text += chunk));
+          res.on("end", () => resolve({ status: res.statusCode, text }));
+        }
+      );
+      req.on("error", reject);
+      req.end(JSON.stringify(body));
+    });
+
+  const sent = () => JSON.parse(fetchMock.mock.calls.at(-1)[1].body);
+
+  beforeEach(() => {
+    fetchMock = installFakeFetch({
+      "chat/completions": () => Response.json({ choices: [] }),
+    });
+  });
+
+  afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+  it("passes on only what the app asks for, with max_tokens capped", async () => {
+    await listen({ openaiModels: ["gpt-4o", "gpt-4o-mini"], maxTokens: 500 });
+
+    const { status } = await post("/api/poetry", {
+      model: "gpt-4o-mini",
+      messages: [{ role: "user", content: "A poem" }],
+      max_tokens: 100000,
+      temperature: 0.9,
+      n: 50,
+    });
+
+    expect(status).toBe(200);
+    expect(sent()).toEqual({
+      model: "gpt-4o-mini",
+      messages: [{ role: "user", content: "A poem" }],
+      max_tokens: 500,
+      temperature: 0.9,
+    });
+    expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe(
+      "Bearer sk-server"
+    );
+
+    // No model: the first allowed one
+    await post("/api/vision", { messages: [] });
+    expect(sent()).toMatchObject({ model: "gpt-4o", max_tokens: 500 });
+  });
+
+  it("refuses models the server does not allow", async () => {
+    await listen();
+
+    const { status, text } = await post("/api/poetry", {
+      model: "o1",
+      messages: [],
+    });
+
+    expect(status).toBe(400);
+    expect(JSON.parse(text).error).toBe("Model o1 is not allowed");
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("says which keys it holds", async () => {
+    const proxy = createProxyMiddleware({ openaiApiKey: "sk-server" });
+    server = http.createServer((req, res) => proxy(req, res));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    const body = await new Promise((resolve) =>
+      http.get(
+        `http://127.0.0.1:${server.address().port}/api/health`,
+        (res) => {
+          let text = "";
+          res.on("data", (chunk) => (text += chunk));
+          res.on("end", () => resolve(JSON.parse(text)));
+        }
+      )
+    );
+
+    expect(body).toEqual({ openai: true, elevenlabs: false });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("answers an oversized body with a 413", async () => {
+    await listen();
+
+    const { status, text } = await post("/api/poetry", {
+      messages: [{ role: "user", content: "x".repeat(6 * 1024 * 1024) }],
+    });
+
+    expect(status).toBe(413);
+    expect(JSON.parse(text).error).toBe("Request body too large");
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("speaks only allowed models and text up to the cap", async () => {
+    fetchMock = installFakeFetch({
+      "text-to-speech": () => new Response(new Uint8Array(10)),
+    });
+    await listen({
+      elevenlabsModels: ["eleven_turbo_v2_5"],
+      maxCharacters: 20,
+    });
+
+    const { status } = await post("/api/tts", {
+      voiceId: "v1",
+      text: "A quiet room.",
+      voice_settings: { stability: 0.5, pronunciation: "x" },
+      apply_text_normalization: "on",
+    });
+    expect(status).toBe(200);
+    expect(sent()).toEqual({
+      text: "A quiet room.",
+      model_id: "eleven_turbo_v2_5",
+      voice_settings: { stability: 0.5 },
+    });
+
+    const refused = await Promise.all([
+      post("/api/tts", { voiceId: "v1", text: "x".repeat(21) }),
+      post("/api/tts", { voiceId: "v1", text: "Hi", model_id: "eleven_v3" }),
+      post("/api/tts", { voiceId: "v1", text: "" }),
+      post("/api/tts/stream", {
+        voiceId: "v1",
+        text: "Hi",
+        outputFormat: "mp3_44100_192",
+      }),
+    ]);
+    expect(refused.map(({ text }) => JSON.parse(text).error)).toEqual([
+      "Text is longer than 20 characters",
+      "Model eleven_v3 is not allowed",
+      "Missing text",
+      "Output format mp3_44100_192 is not allowed",
+    ]);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("reads its limits from the environment", () => {
+    expect(
+      readLimits({
+        OPENAI_MODELS: "gpt-4o, llama3.2",
+        OPENAI_MAX_TOKENS: "800",
+        ELEVENLABS_MODELS: "eleven_flash_v2_5",
+        ELEVENLABS_MAX_CHARACTERS: "500",
+      })
+    ).toEqual({
+      openaiModels: ["gpt-4o", "llama3.2"],
+      maxTokens: 800,
+      elevenlabsModels: ["eleven_flash_v2_5"],
+      maxCharacters: 500,
+    });
+    expect(readLimits({})).toEqual({
+      openaiModels: ["gpt-4o", "gpt-4o-mini"],
+      maxTokens: 1500,
+      elevenlabsModels: [
+        "eleven_turbo_v2_5",
+        "eleven_multilingual_v2",
+        "eleven_flash_v2_5",
+      ],
+      maxCharacters: 2000,
+    });
+  });
+
+  it("aborts the upstream call when the client goes away", async () => {
+    let upstreamSignal;
+    installFakeFetch({
+      "/stream": (url, init) => {
+        upstreamSignal = init.signal;
+
+        // Sends one chunk, then keeps the connection open
+        const body = new ReadableStream({
+          start(stream) {
+            stream.enqueue(new Uint8Array(100));
+          },
+        });
+        return new Response(body, { headers: { "Content-Type": "audio/pcm" } });
+      },
+    });
+    await listen();
+
+    await new Promise((resolve) => {
+      const req = http.request(
+        {
+          host: "127.0.0.1",
+          port: server.address().port,
+          path: "/api/tts/stream",
+          method: "POST",
+        },
+        (res) => {
+          res.once("data", () => {
+            req.destroy();
+            resolve();
+          });
+        }
+      );
+      req.on("error", () => {});
+      req.end(JSON.stringify({ voiceId: "v1", text: "Hello" }));
+    });
+
+    await vi.waitFor(() => expect(upstreamSignal.aborted).toBe(true));
+    await expect(handled).resolves.toBeUndefined();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,139 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { SessionRecorder } from "../src/modules/recorder.js";
+import { config } from "../src/utils/config.js";
+import { resample } from "../src/utils/pcm.js";
+import { FakeAudioBuffer } from "./fakes/webAudio.js";
+
+const makeClip = (text, duration, sampleRate = 24000) => ({
+  text,
+  scene: `scene for ${text}`,
+  thumbnail: "data:image/jpeg;base64,dGh1bWI=",
+  timestamp: Date.now(),
+  audioBuffer: new FakeAudioBuffer({ duration, sampleRate }),
+});
+
+describe("SessionRecorder", () => {
+  let recorder;
+
+  beforeEach(() => {
+    recorder = new SessionRecorder();
+  });
+
+  afterEach(() => {
+    config.recorder.enabled = true;
+  });
+
+  it("lays clips out back to back with a gap", () => {
+    recorder.record(makeClip("first", 2));
+    recorder.record(makeClip("second", 1));
+
+    const { channel, sampleRate, cues } = recorder.render();
+
+    expect(sampleRate).toBe(24000);
+    expect(channel).toHaveLength((2 + config.recorder.gap + 1) * 24000);
+    expect(cues).toEqual([
+      { index: 1, start: 0, end: 2, text: "first" },
+      { index: 2, start: 2.5, end: 3.5, text: "second" },
+    ]);
+  });
+
+  it("resamples clips to the highest rate", () => {
+    recorder.record(makeClip("stream", 1, 24000));
+    recorder.record(makeClip("file", 1, 44100));
+
+    const { sampleRate, cues } = recorder.render();
+
+    expect(sampleRate).toBe(44100);
+    expect(cues[0].end).toBeCloseTo(1, 3);
+  });
+
+  it("uses the chunks of a clip that is still streaming", () => {
+    recorder.record({
+      text: "streaming",
+      audioBuffer: null,
+      chunks: [
+        new FakeAudioBuffer({ duration: 0.5, sampleRate: 24000 }),
+        new FakeAudioBuffer({ duration: 0.25, sampleRate: 24000 }),
+      ],
+    });
+
+    expect(recorder.render().cues[0].end).toBe(0.75);
+  });
+
+  it("exports a WAV of the whole session", async () => {
+    recorder.record(makeClip("first", 1));
+
+    const wav = recorder.exportWav();
+    const header = new TextDecoder().decode(
+      (await wav.arrayBuffer()).slice(0, 4)
+    );
+
+    expect(wav.type).toBe("audio/wav");
+    expect(wav.size).toBe(44 + 24000 * 2);
+    expect(header).toBe("RIFF");
+  });
+
+  it("exports WebVTT and SRT subtitles", async () => {
+    recorder.record(makeClip("A quiet room.\nA patient light.", 2));
+    recorder.record(makeClip("Second verse.", 61));
+
+    expect(await recorder.exportVtt().text()).toBe(
+      "WEBVTT\n\n" +
+        "00:00:00.000 --> 00:00:02.000\nA quiet room.\nA patient light.\n\n" +
+        "00:00:02.500 --> 00:01:03.500\nSecond verse.\n"
+    );
+
+    expect(await recorder.exportSrt().text()).toBe(
+      "1\n00:00:00,000 --> 00:00:02,000\nA quiet room.\nA patient light.\n\n" +
+        "2\n00:00:02,500 --> 00:01:03,500\nSecond verse.\n"
+    );
+  });
+
+  it("exports a manifest with scene, thumbnail and timing", async () => {
+    recorder.record(makeClip("first", 2));
+
+    const manifest = JSON.parse(await recorder.exportManifest().text());
+
+    expect(manifest.startedAt).toEqual(expect.any(String));
+    expect(manifest.clips).toEqual([
+      expect.objectContaining({
+        index: 1,
+        text: "first",
+        scene: "scene for first",
+        thumbnail: "data:image/jpeg;base64,dGh1bWI=",
+        start: 0,
+        end: 2,
+      }),
+    ]);
+  });
+
+  it("keeps at most maxClips", () => {
+    const { maxClips } = config.recorder;
+
+    for (let i = 0; i < maxClips + 2; i++) {
+      recorder.record(makeClip(`clip ${i}`, 0.01));
+    }
+
+    expect(recorder.clips).toHaveLength(maxClips);
+    expect(recorder.clips[0].text).toBe("clip 2");
+  });
+
+  it("records nothing when disabled", () => {
+    config.recorder.enabled = false;
+    recorder.record(makeClip("ignored", 1));
+
+    expect(recorder.clips).toHaveLength(0);
+  });
+});
+
+describe("resample", () => {
+  it("stretches and squeezes by the rate ratio", () => {
+    const samples = Float32Array.from([0, 1, 0, -1]);
+
+    expect(resample(samples, 4, 4)).toBe(samples);
+    expect(Array.from(resample(samples, 4, 8))).toEqual([
+      0, 0.5, 1, 0.5, 0, -0.5, -1, -1,
+    ]);
+    expect(Array.from(resample(samples, 4, 2))).toEqual([0, 0]);
+  });
+});
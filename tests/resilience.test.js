@@ -0,0 +1,190 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  Resilience,
+  parseRetryAfter,
+  isRetryable,
+} from "../src/utils/resilience.js";
+import { config } from "../src/utils/config.js";
+
+const httpError = (status, retryAfter = null) => {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+describe("parseRetryAfter", () => {
+  it("reads seconds and HTTP dates", () => {
+    expect(parseRetryAfter("3")).toBe(3000);
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter("soon")).toBeNull();
+
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    expect(parseRetryAfter(inTenSeconds)).toBeGreaterThan(8000);
+  });
+});
+
+describe("isRetryable", () => {
+  it.each([
+    [httpError(429), true],
+    [httpError(503), true],
+    [httpError(408), true],
+    [httpError(401), false],
+    [httpError(400), false],
+    [new TypeError("Failed to fetch"), true],
+    [new DOMException("aborted", "AbortError"), false],
+  ])("%s → %s", (error, expected) => {
+    expect(isRetryable(error)).toBe(expected);
+  });
+});
+
+describe("Resilience", () => {
+  let resilience;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    resilience = new Resilience();
+  });
+
+  it("retries with backoff until the call succeeds", async () => {
+    const fn = vi
+      .fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+      .mockResolvedValueOnce("ok");
+
+    const result = resilience.call("vision", fn);
+    await vi.runAllTimersAsync();
+
+    expect(await result).toBe("ok");
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(resilience.getBreaker("vision").state).toBe("closed");
+  });
+
+  it("does not retry errors that won't go away", async () => {
+    const fn = vi.fn().mockRejectedValue(httpError(400));
+
+    await expect(resilience.call("poetry", fn)).rejects.toThrow("HTTP 400");
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("waits as long as Retry-After asks", async () => {
+    const fn = vi
+      .fn()
+      .mockRejectedValueOnce(httpError(429, 2000))
+      .mockResolvedValueOnce("ok");
+
+    const result = resilience.call("tts", fn);
+
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(await result).toBe("ok");
+  });
+
+  it("gives up on long Retry-After waits and pauses the service", async () => {
+    const fn = vi.fn().mockRejectedValue(httpError(429, 60000));
+
+    await expect(resilience.call("tts", fn)).rejects.toThrow("HTTP 429");
+
+    const breaker = resilience.getBreaker("tts");
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(breaker.state).toBe("open");
+    expect(breaker.getRetryIn()).toBe(60000);
+  });
+
+  it("times out a hung attempt and retries it", async () => {
+    const fn = vi
+      .fn()
+      .mockImplementationOnce(
+        (signal) =>
+          new Promise((resolve, reject) =>
+            signal.addEventListener("abort", () =>
+              reject(new DOMException("aborted", "AbortError"))
+            )
+          )
+      )
+      .mockResolvedValueOnce("ok");
+
+    const result = resilience.call("vision", fn);
+    await vi.advanceTimersByTimeAsync(config.resilience.timeouts.vision);
+    await vi.runAllTimersAsync();
+
+    expect(await result).toBe("ok");
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it("stops retrying when the caller cancels", async () => {
+    const controller = new AbortController();
+    const fn = vi.fn().mockRejectedValue(httpError(503));
+
+    const result = resilience.call("vision", fn, {
+      signal: controller.signal,
+    });
+    const rejected = expect(result).rejects.toThrow(/aborted/);
+
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort();
+    await rejected;
+
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  describe("circuit breaker", () => {
+    const failTimes = async (service, times) => {
+      for (let i = 0; i < times; i++) {
+        const call = resilience.call(service, () =>
+          Promise.reject(httpError(401))
+        );
+        await expect(call).rejects.toThrow();
+      }
+    };
+
+    it("opens after repeated failures and fails fast", async () => {
+      const onStateChange = vi.fn();
+      resilience.onStateChange = onStateChange;
+
+      await failTimes("vision", config.resilience.breaker.failureThreshold);
+
+      expect(resilience.getDegraded()).toEqual(["vision"]);
+      expect(onStateChange).toHaveBeenCalledWith(
+        expect.objectContaining({ name: "vision", state: "open" })
+      );
+
+      const fn = vi.fn();
+      await expect(resilience.call("vision", fn)).rejects.toMatchObject({
+        circuitOpen: true,
+        service: "vision",
+      });
+      expect(fn).not.toHaveBeenCalled();
+    });
+
+    it("lets one trial through after the reset timeout", async () => {
+      await failTimes("poetry", config.resilience.breaker.failureThreshold);
+      vi.advanceTimersByTime(config.resilience.breaker.resetTimeout);
+
+      let finishTrial;
+      const trial = resilience.call(
+        "poetry",
+        () => new Promise((resolve) => (finishTrial = resolve))
+      );
+
+      expect(resilience.getBreaker("poetry").state).toBe("half-open");
+      await expect(
+        resilience.call("poetry", () => Promise.resolve("second"))
+      ).rejects.toMatchObject({ circuitOpen: true });
+
+      finishTrial("first");
+      expect(await trial).toBe("first");
+      expect(resilience.getDegraded()).toEqual([]);
+    });
+
+    it("keeps services apart", async () => {
+      await failTimes("tts", config.resilience.breaker.failureThreshold);
+
+      expect(await resilience.call("vision", async () => "fine")).toBe("fine");
+      expect(resilience.getDegraded()).toEqual(["tts"]);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import {
+  parseSceneAnalysis,
+  validateSceneAnalysis,
+} from "../src/utils/sceneAnalysis.js";
+
+describe("sceneAnalysis", () => {
+  it("parses JSON wrapped in a code fence", () => {
+    const reply = `Here you go:
+\`\`\`json
+{"description": "A lamp glows.", "objects": ["lamp"], "peopleCount": 0}
+\`\`\``;
+
+    expect(parseSceneAnalysis(reply)).toEqual({
+      description: "A lamp glows.",
+      objects: ["lamp"],
+      peopleCount: 0,
+      colors: [],
+      lighting: "",
+      mood: "",
+      setting: "",
+      details: [],
+    });
+  });
+
+  it("normalizes mistyped fields", () => {
+    const analysis = validateSceneAnalysis({
+      description: "  Rain on glass. ",
+      objects: [" Window ", 3, "window", ""],
+      peopleCount: "2.2",
+      colors: "grey",
+      mood: null,
+    });
+
+    expect(analysis).toMatchObject({
+      description: "Rain on glass.",
+      objects: ["window"],
+      peopleCount: 2,
+      colors: [],
+      mood: "",
+    });
+    expect(validateSceneAnalysis({ peopleCount: -1 })).toBeNull();
+  });
+
+  it("writes a description from the fields when there is none", () => {
+    const analysis = validateSceneAnalysis({
+      objects: ["kettle", "cup"],
+      setting: "kitchen",
+      lighting: "early light",
+      mood: "hushed",
+    });
+
+    expect(analysis.description).toBe(
+      "Kettle, cup in a kitchen, early light. The mood is hushed."
+    );
+  });
+
+  it("rejects replies that aren't a scene", () => {
+    expect(parseSceneAnalysis("A cat on a sill.")).toBeNull();
+    expect(parseSceneAnalysis("{not json}")).toBeNull();
+    expect(parseSceneAnalysis("[1, 2]")).toBeNull();
+    expect(parseSceneAnalysis('{"mood": "calm"}')).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Global test setup: headless stand-ins for the browser APIs
+ * the pipeline touches. Runs before every test file.
+ */
+
+import "fake-indexeddb/auto";
+import { IDBFactory } from "fake-indexeddb";
+import { Blob } from "node:buffer";
+import { afterEach, beforeEach, vi } from "vitest";
+import { FakeAudioContext } from "./fakes/webAudio.js";
+import {
+  installFakeCanvas,
+  installFakeMediaDevices,
+  installFakeVideo,
+} from "./fakes/media.js";
+
+// jsdom's Blob has no arrayBuffer(); Node's matches the browser
+globalThis.Blob = Blob;
+
+installFakeCanvas();
+installFakeVideo();
+
+window.AudioContext = FakeAudioContext;
+
+URL.createObjectURL = vi.fn(() => "blob:fake");
+URL.revokeObjectURL = vi.fn();
+
+beforeEach(() => {
+  installFakeMediaDevices();
+
+  // An empty database for every test
+  globalThis.indexedDB = new IDBFactory();
+
+  // The modules narrate every step; keep test output readable
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
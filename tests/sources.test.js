@@ -0,0 +1,187 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createFrameSource } from "../src/sources/index.js";
+import { CameraModule } from "../src/modules/camera.js";
+import { config } from "../src/utils/config.js";
+
+const image = (name, type = "image/jpeg") => new File(["x"], name, { type });
+
+describe("frame sources", () => {
+  let video;
+
+  beforeEach(() => {
+    video = document.createElement("video");
+  });
+
+  it("rejects unknown kinds", () => {
+    expect(() => createFrameSource("hologram")).toThrow(
+      /Unknown frame source "hologram"/
+    );
+  });
+
+  describe("video file", () => {
+    it("loops a local file, muted, and cleans up after itself", async () => {
+      const file = new File(["x"], "rehearsal.mp4", { type: "video/mp4" });
+      const source = createFrameSource("video", { file });
+
+      await source.start(video);
+
+      expect(source.label).toBe("rehearsal.mp4");
+      expect(video.getAttribute("src")).toBe("blob:fake");
+      expect(video.loop).toBe(true);
+      expect(video.muted).toBe(true);
+      expect(video.play).toHaveBeenCalled();
+      expect(source.getDrawable()).toBe(video);
+
+      source.stop();
+
+      expect(video.hasAttribute("src")).toBe(false);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:fake");
+    });
+
+    it("needs a file or URL", () => {
+      expect(() => createFrameSource("video")).toThrow(/file or a URL/);
+    });
+  });
+
+  describe("images", () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("shows each image in turn, every imageInterval", async () => {
+      vi.useFakeTimers();
+      const source = createFrameSource("images", {
+        urls: ["/a.jpg", "/b.jpg"],
+      });
+
+      const started = source.start(video);
+      await vi.advanceTimersByTimeAsync(0);
+      await started;
+
+      expect(video.poster).toContain("/a.jpg");
+      expect(source.getSize()).toEqual({ width: 800, height: 600 });
+
+      await vi.advanceTimersByTimeAsync(config.source.imageInterval + 1);
+      expect(video.poster).toContain("/b.jpg");
+
+      await vi.advanceTimersByTimeAsync(config.source.imageInterval + 1);
+      expect(video.poster).toContain("/a.jpg");
+
+      source.stop();
+      expect(video.hasAttribute("poster")).toBe(false);
+    });
+
+    it("skips non-images and sorts files naturally", () => {
+      const source = createFrameSource("images", {
+        files: [
+          image("img10.jpg"),
+          image("notes.txt", "text/plain"),
+          image("img2.jpg"),
+        ],
+      });
+
+      expect(source.files.map((file) => file.name)).toEqual([
+        "img2.jpg",
+        "img10.jpg",
+      ]);
+      expect(source.label).toBe("2 images");
+    });
+
+    it("needs at least one image", () => {
+      expect(() =>
+        createFrameSource("images", { files: [image("a.txt", "text/plain")] })
+      ).toThrow(/at least one image/);
+    });
+  });
+
+  describe("screen", () => {
+    it("captures the screen via getDisplayMedia", async () => {
+      const source = createFrameSource("screen");
+
+      await source.start(video);
+
+      expect(navigator.mediaDevices.getDisplayMedia).toHaveBeenCalled();
+      expect(video.srcObject).toBe(source.stream);
+      expect(source.reconnectable).toBe(false);
+    });
+  });
+});
+
+describe("CameraModule with frame sources", () => {
+  let camera;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    camera = new CameraModule();
+    await camera.initialize(document.createElement("video"));
+  });
+
+  afterEach(() => {
+    config.source.kind = "camera";
+  });
+
+  it("captures from whichever source is active", async () => {
+    await camera.useSource("images", { urls: ["/still.jpg"] });
+
+    expect(camera.captureFrame()).toBe("ZmFrZS1mcmFtZQ==");
+    expect(camera.ctx.drawImage).toHaveBeenLastCalledWith(
+      camera.source.image,
+      0,
+      0,
+      800,
+      600
+    );
+    expect(camera.videoElement.dataset.source).toBe("images");
+    camera.stop();
+  });
+
+  it("keeps the old source when a switch fails", async () => {
+    const previous = camera.source;
+
+    await expect(
+      camera.useSource("images", { urls: ["/missing.jpg"] })
+    ).rejects.toThrow(/Could not load image/);
+
+    expect(camera.source).toBe(previous);
+    expect(camera.isInitialized).toBe(true);
+  });
+
+  it("puts the camera back on screen when a video fails to load", async () => {
+    const video = camera.videoElement;
+    const stream = video.srcObject;
+
+    await expect(
+      camera.useSource("video", { url: "/missing.mp4" })
+    ).rejects.toThrow(/Could not load video/);
+
+    expect(camera.source.kind).toBe("camera");
+    expect(video.srcObject).toBe(stream);
+    expect(video.hasAttribute("src")).toBe(false);
+    expect(video.loop).toBe(false);
+    expect(stream.getTracks()[0].stop).not.toHaveBeenCalled();
+    camera.stop();
+  });
+
+  it("goes back to the camera when screen sharing stops", async () => {
+    const onReconnect = vi.fn();
+    camera.onReconnect = onReconnect;
+
+    await camera.useSource("screen");
+    camera.stream.getVideoTracks()[0].end();
+
+    await vi.waitFor(() => expect(onReconnect).toHaveBeenCalled());
+    expect(camera.source.kind).toBe("camera");
+  });
+
+  it("opens the configured source at startup, or falls back to the camera", async () => {
+    config.source.kind = "screen";
+    navigator.mediaDevices.getDisplayMedia.mockRejectedValueOnce(
+      new DOMException("Needs a user gesture", "NotAllowedError")
+    );
+
+    const next = new CameraModule();
+    await next.initialize(document.createElement("video"));
+
+    expect(next.source.kind).toBe("camera");
+  });
+});
@@ -0,0 +1,99 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { PRESETS, StyleLibrary } from "../src/modules/styles.js";
+import { config } from "../src/utils/config.js";
+
+describe("StyleLibrary", () => {
+  let styles;
+
+  beforeEach(() => {
+    localStorage.clear();
+    styles = new StyleLibrary();
+  });
+
+  afterEach(() => {
+    config.poetry.style = "contemplative";
+  });
+
+  it("offers the presets, starting with the configured one", () => {
+    expect(styles.list().map((s) => s.id)).toEqual([
+      "contemplative",
+      "haiku",
+      "sonnet",
+      "freeVerse",
+      "noir",
+      "childrensRhyme",
+      "standUp",
+    ]);
+    expect(styles.current.id).toBe("contemplative");
+
+    config.poetry.style = "noir";
+    expect(new StyleLibrary().current.name).toBe("Noir narration");
+  });
+
+  it("remembers the selected style", () => {
+    styles.onChange = vi.fn();
+    styles.select("haiku");
+
+    expect(styles.current).toMatchObject({ id: "haiku", lines: 3 });
+    expect(styles.onChange).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "haiku" })
+    );
+    expect(new StyleLibrary().currentId).toBe("haiku");
+  });
+
+  it("rejects unknown styles", () => {
+    expect(() => styles.select("limerick")).toThrow(/Unknown poet style/);
+
+    localStorage.setItem("mil4dy.poetStyle", '"limerick"');
+    expect(new StyleLibrary().currentId).toBe("contemplative");
+  });
+
+  it("saves edits and resets them", () => {
+    styles.update("haiku", { lines: 4, temperature: 0.5 });
+
+    expect(styles.get("haiku")).toMatchObject({ lines: 4, temperature: 0.5 });
+    expect(styles.list().find((s) => s.id === "haiku").edited).toBe(true);
+
+    // Only the changes are stored
+    const restored = new StyleLibrary();
+    expect(restored.edits).toEqual({ haiku: { lines: 4, temperature: 0.5 } });
+    expect(restored.get("haiku").systemPrompt).toBe(PRESETS.haiku.systemPrompt);
+
+    restored.reset("haiku");
+    expect(restored.get("haiku").lines).toBe(3);
+    expect(new StyleLibrary().isEdited("haiku")).toBe(false);
+  });
+
+  it("drops edits that match the preset again", () => {
+    styles.update("noir", { lines: 3 });
+    styles.update("noir", { lines: PRESETS.noir.lines });
+
+    expect(styles.isEdited("noir")).toBe(false);
+  });
+
+  it("validates edits", () => {
+    expect(() => styles.update("haiku", { lines: 0 })).toThrow(/Lines/);
+    expect(() => styles.update("haiku", { temperature: 3 })).toThrow(
+      /Temperature/
+    );
+    expect(() => styles.update("haiku", { userPrompt: "{{weather}}" })).toThrow(
+      "Unknown placeholder {{weather}} in userPrompt"
+    );
+    expect(() => styles.update("haiku", { systemPrompt: "  " })).toThrow(
+      /can't be empty/
+    );
+    expect(() => styles.update("haiku", { voiceId: "" })).toThrow(/Voice/);
+    expect(styles.isEdited("haiku")).toBe(false);
+  });
+
+  it("carries a voice per style", () => {
+    expect(styles.get("contemplative").voiceId).toBeNull();
+    expect(styles.get("noir").voiceId).toBe(PRESETS.noir.voiceId);
+
+    styles.update("haiku", { voiceId: "voice-calm" });
+    expect(new StyleLibrary().get("haiku").voiceId).toBe("voice-calm");
+
+    styles.update("haiku", { voiceId: null });
+    expect(styles.isEdited("haiku")).toBe(false);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { renderTemplate, templateVariables } from "../src/utils/template.js";
+
+describe("renderTemplate", () => {
+  it("fills placeholders and joins arrays by line", () => {
+    expect(
+      renderTemplate("I see {{scene}}.\n{{history}}", {
+        scene: "a kettle",
+        history: ["first line", "second line"],
+      })
+    ).toBe("I see a kettle.\nfirst line\nsecond line");
+  });
+
+  it("keeps a section only when its variable has a value", () => {
+    const template = "Scene.{{#theme}} Theme: {{theme}}.{{/theme}}";
+
+    expect(renderTemplate(template, { theme: "rain" })).toBe(
+      "Scene. Theme: rain."
+    );
+    expect(renderTemplate(template, { theme: null })).toBe("Scene.");
+    expect(renderTemplate(template, { theme: [] })).toBe("Scene.");
+  });
+
+  it("leaves unknown placeholders empty", () => {
+    expect(renderTemplate("a{{missing}}b", {})).toBe("ab");
+  });
+});
+
+describe("templateVariables", () => {
+  it("lists each placeholder once", () => {
+    expect(
+      templateVariables("{{scene}} {{#theme}}{{theme}}{{/theme}} {{scene}}")
+    ).toEqual(["scene", "theme"]);
+  });
+});
@@ -0,0 +1,264 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import {
+  audioResponse,
+  installFakeFetch,
+  pcmStreamResponse,
+  timestampsResponse,
+} from "./fakes/fetch.js";
+import { TTSModule } from "../src/modules/tts.js";
+import { config } from "../src/utils/config.js";
+import { resilience } from "../src/utils/resilience.js";
+import { PRESETS, styles } from "../src/modules/styles.js";
+
+describe("TTSModule", () => {
+  let tts;
+
+  beforeEach(() => {
+    tts = new TTSModule();
+
+    // Retries and breakers have their own tests
+    resilience.reset();
+    config.resilience.retries = 0;
+  });
+
+  afterEach(() => {
+    config.resilience.retries = 2;
+  });
+
+  describe("file synthesis", () => {
+    beforeEach(() => {
+      config.tts.streaming = false;
+      config.karaoke.alignment = false;
+    });
+
+    afterEach(() => {
+      config.tts.streaming = true;
+      config.karaoke.alignment = true;
+    });
+
+    it("returns the audio blob with metadata", async () => {
+      const fetchMock = installFakeFetch({
+        "text-to-speech": () => audioResponse(2048),
+      });
+
+      const clip = await tts.synthesize("Hello, light.");
+
+      expect(clip.blob.size).toBe(2048);
+      expect(clip.url).toBe("blob:fake");
+      expect(clip.text).toBe("Hello, light.");
+
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toMatch(new RegExp(`/text-to-speech/${tts.getVoiceId()}$`));
+      expect(JSON.parse(init.body).text).toBe("Hello, light.");
+    });
+
+    it("asks for character timings for karaoke", async () => {
+      config.karaoke.alignment = true;
+      const fetchMock = installFakeFetch({
+        "with-timestamps": () => timestampsResponse(300, "Hi you"),
+      });
+
+      const clip = await tts.synthesize("Hi you");
+
+      expect(fetchMock.mock.calls[0][0]).toMatch(/\/with-timestamps$/);
+      expect(clip.blob.size).toBe(300);
+      expect(clip.blob.type).toBe("audio/mpeg");
+      expect(clip.alignment).toEqual({
+        characters: ["H", "i", " ", "y", "o", "u"],
+        startTimes: [0, 0.1, 0.2, 0.3, 0.4, 0.5],
+        endTimes: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6],
+      });
+    });
+
+    it.each([
+      [401, /Invalid ElevenLabs API key/],
+      [429, /rate limit/],
+      [400, /ElevenLabs error: bad voice/],
+      [503, /TTS API error \(503\)/],
+    ])("maps HTTP %i to a readable error", async (status, message) => {
+      installFakeFetch({
+        "text-to-speech": () => new Response("bad voice", { status }),
+      });
+
+      await expect(tts.synthesize("text")).rejects.toThrow(message);
+    });
+  });
+
+  describe("streaming synthesis", () => {
+    it("returns a PCM stream as soon as the response starts", async () => {
+      const fetchMock = installFakeFetch({
+        "text-to-speech": () => pcmStreamResponse([new Uint8Array(480)]),
+      });
+
+      const clip = await tts.synthesize("Hello, light.");
+
+      expect(clip.blob).toBeNull();
+      expect(clip.stream).toBeInstanceOf(ReadableStream);
+      expect(clip.sampleRate).toBe(config.elevenlabs.streamSampleRate);
+
+      const [url] = fetchMock.mock.calls[0];
+      expect(url).toContain("/stream?output_format=pcm_24000");
+    });
+
+    it("maps errors the same way", async () => {
+      installFakeFetch({
+        "text-to-speech": () => new Response("", { status: 401 }),
+      });
+
+      await expect(tts.synthesize("text")).rejects.toThrow(/API key/);
+    });
+  });
+
+  describe("languages", () => {
+    afterEach(() => {
+      config.elevenlabs.voices = {};
+    });
+
+    it("uses the fast model for English and the multilingual one otherwise", async () => {
+      const fetchMock = installFakeFetch({
+        "text-to-speech": () => pcmStreamResponse([new Uint8Array(480)]),
+      });
+
+      await tts.synthesize("Hello.", { language: "en" });
+      await tts.synthesize("Hola.", { language: "es" });
+
+      const models = fetchMock.mock.calls.map(
+        ([, init]) => JSON.parse(init.body).model_id
+      );
+      expect(models).toEqual([
+        config.elevenlabs.modelId,
+        config.elevenlabs.multilingualModelId,
+      ]);
+    });
+
+    it("applies per-language voice overrides", () => {
+      config.elevenlabs.voices = {
+        ja: { voiceId: "voice-ja", modelId: "eleven_turbo_v2_5" },
+      };
+
+      expect(tts.getVoiceFor("ja")).toEqual({
+        voiceId: "voice-ja",
+        modelId: "eleven_turbo_v2_5",
+      });
+      expect(tts.getVoiceFor("fr").voiceId).toBe(tts.getVoiceId());
+    });
+  });
+
+  describe("dialogue", () => {
+    it("speaks each line in its speaker's voice", async () => {
+      const fetchMock = installFakeFetch({
+        "with-timestamps": (url, init) =>
+          timestampsResponse(1024, JSON.parse(init.body).text),
+      });
+
+      const clip = await tts.synthesizeDialogue([
+        { speaker: 0, name: "A", text: "Call." },
+        { speaker: 1, name: "B", text: "Response." },
+      ]);
+
+      const voices = fetchMock.mock.calls.map(
+        ([url]) => url.match(/text-to-speech\/([^/]+)/)[1]
+      );
+      expect(voices).toEqual([
+        tts.getVoiceId(),
+        config.dialogue.speakers[1].voiceId,
+      ]);
+      expect(clip.text).toBe("Call.\nResponse.");
+      expect(clip.blob).toBeNull();
+      expect(clip.segments).toMatchObject([
+        { name: "A", text: "Call." },
+        { name: "B", text: "Response." },
+      ]);
+      expect(clip.segments[1].blob.size).toBe(1024);
+      expect(clip.segments[1].alignment.characters).toHaveLength(9);
+    });
+  });
+
+  describe("voice choice", () => {
+    beforeEach(() => {
+      localStorage.clear();
+      styles.edits = {};
+      styles.currentId = "contemplative";
+    });
+
+    afterEach(() => {
+      styles.edits = {};
+      styles.currentId = "contemplative";
+      config.elevenlabs.voices = {};
+    });
+
+    it("speaks each style in its own voice", () => {
+      expect(tts.getVoiceId()).toBe(config.elevenlabs.voiceId);
+
+      styles.currentId = "noir";
+      expect(tts.getVoiceId()).toBe(PRESETS.noir.voiceId);
+    });
+
+    it("saves a picked voice for the current style", () => {
+      tts.setVoice("voice-picked");
+
+      expect(tts.getVoiceId()).toBe("voice-picked");
+      expect(styles.get("contemplative").voiceId).toBe("voice-picked");
+
+      // Other styles keep theirs; null goes back to the style's own
+      styles.currentId = "noir";
+      expect(tts.getVoiceId()).toBe(PRESETS.noir.voiceId);
+      styles.currentId = "contemplative";
+      tts.setVoice(null);
+      expect(tts.getVoiceId()).toBe(config.elevenlabs.voiceId);
+    });
+
+    it("lets a language's own voice win over the style's or a picked one", () => {
+      config.elevenlabs.voices = { es: { voiceId: "voice-es" } };
+
+      styles.currentId = "noir";
+      expect(tts.getVoiceFor("es").voiceId).toBe("voice-es");
+      expect(tts.getVoiceFor("en").voiceId).toBe(PRESETS.noir.voiceId);
+
+      tts.setVoice("voice-picked");
+      expect(tts.getVoiceFor("es").voiceId).toBe("voice-es");
+      expect(tts.getVoiceFor("en").voiceId).toBe("voice-picked");
+    });
+
+    it("sends the slider settings and remembers them", async () => {
+      const fetchMock = installFakeFetch({
+        "text-to-speech": () => pcmStreamResponse([new Uint8Array(480)]),
+      });
+
+      tts.setVoiceSettings({ stability: 0.2, style: 0.9 });
+      await tts.synthesize("Hello.");
+
+      const { voice_settings } = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(voice_settings).toMatchObject({
+        stability: 0.2,
+        similarity_boost: config.elevenlabs.voiceSettings.similarityBoost,
+        style: 0.9,
+      });
+      expect(new TTSModule().voiceSettings.stability).toBe(0.2);
+
+      expect(() => tts.setVoiceSettings({ stability: 2 })).toThrow(
+        /between 0 and 1/
+      );
+
+      tts.resetVoiceSettings();
+      expect(new TTSModule().voiceSettings).toEqual(
+        config.elevenlabs.voiceSettings
+      );
+    });
+  });
+
+  it("lists voices and falls back to [] on failure", async () => {
+    installFakeFetch({
+      "/voices": () =>
+        Response.json({
+          voices: [{ voice_id: "v1", name: "Sarah", preview_url: "p.mp3" }],
+        }),
+    });
+    expect(await tts.getVoices()).toEqual([
+      expect.objectContaining({ id: "v1", name: "Sarah", previewUrl: "p.mp3" }),
+    ]);
+
+    installFakeFetch({ "/voices": () => new Response("", { status: 500 }) });
+    expect(await tts.getVoices()).toEqual([]);
+  });
+});
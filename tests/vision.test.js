@@ -0,0 +1,216 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { apiError, chatResponse, completions } from "./fakes/openai.js";
+import { VisionModule } from "../src/modules/vision.js";
+import { config } from "../src/utils/config.js";
+import { resilience } from "../src/utils/resilience.js";
+import { styles } from "../src/modules/styles.js";
+import { costs } from "../src/modules/costs.js";
+import { SCENE_SCHEMA } from "../src/utils/sceneAnalysis.js";
+
+vi.mock("openai", () => import("./fakes/openai.js"));
+
+describe("VisionModule", () => {
+  let vision;
+
+  beforeEach(() => {
+    vision = new VisionModule();
+
+    // Retries and breakers have their own tests
+    resilience.reset();
+    config.resilience.retries = 0;
+  });
+
+  afterEach(() => {
+    config.resilience.retries = 2;
+    config.vision.structured = true;
+    styles.currentId = "contemplative";
+  });
+
+  describe("calculateSimilarity", () => {
+    it("is 1 for identical descriptions", () => {
+      const text = "A quiet kitchen with morning light";
+      expect(vision.calculateSimilarity(text, text)).toBe(1);
+    });
+
+    it("is 0 when no meaningful words overlap", () => {
+      expect(
+        vision.calculateSimilarity(
+          "bright window curtains",
+          "dark empty hallway"
+        )
+      ).toBe(0);
+    });
+
+    it("ignores case and short words", () => {
+      expect(
+        vision.calculateSimilarity("The Chair by the DOOR", "a chair at a door")
+      ).toBe(1);
+    });
+
+    it("computes Jaccard overlap of words longer than 3 letters", () => {
+      // {desk, lamp, book} vs {desk, lamp, window} → 2 / 4
+      expect(
+        vision.calculateSimilarity("desk lamp book", "desk lamp window")
+      ).toBeCloseTo(0.5);
+    });
+  });
+
+  describe("detectSceneChange", () => {
+    const prose = (description) => ({ description, analysis: null });
+    const fields = (analysis) => ({
+      description: "",
+      analysis: { setting: "", peopleCount: 0, ...analysis },
+    });
+
+    it("treats the first description as a new scene", () => {
+      expect(vision.detectSceneChange(prose("anything at all"))).toBe(true);
+    });
+
+    it("flags a change below 50% similarity", () => {
+      vision.lastScene = prose("wooden desk glowing laptop coffee");
+      expect(vision.detectSceneChange(prose("sunny garden roses fence"))).toBe(
+        true
+      );
+      expect(
+        vision.detectSceneChange(prose("wooden desk glowing laptop notebook"))
+      ).toBe(false);
+    });
+
+    it("compares objects, setting and people when both scenes have them", () => {
+      vision.lastScene = fields({
+        objects: ["desk", "laptop", "mug"],
+        setting: "home office",
+        peopleCount: 1,
+      });
+      const next = (analysis) =>
+        vision.detectSceneChange(
+          fields({
+            objects: ["desk", "laptop", "mug", "lamp"],
+            setting: "office",
+            peopleCount: 1,
+            ...analysis,
+          })
+        );
+
+      expect(next({})).toBe(false);
+      expect(next({ objects: ["sofa", "lamp", "mug"] })).toBe(true);
+      expect(next({ setting: "kitchen" })).toBe(true);
+      expect(next({ peopleCount: 2 })).toBe(true);
+
+      // Against a prose-only scene, words are compared
+      expect(vision.detectSceneChange(prose("desk laptop mug"))).toBe(true);
+    });
+
+    it("starts fresh after reset()", () => {
+      vision.lastScene = prose("wooden desk");
+      vision.reset();
+      expect(vision.detectSceneChange(prose("wooden desk"))).toBe(true);
+    });
+  });
+
+  describe("analyzeFrame", () => {
+    it("returns the structured scene with token usage", async () => {
+      completions.create.mockResolvedValueOnce(
+        chatResponse(
+          JSON.stringify({
+            description: "A cat naps on a sunny sill.",
+            objects: ["Cat", "sill", "cat"],
+            peopleCount: 0,
+            colors: ["orange"],
+            lighting: "warm sun",
+            mood: "drowsy",
+            setting: "kitchen",
+            details: ["one paw twitching"],
+          }),
+          97
+        )
+      );
+
+      const scene = await vision.analyzeFrame("ZmFrZQ==");
+
+      expect(scene).toMatchObject({
+        description: "A cat naps on a sunny sill.",
+        analysis: { objects: ["cat", "sill"], mood: "drowsy" },
+        tokens: 97,
+        isNewScene: true,
+      });
+      expect(vision.lastScene.description).toBe("A cat naps on a sunny sill.");
+
+      const [params] = completions.create.mock.calls.at(-1);
+      expect(params.messages[0].content[1].image_url.url).toBe(
+        "data:image/jpeg;base64,ZmFrZQ=="
+      );
+      expect(params.response_format).toMatchObject({
+        type: "json_schema",
+        json_schema: { strict: true, schema: SCENE_SCHEMA },
+      });
+    });
+
+    it("keeps a reply that isn't JSON as the description", async () => {
+      completions.create.mockResolvedValueOnce(
+        chatResponse("A cat naps on a sunny sill.")
+      );
+
+      const scene = await vision.analyzeFrame("x");
+
+      expect(scene).toMatchObject({
+        description: "A cat naps on a sunny sill.",
+        analysis: null,
+      });
+    });
+
+    it("asks for prose when structured scenes are off", async () => {
+      config.vision.structured = false;
+      await vision.analyzeFrame("x");
+
+      const [params] = completions.create.mock.calls.at(-1);
+      expect(params.response_format).toBeUndefined();
+      expect(params.messages[0].content[0].text).not.toContain("JSON");
+    });
+
+    it("looks for what the poet style cares about", async () => {
+      styles.currentId = "noir";
+      await vision.analyzeFrame("x");
+
+      const [params] = completions.create.mock.calls.at(-1);
+      const prompt = params.messages[0].content[0].text;
+      expect(prompt).toContain("Focus on:\n- Shadows, light sources");
+      expect(prompt).not.toContain("{{");
+    });
+
+    it("counts its tokens, and steps down in economy", async () => {
+      vi.spyOn(costs, "record");
+      completions.create.mockResolvedValueOnce({
+        ...chatResponse("A cat naps."),
+        usage: { total_tokens: 120, prompt_tokens: 100, completion_tokens: 20 },
+      });
+      await vision.analyzeFrame("x");
+
+      expect(costs.record).toHaveBeenCalledWith("vision", {
+        model: "gpt-4o",
+        inputTokens: 100,
+        outputTokens: 20,
+      });
+
+      vi.spyOn(costs, "economy", "get").mockReturnValue({
+        imageDetail: "low",
+        models: { openai: "gpt-4o-mini" },
+      });
+      config.vision.imageDetail = "high";
+      await vision.analyzeFrame("x");
+      config.vision.imageDetail = "low";
+
+      const [params] = completions.create.mock.calls.at(-1);
+      expect(params.model).toBe("gpt-4o-mini");
+      expect(params.messages[0].content[1].image_url.detail).toBe("low");
+    });
+
+    it("maps API errors to readable messages", async () => {
+      completions.create.mockRejectedValueOnce(apiError(401));
+      await expect(vision.analyzeFrame("x")).rejects.toThrow(/API key/);
+
+      completions.create.mockRejectedValueOnce(apiError(429));
+      await expect(vision.analyzeFrame("x")).rejects.toThrow(/Rate limited/);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import {
+  clipWordTimings,
+  estimateTimings,
+  speechBounds,
+  timingsFromAlignment,
+} from "../src/utils/wordTiming.js";
+import { config } from "../src/utils/config.js";
+import { FakeAudioBuffer } from "./fakes/webAudio.js";
+
+// Every character a tenth of a second long
+const align = (text) => {
+  const characters = [...text];
+  return {
+    characters,
+    startTimes: characters.map((_, i) => i / 10),
+    endTimes: characters.map((_, i) => (i + 1) / 10),
+  };
+};
+
+describe("wordTiming", () => {
+  it("groups aligned characters into words", () => {
+    const timings = timingsFromAlignment(align("Hi  you\nall"), 2);
+
+    expect(timings).toEqual([
+      { word: "Hi", start: 2, end: 2.2 },
+      { word: "you", start: expect.closeTo(2.4), end: expect.closeTo(2.7) },
+      { word: "all", start: expect.closeTo(2.8), end: expect.closeTo(3.1) },
+    ]);
+  });
+
+  it("estimates by word length, breathing at commas and line ends", () => {
+    const timings = estimateTimings("aa bb,\ncc dd", 1, 5);
+
+    expect(timings.map((t) => t.word)).toEqual(["aa", "bb,", "cc", "dd"]);
+    expect(timings[0].start).toBe(1);
+    expect(timings.at(-1).end).toBeCloseTo(5);
+
+    const gap = (i) => timings[i + 1].start - timings[i].end;
+    expect(gap(0)).toBe(0);
+    expect(gap(1)).toBeGreaterThan(0);
+  });
+
+  it("finds the speech inside decoded audio", () => {
+    const buffer = new FakeAudioBuffer({ duration: 1, sampleRate: 100 });
+    buffer.getChannelData(0).fill(0.5, 20, 90);
+
+    expect(speechBounds(buffer)).toEqual({ start: 0.2, end: 0.9 });
+
+    // All silence: the whole clip
+    expect(speechBounds(new FakeAudioBuffer({ duration: 2 }))).toEqual({
+      start: 0,
+      end: 2,
+    });
+  });
+
+  it("times a clip from its alignment, or its decoded audio", () => {
+    const audioBuffer = new FakeAudioBuffer({ duration: 3, sampleRate: 100 });
+    const clip = { text: "one two", audioBuffer, duration: 3 };
+
+    expect(clipWordTimings(clip).at(-1).end).toBe(3);
+
+    clip.alignment = align("one two");
+    expect(clipWordTimings(clip)[1]).toMatchObject({ word: "two", start: 0.4 });
+
+    // An alignment for other text is ignored
+    clip.alignment = align("one two three");
+    expect(clipWordTimings(clip)).toHaveLength(2);
+  });
+
+  it("assumes a speaking rate while a clip streams in", () => {
+    const text = "a".repeat(28);
+    const timings = clipWordTimings({ text, isStreaming: true });
+
+    expect(timings[0].end).toBeCloseTo(28 / config.karaoke.charactersPerSecond);
+  });
+
+  it("times each dialogue line within its segment", () => {
+    const timings = clipWordTimings({
+      text: "Call out.\nAnswer.",
+      segments: [
+        { text: "Call out.", start: 0, end: 1, alignment: align("Call out.") },
+        { text: "Answer.", start: 1.5, end: 2.5, alignment: null },
+      ],
+    });
+
+    expect(timings.map((t) => t.word)).toEqual(["Call", "out.", "Answer."]);
+    expect(timings[1].start).toBeCloseTo(0.5);
+    expect(timings[2]).toMatchObject({ start: 1.5, end: 2.5 });
+  });
+});
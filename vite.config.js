@@ -1,16 +1,51 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
+import { createProxyMiddleware, readLimits } from './server/proxy.js';
 
-export default defineConfig({
-  // Development server settings
-  server: {
-    port: 3000,
-    open: true, // Auto-open browser
-  },
-  
-  // Build settings
-  build: {
-    outDir: 'dist',
-    sourcemap: true,
-  },
-});
+export default defineConfig(({ mode }) => {
+  // Load all env vars (not just VITE_*) so the keys stay server-side
+  const env = loadEnv(mode, process.cwd(), '');
+
+  return {
+    plugins: [
+      {
+        // Serve /api/* from the dev server, same as server/index.js
+        name: 'mil4dy-api-proxy',
+        configureServer(server) {
+          server.middlewares.use(
+            createProxyMiddleware(
+              {
+                openaiApiKey: env.OPENAI_API_KEY,
+                elevenlabsApiKey: env.ELEVENLABS_API_KEY,
+              },
+              readLimits(env)
+            )
+          );
+        },
+      },
+    ],
+
+    // Development server settings
+    server: {
+      port: 3000,
+      open: true, // Auto-open browser
+    },
 
+    // Build settings
+    build: {
+      outDir: 'dist',
+      sourcemap: true,
+    },
+
+    // Test settings (fakes for browser APIs live in tests/fakes)
+    test: {
+      environment: 'jsdom',
+      setupFiles: ['tests/setup.js'],
+      env: {
+        VITE_OPENAI_API_KEY: 'test-openai-key',
+        VITE_ELEVENLABS_API_KEY: 'test-elevenlabs-key',
+        VITE_PROXY_URL: '',
+        VITE_MOCK_MODE: 'false',
+      },
+    },
+  };
+});